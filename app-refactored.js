@@ -1,30 +1,88 @@
-import OpenAI from "openai";
 import dotenv from "dotenv";
+import crypto from "crypto";
 import fs from "fs";
 import path from "path";
+import { PdfRenderer } from "./lib/pdf-renderer.js";
+import { ImageTiler } from "./lib/image-tiler.js";
+import { detectMimeType } from "./lib/file-type.js";
+import { extractJson } from "./lib/json-extractor.js";
+import { LandCertificateMapper } from "./lib/land-certificate-mapper.js";
+import { SchemaValidator, DEFAULT_SCHEMA } from "./lib/schema-validator.js";
+import { VietnameseNormalizer } from "./lib/normalizer.js";
+import { IdentityValidator } from "./lib/id-validator.js";
+import { OcrCorrector } from "./lib/ocr-corrector.js";
+import { ResultCache } from "./lib/result-cache.js";
+import { DocumentClassifier, DOCUMENT_TYPES } from "./lib/document-classifier.js";
+import { CertificateGenerationDetector, CERTIFICATE_GENERATIONS } from "./lib/certificate-generations.js";
+import { QrDecoder } from "./lib/qr-decoder.js";
+import { CitizenIdMapper, parseMrz, compareMrz } from "./lib/citizen-id.js";
+import { OwnerVerifier } from "./lib/owner-verifier.js";
+import { MarriageCertificateMapper } from "./lib/marriage-certificate.js";
+import { SaleContractMapper } from "./lib/sale-contract.js";
+import { DossierConsolidator } from "./lib/dossier.js";
+import { ProvenanceResolver } from "./lib/provenance.js";
+import { ConfidenceScorer } from "./lib/confidence.js";
+import { EnsembleVoter } from "./lib/ensemble.js";
+import { ExtractionDiffer } from "./lib/extraction-diff.js";
+import { ValidationError } from "./lib/validation-error.js";
+import { createProvider, loadProviderConfig, assertProviderConfig, OpenAICompatibleProvider, PROVIDERS } from "./lib/providers/index.js";
 
 // Load environment variables
 dotenv.config();
 
 console.log('Environment loaded, starting application...');
 
+const ANALYZER_VERSION = JSON.parse(fs.readFileSync(new URL('./package.json', import.meta.url), 'utf8')).version;
+
+// Warnings about the input rather than the values read; an ensemble result keeps those of its first run
+const INPUT_WARNINGS = ['CLASSIFICATION_FAILED', 'CLASSIFICATION_LOW_CONFIDENCE', 'QR_DECODE_FAILED'];
+
 /**
  * Real Estate Document Analysis Service
  * ====================================
  * 
  * This service analyzes Vietnamese land use rights certificates (Sổ đỏ)
- * and extracts structured data for banking and CRM systems.
+ * and extracts structured data for banking and CRM systems. The owners'
+ * citizen ID cards go through the same pipeline and are cross-checked
+ * against the certificate. A whole loan dossier (certificate, cards,
+ * marriage certificate, sale contract) can be consolidated into one
+ * collateral profile.
  */
 
 class RealEstateAnalyzer {
-    constructor() {
+    /**
+     * @param {Object} options - Analyzer options
+     * @param {Object} options.provider - Provider configuration or instance (default: from AI_PROVIDER and related env)
+     * @param {ResultCache|boolean} options.cache - Result cache, or true for the default file cache (default RESULT_CACHE)
+     */
+    constructor(options = {}) {
         console.log('Initializing RealEstateAnalyzer...');
+        this.providerConfig = options.provider || loadProviderConfig();
         console.log('Validating configuration...');
         this.validateConfig();
-        console.log('Initializing OpenAI client...');
-        this.openai = this.initializeOpenAI();
+        console.log('Initializing model provider...');
+        this.provider = this.initializeProvider();
         console.log('Loading prompts...');
         this.prompts = this.loadPrompts();
+        this.mapper = new LandCertificateMapper();
+        this.schemaValidator = new SchemaValidator();
+        this.normalizer = new VietnameseNormalizer();
+        this.identityValidator = new IdentityValidator({ normalizer: this.normalizer });
+        this.ocrCorrector = new OcrCorrector({ addressParser: this.normalizer.addressParser });
+        this.classifier = new DocumentClassifier();
+        this.generationDetector = new CertificateGenerationDetector({ normalizer: this.normalizer });
+        this.qrDecoder = new QrDecoder();
+        this.citizenIdMapper = new CitizenIdMapper();
+        this.ownerVerifier = new OwnerVerifier({ normalizer: this.normalizer, identityValidator: this.identityValidator });
+        this.marriageCertificateMapper = new MarriageCertificateMapper();
+        this.saleContractMapper = new SaleContractMapper();
+        this.dossierConsolidator = new DossierConsolidator({ normalizer: this.normalizer, identityValidator: this.identityValidator, ownerVerifier: this.ownerVerifier });
+        this.provenanceResolver = new ProvenanceResolver();
+        this.confidenceScorer = new ConfidenceScorer();
+        this.ensembleVoter = new EnsembleVoter();
+        this.extractionDiffer = new ExtractionDiffer({ normalizer: this.normalizer });
+        this.extractors = this.createExtractors();
+        this.cache = this.initializeCache(options.cache ?? process.env.RESULT_CACHE === 'true');
         console.log('RealEstateAnalyzer initialization complete');
     }
 
@@ -32,22 +90,50 @@ class RealEstateAnalyzer {
      * Validate required configuration
      */
     validateConfig() {
-        const requiredEnvVars = ['DASHSCOPE_API_KEY', 'OPENAI_BASE_URL', 'AI_MODEL'];
-        const missing = requiredEnvVars.filter(envVar => !process.env[envVar]);
-        
-        if (missing.length > 0) {
-            throw new Error(`Missing required environment variables: ${missing.join(', ')}`);
+        assertProviderConfig(this.providerConfig);
+    }
+
+    /**
+     * Initialize the vision-model provider from configuration
+     * @returns {Object} Provider (see lib/providers)
+     */
+    initializeProvider() {
+        const provider = createProvider(this.providerConfig);
+        this.log(`Using provider ${provider.name} with model ${provider.model}`, 'debug');
+        return provider;
+    }
+
+    /**
+     * Initialize the result cache
+     * @param {ResultCache|boolean} cache - Cache instance, true for the default file cache, false for none
+     * @returns {ResultCache|null} Cache
+     */
+    initializeCache(cache) {
+        if (cache instanceof ResultCache) {
+            return cache;
         }
+        return cache ? new ResultCache() : null;
+    }
+
+    /**
+     * OpenAI-style client of the current provider
+     * @returns {Object|undefined} Client with chat.completions.create
+     */
+    get openai() {
+        return this.provider.client;
     }
 
     /**
-     * Initialize OpenAI client with configuration
+     * Send requests through an OpenAI-style client, e.g. a test mock
+     * @param {Object} client - Client with chat.completions.create
      */
-    initializeOpenAI() {
-        return new OpenAI({
-            apiKey: process.env.DASHSCOPE_API_KEY,
-            baseURL: process.env.OPENAI_BASE_URL,
-            timeout: parseInt(process.env.REQUEST_TIMEOUT_MS) || 30000,
+    set openai(client) {
+        const name = ['dashscope', 'openai', 'llamacpp'].includes(this.provider?.name) ? this.provider.name : 'openai';
+        this.provider = new OpenAICompatibleProvider({
+            name,
+            model: this.provider?.model,
+            capabilities: this.provider?.capabilities,
+            client
         });
     }
 
@@ -82,27 +168,246 @@ Tổng hợp và xuất dữ liệu vào định dạng JSON chuẩn, dễ dàng
 Trả kết quả dưới dạng đối tượng JSON duy nhất, có cấu trúc rõ ràng và dễ đọc.
             `.trim(),
             
+            citizenIdPrompt: `
+Bạn là trợ lý AI đọc giấy tờ tùy thân trong hồ sơ vay thế chấp bất động sản.
+
+Ảnh là thẻ Căn cước công dân, thẻ Căn cước hoặc Chứng minh nhân dân của Việt Nam, có thể gồm cả mặt trước và mặt sau.
+
+Trả kết quả dưới dạng một đối tượng JSON duy nhất với các khóa sau (trường không có thông tin thì để null):
+- document_name: tiêu đề in trên thẻ, ví dụ "CĂN CƯỚC CÔNG DÂN"
+- card_type: "cccd" (Căn cước công dân), "can_cuoc" (thẻ Căn cước mẫu từ 01/7/2024) hoặc "cmnd" (Chứng minh nhân dân)
+- id_number: "Số" hoặc "Số định danh cá nhân", đủ các chữ số
+- previous_id_number: số CMND cũ, nếu thẻ có ghi
+- full_name: "Họ và tên", giữ nguyên dấu
+- date_of_birth: "Ngày, tháng, năm sinh", dạng dd/mm/yyyy
+- sex: "Giới tính" (Nam hoặc Nữ)
+- nationality: "Quốc tịch"
+- place_of_origin: "Quê quán" hoặc "Nơi đăng ký khai sinh"
+- place_of_residence: "Nơi thường trú" hoặc "Nơi cư trú"
+- date_of_expiry: "Có giá trị đến", dạng dd/mm/yyyy, hoặc "Không thời hạn"
+- issue_date: ngày cấp ở mặt sau, dạng dd/mm/yyyy
+- issued_by: cơ quan cấp ở mặt sau
+- personal_identification: "Đặc điểm nhân dạng"
+- mrz: vùng đọc bằng máy ở mặt sau, chép nguyên văn ba dòng 30 ký tự (kể cả ký tự "<"), các dòng cách nhau bằng "\\n"
+
+Không đọc nội dung mã QR. Chỉ dùng thông tin đọc được từ ảnh, không tự bịa dữ liệu.
+            `.trim(),
+            
+            marriageCertificatePrompt: `
+Bạn là trợ lý AI đọc giấy tờ hộ tịch trong hồ sơ vay thế chấp bất động sản.
+
+Ảnh là Giấy chứng nhận kết hôn hoặc Giấy xác nhận tình trạng hôn nhân của Việt Nam.
+
+Trả kết quả dưới dạng một đối tượng JSON duy nhất với các khóa sau (trường không có thông tin thì để null):
+- document_name: tiêu đề in trên giấy
+- document_kind: "marriage" (Giấy chứng nhận kết hôn) hoặc "marital_status" (Giấy xác nhận tình trạng hôn nhân)
+- registration_number: "Số" của giấy
+- registration_date: ngày đăng ký kết hôn hoặc ngày cấp giấy xác nhận, dạng dd/mm/yyyy
+- registered_by: cơ quan đăng ký, ví dụ "Ủy ban nhân dân phường ..."
+- husband, wife: bên chồng và bên vợ (chỉ với giấy chứng nhận kết hôn), mỗi bên là một đối tượng
+  { "full_name", "date_of_birth" (dd/mm/yyyy), "nationality", "place_of_residence", "id_number" (số giấy tờ tùy thân) }
+- subject: người được xác nhận tình trạng hôn nhân (chỉ với giấy xác nhận), cùng cấu trúc như trên
+- marital_status: tình trạng hôn nhân được xác nhận, chép nguyên văn (chỉ với giấy xác nhận)
+
+Giữ nguyên dấu tiếng Việt. Chỉ dùng thông tin đọc được từ ảnh, không tự bịa dữ liệu.
+            `.trim(),
+            
+            saleContractPrompt: `
+Bạn là trợ lý AI đọc hợp đồng trong hồ sơ vay thế chấp bất động sản.
+
+Tài liệu là hợp đồng mua bán, chuyển nhượng hoặc tặng cho nhà đất đã công chứng, có thể gồm nhiều trang.
+
+Trả kết quả dưới dạng một đối tượng JSON duy nhất với các khóa sau (trường không có thông tin thì để null):
+- document_name: tiêu đề hợp đồng
+- contract_type: "sale" (mua bán), "transfer" (chuyển nhượng quyền sử dụng đất) hoặc "gift" (tặng cho)
+- contract_number: số hợp đồng
+- contract_date: ngày ký, dạng dd/mm/yyyy
+- sellers: danh sách bên A (bên bán, bên chuyển nhượng, bên tặng cho), mỗi người là
+  { "full_name", "date_of_birth", "id_number", "permanent_address" }; vợ chồng cùng là một bên thì ghi thành hai người
+- buyers: danh sách bên B (bên mua, bên nhận chuyển nhượng, bên được tặng cho), cùng cấu trúc
+- property: tài sản của hợp đồng { "certificate_number" (số phát hành giấy chứng nhận, ví dụ "BV 999451"),
+  "registration_number" (số vào sổ cấp giấy chứng nhận), "land_address", "plot_number", "map_sheet_number", "area" (diện tích thửa đất, kèm đơn vị) }
+- price: giá mua bán hoặc giá trị hợp đồng, chép nguyên văn
+- encumbrances: thế chấp, tranh chấp, kê biên hoặc hạn chế khác mà hợp đồng ghi là còn tồn tại; null nếu hợp đồng cam đoan tài sản không có
+- notarization: lời chứng của công chứng viên { "office", "notary", "number" (số công chứng), "date" }
+
+Giữ nguyên dấu tiếng Việt. Chỉ dùng thông tin đọc được từ tài liệu, không tự bịa dữ liệu.
+            `.trim(),
+            
+            provenancePrompt: `
+Thêm vào đối tượng JSON khóa "_provenance" cho biết mỗi giá trị được đọc ở đâu trên ảnh:
+- khóa là JSON Pointer của trường trong chính kết quả của bạn, ví dụ "/property_owners/0/full_name" hoặc "/land_information/area"
+- giá trị là { "page": số trang theo nhãn "Trang n/m" (chỉ có một ảnh thì là 1), "bbox": [x1, y1, x2, y2] }
+- bbox là góc trên bên trái và góc dưới bên phải của vùng chữ chứa giá trị, theo thang 0-1000 của chiều rộng và chiều cao trang
+
+Chỉ ghi các trường đọc được trên ảnh; trường null thì bỏ qua.
+            `.trim(),
+            
+            confidencePrompt: `
+Thêm vào đối tượng JSON khóa "_confidence" cho biết bạn chắc chắn đến đâu về từng giá trị đã đọc:
+- khóa là JSON Pointer của trường trong chính kết quả của bạn, ví dụ "/land_information/map_sheet_number"
+- giá trị là một số từ 0 đến 1: 1 là chữ in rõ và đọc chắc chắn, dưới 0.5 là chữ mờ, bị che, viết tay khó đọc hoặc phải đoán
+
+Trường null thì bỏ qua.
+            `.trim(),
+            
             followUpPrompt: "What can you do next?"
         };
     }
 
+    /**
+     * Register the extractor of each supported document type
+     * Types without an extractor are still classified, but get an unsupported-document result.
+     * Extractors with generations add the template of a known layout to the prompt.
+     * @returns {Object} Document type → { prompt, mapper, schema, generations? }
+     */
+    createExtractors() {
+        return {
+            land_certificate: { prompt: this.prompts.systemPrompt, mapper: this.mapper, schema: DEFAULT_SCHEMA, generations: CERTIFICATE_GENERATIONS },
+            citizen_id: { prompt: this.prompts.citizenIdPrompt, mapper: this.citizenIdMapper, schema: 'citizen-id.v1' },
+            marriage_certificate: { prompt: this.prompts.marriageCertificatePrompt, mapper: this.marriageCertificateMapper, schema: 'marriage-certificate.v1' },
+            sale_contract: { prompt: this.prompts.saleContractPrompt, mapper: this.saleContractMapper, schema: 'sale-contract.v1' }
+        };
+    }
+
+    /**
+     * Get the extraction prompt for a request
+     * @param {Object} options - Analysis options (customPrompt, documentType, generation, provenance, modelConfidence)
+     * @returns {string} Custom prompt, or the extractor prompt plus the generation template and the provenance and certainty instructions
+     */
+    getExtractionPrompt(options = {}) {
+        if (options.customPrompt) {
+            return options.customPrompt;
+        }
+
+        const extractor = this.getExtractor(options.documentType);
+        const parts = [extractor.prompt];
+        if (options.generation && extractor.generations) {
+            const template = Object.hasOwn(extractor.generations, options.generation) ? extractor.generations[options.generation] : null;
+            if (!template) {
+                throw new ValidationError(`Unknown certificate generation: ${options.generation}`);
+            }
+            parts.push(template.prompt);
+        }
+        if (this.isProvenanceRequested(options)) {
+            parts.push(this.prompts.provenancePrompt);
+        }
+        if (this.isModelConfidenceRequested(options)) {
+            parts.push(this.prompts.confidencePrompt);
+        }
+        return parts.join('\n\n');
+    }
+
+    /**
+     * Check whether field evidence (page and bounding box) is requested from the model
+     * @param {Object} options - Analysis options
+     * @returns {boolean} options.provenance, default EXTRACT_PROVENANCE
+     */
+    isProvenanceRequested(options = {}) {
+        return options.provenance ?? process.env.EXTRACT_PROVENANCE === 'true';
+    }
+
+    /**
+     * Check whether the model is asked how certain it is of each field
+     * @param {Object} options - Analysis options
+     * @returns {boolean} options.modelConfidence, default EXTRACT_CONFIDENCE
+     */
+    isModelConfidenceRequested(options = {}) {
+        return options.modelConfidence ?? process.env.EXTRACT_CONFIDENCE === 'true';
+    }
+
+    /**
+     * Get the extractor of a document type
+     * @param {string} documentType - Document type (default land_certificate)
+     * @returns {Object} { prompt, mapper, schema }
+     */
+    getExtractor(documentType = 'land_certificate') {
+        // Own keys only: "constructor" or "toString" are not document types
+        const extractor = Object.hasOwn(this.extractors, documentType) ? this.extractors[documentType] : null;
+        if (!extractor) {
+            throw new Error(`No extractor for document type: ${documentType}`);
+        }
+        return extractor;
+    }
+
     /**
      * Analyze land certificate image
-     * @param {string} imageUrl - URL of the image to analyze
+     * @param {string|Buffer} input - Image URL, data URL, local image/PDF path, or image/PDF buffer
      * @param {Object} options - Additional options for analysis
-     * @returns {Promise<Object>} Analysis result
+     * @param {Object} options.pdf - PDF rendering options: { dpi, pages }
+     * @param {string} options.pageMode - 'stitched' (one tall image) or 'pages' (one image part per page)
+     * @param {Object|boolean} options.tiling - Tile very tall pages in 'pages' mode (see ImageTiler)
+     * @param {boolean} options.jsonMode - Request JSON output when the provider supports it (default JSON_MODE)
+     * @param {boolean} options.saveResponse - Save the result to RESPONSE_DIR (default SAVE_RESPONSES)
+     * @param {boolean} options.cache - Use the result cache if one is configured (default true)
+     * @param {boolean} options.refreshCache - Call the model even on a cache hit and replace the entry
+     * @param {boolean} options.classify - Classify the document type first and route to its extractor (default CLASSIFY_DOCUMENTS)
+     * @param {string} options.documentType - Known document type; skips classification
+     * @param {string} options.generation - Known certificate generation (see lib/certificate-generations.js); adds its template to the prompt
+     * @param {boolean} options.decodeQr - Decode QR codes in the images and cross-check them
+     *   (default QR_DECODE; unset, only 2024-form certificates are scanned)
+     * @param {boolean} options.provenance - Ask for the page and bounding box of every field (default EXTRACT_PROVENANCE)
+     * @param {boolean} options.modelConfidence - Ask the model how certain it is of every field (default EXTRACT_CONFIDENCE)
+     * @param {Object} options.confidencePolicy - Overrides of the review policy (see lib/confidence.js)
+     * @param {number} options.temperature - Sampling temperature (default TEMPERATURE)
+     * @returns {Promise<Object>} Analysis result, or an unsupported-document result (status 'unsupported_document')
      */
-    async analyzeLandCertificate(imageUrl, options = {}) {
+    async analyzeLandCertificate(input, options = {}) {
         try {
             this.log('Starting land certificate analysis...', 'info');
             
-            const messages = this.buildMessages(imageUrl, options);
+            // An invalid review policy fails before the model call is paid for
+            if (options.confidencePolicy !== undefined) {
+                this.confidenceScorer.policyFor(options.confidencePolicy);
+            }
+            
+            const imageInput = await this.resolveProviderInput(input, options);
+            
+            const classification = await this.classifyDocument(imageInput, options);
+            if (classification?.documentType && !Object.hasOwn(this.extractors, classification.documentType)) {
+                return await this.finishUnsupported(this.createUnsupportedResult(classification), options);
+            }
+            
+            // Unclassified documents keep the land-certificate extraction
+            options = {
+                ...options,
+                documentType: classification?.documentType || 'land_certificate',
+                generation: options.generation || classification?.generation || undefined
+            };
+            const messages = this.buildMessages(imageInput, options);
             
-            const completion = await this.callOpenAI(messages);
+            const cacheKey = this.cache && options.cache !== false ? this.getCacheKey(messages, options) : null;
+            const cached = cacheKey && !options.refreshCache ? await this.cache.get(cacheKey.key) : null;
             
-            const result = this.processResponse(completion);
+            let result;
+            if (cached) {
+                this.log(`Using cached result ${cacheKey.key.slice(0, 12)} from ${cached.createdAt}`, 'info');
+                result = cached.result;
+            } else {
+                const completion = await this.callProvider(messages, options);
+                result = await this.repairResponse(messages, this.processResponse(completion, options), options);
+                
+                // Results without extracted data are not worth keeping
+                if (cacheKey && result.extractedData) {
+                    await this.cache.set(cacheKey.key, result, cacheKey.components);
+                }
+            }
+            
+            if (cacheKey) {
+                result.cache = { hit: Boolean(cached), key: cacheKey.key, createdAt: cached?.createdAt ?? null };
+            }
+            
+            this.attachClassification(result, classification, options.documentType);
+            // Pages are only counted when they are sent separately
+            result.metadata.pageCount = Array.isArray(imageInput) ? imageInput[0].pageCount : null;
+            if (result.provenance) {
+                result.provenance.pageMode = Array.isArray(imageInput) ? 'pages' : 'stitched';
+            }
+            await this.attachQrCodes(result, imageInput, options);
+            this.addRunMetadata(result, options);
+            this.postProcess(result, options);
             
-            if (process.env.SAVE_RESPONSES === 'true') {
+            if (options.saveResponse ?? process.env.SAVE_RESPONSES === 'true') {
                 await this.saveResponse(result);
             }
             
@@ -111,28 +416,635 @@ Trả kết quả dưới dạng đối tượng JSON duy nhất, có cấu trú
             
         } catch (error) {
             this.log(`Analysis failed: ${error.message}`, 'error');
-            throw new Error(`Land certificate analysis failed: ${error.message}`);
+            // Keep the original error as cause so callers can tell provider errors from timeouts
+            throw new Error(`Land certificate analysis failed: ${error.message}`, { cause: error });
+        }
+    }
+
+    /**
+     * Analyze a citizen ID card (CCCD, thẻ căn cước or CMND) with the land-certificate pipeline
+     * Pass the front and back as a list; they are sent as separate pages.
+     * @param {string|Buffer|Array<string|Buffer>} input - Card image, or [front, back]
+     * @param {Object} options - Analysis options (see analyzeLandCertificate)
+     * @returns {Promise<Object>} Analysis result with documentType 'citizen_id' and, when the MRZ was read, mrz
+     */
+    async analyzeCitizenId(input, options = {}) {
+        return this.analyzeLandCertificate(input, {
+            ...options,
+            documentType: 'citizen_id',
+            pageMode: options.pageMode || (Array.isArray(input) ? 'pages' : undefined)
+        });
+    }
+
+    /**
+     * Analyze a document with several models, or several samples of one model, and vote every field
+     * Each run goes through the whole pipeline; the first run classifies the document and the others
+     * extract the same type. The consensus is post-processed again and scored with the runs' agreement.
+     * @param {string|Buffer|Array} input - Analysis input (see analyzeLandCertificate)
+     * @param {Object} options - Analysis options for every run (see analyzeLandCertificate)
+     * @param {Object} options.ensemble - Ensemble settings
+     * @param {Array<string|Object>} options.ensemble.models - Models to run (default ENSEMBLE_MODELS; see createEnsembleProvider)
+     * @param {number} options.ensemble.samples - Runs per model (default ENSEMBLE_SAMPLES, or 3 with a single model);
+     *   at most ENSEMBLE_MAX_RUNS (default 6) runs in all
+     * @param {number} options.ensemble.temperature - Temperature of sampled runs (default ENSEMBLE_TEMPERATURE or 0.7)
+     * @returns {Promise<Object>} Consensus result with ensemble { runs, voters, fields, disagreements },
+     *   or the unsupported-document result of the first run
+     */
+    async analyzeEnsemble(input, options = {}) {
+        const { ensemble, saveResponse, ...analysisOptions } = options;
+        const members = this.resolveEnsembleMembers(ensemble);
+        this.log(`Starting ensemble analysis with ${members.length} runs...`, 'info');
+
+        const runs = [];
+        const results = [];
+        for (const [index, member] of members.entries()) {
+            const first = results.find(Boolean);
+            const run = { index, provider: member.provider.name, model: member.provider.model, sample: member.sample ?? null, durationMs: null, error: null };
+            const start = Date.now();
+
+            try {
+                const result = await this.analyzeLandCertificate(input, {
+                    ...analysisOptions,
+                    provider: member.provider,
+                    sample: member.sample,
+                    temperature: member.temperature ?? analysisOptions.temperature,
+                    saveResponse: false,
+                    ...(first ? { documentType: first.documentType, generation: analysisOptions.generation || first.classification?.generation || undefined } : {})
+                });
+                if (result.status === 'unsupported_document') {
+                    return result;
+                }
+                results.push(result);
+            } catch (error) {
+                // Invalid input or options fail every run the same way
+                if (error.cause instanceof ValidationError) {
+                    throw error;
+                }
+                this.log(`Ensemble run ${index + 1} (${run.model}) failed: ${error.message}`, 'warn');
+                run.error = error.message;
+                results.push(null);
+            }
+            run.durationMs = Date.now() - start;
+            runs.push(run);
+        }
+
+        if (!results.some(result => result?.canonicalData)) {
+            throw new Error(`Ensemble analysis failed: no run extracted data (${runs.map(run => run.error || 'no data').join('; ')})`);
+        }
+
+        const vote = this.ensembleVoter.vote(results);
+        const result = this.buildConsensusResult(results, vote);
+        result.ensemble = {
+            runs: runs.map(run => ({ ...run, voted: vote.voters.includes(run.index) })),
+            voters: vote.voters.length,
+            fields: vote.fields,
+            disagreements: vote.disagreements
+        };
+
+        // One voting run says nothing about agreement
+        this.postProcess(result, {
+            ...analysisOptions,
+            generation: analysisOptions.generation || result.classification?.generation || undefined,
+            agreement: vote.voters.length > 1 ? vote.agreement : undefined
+        });
+        this.log(`Ensemble of ${vote.voters.length}/${members.length} run(s): ${vote.disagreements.length} disagreement(s)`, vote.disagreements.length > 0 ? 'warn' : 'info');
+
+        if (saveResponse ?? process.env.SAVE_RESPONSES === 'true') {
+            await this.saveResponse(result);
+        }
+        return result;
+    }
+
+    /**
+     * List the runs of an ensemble: every model, sampled the given number of times
+     * @param {Object} ensemble - { models, samples, temperature } (see analyzeEnsemble)
+     * @returns {Array<Object>} [{ provider, sample, temperature }]
+     */
+    resolveEnsembleMembers(ensemble = {}) {
+        const models = ensemble.models ?? (process.env.ENSEMBLE_MODELS || '').split(',').map(model => model.trim()).filter(Boolean);
+        const providers = models.length > 0 ? models.map(model => this.createEnsembleProvider(model)) : [this.provider];
+        const samples = parseInt(ensemble.samples ?? process.env.ENSEMBLE_SAMPLES) || (providers.length > 1 ? 1 : 3);
+        if (providers.length * samples < 2) {
+            throw new ValidationError('An ensemble needs at least two runs: two models, or two samples of one model');
+        }
+        const maxRuns = parseInt(process.env.ENSEMBLE_MAX_RUNS) || 6;
+        if (providers.length * samples > maxRuns) {
+            throw new ValidationError(`An ensemble of ${providers.length * samples} runs exceeds the limit of ${maxRuns} (ENSEMBLE_MAX_RUNS)`);
+        }
+
+        // Samples of one model only differ when the model is allowed some randomness
+        const temperature = samples > 1 ? ensemble.temperature ?? (parseFloat(process.env.ENSEMBLE_TEMPERATURE) || 0.7) : undefined;
+        return providers.flatMap(provider => Array.from({ length: samples }, (_, index) => ({
+            provider,
+            sample: samples > 1 ? index + 1 : undefined,
+            temperature
+        })));
+    }
+
+    /**
+     * Create the provider of an ensemble model
+     * @param {string|Object} model - A model of the current provider ("qwen-vl-plus"), "<provider>:<model>"
+     *   ("openai:gpt-4o", with that provider's own variables such as OPENAI_API_KEY, never AI_API_KEY or AI_BASE_URL),
+     *   or a provider configuration or instance
+     * @returns {Object} Provider
+     */
+    createEnsembleProvider(model) {
+        if (typeof model !== 'string') {
+            return createProvider(model);
+        }
+
+        // Ollama tags ("qwen2.5vl:7b") contain a colon too; only provider names are prefixes
+        const separator = model.indexOf(':');
+        const name = separator > 0 ? model.slice(0, separator).toLowerCase() : null;
+        if (name && Object.hasOwn(PROVIDERS, name)) {
+            if (name !== this.provider.name) {
+                // Only that provider's own variables: the shared AI_* ones hold the configured provider's key
+                return createProvider(loadProviderConfig(
+                    { ...process.env, AI_PROVIDER: name, AI_MODEL: model.slice(separator + 1) },
+                    { ownVariablesOnly: true }
+                ));
+            }
+            model = model.slice(separator + 1);
+        }
+        // Same provider and credentials, another model
+        return Object.assign(Object.create(Object.getPrototypeOf(this.provider)), this.provider, { model });
+    }
+
+    /**
+     * Build the result of an ensemble from the consensus of its voting runs
+     * What was read from the input rather than voted (extractedData, qrCodes, classification) comes from the
+     * first voting run. Field evidence and certainty come from the runs behind each consensus value.
+     * @param {Array<Object|null>} results - Run results, null for failed runs
+     * @param {Object} vote - Vote from EnsembleVoter
+     * @returns {Object} Consensus result, not yet post-processed
+     */
+    buildConsensusResult(results, vote) {
+        const voting = vote.voters.map(index => results[index]);
+        const [base] = voting;
+        const sum = key => voting.reduce((total, result) => total + (result.metadata?.[key] || 0), 0);
+        const { schema } = this.getExtractor(base.documentType);
+
+        const result = {
+            success: true,
+            timestamp: new Date().toISOString(),
+            model: [...new Set(voting.map(item => item.model))].join(', '),
+            metadata: {
+                ...base.metadata,
+                totalTokens: sum('totalTokens'),
+                promptTokens: sum('promptTokens'),
+                completionTokens: sum('completionTokens')
+            },
+            documentType: base.documentType,
+            extractedData: base.extractedData,
+            canonicalData: vote.canonicalData,
+            schemaValidation: { ...this.schemaValidator.validate(vote.canonicalData, schema), unmappedFields: base.schemaValidation?.unmappedFields || [] },
+            warnings: (base.warnings || []).filter(warning => INPUT_WARNINGS.includes(warning.code))
+        };
+        if (base.classification) {
+            result.classification = base.classification;
+        }
+        if (base.qrCodes) {
+            result.qrCodes = base.qrCodes;
+        }
+
+        const from = (source, key) => results[source.run][key]?.canonical?.[source.pointer];
+        if (voting.some(item => item.provenance)) {
+            const canonical = {};
+            for (const [pointer, sources] of Object.entries(vote.sources)) {
+                const source = sources.find(item => from(item, 'provenance'));
+                if (source) {
+                    canonical[pointer] = { ...from(source, 'provenance'), run: source.run };
+                }
+            }
+            const total = Object.values(vote.fields).filter(field => field.value !== null).length;
+            const located = Object.keys(canonical).length;
+            result.provenance = {
+                pageMode: base.provenance?.pageMode ?? null,
+                extracted: {},
+                canonical,
+                coverage: { located, total, ratio: total > 0 ? Math.round((located / total) * 100) / 100 : null },
+                issues: []
+            };
+        }
+        if (voting.some(item => item.modelCertainty)) {
+            const canonical = {};
+            for (const [pointer, sources] of Object.entries(vote.sources)) {
+                const certainties = sources.map(source => from(source, 'modelCertainty')).filter(value => typeof value === 'number');
+                if (certainties.length > 0) {
+                    canonical[pointer] = Math.round((certainties.reduce((total, value) => total + value, 0) / certainties.length) * 100) / 100;
+                }
+            }
+            result.modelCertainty = { extracted: {}, canonical, issues: [] };
+        }
+        return result;
+    }
+
+    /**
+     * Verify the owners of an analyzed certificate against analyzed citizen ID cards
+     * Running it again replaces the previous verification and its warnings.
+     * @param {Object} certificateResult - Land certificate result
+     * @param {Array<Object>} cardResults - Citizen ID results from analyzeCitizenId; other results are ignored
+     * @returns {Object} The certificate result, with ownerVerification { status, owners, unmatchedCards } and OWNER_* warnings
+     */
+    verifyOwners(certificateResult, cardResults = []) {
+        const owners = certificateResult?.canonicalData?.property_owners;
+        if (!Array.isArray(owners)) {
+            throw new Error('Certificate result has no property owners to verify');
+        }
+
+        // Card numbers in the verdicts are indices into cardResults
+        const cards = cardResults.map(result => (result?.documentType === 'citizen_id' ? result.canonicalData : null));
+        const { issues, ...verification } = this.ownerVerifier.verify(owners, cards);
+
+        certificateResult.ownerVerification = verification;
+        certificateResult.warnings = [
+            ...(certificateResult.warnings || []).filter(warning => !warning.code.startsWith('OWNER_')),
+            ...issues
+        ];
+
+        this.log(`Owner verification: ${verification.status} (${verification.owners.map(owner => owner.verdict).join(', ')})`, verification.status === 'verified' ? 'info' : 'warn');
+        return certificateResult;
+    }
+
+    /**
+     * Analyze the documents of a loan dossier and consolidate them into one collateral profile
+     * Every document is classified and routed to its extractor unless its type is given. A document
+     * that fails is listed with its error and the others are still consolidated.
+     * @param {Array<Object|string|Buffer>} documents - Inputs, or { input, name, documentType }; an input may list
+     *   the images of one document, such as the front and back of a card. { result, name } reuses a saved result.
+     * @param {Object} options - Analysis options for every document (see analyzeLandCertificate); pageMode defaults to 'pages'
+     * @param {boolean} options.includeResults - Add the analysis result of every document, by document id
+     * @returns {Promise<Object>} { success, timestamp, status, documents, property, legalOwners, spousesToConsent,
+     *   encumbrances, contracts, conflicts, missing, unassignedDocuments, results? } - see lib/dossier.js
+     */
+    async analyzeDossier(documents, options = {}) {
+        if (!Array.isArray(documents) || documents.length === 0) {
+            throw new Error('A dossier needs at least one document');
+        }
+
+        const { includeResults, ...analysisOptions } = options;
+        const analyzed = [];
+        for (const [index, entry] of documents.entries()) {
+            const { input, name, documentType, result } = isDossierEntry(entry) ? entry : { input: entry };
+            const document = { id: `doc${index + 1}`, name: name ?? getInputName(input), pageCount: null, result: null };
+
+            try {
+                document.result = result ?? await this.analyzeLandCertificate(input, { classify: true, pageMode: 'pages', ...analysisOptions, documentType });
+                document.pageCount = document.result.metadata?.pageCount ?? null;
+            } catch (error) {
+                this.log(`Dossier document ${document.id} failed: ${error.message}`, 'warn');
+                document.error = error.message;
+            }
+            analyzed.push(document);
+        }
+
+        const profile = this.dossierConsolidator.consolidate(analyzed);
+        this.log(`Dossier of ${documents.length} document(s): ${profile.status}, ${profile.conflicts.length} conflict(s)`, profile.status === 'consistent' ? 'info' : 'warn');
+
+        return {
+            success: analyzed.some(document => document.result?.canonicalData),
+            timestamp: new Date().toISOString(),
+            ...profile,
+            ...(includeResults ? { results: Object.fromEntries(analyzed.map(document => [document.id, document.result])) } : {})
+        };
+    }
+
+    /**
+     * Compare two extractions of the same document field by field
+     * @param {Object} left - Analysis result or extracted data, e.g. a saved response
+     * @param {Object} right - Analysis result or extracted data, e.g. the hand-curated output/data.json
+     * @param {Object} options - { labels: { left, right } naming the two sides }
+     * @returns {Object} { documentType, labels, summary, differences } (see lib/extraction-diff.js)
+     */
+    diffResults(left, right, options = {}) {
+        return this.extractionDiffer.diff(left, right, options);
+    }
+
+    /**
+     * Classify the document type before extraction
+     * @param {string|Array<Object>} imageInput - Image URL or page parts from resolveProviderInput
+     * @param {Object} options - Analysis options (classify, documentType, jsonMode, cache, refreshCache)
+     * @returns {Promise<Object|null>} { documentType, confidence, reason, label, source, model, usage }, or null when classification is off
+     */
+    async classifyDocument(imageInput, options = {}) {
+        if (options.documentType) {
+            if (!Object.hasOwn(DOCUMENT_TYPES, options.documentType)) {
+                throw new ValidationError(`Unknown document type: ${options.documentType}`);
+            }
+            return { documentType: options.documentType, confidence: null, reason: null, label: this.classifier.getLabel(options.documentType), source: 'caller' };
+        }
+        if (!(options.classify ?? process.env.CLASSIFY_DOCUMENTS === 'true')) {
+            return null;
+        }
+
+        const messages = [{
+            role: "user",
+            content: [{ type: "text", text: this.classifier.buildPrompt() }, ...this.buildImageContent(imageInput)]
+        }];
+        const params = { jsonMode: options.jsonMode, maxTokens: this.classifier.maxTokens };
+
+        const cacheKey = this.cache && options.cache !== false ? this.getCacheKey(messages, params) : null;
+        const cached = cacheKey && !options.refreshCache ? await this.cache.get(cacheKey.key) : null;
+        if (cached) {
+            return { ...cached.result, source: 'cache' };
+        }
+
+        const completion = await this.callProvider(messages, params);
+        const parsed = this.classifier.parse(completion.choices[0]?.message?.content || '');
+        const classification = {
+            ...parsed,
+            label: parsed.documentType ? this.classifier.getLabel(parsed.documentType) : null,
+            source: 'model',
+            model: completion.model,
+            usage: completion.usage
+        };
+
+        if (classification.documentType) {
+            this.log(`Classified as ${classification.documentType} (confidence ${classification.confidence ?? 'unknown'})`, 'info');
+            if (cacheKey) {
+                await this.cache.set(cacheKey.key, classification, cacheKey.components);
+            }
+        } else {
+            this.log(`Could not classify document: ${classification.error}`, 'warn');
+        }
+        return classification;
+    }
+
+    /**
+     * Record the document type and classification on a result, flagging doubtful classifications
+     * @param {Object} result - Analysis result
+     * @param {Object|null} classification - Result of classifyDocument
+     * @param {string} documentType - Type the result was extracted as
+     * @returns {Object} The same result
+     */
+    attachClassification(result, classification, documentType) {
+        result.documentType = documentType;
+        if (!classification) {
+            return result;
+        }
+
+        result.classification = classification;
+        if (classification.source === 'model') {
+            result.metadata.classificationTokens = classification.usage?.total_tokens ?? null;
+        }
+
+        const warnings = [];
+        if (!classification.documentType) {
+            warnings.push({
+                path: '',
+                code: 'CLASSIFICATION_FAILED',
+                severity: 'medium',
+                message: `Document type could not be classified (${classification.error}); extracted as ${documentType}`
+            });
+        } else if (classification.source !== 'caller' && this.classifier.isLowConfidence(classification)) {
+            warnings.push({
+                path: '',
+                code: 'CLASSIFICATION_LOW_CONFIDENCE',
+                severity: 'medium',
+                message: `Classified as ${documentType} with confidence ${classification.confidence ?? 'unknown'}, below ${this.classifier.minConfidence}`
+            });
+        }
+        result.warnings = [...(result.warnings || []), ...warnings];
+        return result;
+    }
+
+    /**
+     * Build the result for a document type without an extractor
+     * No extraction is attempted, so no land-certificate fields are invented.
+     * @param {Object} classification - Result of classifyDocument
+     * @returns {Object} Result with status 'unsupported_document'
+     */
+    createUnsupportedResult(classification) {
+        const supported = Object.keys(this.extractors).map(type => this.classifier.getLabel(type, 'en')).join(', ');
+        const message = `Unsupported document: ${this.classifier.getLabel(classification.documentType, 'en')}. Supported: ${supported}`;
+
+        return {
+            success: false,
+            status: 'unsupported_document',
+            timestamp: new Date().toISOString(),
+            model: classification.model || this.provider.model,
+            documentType: classification.documentType,
+            classification,
+            message,
+            extractedData: null,
+            canonicalData: null,
+            metadata: {
+                classificationTokens: classification.source === 'model' ? classification.usage?.total_tokens ?? null : undefined
+            },
+            warnings: [{ path: '', code: 'UNSUPPORTED_DOCUMENT', severity: 'high', message }]
+        };
+    }
+
+    /**
+     * Save and return an unsupported-document result
+     * @param {Object} result - Result from createUnsupportedResult
+     * @param {Object} options - Analysis options
+     * @returns {Promise<Object>} The same result
+     */
+    async finishUnsupported(result, options = {}) {
+        result.metadata.analyzerVersion = ANALYZER_VERSION;
+        this.log(result.message, 'warn');
+
+        if (options.saveResponse ?? process.env.SAVE_RESPONSES === 'true') {
+            await this.saveResponse(result);
+        }
+        return result;
+    }
+
+    /**
+     * Decode the QR codes of the images sent to the model
+     * Decoding is local; remote image URLs are skipped, and a failure only adds a warning.
+     * Scanning costs seconds of CPU per page, so by default only certificates of the 2024 form,
+     * which carry a QR code, are scanned; decodeQr (or QR_DECODE) true scans every document.
+     * @param {Object} result - Analysis result
+     * @param {string|Array<Object>} imageInput - Image URL or page parts from resolveProviderInput
+     * @param {Object} options - Analysis options (decodeQr, generation)
+     * @returns {Promise<Object>} The same result, with qrCodes when decoding ran
+     */
+    async attachQrCodes(result, imageInput, options = {}) {
+        const decodeQr = options.decodeQr ?? { true: true, false: false }[process.env.QR_DECODE];
+        if (decodeQr === false || (decodeQr === undefined && !this.expectsQrCode(result, options))) {
+            return result;
+        }
+
+        const parts = Array.isArray(imageInput) ? imageInput : [{ url: imageInput }];
+        const images = parts
+            .filter(part => part.url.startsWith('data:'))
+            .map(part => ({ source: part.url, page: part.pageNumber ?? null }));
+        if (images.length === 0) {
+            return result;
+        }
+
+        try {
+            result.qrCodes = await this.qrDecoder.decodeImages(images);
+            this.log(`Decoded ${result.qrCodes.length} QR code(s)`, result.qrCodes.length > 0 ? 'info' : 'debug');
+        } catch (error) {
+            this.log(`QR decoding failed: ${error.message}`, 'warn');
+            result.warnings = [
+                ...(result.warnings || []),
+                { path: '', code: 'QR_DECODE_FAILED', severity: 'low', message: `QR codes could not be decoded: ${error.message}` }
+            ];
+        }
+        return result;
+    }
+
+    /**
+     * Resolve analysis input to an image URL the model can read
+     * @param {string|Buffer} input - Image URL, data URL, local image/PDF path, or image/PDF buffer
+     * @param {Object} options - Analysis options
+     * @returns {Promise<string>} HTTP URL or base64 data URL
+     */
+    async resolveImageInput(input, options = {}) {
+        if (Buffer.isBuffer(input)) {
+            const mimeType = detectMimeType(input);
+            if (mimeType === 'application/pdf') {
+                return this.convertPdfToBase64(input, options.pdf);
+            }
+            if (!mimeType) {
+                throw new ValidationError('Unsupported input data: expected JPEG, PNG or PDF', { code: 'INVALID_DOCUMENT' });
+            }
+            return this.convertBufferToBase64(input, mimeType);
+        }
+
+        if (typeof input !== 'string' || input.length === 0) {
+            throw new ValidationError('Input must be an image URL, a file path or a buffer', { code: 'INVALID_INPUT' });
+        }
+
+        if (this.isValidImageUrl(input)) {
+            return input;
+        }
+
+        if (path.extname(input).toLowerCase() === '.pdf') {
+            return this.convertPdfToBase64(input, options.pdf);
+        }
+
+        return this.convertImageToBase64(input);
+    }
+
+    /**
+     * Resolve analysis input to one image part per page (or per tile of a tall page)
+     * @param {string|Buffer|Array<string|Buffer>} input - PDF path/buffer, image, or list of page images
+     * @param {Object} options - Analysis options
+     * @returns {Promise<Array<Object>>} Page parts: { pageNumber, pageCount, tileIndex, tileCount, url }
+     */
+    async resolveImagePages(input, options = {}) {
+        let pages;
+
+        if (Array.isArray(input)) {
+            pages = await Promise.all(input.map(async (item, index) => ({
+                pageNumber: index + 1,
+                ...(await this.loadPageImage(item))
+            })));
+        } else if ((Buffer.isBuffer(input) && detectMimeType(input) === 'application/pdf') ||
+                   (typeof input === 'string' && path.extname(input).toLowerCase() === '.pdf')) {
+            const pdfOptions = options.pdf || {};
+            const renderer = new PdfRenderer({ dpi: pdfOptions.dpi });
+            pages = await renderer.renderPages(input, {
+                pages: pdfOptions.pages ?? process.env.PDF_PAGE_RANGE
+            });
+        } else {
+            pages = [{ pageNumber: 1, ...(await this.loadPageImage(input)) }];
         }
+
+        const tilingOptions = options.tiling ?? (process.env.TILE_TALL_PAGES === 'true');
+        const tiler = tilingOptions ? new ImageTiler(typeof tilingOptions === 'object' ? tilingOptions : {}) : null;
+        const parts = [];
+
+        for (const page of pages) {
+            // Remote URLs cannot be tiled without downloading them
+            if (!page.buffer) {
+                parts.push({ pageNumber: page.pageNumber, pageCount: pages.length, tileIndex: 1, tileCount: 1, url: page.url });
+                continue;
+            }
+
+            const tiles = tiler ? await tiler.tile(page.buffer, page.mimeType) : [{ tileIndex: 1, tileCount: 1, ...page }];
+            for (const tile of tiles) {
+                parts.push({
+                    pageNumber: page.pageNumber,
+                    pageCount: pages.length,
+                    tileIndex: tile.tileIndex,
+                    tileCount: tile.tileCount,
+                    url: this.convertBufferToBase64(tile.buffer, tile.mimeType)
+                });
+            }
+        }
+
+        this.log(`Prepared ${parts.length} image part(s) from ${pages.length} page(s)`, 'debug');
+        return parts;
+    }
+
+    /**
+     * Load a single page image from a URL, local path or buffer
+     * @param {string|Buffer} item - Page image
+     * @returns {Promise<Object>} { url } for remote images, { buffer, mimeType } for local ones
+     */
+    async loadPageImage(item) {
+        if (typeof item === 'string' && this.isValidImageUrl(item)) {
+            if (!item.startsWith('data:')) {
+                return { url: item };
+            }
+            const [header, data] = item.split(',');
+            return { buffer: Buffer.from(data, 'base64'), mimeType: header.slice(5).split(';')[0] };
+        }
+
+        const buffer = Buffer.isBuffer(item) ? item : fs.readFileSync(path.resolve(item));
+        const mimeType = detectMimeType(buffer);
+        if (!mimeType || mimeType === 'application/pdf') {
+            throw new ValidationError('Page images must be JPEG or PNG', { code: 'INVALID_DOCUMENT' });
+        }
+        return { buffer, mimeType };
+    }
+
+    /**
+     * Get the configured page mode
+     * @param {Object} options - Analysis options
+     * @returns {string} 'stitched' or 'pages'
+     */
+    getPageMode(options = {}) {
+        const pageMode = options.pageMode || process.env.PAGE_MODE || 'stitched';
+        if (!['stitched', 'pages'].includes(pageMode)) {
+            throw new ValidationError(`Invalid page mode: ${pageMode}`);
+        }
+        return pageMode;
+    }
+
+    /**
+     * Build image content parts, labelling each page when several are sent
+     * @param {string|Array<Object>} imageInput - Image URL or page parts from resolveImagePages
+     * @returns {Array} Content parts
+     */
+    buildImageContent(imageInput) {
+        if (!Array.isArray(imageInput)) {
+            return [{ type: "image_url", image_url: { url: imageInput } }];
+        }
+
+        return imageInput.flatMap(part => {
+            let label = `Trang ${part.pageNumber}/${part.pageCount}`;
+            if (part.tileCount > 1) {
+                label += ` (phần ${part.tileIndex}/${part.tileCount}, chồng lấn với phần liền kề)`;
+            }
+            return [
+                { type: "text", text: label },
+                { type: "image_url", image_url: { url: part.url } }
+            ];
+        });
     }
 
     /**
      * Build messages array for OpenAI API
-     * @param {string} imageUrl - URL of the image
+     * @param {string|Array<Object>} imageInput - URL of the image, or page parts from resolveImagePages
      * @param {Object} options - Additional options
      * @returns {Array} Messages array
      */
-    buildMessages(imageUrl, options = {}) {
+    buildMessages(imageInput, options = {}) {
         const userMessage = {
             role: "user",
             content: [
                 {
                     type: "text",
-                    text: options.customPrompt || this.prompts.systemPrompt
+                    text: this.getExtractionPrompt(options)
                 },
-                {
-                    type: "image_url",
-                    image_url: { url: imageUrl }
-                }
+                ...this.buildImageContent(imageInput)
             ]
         };
 
@@ -155,11 +1067,61 @@ Trả kết quả dưới dạng đối tượng JSON duy nhất, có cấu trú
     }
 
     /**
-     * Call OpenAI API with retry logic
+     * Resolve the input into image parts the provider accepts
+     * Per-page parts beyond the provider's image limit fall back to one stitched image.
+     * @param {string|Buffer|Array} input - Analysis input
+     * @param {Object} options - Analysis options
+     * @returns {Promise<string|Array<Object>>} Image URL or page parts
+     */
+    async resolveProviderInput(input, options = {}) {
+        const { maxImages, maxImageBytes } = this.provider.capabilities || {};
+        let imageInput;
+
+        if (this.getPageMode(options) === 'pages') {
+            imageInput = await this.resolveImagePages(input, options);
+
+            if (maxImages && imageInput.length > maxImages) {
+                if (Array.isArray(input)) {
+                    throw new ValidationError(`${imageInput.length} images exceed the ${this.provider.name} limit of ${maxImages} per request`, { code: 'INVALID_INPUT' });
+                }
+                this.log(`${imageInput.length} image parts exceed the ${this.provider.name} limit of ${maxImages}, sending one stitched image`, 'warn');
+                imageInput = await this.resolveImageInput(input, options);
+            }
+        } else {
+            imageInput = await this.resolveImageInput(input, options);
+        }
+
+        const urls = Array.isArray(imageInput) ? imageInput.map(part => part.url) : [imageInput];
+        for (const url of urls) {
+            const base64 = url.match(/^data:[^;]+;base64,(.*)$/s)?.[1];
+            const bytes = base64 ? Math.floor(base64.length * 3 / 4) : 0;
+            if (maxImageBytes && bytes > maxImageBytes) {
+                const mb = value => (value / 1024 / 1024).toFixed(1);
+                throw new ValidationError(`Image of ${mb(bytes)} MB exceeds the ${this.provider.name} limit of ${mb(maxImageBytes)} MB`, { code: 'INVALID_DOCUMENT' });
+            }
+        }
+
+        return imageInput;
+    }
+
+    /**
+     * Provider a request is sent to
+     * @param {Object} options - Analysis options
+     * @param {Object} options.provider - Provider instance of an ensemble run (default: the analyzer's provider)
+     * @returns {Object} Provider
+     */
+    getProvider(options = {}) {
+        return typeof options.provider?.complete === 'function' ? options.provider : this.provider;
+    }
+
+    /**
+     * Call the model provider with retry logic
      * @param {Array} messages - Messages to send
-     * @returns {Promise<Object>} API response
+     * @param {Object} options - Analysis options
+     * @param {boolean} options.jsonMode - Request JSON output when the provider supports it (default JSON_MODE)
+     * @returns {Promise<Object>} Chat completion
      */
-    async callOpenAI(messages) {
+    async callProvider(messages, options = {}) {
         const maxRetries = parseInt(process.env.MAX_RETRIES) || 3;
         const retryDelay = parseInt(process.env.RETRY_DELAY_MS) || 1000;
 
@@ -167,19 +1129,15 @@ Trả kết quả dưới dạng đối tượng JSON duy nhất, có cấu trú
             try {
                 this.log(`API call attempt ${attempt}/${maxRetries}`, 'debug');
                 
-                const completion = await this.openai.chat.completions.create({
-                    model: process.env.AI_MODEL,
-                    messages: messages,
-                    max_tokens: parseInt(process.env.MAX_TOKENS) || 4000,
-                    temperature: parseFloat(process.env.TEMPERATURE) || 0.1,
-                });
+                const completion = await this.getProvider(options).complete(messages, this.getCompletionParams(options));
 
                 return completion;
                 
             } catch (error) {
                 this.log(`API call attempt ${attempt} failed: ${error.message}`, 'warn');
                 
-                if (attempt === maxRetries) {
+                // Invalid input fails the same way on every attempt
+                if (attempt === maxRetries || error instanceof ValidationError) {
                     throw error;
                 }
                 
@@ -189,12 +1147,102 @@ Trả kết quả dưới dạng đối tượng JSON duy nhất, có cấu trú
         }
     }
 
+    /**
+     * Compute the result cache key of a request
+     * @param {Array} messages - Messages to send
+     * @param {Object} options - Analysis options
+     * @returns {Object} { key, components }
+     */
+    getCacheKey(messages, options = {}) {
+        const provider = this.getProvider(options);
+        return this.cache.createKey(messages, {
+            provider: provider.name,
+            model: provider.model,
+            params: {
+                ...this.getCompletionParams(options),
+                maxRepairRounds: this.getMaxRepairRounds(options),
+                // Samples of one model are separate entries
+                ...(options.sample ? { sample: options.sample } : {})
+            }
+        });
+    }
+
+    /**
+     * Remove the cached result of an input
+     * @param {string|Buffer|Array} input - Analysis input
+     * @param {Object} options - Analysis options the result was produced with
+     * @returns {Promise<boolean>} True if an entry was removed
+     */
+    async invalidateCache(input, options = {}) {
+        if (!this.cache) {
+            return false;
+        }
+        const messages = this.buildMessages(await this.resolveProviderInput(input, options), options);
+        return this.cache.invalidate(this.getCacheKey(messages, options).key);
+    }
+
+    /**
+     * Short hash identifying the extraction prompt a result was produced with
+     * @param {Object} options - Analysis options
+     * @returns {string} First 12 hex digits of the SHA-256 of the prompt
+     */
+    getPromptHash(options = {}) {
+        const prompt = this.getExtractionPrompt(options);
+        return crypto.createHash('sha256').update(prompt).digest('hex').slice(0, 12);
+    }
+
+    /**
+     * Record the prompt hash and analyzer version a result was produced with
+     * @param {Object} result - Analysis result
+     * @param {Object} options - Analysis options
+     * @returns {Object} Result
+     */
+    addRunMetadata(result, options = {}) {
+        result.metadata.promptHash = this.getPromptHash(options);
+        result.metadata.analyzerVersion = ANALYZER_VERSION;
+        return result;
+    }
+
+    /**
+     * Get the completion parameters for a request
+     * @param {Object} options - Analysis options
+     * @param {number} options.maxTokens - Completion limit (default MAX_TOKENS or 4000)
+     * @param {number} options.temperature - Sampling temperature (default TEMPERATURE or 0.1)
+     * @returns {Object} { maxTokens, temperature, jsonMode }
+     */
+    getCompletionParams(options = {}) {
+        return {
+            maxTokens: options.maxTokens || parseInt(process.env.MAX_TOKENS) || 4000,
+            temperature: options.temperature ?? (parseFloat(process.env.TEMPERATURE) || 0.1),
+            jsonMode: options.jsonMode ?? process.env.JSON_MODE === 'true'
+        };
+    }
+
+    /**
+     * Correct, normalize, cross-check and score a processed result in place
+     * @param {Object} result - Result from processResponse (or repairResponse)
+     * @param {Object} options - Analysis options (generation, confidencePolicy)
+     * @returns {Object} The same result
+     */
+    postProcess(result, options = {}) {
+        this.attachGeneration(result, options);
+        this.correctOcrErrors(result);
+        this.normalizeResult(result);
+        this.validateIdentityDocuments(result);
+        this.verifyQrCodes(result);
+        this.verifyMrz(result);
+        this.scoreConfidence(result, options);
+        return result;
+    }
+
     /**
      * Process API response
      * @param {Object} completion - OpenAI API response
+     * @param {Object} options - Analysis options
+     * @param {string} options.documentType - Document type the response was extracted as (default land_certificate)
      * @returns {Object} Processed result
      */
-    processResponse(completion) {
+    processResponse(completion, options = {}) {
         const result = {
             success: true,
             timestamp: new Date().toISOString(),
@@ -210,42 +1258,419 @@ Trả kết quả dưới dạng đối tượng JSON duy nhất, có cấu trú
         };
 
         // Try to extract JSON from response if it contains structured data
-        try {
-            const jsonMatch = result.response.match(/```json\n([\s\S]*?)\n```/);
-            if (jsonMatch) {
-                result.extractedData = JSON.parse(jsonMatch[1]);
+        const extraction = extractJson(result.response);
+        if (extraction.data) {
+            // Evidence and certainty are kept next to the data, so mapping and validation see only the fields
+            const { data: withoutEvidence, evidence, issues } = this.provenanceResolver.split(extraction.data);
+            const { data, certainty, issues: certaintyIssues } = this.confidenceScorer.split(withoutEvidence);
+            result.extractedData = data;
+            result.metadata.extractionMethod = extraction.method;
+            if (evidence || this.isProvenanceRequested(options)) {
+                result.provenance = { pageMode: null, extracted: evidence || {}, canonical: {}, coverage: null, issues };
             }
-        } catch (error) {
-            this.log('Could not extract JSON from response', 'debug');
+            if (certainty || this.isModelConfidenceRequested(options)) {
+                result.modelCertainty = { extracted: certainty || {}, canonical: {}, issues: certaintyIssues };
+            }
+        } else {
+            result.metadata.extractionError = extraction.error;
+            this.log(`Could not extract JSON from response: ${extraction.error}`, 'warn');
+        }
+
+        if (result.extractedData) {
+            this.attachCanonicalData(result, options.documentType);
         }
 
         return result;
     }
 
+    /**
+     * Get the repair round limit
+     * @param {Object} options - Analysis options
+     * @returns {number} Maximum repair rounds
+     */
+    getMaxRepairRounds(options = {}) {
+        return options.maxRepairRounds ?? parseInt(process.env.MAX_REPAIR_ROUNDS ?? '1');
+    }
+
+    /**
+     * Ask the model to correct missing, unparseable or schema-invalid JSON
+     * @param {Array} messages - Messages of the original request
+     * @param {Object} result - Processed result of the original request
+     * @param {Object} options - Analysis options
+     * @param {number} options.maxRepairRounds - Repair round limit (default MAX_REPAIR_ROUNDS or 1, 0 disables)
+     * @returns {Promise<Object>} Final result with metadata.repairRounds
+     */
+    async repairResponse(messages, result, options = {}) {
+        const maxRounds = this.getMaxRepairRounds(options);
+        const usage = { ...result.usage };
+        let rounds = 0;
+
+        while (rounds < maxRounds && this.needsRepair(result)) {
+            rounds++;
+            this.log(`Repair round ${rounds}/${maxRounds}: ${this.describeRepairReason(result)}`, 'warn');
+
+            const repairMessages = [
+                ...messages,
+                { role: "assistant", content: result.response },
+                { role: "user", content: [{ type: "text", text: this.buildRepairPrompt(result, options) }] }
+            ];
+
+            const completion = await this.callProvider(repairMessages, options);
+            result = this.processResponse(completion, options);
+
+            for (const key of ['prompt_tokens', 'completion_tokens', 'total_tokens']) {
+                usage[key] = (usage[key] || 0) + (completion.usage?.[key] || 0);
+            }
+        }
+
+        if (rounds > 0) {
+            result.usage = usage;
+            result.metadata.totalTokens = usage.total_tokens;
+            result.metadata.promptTokens = usage.prompt_tokens;
+            result.metadata.completionTokens = usage.completion_tokens;
+        }
+        result.metadata.repairRounds = rounds;
+
+        return result;
+    }
+
+    /**
+     * Check whether a result needs a repair round
+     * @param {Object} result - Processed result
+     * @returns {boolean} JSON is missing or violates the schema
+     */
+    needsRepair(result) {
+        return !result.extractedData || result.schemaValidation?.valid === false;
+    }
+
+    /**
+     * Describe why a result needs repair
+     * @param {Object} result - Processed result
+     * @returns {string} Reason
+     */
+    describeRepairReason(result) {
+        if (!result.extractedData) {
+            return result.metadata.extractionError || 'no JSON found';
+        }
+        return `${result.schemaValidation.violations.length} schema violation(s)`;
+    }
+
+    /**
+     * Build the repair instruction sent back to the model
+     * @param {Object} result - Processed result that failed
+     * @param {Object} options - Analysis options (documentType selects the schema)
+     * @returns {string} Repair prompt
+     */
+    buildRepairPrompt(result, options = {}) {
+        const problems = result.extractedData
+            ? result.schemaValidation.violations.map(violation => `- ${violation.path}: ${violation.message}`).join('\n')
+            : `- ${result.metadata.extractionError || 'Không tìm thấy JSON'}`;
+
+        return `
+Kết quả JSON trước đó không hợp lệ:
+${problems}
+
+Hãy trả lại DUY NHẤT một đối tượng JSON đã sửa, đặt trong khối \`\`\`json, tuân theo JSON Schema sau:
+${JSON.stringify(this.schemaValidator.getSchema(this.getExtractor(options.documentType).schema))}
+
+Chỉ dùng thông tin đọc được từ ảnh. Trường không có thông tin thì để null, không tự bịa dữ liệu.${this.isProvenanceRequested(options) ? '\nGiữ khóa "_provenance" với vị trí của từng trường.' : ''}${this.isModelConfidenceRequested(options) ? '\nGiữ khóa "_confidence" với mức độ chắc chắn của từng trường.' : ''}
+        `.trim();
+    }
+
+    /**
+     * Record the certificate generation and check the fields its layout always carries
+     * A generation given up front (caller or classification) is kept, and a different detected one is flagged.
+     * @param {Object} result - Processed result
+     * @param {Object} options - Analysis options (generation)
+     * @returns {Object} The same result
+     */
+    attachGeneration(result, options = {}) {
+        const { generations } = this.getExtractor(result.documentType);
+        if (!result.canonicalData || !generations) {
+            return result;
+        }
+
+        const detected = this.generationDetector.detect(result.extractedData, result.canonicalData, { qrCodes: result.qrCodes });
+        const generation = options.generation || detected.generation;
+        const warnings = [];
+        let validation = null;
+
+        if (!generation) {
+            warnings.push({ path: '', code: 'GENERATION_UNKNOWN', severity: 'low', message: 'Certificate generation could not be detected; only the common schema was checked' });
+        } else {
+            if (options.generation && detected.generation && detected.generation !== options.generation) {
+                warnings.push({
+                    path: '',
+                    code: 'GENERATION_MISMATCH',
+                    severity: 'medium',
+                    message: `Extracted with the ${options.generation} template, but the data looks like ${detected.generation}`
+                });
+            }
+
+            validation = this.schemaValidator.validate(result.canonicalData, generations[generation].schema);
+            warnings.push(...validation.violations.map(violation => ({
+                path: violation.path,
+                code: 'GENERATION_FIELD_MISSING',
+                severity: 'low',
+                message: `${this.generationDetector.getLabel(generation, 'en')}: ${violation.message}`
+            })));
+        }
+
+        result.certificateGeneration = {
+            generation,
+            label: this.generationDetector.getLabel(generation),
+            source: generation ? (options.generation ? 'template' : 'detected') : null,
+            detected: detected.generation,
+            signals: detected.signals,
+            validation
+        };
+        result.warnings = [...(result.warnings || []), ...warnings];
+        return result;
+    }
+
+    /**
+     * Whether a result is a certificate of the 2024 form, given or detected from the extraction
+     * @param {Object} result - Processed result
+     * @param {Object} options - Analysis options (generation)
+     * @returns {boolean} Expects a QR code
+     */
+    expectsQrCode(result, options = {}) {
+        if (result.documentType !== 'land_certificate' || !result.canonicalData) {
+            return false;
+        }
+        const generation = options.generation || this.generationDetector.detect(result.extractedData, result.canonicalData).generation;
+        return generation === 'unified_2024';
+    }
+
+    /**
+     * Cross-check decoded QR identifiers against the extracted certificate and registration numbers
+     * A disagreement is a high-severity discrepancy: either the model misread the number or the pages do not belong together.
+     * @param {Object} result - Processed result with qrCodes
+     * @returns {Object} The same result
+     */
+    verifyQrCodes(result) {
+        const metadata = result.canonicalData?.metadata;
+        if (!result.qrCodes || !metadata) {
+            return result;
+        }
+
+        const warnings = [];
+        if (result.qrCodes.length === 0) {
+            if (result.certificateGeneration?.generation === 'unified_2024') {
+                warnings.push({ path: '', code: 'QR_NOT_FOUND', severity: 'low', message: 'No QR code was found on a 2024-form certificate' });
+            }
+        } else {
+            result.qrVerification = this.qrDecoder.verify(result.qrCodes, metadata);
+            for (const check of result.qrVerification.checks.filter(item => item.match === false)) {
+                warnings.push({
+                    path: check.path,
+                    code: 'QR_MISMATCH',
+                    severity: 'high',
+                    message: `QR code encodes "${check.decoded}", but "${check.extracted}" was extracted`
+                });
+            }
+        }
+
+        if (warnings.length > 0) {
+            this.log(`${warnings.length} QR code issue(s) found`, 'warn');
+        }
+        result.warnings = [...(result.warnings || []), ...warnings];
+        return result;
+    }
+
+    /**
+     * Check the MRZ of a citizen ID card and compare it with the printed fields
+     * Failed check digits mean the MRZ was misread; a disagreement with the printed fields is a high-severity discrepancy.
+     * @param {Object} result - Processed citizen ID result
+     * @returns {Object} The same result, with mrz { format, valid, fields, checks, comparisons } when an MRZ was read
+     */
+    verifyMrz(result) {
+        const card = result.canonicalData;
+        if (result.documentType !== 'citizen_id' || !card?.mrz) {
+            return result;
+        }
+
+        const { error, ...mrz } = parseMrz(card.mrz);
+        const warnings = [];
+        if (error) {
+            warnings.push({ path: '/mrz', code: 'MRZ_INVALID', severity: 'medium', message: error });
+        } else if (!mrz.valid) {
+            const failed = mrz.checks.filter(check => !check.valid).map(check => check.field);
+            warnings.push({ path: '/mrz', code: 'MRZ_INVALID', severity: 'medium', message: `MRZ check digits failed: ${failed.join(', ')}` });
+        }
+
+        result.mrz = { ...mrz, comparisons: mrz.fields ? compareMrz(card, mrz.fields) : [] };
+        for (const comparison of result.mrz.comparisons.filter(item => !item.match)) {
+            warnings.push({
+                path: comparison.path,
+                code: 'MRZ_MISMATCH',
+                severity: 'high',
+                message: `MRZ has "${comparison.mrz}", but "${comparison.printed}" is printed on the card`
+            });
+        }
+
+        if (warnings.length > 0) {
+            this.log(`${warnings.length} MRZ issue(s) found`, 'warn');
+        }
+        result.warnings = [...(result.warnings || []), ...warnings];
+        return result;
+    }
+
+    /**
+     * Score every field and decide whether the document can be accepted without review
+     * Call it again with the agreement of repeated runs (measureAgreement in lib/confidence.js) to include that signal.
+     * @param {Object} result - Post-processed result
+     * @param {Object} options - { confidencePolicy: policy overrides, agreement: JSON pointer -> share of runs that agree }
+     * @returns {Object} The same result, with confidence { decision, score, fields, reasons, policy }
+     */
+    scoreConfidence(result, options = {}) {
+        result.confidence = this.confidenceScorer.score(result, { policy: options.confidencePolicy, agreement: options.agreement });
+
+        if (result.confidence.decision !== 'auto_accept') {
+            this.log(`Document routed to ${result.confidence.decision} (score ${result.confidence.score}, ${result.confidence.reasons.length} reason(s))`, 'info');
+        }
+        return result;
+    }
+
+    /**
+     * Correct OCR errors in canonical data; proposals and applied fixes go to corrections
+     * @param {Object} result - Processed result
+     * @returns {Object} The same result
+     */
+    correctOcrErrors(result) {
+        if (!result.canonicalData) {
+            return result;
+        }
+
+        const { data, corrections } = this.ocrCorrector.correct(result.canonicalData);
+        result.canonicalData = data;
+        result.corrections = corrections;
+
+        for (const correction of corrections) {
+            if (correction.original !== correction.corrected) {
+                this.log(`OCR correction ${correction.path}: "${correction.original}" -> "${correction.corrected}"`, 'info');
+            }
+        }
+
+        return result;
+    }
+
+    /**
+     * Normalize canonical data (areas, dates, placeholders) into normalizedData
+     * @param {Object} result - Processed result
+     * @returns {Object} The same result
+     */
+    normalizeResult(result) {
+        if (!result.canonicalData) {
+            return result;
+        }
+
+        // Normalized leaves keep the text as read, before OCR correction, and where it was read
+        const originals = new Map((result.corrections || []).map(correction => [correction.path, correction.original]));
+        const provenance = new Map(Object.entries(result.provenance?.canonical || {}));
+        const { data, issues } = this.normalizer.normalizeDocument(result.canonicalData, { originals, provenance });
+        result.normalizedData = data;
+        result.warnings = [
+            ...(result.warnings || []),
+            ...issues.map(issue => ({ ...issue, code: 'NORMALIZATION_FAILED', severity: 'low' }))
+        ];
+
+        if (issues.length > 0) {
+            this.log(`${issues.length} value(s) could not be normalized`, 'warn');
+        }
+
+        return result;
+    }
+
+    /**
+     * Classify owner ID numbers and cross-check CCCD data against the owners, or against the card itself
+     * @param {Object} result - Processed result
+     * @returns {Object} The same result
+     */
+    validateIdentityDocuments(result) {
+        if (!result.canonicalData) {
+            return result;
+        }
+
+        const { documents, issues } = result.documentType === 'citizen_id'
+            ? this.identityValidator.validateCard(result.canonicalData)
+            : this.identityValidator.validateOwners(result.canonicalData.property_owners);
+        result.identityDocuments = documents;
+        result.warnings = [...(result.warnings || []), ...issues];
+
+        if (issues.length > 0) {
+            this.log(`${issues.length} identity document issue(s) found`, 'warn');
+        }
+
+        return result;
+    }
+
+    /**
+     * Map extracted data to the canonical schema of its document type and attach schema violations
+     * Field evidence and certainty, when the model gave them, are carried over to the canonical pointers.
+     * @param {Object} result - Processed result with extractedData
+     * @param {string} documentType - Document type (default land_certificate)
+     */
+    attachCanonicalData(result, documentType) {
+        const { mapper, schema } = this.getExtractor(documentType);
+        try {
+            const { data, unmappedFields } = mapper.map(result.extractedData);
+            const validation = this.schemaValidator.validate(data, schema);
+
+            result.canonicalData = data;
+            result.schemaValidation = { ...validation, unmappedFields };
+            const sources = mapper.getSources(data);
+            if (result.provenance) {
+                Object.assign(result.provenance, this.provenanceResolver.resolve(result.provenance.extracted, sources, data));
+            }
+            if (result.modelCertainty) {
+                result.modelCertainty.canonical = this.confidenceScorer.resolve(result.modelCertainty.extracted, sources);
+            }
+
+            if (!validation.valid) {
+                this.log(`Extracted data has ${validation.violations.length} schema violation(s)`, 'warn');
+            }
+        } catch (error) {
+            result.canonicalData = null;
+            result.schemaValidation = {
+                schema,
+                schemaVersion: this.schemaValidator.getVersion(schema),
+                valid: false,
+                violations: [{ path: '/', keyword: 'type', message: error.message }],
+                unmappedFields: []
+            };
+        }
+    }
+
     /**
      * Save response to file
      * @param {Object} result - Analysis result
+     * @param {Object} options - Save options
+     * @param {string} options.dir - Directory (default RESPONSE_DIR or ./responses)
+     * @param {string} options.filename - File name (default response_<timestamp>.json)
+     * @returns {Promise<string|null>} Path of the saved file, or null if saving failed
      */
-    async saveResponse(result) {
+    async saveResponse(result, options = {}) {
         try {
-            const responseDir = process.env.RESPONSE_DIR || './responses';
+            const responseDir = options.dir || process.env.RESPONSE_DIR || './responses';
             
             // Create directory if it doesn't exist
             if (!fs.existsSync(responseDir)) {
                 fs.mkdirSync(responseDir, { recursive: true });
             }
 
-            const filename = `response_${Date.now()}.json`;
+            const filename = options.filename || `response_${Date.now()}.json`;
             const filepath = path.join(responseDir, filename);
 
-            console.log(`Saving response to ${filepath}`);
             this.log(`Saving response to ${filepath}`, 'debug');
             
             fs.writeFileSync(filepath, JSON.stringify(result, null, 2));
             this.log(`Response saved to ${filepath}`, 'debug');
+            return filepath;
             
         } catch (error) {
             this.log(`Failed to save response: ${error.message}`, 'warn');
+            return null;
         }
     }
 
@@ -333,8 +1758,7 @@ Trả kết quả dưới dạng đối tượng JSON duy nhất, có cấu trú
             }
             
             // Convert to base64 data URL
-            const base64String = imageBuffer.toString('base64');
-            const dataUrl = `data:${mimeType};base64,${base64String}`;
+            const dataUrl = this.convertBufferToBase64(imageBuffer, mimeType);
             
             this.log(`Converted ${imagePath} to base64 data URL (${imageBuffer.length} bytes)`, 'debug');
             return dataUrl;
@@ -345,6 +1769,46 @@ Trả kết quả dưới dạng đối tượng JSON duy nhất, có cấu trú
         }
     }
 
+    /**
+     * Convert an in-memory image buffer to base64 data URL
+     * @param {Buffer} imageBuffer - Raw image bytes
+     * @param {string} mimeType - MIME type of the image
+     * @returns {string} Base64 data URL
+     */
+    convertBufferToBase64(imageBuffer, mimeType = 'image/jpeg') {
+        return `data:${mimeType};base64,${imageBuffer.toString('base64')}`;
+    }
+
+    /**
+     * Render PDF pages and stitch them into one base64 data URL
+     * @param {string|Buffer} source - PDF file path or buffer
+     * @param {Object} pdfOptions - Rendering options
+     * @param {number} pdfOptions.dpi - Render resolution (default PDF_RENDER_DPI or 150)
+     * @param {string|Array<number>} pdfOptions.pages - Page range, e.g. "1-3" (default PDF_PAGE_RANGE or all)
+     * @returns {Promise<string>} Base64 data URL
+     */
+    async convertPdfToBase64(source, pdfOptions = {}) {
+        try {
+            const renderer = new PdfRenderer({ dpi: pdfOptions.dpi });
+            const pages = await renderer.renderPages(source, {
+                pages: pdfOptions.pages ?? process.env.PDF_PAGE_RANGE
+            });
+
+            const image = pages.length === 1 ? pages[0] : await renderer.stitchPages(pages);
+
+            this.log(`Rendered ${pages.length} PDF page(s) at ${renderer.dpi} DPI (${image.width}x${image.height})`, 'debug');
+            return this.convertBufferToBase64(image.buffer, image.mimeType);
+
+        } catch (error) {
+            this.log(`Failed to render PDF: ${error.message}`, 'error');
+            // Unreadable PDFs and bad page ranges stay the caller's error
+            if (error instanceof ValidationError) {
+                throw new ValidationError(`PDF conversion failed: ${error.message}`, { code: error.code, cause: error });
+            }
+            throw new Error(`PDF conversion failed: ${error.message}`);
+        }
+    }
+
     /**
      * Get service health status
      * @returns {Object} Health status
@@ -354,22 +1818,45 @@ Trả kết quả dưới dạng đối tượng JSON duy nhất, có cấu trú
             status: 'healthy',
             timestamp: new Date().toISOString(),
             config: {
-                model: process.env.AI_MODEL,
-                baseURL: process.env.OPENAI_BASE_URL,
-                hasApiKey: !!process.env.DASHSCOPE_API_KEY,
+                ...this.provider.describe?.(),
                 nodeEnv: process.env.NODE_ENV
             }
         };
     }
 }
 
+/**
+ * Whether a dossier entry is { input, name, documentType } or { result, name } rather than a bare input
+ * @param {*} entry - Dossier entry
+ * @returns {boolean} Is an entry object
+ */
+function isDossierEntry(entry) {
+    return entry !== null && typeof entry === 'object' && !Array.isArray(entry) && !Buffer.isBuffer(entry) && ('input' in entry || 'result' in entry);
+}
+
+/**
+ * Name a dossier document after its file
+ * @param {*} input - Analysis input
+ * @returns {string|null} File name of a local path (the first one of a list), or null
+ */
+function getInputName(input) {
+    const first = Array.isArray(input) ? input[0] : input;
+    return typeof first === 'string' && !/^(?:https?|data):/i.test(first) ? path.basename(first) : null;
+}
+
 /**
  * Main execution function
  */
 async function main() {
     try {
         console.log('Starting main function...');
-        const analyzer = new RealEstateAnalyzer();
+        const args = process.argv.slice(2);
+        const flags = args.filter(arg => arg.startsWith('--'));
+        
+        // The result cache is opt-in, as for the library and the HTTP API: RESULT_CACHE=true or --cache
+        const analyzer = new RealEstateAnalyzer({
+            cache: (process.env.RESULT_CACHE === 'true' || flags.includes('--cache')) && !flags.includes('--no-cache')
+        });
         console.log('RealEstateAnalyzer created successfully');
         
         // Health check
@@ -377,17 +1864,17 @@ async function main() {
         const healthStatus = analyzer.getHealthStatus();
         console.log('Service Health:', JSON.stringify(healthStatus, null, 2));
         
-        // Get image path from environment variable or command line argument
-        let imagePath = process.env.TEST_IMAGE_PATH || process.argv[2] || './process/merged.jpg';
-        
-        console.log(`Using image path: ${imagePath}`);
+        // Get image or PDF path from command line argument or environment variable
+        let imagePath = args.find(arg => !arg.startsWith('--')) || process.env.TEST_IMAGE_PATH || './process/merged.jpg';
         
-        // Convert local image to base64 data URL
-        console.log('Converting image to base64...');
-        const imageUrl = analyzer.convertImageToBase64(imagePath);
-        console.log('Image converted successfully');
+        console.log(`Using input path: ${imagePath}`);
         
-        const result = await analyzer.analyzeLandCertificate(imageUrl);
+        // Images are sent as base64, PDFs are rendered and stitched in-process.
+        // Classification is opt-in, as for the library and the HTTP API: CLASSIFY_DOCUMENTS=true or --classify.
+        const result = await analyzer.analyzeLandCertificate(imagePath, {
+            refreshCache: flags.includes('--refresh-cache'),
+            classify: (process.env.CLASSIFY_DOCUMENTS === 'true' || flags.includes('--classify')) && !flags.includes('--no-classify')
+        });
         
         console.log('\n=== ANALYSIS RESULT ===');
         console.log(JSON.stringify(result, null, 2));
@@ -0,0 +1,112 @@
+import { RealEstateAnalyzer } from "./app-refactored.js";
+import { ProviderBatchJob, LocalBatchApi } from "./lib/batch-job.js";
+
+/**
+ * Provider Batch Jobs
+ * ===================
+ *
+ * Exports inputs to a provider batch request file and imports the provider's
+ * result file (see lib/batch-job.js).
+ *
+ * Usage:
+ *   node batch-job.js export <directory|manifest> <requests.jsonl> [--page-mode <mode>]
+ *   node batch-job.js import <results.jsonl> [errors.jsonl] [--requests <requests.jsonl>] [--out <dir>]
+ *   node batch-job.js run-local <requests.jsonl> <results.jsonl>
+ *
+ *   node batch-job.js export ./assets ./output/batch-requests.jsonl
+ *   node batch-job.js import ./output/batch-results.jsonl --requests ./output/batch-requests.jsonl
+ */
+const USAGE = [
+    'Usage:',
+    '  node batch-job.js export <directory|manifest> <requests.jsonl> [--page-mode <mode>]',
+    '  node batch-job.js import <results.jsonl> [errors.jsonl] [--requests <requests.jsonl>] [--out <dir>]',
+    '  node batch-job.js run-local <requests.jsonl> <results.jsonl>'
+].join('\n');
+
+/**
+ * Parse command line arguments
+ * @param {Array<string>} args - Arguments after the script name
+ * @returns {Object} { command, files, pageMode, requests, outputDir }
+ */
+function parseArgs(args) {
+    const [command, ...rest] = args;
+    const parsed = { command, files: [] };
+
+    for (let i = 0; i < rest.length; i++) {
+        const arg = rest[i];
+        if (arg === '--page-mode') {
+            parsed.pageMode = rest[++i];
+        } else if (arg === '--requests') {
+            parsed.requests = rest[++i];
+        } else if (arg === '--out') {
+            parsed.outputDir = rest[++i];
+        } else if (arg.startsWith('--')) {
+            throw new Error(`Unexpected argument: ${arg}`);
+        } else {
+            parsed.files.push(arg);
+        }
+    }
+
+    const fileCounts = { export: [2, 2], import: [1, 2], 'run-local': [2, 2] };
+    const [min, max] = fileCounts[command] || [];
+    if (min === undefined || parsed.files.length < min || parsed.files.length > max) {
+        throw new Error(USAGE);
+    }
+    return parsed;
+}
+
+async function main() {
+    let args;
+    try {
+        args = parseArgs(process.argv.slice(2));
+    } catch (error) {
+        console.error(error.message);
+        process.exit(1);
+    }
+
+    try {
+        const analyzer = new RealEstateAnalyzer();
+
+        if (args.command === 'run-local') {
+            const [requestsFile, resultsFile] = args.files;
+            const { completed, failed } = await new LocalBatchApi({ client: analyzer.openai }).process(requestsFile, resultsFile);
+            console.log(`Wrote ${completed + failed} results (${failed} failed) to ${resultsFile}`);
+            return;
+        }
+
+        const job = new ProviderBatchJob({
+            analyzer,
+            outputDir: args.outputDir,
+            analysisOptions: args.pageMode ? { pageMode: args.pageMode } : {}
+        });
+
+        if (args.command === 'export') {
+            const [source, requestsFile] = args.files;
+            const { count } = await job.exportRequests(source, requestsFile);
+            console.log(`Wrote ${count} requests to ${requestsFile}`);
+            console.log(`Upload it to the ${analyzer.provider.name} batch API with endpoint /v1/chat/completions.`);
+            return;
+        }
+
+        const manifest = await job.importResults(args.files, { requests: args.requests });
+        const { summary } = manifest;
+
+        console.log('\n=== BATCH IMPORT SUMMARY ===');
+        console.log(`Entries: ${summary.total} (${summary.done} done, ${summary.failed} failed)`);
+        console.log(`Tokens:  ${summary.totalTokens}`);
+        if (manifest.missing?.length) {
+            console.log(`Missing: ${manifest.missing.join(', ')}`);
+        }
+        console.log(`Output:  ${job.outputDir}`);
+
+        if (summary.failed > 0 || manifest.missing?.length) {
+            process.exitCode = 2;
+        }
+
+    } catch (error) {
+        console.error('Batch job error:', error.message);
+        process.exit(1);
+    }
+}
+
+main();
@@ -0,0 +1,92 @@
+import { RealEstateAnalyzer } from "./app-refactored.js";
+import { BatchRunner } from "./lib/batch-runner.js";
+
+/**
+ * Batch Analysis
+ * ==============
+ *
+ * Analyzes every certificate in a directory or manifest file and writes one
+ * result per input plus manifest.json to the output directory. Re-running
+ * the same command resumes an interrupted run.
+ *
+ * Usage:
+ *   node batch.js <directory|manifest> [--out <dir>] [--concurrency <n>] [--page-mode <mode>] [--no-resume]
+ *
+ *   node batch.js ./assets --out ./output/batch
+ *   node batch.js ./dossiers.txt --out ./output/batch --concurrency 4 --page-mode pages
+ */
+const USAGE = 'Usage: node batch.js <directory|manifest> [--out <dir>] [--concurrency <n>] [--page-mode <mode>] [--no-resume]';
+
+/**
+ * Parse command line arguments
+ * @param {Array<string>} args - Arguments after the script name
+ * @returns {Object} { source, outputDir, concurrency, pageMode, resume }
+ */
+function parseArgs(args) {
+    const parsed = { source: null, outputDir: process.env.BATCH_OUTPUT_DIR || './output/batch', resume: true };
+
+    for (let i = 0; i < args.length; i++) {
+        const arg = args[i];
+        if (arg === '--out') {
+            parsed.outputDir = args[++i];
+        } else if (arg === '--concurrency') {
+            parsed.concurrency = parseInt(args[++i]);
+        } else if (arg === '--page-mode') {
+            parsed.pageMode = args[++i];
+        } else if (arg === '--no-resume') {
+            parsed.resume = false;
+        } else if (arg.startsWith('--') || parsed.source) {
+            throw new Error(`Unexpected argument: ${arg}`);
+        } else {
+            parsed.source = arg;
+        }
+    }
+
+    if (!parsed.source || !parsed.outputDir || Number.isNaN(parsed.concurrency)) {
+        throw new Error(USAGE);
+    }
+    return parsed;
+}
+
+async function main() {
+    let args;
+    try {
+        args = parseArgs(process.argv.slice(2));
+    } catch (error) {
+        console.error(error.message);
+        process.exit(1);
+    }
+
+    try {
+        const analyzer = new RealEstateAnalyzer();
+        const runner = new BatchRunner({
+            analyzer,
+            outputDir: args.outputDir,
+            concurrency: args.concurrency,
+            analysisOptions: args.pageMode ? { pageMode: args.pageMode } : {},
+            onProgress: (entry, summary) => {
+                const detail = entry.status === 'done' ? `${entry.totalTokens ?? '?'} tokens` : entry.error;
+                console.log(`[${summary.done + summary.failed}/${summary.total}] ${entry.status.padEnd(6)} ${entry.id} (${entry.durationMs}ms, ${detail})`);
+            }
+        });
+
+        const manifest = await runner.run(args.source, { resume: args.resume });
+        const { summary } = manifest;
+
+        console.log('\n=== BATCH SUMMARY ===');
+        console.log(`Inputs:  ${summary.total} (${summary.done} done, ${summary.failed} failed)`);
+        console.log(`Tokens:  ${summary.totalTokens}`);
+        console.log(`Results: ${args.outputDir}`);
+
+        if (summary.failed > 0) {
+            console.log('Re-run the same command to retry failed inputs.');
+            process.exitCode = 2;
+        }
+
+    } catch (error) {
+        console.error('Batch error:', error.message);
+        process.exit(1);
+    }
+}
+
+main();
@@ -0,0 +1,57 @@
+import fs from "fs";
+import { RealEstateAnalyzer } from "./app-refactored.js";
+import { comparePageModes } from "./lib/evaluation.js";
+
+/**
+ * Stitched vs Per-Page Comparison
+ * ===============================
+ *
+ * Analyzes one input twice - as a single stitched image and as one image
+ * part per page - and scores each run against a reference extraction.
+ *
+ * Usage:
+ *   node compare-modes.js <input> [reference.json]
+ *
+ *   node compare-modes.js ./assets/DEMO1.pdf ./output/data.json
+ *   TILE_TALL_PAGES=true node compare-modes.js ./process/merged.jpg ./output/data.json
+ */
+async function main() {
+    const [input, referencePath] = process.argv.slice(2);
+
+    if (!input) {
+        console.error('Usage: node compare-modes.js <input> [reference.json]');
+        process.exit(1);
+    }
+
+    try {
+        const reference = referencePath ? JSON.parse(fs.readFileSync(referencePath, 'utf8')) : null;
+        const analyzer = new RealEstateAnalyzer();
+
+        const runs = await comparePageModes(analyzer, input, reference);
+
+        console.log('\n=== PAGE MODE COMPARISON ===');
+        console.log(`Input:     ${input}`);
+        console.log(`Reference: ${referencePath || '(none - per-page scored against stitched)'}`);
+        console.log('─'.repeat(60));
+
+        for (const [pageMode, run] of Object.entries(runs)) {
+            const score = run.score
+                ? `${run.score.matched}/${run.score.total} (${(run.score.recall * 100).toFixed(1)}%)`
+                : 'n/a';
+            console.log(`${pageMode.padEnd(9)} recall: ${score.padEnd(18)} tokens: ${String(run.totalTokens).padEnd(7)} time: ${run.durationMs}ms`);
+        }
+
+        for (const [pageMode, run] of Object.entries(runs)) {
+            if (run.score?.missing.length) {
+                console.log(`\nMissing or misread in ${pageMode} mode:`);
+                run.score.missing.forEach(leaf => console.log(`  ${leaf.path}: ${leaf.value}`));
+            }
+        }
+
+    } catch (error) {
+        console.error('Comparison error:', error.message);
+        process.exit(1);
+    }
+}
+
+main();
@@ -0,0 +1,68 @@
+import fs from "fs";
+import { ExtractionDiffer, formatDiffTable } from "./lib/extraction-diff.js";
+
+/**
+ * Extraction Diff
+ * ===============
+ *
+ * Compares two extractions of the same document without a model call:
+ * saved analysis results (responses/*.json) or extracted data such as the
+ * hand-curated output/data.json. Prints a table of the fields that are
+ * missing, added, changed or only formatted differently on the right, or
+ * the machine-readable diff with --json.
+ *
+ * Usage:
+ *   node diff.js <left.json> <right.json> [--json] [--markdown] [--out <file>]
+ *
+ *   node diff.js ./responses/response_1751361265708.json ./output/data.json
+ *   node diff.js ./output/batch/old/DEMO1.json ./output/batch/new/DEMO1.json --markdown
+ *   node diff.js ./output/DEMO1.json ./output/DEMO1-reviewed.json --json --out ./output/DEMO1-diff.json
+ */
+const USAGE = 'Usage: node diff.js <left.json> <right.json> [--json] [--markdown] [--out <file>]';
+
+function parseArgs(args) {
+    const parsed = { files: [], json: false, markdown: false, out: null };
+
+    for (let i = 0; i < args.length; i++) {
+        const arg = args[i];
+        if (arg === '--json') {
+            parsed.json = true;
+        } else if (arg === '--markdown') {
+            parsed.markdown = true;
+        } else if (arg === '--out') {
+            parsed.out = args[++i];
+        } else if (arg.startsWith('--') || parsed.files.length === 2) {
+            throw new Error(`Unexpected argument: ${arg}`);
+        } else {
+            parsed.files.push(arg);
+        }
+    }
+
+    if (parsed.files.length !== 2) {
+        throw new Error(USAGE);
+    }
+    return parsed;
+}
+
+function main() {
+    try {
+        const args = parseArgs(process.argv.slice(2));
+        const [left, right] = args.files.map(file => JSON.parse(fs.readFileSync(file, 'utf8')));
+        const diff = new ExtractionDiffer().diff(left, right, { labels: { left: args.files[0], right: args.files[1] } });
+
+        if (args.out) {
+            fs.writeFileSync(args.out, JSON.stringify(diff, null, 2));
+        }
+        if (args.json) {
+            console.log(JSON.stringify(diff, null, 2));
+            return;
+        }
+        process.stdout.write(formatDiffTable(diff, { format: args.markdown ? 'markdown' : 'text' }));
+
+    } catch (error) {
+        console.error('Diff error:', error.message);
+        process.exit(1);
+    }
+}
+
+main();
@@ -0,0 +1,138 @@
+import fs from "fs";
+import path from "path";
+import { RealEstateAnalyzer } from "./app-refactored.js";
+
+/**
+ * Loan Dossier Consolidation
+ * ==========================
+ *
+ * Analyzes every document of a collateral dossier with its own document
+ * type and prints the consolidated collateral profile: property, legal
+ * owners, spouses who must consent, encumbrances and the conflicts between
+ * documents. Each argument is one document; images of the same document
+ * (a card's front and back) are joined with ",", and a document type can be
+ * given before ":" to skip classification. Saved analysis results (.json)
+ * are reused without a model call.
+ *
+ * Usage:
+ *   node dossier.js <document> [<document> ...] [--json] [--out <file>]
+ *
+ *   node dossier.js ./assets/DEMO1.pdf citizen_id:./assets/cccd-front.jpg,./assets/cccd-back.jpg ./assets/marriage.jpg
+ *   node dossier.js ./output/data-result.json ./output/cccd-result.json --json --out ./output/dossier.json
+ */
+const USAGE = 'Usage: node dossier.js <document> [<document> ...] [--json] [--out <file>]';
+
+function parseArgs(args) {
+    const parsed = { documents: [], json: false, out: null };
+
+    for (let i = 0; i < args.length; i++) {
+        const arg = args[i];
+        if (arg === '--json') {
+            parsed.json = true;
+        } else if (arg === '--out') {
+            parsed.out = args[++i];
+        } else if (arg.startsWith('--')) {
+            throw new Error(`Unexpected argument: ${arg}`);
+        } else {
+            parsed.documents.push(parseDocument(arg));
+        }
+    }
+
+    if (parsed.documents.length === 0) {
+        throw new Error(USAGE);
+    }
+    return parsed;
+}
+
+/**
+ * Parse "[type:]path[,path...]" into a dossier entry
+ * @param {string} arg - Command line argument
+ * @returns {Object} { input, name, documentType } or, for a saved result, { result, name }
+ */
+function parseDocument(arg) {
+    const match = arg.match(/^([a-z_]+):(.+)$/);
+    const paths = (match ? match[2] : arg).split(',');
+    const name = paths.map(file => path.basename(file)).join(', ');
+
+    if (paths.length === 1 && path.extname(paths[0]).toLowerCase() === '.json') {
+        return { result: JSON.parse(fs.readFileSync(paths[0], 'utf8')), name };
+    }
+    return { input: paths.length === 1 ? paths[0] : paths, name, documentType: match?.[1] };
+}
+
+function formatFact(fact) {
+    if (fact?.value === null || fact?.value === undefined) {
+        return '-';
+    }
+    const sources = fact.sources.map(source => (source.page ? `${source.document} p.${source.page}` : source.document));
+    return `${fact.value} [${sources.join(', ')}]`;
+}
+
+async function main() {
+    try {
+        const args = parseArgs(process.argv.slice(2));
+        const analyzer = new RealEstateAnalyzer();
+        const dossier = await analyzer.analyzeDossier(args.documents, { includeFollowUp: false });
+
+        if (args.out) {
+            fs.writeFileSync(args.out, JSON.stringify(dossier, null, 2));
+        }
+        if (args.json) {
+            console.log(JSON.stringify(dossier, null, 2));
+            return;
+        }
+
+        console.log('\n=== LOAN DOSSIER ===');
+        console.log(`Status: ${dossier.status}`);
+        console.log('─'.repeat(60));
+        for (const document of dossier.documents) {
+            console.log(`${document.id}  ${(document.documentType ?? '-').padEnd(20)} ${document.status.padEnd(11)} ${document.name ?? ''}${document.error ? ` (${document.error})` : ''}`);
+        }
+
+        console.log('\nProperty:');
+        for (const [field, fact] of Object.entries(dossier.property).filter(([field]) => field !== 'assets')) {
+            console.log(`  ${field.padEnd(20)} ${formatFact(fact)}`);
+        }
+
+        console.log('\nLegal owners:');
+        for (const owner of dossier.legalOwners) {
+            console.log(`  ${formatFact(owner.full_name)} - ${owner.verification}${owner.spouse ? `, spouse ${owner.spouse.value}` : ''}`);
+            console.log(`    ID ${formatFact(owner.id_number)} | born ${formatFact(owner.date_of_birth)}`);
+        }
+
+        console.log('\nSpouses who must consent:');
+        for (const spouse of dossier.spousesToConsent) {
+            console.log(`  ${formatFact(spouse.full_name)} - spouse of ${spouse.spouse_of}`);
+        }
+        if (dossier.spousesToConsent.length === 0) {
+            console.log('  none');
+        }
+
+        console.log('\nEncumbrances:');
+        for (const encumbrance of dossier.encumbrances) {
+            console.log(`  ${encumbrance.type} (${encumbrance.status}): ${encumbrance.text} [${encumbrance.source.document}]`);
+        }
+        if (dossier.encumbrances.length === 0) {
+            console.log('  none registered');
+        }
+
+        if (dossier.conflicts.length > 0) {
+            console.log('\nConflicts:');
+            for (const conflict of dossier.conflicts) {
+                console.log(`  [${conflict.severity}] ${conflict.code} ${conflict.path}: ${conflict.message}`);
+            }
+        }
+        if (dossier.missing.length > 0) {
+            console.log('\nMissing:');
+            for (const item of dossier.missing) {
+                console.log(`  ${item.documentType}: ${item.reason}`);
+            }
+        }
+
+    } catch (error) {
+        console.error('Dossier error:', error.message);
+        process.exit(1);
+    }
+}
+
+main();
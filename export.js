@@ -0,0 +1,80 @@
+import fs from "fs";
+import { ResultExporter, EXPORT_FORMATS, loadMapping, readResultFiles } from "./lib/result-exporter.js";
+
+/**
+ * Result Export
+ * =============
+ *
+ * Exports saved analysis results as CSV, XLSX or XML for import into CRM and
+ * core banking systems. Inputs are result files or directories of results
+ * (e.g. a batch output directory); each result becomes one row or record.
+ *
+ * Usage:
+ *   node export.js <result.json|dir>... [--format csv|xlsx|xml] [--columns <mapping.json>] [--mapping <xml-mapping.json>] [--delimiter <char>] [--out <file>]
+ *
+ *   node export.js ./output/batch --out ./output/certificates.csv
+ *   node export.js ./output/batch --format xlsx --columns ./mappings/crm-columns.json --out ./output/crm.xlsx
+ *   node export.js ./output/batch --format xml --mapping ./mappings/collateral-import.xml.json --out ./output/collateral.xml
+ */
+const USAGE = 'Usage: node export.js <result.json|dir>... [--format csv|xlsx|xml] [--columns <mapping.json>] [--mapping <xml-mapping.json>] [--delimiter <char>] [--out <file>]';
+
+function parseArgs(args) {
+    const parsed = { sources: [], format: 'csv' };
+
+    for (let i = 0; i < args.length; i++) {
+        const arg = args[i];
+        if (arg === '--format') {
+            parsed.format = args[++i];
+        } else if (arg === '--columns') {
+            parsed.columns = args[++i];
+        } else if (arg === '--mapping') {
+            parsed.mapping = args[++i];
+        } else if (arg === '--delimiter') {
+            parsed.delimiter = args[++i];
+        } else if (arg === '--out') {
+            parsed.output = args[++i];
+        } else if (arg.startsWith('--')) {
+            throw new Error(`Unexpected argument: ${arg}`);
+        } else {
+            parsed.sources.push(arg);
+        }
+    }
+
+    if (parsed.sources.length === 0) {
+        throw new Error(USAGE);
+    }
+    if (!EXPORT_FORMATS.includes(parsed.format)) {
+        throw new Error(`Unsupported export format: ${parsed.format}`);
+    }
+    if (parsed.format === 'xlsx' && !parsed.output) {
+        throw new Error('XLSX exports need --out <file>');
+    }
+    return parsed;
+}
+
+function main() {
+    try {
+        const args = parseArgs(process.argv.slice(2));
+        const exporter = new ResultExporter({
+            columns: args.columns ? loadMapping(args.columns).columns : undefined,
+            xmlMapping: args.mapping ? loadMapping(args.mapping) : undefined,
+            delimiter: args.delimiter
+        });
+
+        const inputs = readResultFiles(args.sources);
+        const output = exporter.export(inputs, { format: args.format });
+
+        if (args.output) {
+            fs.writeFileSync(args.output, output);
+            console.log(`Exported ${inputs.length} result(s) to ${args.output}`);
+        } else {
+            process.stdout.write(output);
+        }
+
+    } catch (error) {
+        console.error('Export error:', error.message);
+        process.exit(1);
+    }
+}
+
+main();
@@ -0,0 +1,198 @@
+import { Gazetteer } from "./gazetteer.js";
+
+/**
+ * Vietnamese Address Parser
+ * =========================
+ *
+ * Splits a free-text address into street/project, ward, district and
+ * province, reading comma-separated parts from the right:
+ *
+ *   "Khu đô thị mới Dương Nội, phường Yên Nghĩa, quận Hà Đông, thành phố Hà Nội"
+ *     street   "Khu đô thị mới Dương Nội"
+ *     ward     Phường Yên Nghĩa
+ *     district Quận Hà Đông (268)
+ *     province Thành phố Hà Nội (01)
+ *
+ * Each unit is matched against the Gazetteer and mapped to the unit that
+ * replaced it in the 2025 reorganization.
+ */
+
+// Type prefixes, longest first so "thị xã" wins over "xã"; OCR may drop the diacritics
+const UNIT_PREFIXES = [
+    { pattern: /^(?:thành phố|thanh pho)\s+/iu, type: 'Thành phố', levels: ['province', 'district'] },
+    { pattern: /^tp\.?\s*/iu, type: 'Thành phố', levels: ['province', 'district'] },
+    { pattern: /^(?:tỉnh|tinh)\s+/iu, type: 'Tỉnh', levels: ['province'] },
+    { pattern: /^(?:thị xã|thi xa)\s+/iu, type: 'Thị xã', levels: ['district'] },
+    { pattern: /^tx\.?\s*/iu, type: 'Thị xã', levels: ['district'] },
+    { pattern: /^(?:quận|quan)\s+/iu, type: 'Quận', levels: ['district'] },
+    { pattern: /^q\.\s*/iu, type: 'Quận', levels: ['district'] },
+    { pattern: /^(?:huyện|huyen)\s+/iu, type: 'Huyện', levels: ['district'] },
+    { pattern: /^(?:thị trấn|thi tran)\s+/iu, type: 'Thị trấn', levels: ['ward'] },
+    { pattern: /^tt\.?\s*/iu, type: 'Thị trấn', levels: ['ward'] },
+    { pattern: /^(?:phường|phuong)\s+/iu, type: 'Phường', levels: ['ward'] },
+    { pattern: /^p\.\s*/iu, type: 'Phường', levels: ['ward'] },
+    { pattern: /^(?:xã|xa)\s+/iu, type: 'Xã', levels: ['ward'] }
+];
+
+export class AddressParser {
+    constructor(options = {}) {
+        this.gazetteer = options.gazetteer || new Gazetteer();
+    }
+
+    /**
+     * Parse an address into administrative units
+     * @param {string} raw - Address text
+     * @returns {Object} { street, ward, district, province, current, error? }
+     *   units are { name, type, code, matched }; current holds the post-2025 { province, ward }
+     */
+    parse(raw) {
+        const parts = String(raw).normalize('NFC').split(/\s*[,;]\s*/).map(part => part.trim()).filter(Boolean)
+            .map(text => this.classifyPart(text));
+
+        const province = this.takeProvince(parts);
+        const district = this.takeDistrict(parts, province);
+        const ward = this.takeWard(parts, province, district);
+        const street = parts.map(part => part.text).join(', ') || null;
+
+        const parsed = {
+            street,
+            ward: toUnit(ward),
+            district: toUnit(district),
+            province: toUnit(province),
+            current: this.mapToCurrent(province, ward)
+        };
+
+        if (!province?.match) {
+            parsed.error = `Unrecognized province in address: "${raw}"`;
+        }
+        return parsed;
+    }
+
+    /**
+     * Split the type prefix off an address part
+     * @param {string} text - Address part, e.g. "quận Hà Đông"
+     * @returns {Object} { text, name, type, levels }
+     */
+    classifyPart(text) {
+        for (const prefix of UNIT_PREFIXES) {
+            if (prefix.pattern.test(text)) {
+                return { text, name: text.replace(prefix.pattern, '').trim(), type: prefix.type, levels: prefix.levels };
+            }
+        }
+        return { text, name: text, type: null, levels: null };
+    }
+
+    /**
+     * Take the province from the end of the parts
+     * @param {Array<Object>} parts - Remaining parts (mutated)
+     * @returns {Object|null} Part with its match
+     */
+    takeProvince(parts) {
+        return this.takeLast(parts, 'province', part => this.gazetteer.findProvince(part.name));
+    }
+
+    /**
+     * Take the district; post-2025 addresses have none
+     * @param {Array<Object>} parts - Remaining parts (mutated)
+     * @param {Object|null} province - Parsed province
+     * @returns {Object|null} Part with its match
+     */
+    takeDistrict(parts, province) {
+        if (province?.match?.reorganized) {
+            return null;
+        }
+        return this.takeLast(parts, 'district', part => this.gazetteer.findDistrict(part.name, province?.match?.unit.code));
+    }
+
+    /**
+     * Take the ward, searching the district or else the whole province.
+     * Without a district the address may already use post-2025 wards, which
+     * are searched in the successor province.
+     * @param {Array<Object>} parts - Remaining parts (mutated)
+     * @param {Object|null} province - Parsed province
+     * @param {Object|null} district - Parsed district
+     * @returns {Object|null} Part with its match
+     */
+    takeWard(parts, province, district) {
+        const { unit, reorganized = false } = province?.match || {};
+
+        return this.takeLast(parts, 'ward', part => {
+            const match = this.gazetteer.findWard(part.name, {
+                districtCode: district?.match?.unit.code,
+                provinceCode: unit?.code,
+                reorganized
+            });
+            if (match || district || reorganized) {
+                return match && { ...match, reorganized };
+            }
+
+            const successor = unit && this.gazetteer.getProvinceSuccessor(unit.code);
+            const current = this.gazetteer.findWard(part.name, { provinceCode: successor?.code, reorganized: true });
+            return current && { ...current, reorganized: true };
+        });
+    }
+
+    /**
+     * Consume the last part when its prefix or a gazetteer match places it at this level
+     * @param {Array<Object>} parts - Remaining parts (mutated)
+     * @param {string} level - province, district or ward
+     * @param {Function} lookup - Gazetteer lookup for the part
+     * @returns {Object|null} Part with its match
+     */
+    takeLast(parts, level, lookup) {
+        const part = parts[parts.length - 1];
+        if (!part || (part.levels && !part.levels.includes(level))) {
+            return null;
+        }
+
+        const match = lookup(part);
+        if (!match && !part.levels) {
+            return null;
+        }
+
+        parts.pop();
+        return { ...part, match };
+    }
+
+    /**
+     * Map parsed units to the units after the 2025 reorganization
+     * @param {Object|null} province - Parsed province
+     * @param {Object|null} ward - Parsed ward
+     * @returns {Object} { province, ward }
+     */
+    mapToCurrent(province, ward) {
+        const current = { province: null, ward: null };
+        if (!province?.match) {
+            return current;
+        }
+
+        const { unit, reorganized } = province.match;
+        current.province = pickUnit(reorganized ? unit : this.gazetteer.getProvinceSuccessor(unit.code));
+
+        if (ward?.match) {
+            current.ward = pickUnit(ward.match.reorganized ? ward.match.unit : this.gazetteer.getWardSuccessor(ward.match.unit.code));
+        }
+        return current;
+    }
+}
+
+function toUnit(part) {
+    if (!part) {
+        return null;
+    }
+
+    const unit = part.match?.unit;
+    return {
+        name: unit ? unit.name : part.name,
+        type: unit?.type || part.type,
+        code: unit ? unit.code : null,
+        matched: Boolean(unit),
+        original: part.text
+    };
+}
+
+function pickUnit(unit) {
+    return unit ? { code: unit.code, name: unit.name, type: unit.type } : null;
+}
+
+export default AddressParser;
@@ -0,0 +1,249 @@
+import fs from "fs";
+import path from "path";
+import { BatchRunner } from "./batch-runner.js";
+
+const BATCH_ENDPOINT = '/v1/chat/completions';
+
+/**
+ * Provider Batch Jobs
+ * ===================
+ *
+ * DashScope and OpenAI offer cheaper asynchronous batch endpoints that take a
+ * JSONL file of requests and return a JSONL file of results:
+ *
+ *   request: { custom_id, method: "POST", url: "/v1/chat/completions", body }
+ *   result:  { id, custom_id, response: { status_code, request_id, body }, error }
+ *
+ * exportRequests() writes the request file, one line per input built with
+ * buildMessages. custom_id is the input id of the batch runner (derived from
+ * the file name), so re-exporting the same inputs gives the same ids and
+ * imported results land where `node batch.js` would put them.
+ *
+ * importResults() runs each result through processResponse and post-processing
+ * and saves it with saveResponse, recording it in the output directory's
+ * manifest.json. Repair rounds need a live model and are not run.
+ */
+export class ProviderBatchJob {
+    /**
+     * @param {Object} options - Job options
+     * @param {RealEstateAnalyzer} options.analyzer - Analyzer instance
+     * @param {string} options.outputDir - Directory for imported results and manifest.json
+     * @param {Object} options.analysisOptions - Options passed to buildMessages (pageMode, pdf, customPrompt, jsonMode, generation)
+     */
+    constructor(options = {}) {
+        if (!options.analyzer) {
+            throw new Error('ProviderBatchJob requires an analyzer');
+        }
+
+        this.analyzer = options.analyzer;
+        this.outputDir = options.outputDir || process.env.BATCH_OUTPUT_DIR || './output/batch';
+        this.analysisOptions = options.analysisOptions || {};
+        this.runner = new BatchRunner({ analyzer: this.analyzer, outputDir: this.outputDir });
+    }
+
+    /**
+     * Write a provider batch request file for a directory or manifest of inputs
+     * @param {string} source - Directory or manifest path (see BatchRunner)
+     * @param {string} file - Request JSONL file to write
+     * @returns {Promise<Object>} { file, count, customIds }
+     */
+    async exportRequests(source, file) {
+        const provider = this.analyzer.provider;
+        if (typeof provider.buildRequest !== 'function') {
+            throw new Error(`Provider ${provider.name} does not support batch jobs`);
+        }
+
+        const inputs = this.runner.collectInputs(source);
+        const lines = [];
+
+        for (const { id, input } of inputs) {
+            const options = Array.isArray(input)
+                ? { ...this.analysisOptions, pageMode: 'pages', includeFollowUp: false }
+                : { ...this.analysisOptions, includeFollowUp: false };
+
+            try {
+                const imageInput = await this.analyzer.resolveProviderInput(input, options);
+                const messages = this.analyzer.buildMessages(imageInput, options);
+                const body = provider.buildRequest(messages, this.analyzer.getCompletionParams(options));
+
+                lines.push(JSON.stringify({ custom_id: id, method: 'POST', url: BATCH_ENDPOINT, body }));
+            } catch (error) {
+                throw new Error(`Failed to build batch request for ${id}: ${error.message}`, { cause: error });
+            }
+        }
+
+        fs.mkdirSync(path.dirname(path.resolve(file)), { recursive: true });
+        fs.writeFileSync(file, lines.map(line => `${line}\n`).join(''));
+        this.analyzer.log(`Wrote ${lines.length} batch requests to ${file}`, 'info');
+
+        return { file, count: lines.length, customIds: inputs.map(input => input.id) };
+    }
+
+    /**
+     * Import a provider batch result file (and error file, if separate)
+     * @param {string|Array<string>} files - Result JSONL file(s)
+     * @param {Object} options - Import options
+     * @param {string} options.requests - Request JSONL file, to report requests without a result
+     * @returns {Promise<Object>} Run manifest with imported entries and missing custom_ids
+     */
+    async importResults(files, options = {}) {
+        const results = [];
+        for (const file of [].concat(files)) {
+            results.push(...readJsonl(file));
+        }
+
+        fs.mkdirSync(this.outputDir, { recursive: true });
+        const previous = this.runner.loadManifest();
+        const manifest = {
+            source: previous?.source || [].concat(files).join(', '),
+            startedAt: previous?.startedAt || new Date().toISOString(),
+            updatedAt: null,
+            runs: (previous?.runs || 0) + 1,
+            provider: this.analyzer.provider?.name,
+            model: this.analyzer.provider?.model,
+            entries: { ...previous?.entries },
+            summary: null
+        };
+
+        for (const line of results) {
+            if (!line.custom_id) {
+                throw new Error(`Batch result without custom_id: ${JSON.stringify(line).slice(0, 200)}`);
+            }
+            manifest.entries[line.custom_id] = await this.importResult(line, manifest.entries[line.custom_id]);
+        }
+
+        if (options.requests) {
+            const imported = new Set(results.map(line => line.custom_id));
+            manifest.missing = readJsonl(options.requests)
+                .map(line => line.custom_id)
+                .filter(id => !imported.has(id));
+
+            for (const id of manifest.missing) {
+                this.analyzer.log(`Batch result missing for ${id}`, 'warn');
+            }
+        }
+
+        this.runner.saveManifest(manifest);
+        return manifest;
+    }
+
+    /**
+     * Process and save one batch result line
+     * @param {Object} line - Result line
+     * @param {Object} previous - Existing manifest entry for the custom_id
+     * @returns {Promise<Object>} Manifest entry
+     */
+    async importResult(line, previous = {}) {
+        const id = line.custom_id;
+        const entry = {
+            ...(previous?.input && { input: previous.input }),
+            status: 'failed',
+            attempts: (previous?.attempts || 0) + 1,
+            batchRequestId: line.id || null
+        };
+
+        try {
+            const status = line.response?.status_code;
+            if (line.error || !line.response || status !== 200) {
+                const error = line.error || line.response?.body?.error;
+                throw new Error(`Batch request failed${status ? ` with status ${status}` : ''}: ${error?.message || error?.code || 'no response'}`);
+            }
+
+            const result = this.analyzer.processResponse(line.response.body);
+            result.metadata.batchRequestId = line.id || null;
+            this.analyzer.addRunMetadata(result, this.analysisOptions);
+            this.analyzer.postProcess(result, this.analysisOptions);
+
+            const output = `${id}.json`;
+            const saved = await this.analyzer.saveResponse(result, { dir: this.outputDir, filename: output });
+            if (!saved) {
+                throw new Error(`Failed to save result to ${path.join(this.outputDir, output)}`);
+            }
+
+            Object.assign(entry, {
+                status: 'done',
+                output,
+                totalTokens: result.metadata.totalTokens ?? null,
+                warnings: result.warnings?.length ?? 0
+            });
+        } catch (error) {
+            entry.error = error.message;
+            this.analyzer.log(`Batch result ${id} not imported: ${error.message}`, 'warn');
+        }
+
+        entry.completedAt = new Date().toISOString();
+        return entry;
+    }
+}
+
+/**
+ * Local Batch API
+ * ===============
+ *
+ * File-based stand-in for a provider batch endpoint: reads a request file,
+ * sends each request to an OpenAI-style client one at a time and writes a
+ * result file in the provider format. Useful for local servers without a
+ * batch API (llama.cpp) and for testing exports and imports end to end.
+ */
+export class LocalBatchApi {
+    /**
+     * @param {Object} options - { client } with chat.completions.create
+     */
+    constructor(options = {}) {
+        if (!options.client?.chat?.completions?.create) {
+            throw new Error('LocalBatchApi requires an OpenAI-compatible client');
+        }
+        this.client = options.client;
+    }
+
+    /**
+     * Run a request file and write the result file
+     * @param {string} requestsFile - Request JSONL file
+     * @param {string} resultsFile - Result JSONL file to write
+     * @returns {Promise<Object>} { completed, failed }
+     */
+    async process(requestsFile, resultsFile) {
+        const lines = [];
+        let failed = 0;
+
+        for (const [index, request] of readJsonl(requestsFile).entries()) {
+            const id = `batch_req_${String(index + 1).padStart(6, '0')}`;
+            try {
+                const body = await this.client.chat.completions.create(request.body);
+                lines.push({ id, custom_id: request.custom_id, response: { status_code: 200, request_id: id, body }, error: null });
+            } catch (error) {
+                failed++;
+                lines.push({
+                    id,
+                    custom_id: request.custom_id,
+                    response: null,
+                    error: { code: error.status ? String(error.status) : 'request_failed', message: error.message }
+                });
+            }
+        }
+
+        fs.writeFileSync(resultsFile, lines.map(line => `${JSON.stringify(line)}\n`).join(''));
+        return { completed: lines.length - failed, failed };
+    }
+}
+
+/**
+ * Read a JSONL file
+ * @param {string} file - JSONL path
+ * @returns {Array<Object>} Parsed lines (blank lines skipped)
+ */
+export function readJsonl(file) {
+    return fs.readFileSync(file, 'utf8')
+        .split(/\r?\n/)
+        .map((line, index) => ({ line: line.trim(), number: index + 1 }))
+        .filter(({ line }) => line)
+        .map(({ line, number }) => {
+            try {
+                return JSON.parse(line);
+            } catch (error) {
+                throw new Error(`Invalid JSON on line ${number} of ${file}: ${error.message}`, { cause: error });
+            }
+        });
+}
+
+export default ProviderBatchJob;
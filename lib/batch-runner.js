@@ -0,0 +1,293 @@
+import fs from "fs";
+import path from "path";
+
+const INPUT_EXTENSIONS = ['.pdf', '.jpg', '.jpeg', '.png'];
+const IMAGE_EXTENSIONS = ['.jpg', '.jpeg', '.png'];
+const MANIFEST_FILE = 'manifest.json';
+
+/**
+ * Batch Runner
+ * ============
+ *
+ * Analyzes a folder (or a list) of certificates with bounded concurrency.
+ * Each input gets one result file in the output directory, saved with
+ * saveResponse, and manifest.json records status, tokens, duration and
+ * errors per input. The manifest is rewritten after every input, so an
+ * interrupted run resumes by skipping inputs already marked done.
+ *
+ * Inputs:
+ *   - a directory: every PDF/JPEG/PNG file is one input, and every
+ *     subdirectory of page images is one multi-page input (sent per page)
+ *   - a manifest file: JSON array of paths or { id, input } objects (input
+ *     may be a list of page images), or a text file with one path per line
+ */
+export class BatchRunner {
+    /**
+     * @param {Object} options - Runner options
+     * @param {RealEstateAnalyzer} options.analyzer - Analyzer instance
+     * @param {string} options.outputDir - Directory for results and manifest.json
+     * @param {number} options.concurrency - Parallel analyses (default BATCH_CONCURRENCY or 2)
+     * @param {Object} options.analysisOptions - Options passed to analyzeLandCertificate
+     * @param {Function} options.onProgress - Called with (entry, summary) after each input
+     */
+    constructor(options = {}) {
+        if (!options.analyzer) {
+            throw new Error('BatchRunner requires an analyzer');
+        }
+        if (!options.outputDir) {
+            throw new Error('BatchRunner requires an output directory');
+        }
+
+        this.analyzer = options.analyzer;
+        this.outputDir = options.outputDir;
+        this.concurrency = Math.max(1, options.concurrency || parseInt(process.env.BATCH_CONCURRENCY) || 2);
+        this.analysisOptions = options.analysisOptions || {};
+        this.onProgress = options.onProgress || (() => {});
+        this.manifestPath = path.join(this.outputDir, MANIFEST_FILE);
+    }
+
+    /**
+     * List the inputs of a directory or manifest file
+     * @param {string} source - Directory or manifest path
+     * @returns {Array<Object>} Inputs: { id, input } (input is a path or a list of page paths)
+     */
+    collectInputs(source) {
+        if (!fs.existsSync(source)) {
+            throw new Error(`Batch source not found: ${source}`);
+        }
+
+        const inputs = fs.statSync(source).isDirectory()
+            ? this.collectDirectory(source)
+            : this.readManifestFile(source);
+
+        const seen = new Set();
+        for (const { id } of inputs) {
+            if (seen.has(id)) {
+                throw new Error(`Duplicate batch input id: ${id}`);
+            }
+            seen.add(id);
+        }
+        return inputs;
+    }
+
+    /**
+     * @param {string} dir - Directory of inputs
+     * @returns {Array<Object>} Inputs
+     */
+    collectDirectory(dir) {
+        const inputs = [];
+        const entries = fs.readdirSync(dir, { withFileTypes: true })
+            .sort((a, b) => a.name.localeCompare(b.name));
+
+        for (const entry of entries) {
+            const fullPath = path.join(dir, entry.name);
+
+            if (entry.isFile() && INPUT_EXTENSIONS.includes(path.extname(entry.name).toLowerCase())) {
+                inputs.push({ id: toInputId(entry.name), input: fullPath });
+            } else if (entry.isDirectory() && path.resolve(fullPath) !== path.resolve(this.outputDir)) {
+                const pages = fs.readdirSync(fullPath)
+                    .filter(name => IMAGE_EXTENSIONS.includes(path.extname(name).toLowerCase()))
+                    .sort((a, b) => a.localeCompare(b, undefined, { numeric: true }))
+                    .map(name => path.join(fullPath, name));
+
+                if (pages.length > 0) {
+                    inputs.push({ id: toInputId(entry.name), input: pages });
+                }
+            }
+        }
+
+        return inputs;
+    }
+
+    /**
+     * @param {string} file - JSON or text manifest; relative paths are resolved against its directory
+     * @returns {Array<Object>} Inputs
+     */
+    readManifestFile(file) {
+        const baseDir = path.dirname(file);
+        const resolve = item => path.isAbsolute(item) || /^(https?|data):/.test(item) ? item : path.join(baseDir, item);
+        const content = fs.readFileSync(file, 'utf8');
+
+        let items;
+        if (path.extname(file).toLowerCase() === '.json') {
+            try {
+                items = JSON.parse(content);
+            } catch (error) {
+                throw new Error(`Invalid batch manifest ${file}: ${error.message}`, { cause: error });
+            }
+            if (!Array.isArray(items)) {
+                throw new Error(`Invalid batch manifest ${file}: expected an array`);
+            }
+        } else {
+            items = content.split(/\r?\n/).map(line => line.trim()).filter(line => line && !line.startsWith('#'));
+        }
+
+        return items.map((item, index) => {
+            const input = typeof item === 'string' ? item : item?.input;
+            if (!input || (Array.isArray(input) && input.length === 0)) {
+                throw new Error(`Invalid batch manifest ${file}: entry ${index + 1} has no input`);
+            }
+
+            const firstPath = Array.isArray(input) ? input[0] : input;
+            return {
+                id: toInputId(item.id || (Array.isArray(input) ? path.dirname(firstPath) : firstPath)),
+                input: Array.isArray(input) ? input.map(resolve) : resolve(input)
+            };
+        });
+    }
+
+    /**
+     * Load the run manifest of a previous (possibly interrupted) run
+     * @returns {Object|null} Manifest or null
+     */
+    loadManifest() {
+        if (!fs.existsSync(this.manifestPath)) {
+            return null;
+        }
+
+        try {
+            return JSON.parse(fs.readFileSync(this.manifestPath, 'utf8'));
+        } catch (error) {
+            throw new Error(`Cannot resume from corrupt manifest ${this.manifestPath}: ${error.message}`, { cause: error });
+        }
+    }
+
+    /**
+     * Write the manifest atomically, so an interrupted write cannot corrupt it
+     * @param {Object} manifest - Run manifest
+     */
+    saveManifest(manifest) {
+        manifest.updatedAt = new Date().toISOString();
+        manifest.summary = summarize(manifest.entries);
+
+        const tmpPath = `${this.manifestPath}.tmp`;
+        fs.writeFileSync(tmpPath, JSON.stringify(manifest, null, 2));
+        fs.renameSync(tmpPath, this.manifestPath);
+    }
+
+    /**
+     * Analyze all inputs of a source, skipping inputs a previous run completed
+     * @param {string} source - Directory or manifest path
+     * @param {Object} options - Run options
+     * @param {boolean} options.resume - Skip inputs marked done in an existing manifest (default true)
+     * @returns {Promise<Object>} Run manifest
+     */
+    async run(source, options = {}) {
+        const inputs = this.collectInputs(source);
+        fs.mkdirSync(this.outputDir, { recursive: true });
+
+        const previous = options.resume === false ? null : this.loadManifest();
+        const manifest = {
+            source,
+            startedAt: previous?.startedAt || new Date().toISOString(),
+            updatedAt: null,
+            runs: (previous?.runs || 0) + 1,
+            provider: this.analyzer.provider?.describe?.().provider,
+            model: this.analyzer.provider?.model,
+            entries: {},
+            summary: null
+        };
+
+        const pending = [];
+        for (const { id, input } of inputs) {
+            const done = previous?.entries?.[id];
+            if (done?.status === 'done' && fs.existsSync(path.join(this.outputDir, done.output))) {
+                manifest.entries[id] = done;
+            } else {
+                manifest.entries[id] = { input, status: 'pending', attempts: done?.attempts || 0 };
+                pending.push({ id, input });
+            }
+        }
+
+        this.analyzer.log(`Batch: ${inputs.length} inputs, ${inputs.length - pending.length} already done, concurrency ${this.concurrency}`, 'info');
+        this.saveManifest(manifest);
+
+        const queue = [...pending];
+        const worker = async () => {
+            while (queue.length > 0) {
+                const { id, input } = queue.shift();
+                manifest.entries[id] = await this.processInput(id, input, manifest.entries[id].attempts);
+                this.saveManifest(manifest);
+                this.onProgress({ id, ...manifest.entries[id] }, manifest.summary);
+            }
+        };
+
+        await Promise.all(Array.from({ length: Math.min(this.concurrency, queue.length) }, worker));
+
+        this.saveManifest(manifest);
+        return manifest;
+    }
+
+    /**
+     * Analyze one input and save its result
+     * @param {string} id - Input id (result file name without extension)
+     * @param {string|Array<string>} input - Input path, or page image paths
+     * @param {number} attempts - Attempts made by previous runs
+     * @returns {Promise<Object>} Manifest entry
+     */
+    async processInput(id, input, attempts = 0) {
+        const start = Date.now();
+        const entry = { input, status: 'failed', attempts: attempts + 1 };
+
+        try {
+            const analysisOptions = Array.isArray(input)
+                ? { ...this.analysisOptions, pageMode: 'pages' }
+                : this.analysisOptions;
+            const result = await this.analyzer.analyzeLandCertificate(input, { ...analysisOptions, saveResponse: false });
+
+            const output = `${id}.json`;
+            const saved = await this.analyzer.saveResponse(result, { dir: this.outputDir, filename: output });
+            if (!saved) {
+                throw new Error(`Failed to save result to ${path.join(this.outputDir, output)}`);
+            }
+
+            // The classification call (if any) is part of the cost of an input
+            const { totalTokens, classificationTokens } = result.metadata || {};
+            Object.assign(entry, {
+                status: 'done',
+                output,
+                documentType: result.documentType ?? null,
+                totalTokens: [totalTokens, classificationTokens].some(Number.isFinite) ? (totalTokens || 0) + (classificationTokens || 0) : null,
+                warnings: result.warnings?.length ?? 0
+            });
+        } catch (error) {
+            entry.error = error.message;
+            this.analyzer.log(`Batch input ${id} failed: ${error.message}`, 'warn');
+        }
+
+        entry.durationMs = Date.now() - start;
+        entry.completedAt = new Date().toISOString();
+        return entry;
+    }
+}
+
+/**
+ * Derive a file-system safe id from an input path
+ * @param {string} name - File or directory name, or path
+ * @returns {string} Id
+ */
+export function toInputId(name) {
+    return path.basename(name, path.extname(name))
+        .normalize('NFC')
+        .replace(/[^\p{L}\p{N}._-]+/gu, '_')
+        .replace(/^_+|_+$/g, '') || 'input';
+}
+
+/**
+ * Count entries by status and total their tokens
+ * @param {Object} entries - Manifest entries by id
+ * @returns {Object} { total, done, failed, pending, totalTokens, durationMs }
+ */
+export function summarize(entries) {
+    const summary = { total: 0, done: 0, failed: 0, pending: 0, totalTokens: 0, durationMs: 0 };
+
+    for (const entry of Object.values(entries)) {
+        summary.total++;
+        summary[entry.status]++;
+        summary.totalTokens += entry.totalTokens || 0;
+        summary.durationMs += entry.durationMs || 0;
+    }
+    return summary;
+}
+
+export default BatchRunner;
@@ -0,0 +1,185 @@
+import { asciiKey } from "./gazetteer.js";
+import { VietnameseNormalizer } from "./normalizer.js";
+
+/**
+ * Certificate Generations
+ * =======================
+ *
+ * Vietnamese land certificates were issued in several layouts, each with its
+ * own title, sections and field names:
+ *
+ *   red_book_pre2009    Giấy chứng nhận quyền sử dụng đất (sổ đỏ, land only)
+ *   pink_book_pre2009   Giấy chứng nhận quyền sở hữu nhà ở (và quyền sử dụng đất ở) (sổ hồng)
+ *   unified_2009        Giấy chứng nhận quyền sử dụng đất, quyền sở hữu nhà ở và tài sản khác gắn liền với đất
+ *                       (Nghị định 88/2009, from 10/12/2009; assets/DEMO1.pdf)
+ *   unified_2024        Giấy chứng nhận quyền sử dụng đất, quyền sở hữu tài sản gắn liền với đất
+ *                       (Luật Đất đai 2024, from 01/08/2024; one sheet with a QR code)
+ *
+ * Each generation has a template: a prompt addition that tells the model where
+ * the fields are and which canonical keys they map to, and a schema variant
+ * with the fields that layout always carries. Every generation maps to the
+ * same canonical schema (land-certificate.v1); the variant only adds checks.
+ */
+
+export const CERTIFICATE_GENERATIONS = {
+    red_book_pre2009: {
+        vi: 'Giấy chứng nhận quyền sử dụng đất (sổ đỏ, trước 2009)',
+        en: 'Land use rights certificate (red book, before 2009)',
+        schema: 'land-certificate.v1.red-book-pre2009',
+        prompt: `
+Tài liệu là Giấy chứng nhận quyền sử dụng đất mẫu cũ (bìa đỏ, cấp trước ngày 10/12/2009), chỉ chứng nhận đất, không chứng nhận nhà.
+- "Tên người sử dụng đất" → property_owners (mỗi người một phần tử; "Hộ ông/bà" ghi owner_type là "Hộ gia đình").
+- Mục "Thửa đất được quyền sử dụng": "Thửa đất số" → land_information.plot_number, "Tờ bản đồ số" → land_information.map_sheet_number, "Địa chỉ thửa đất" → land_information.land_address, "Diện tích" → land_information.area, "Mục đích sử dụng" → land_information.usage_purpose, "Thời hạn sử dụng" → land_information.usage_duration, "Nguồn gốc sử dụng" → land_information.usage_origin.
+- Số seri in trên bìa → metadata.certificate_number; "Số vào sổ cấp giấy chứng nhận quyền sử dụng đất" (thường có chữ QSDĐ) → metadata.registration_number.
+- Mẫu này không có mục tài sản gắn liền với đất: để assets_attached_to_land là mảng rỗng.
+        `.trim()
+    },
+    pink_book_pre2009: {
+        vi: 'Giấy chứng nhận quyền sở hữu nhà ở (sổ hồng, trước 2009)',
+        en: 'House ownership certificate (pink book, before 2009)',
+        schema: 'land-certificate.v1.pink-book-pre2009',
+        prompt: `
+Tài liệu là Giấy chứng nhận quyền sở hữu nhà ở (và quyền sử dụng đất ở) mẫu cũ (bìa hồng, cấp trước ngày 10/12/2009).
+- "Chủ sở hữu nhà ở" / "Chủ sở hữu" → property_owners.
+- Mục "Nhà ở": "Địa chỉ" → land_information.land_address; nhà ở → một phần tử assets_attached_to_land với asset_type "Nhà ở", "Tổng diện tích sử dụng" / "Diện tích sàn" → details.floor_area, "Diện tích xây dựng" → details.construction_area, "Số tầng" → details.number_of_floors, "Kết cấu" và "Cấp (hạng) nhà" → details.house_type, "Hình thức sở hữu" → details.ownership_form.
+- Mục "Đất ở" (nếu có): "Thửa đất số", "Tờ bản đồ số", "Diện tích", "Hình thức sử dụng" → các trường tương ứng trong land_information.
+- Số seri → metadata.certificate_number; "Số vào sổ cấp giấy chứng nhận" → metadata.registration_number.
+        `.trim()
+    },
+    unified_2009: {
+        vi: 'Giấy chứng nhận quyền sử dụng đất, quyền sở hữu nhà ở và tài sản khác gắn liền với đất (mẫu 2009)',
+        en: 'Land use rights, house and attached assets certificate (2009 form)',
+        schema: 'land-certificate.v1.unified-2009',
+        prompt: `
+Tài liệu là Giấy chứng nhận quyền sử dụng đất, quyền sở hữu nhà ở và tài sản khác gắn liền với đất (mẫu từ 10/12/2009, bìa hồng, 4 trang).
+- Mục I "Người sử dụng đất, chủ sở hữu nhà ở và tài sản khác gắn liền với đất" → property_owners.
+- Mục II "Thửa đất, nhà ở và tài sản khác gắn liền với đất": phần "Thửa đất" → land_information; "Nhà ở", "Công trình xây dựng khác", "Rừng sản xuất là rừng trồng", "Cây lâu năm" → assets_attached_to_land; "Ghi chú" → notes.
+- Mục III "Sơ đồ thửa đất, nhà ở và tài sản khác gắn liền với đất" → land_map.
+- Mục IV "Những thay đổi sau khi cấp giấy chứng nhận" → changes_after_certificate.
+- Số seri trên trang 1 (ví dụ "BV 999451") → metadata.certificate_number; "Số vào sổ cấp GCN" (ví dụ "CS 05494") → metadata.registration_number.
+        `.trim()
+    },
+    unified_2024: {
+        vi: 'Giấy chứng nhận quyền sử dụng đất, quyền sở hữu tài sản gắn liền với đất (mẫu 2024)',
+        en: 'Land use rights and attached assets certificate (2024 form)',
+        schema: 'land-certificate.v1.unified-2024',
+        prompt: `
+Tài liệu là Giấy chứng nhận quyền sử dụng đất, quyền sở hữu tài sản gắn liền với đất mẫu mới (cấp từ 01/8/2024, một tờ hai mặt, có mã QR).
+- "Người sử dụng đất, chủ sở hữu tài sản gắn liền với đất" → property_owners.
+- "Thông tin thửa đất": "Thửa đất số" → land_information.plot_number, "Tờ bản đồ số" → land_information.map_sheet_number, "Địa chỉ" → land_information.land_address, "Diện tích" → land_information.area, "Loại đất" → land_information.usage_purpose, "Hình thức sử dụng" → land_information.usage_form, "Thời hạn sử dụng" → land_information.usage_duration, "Nguồn gốc sử dụng" → land_information.usage_origin.
+- "Thông tin tài sản gắn liền với đất" → assets_attached_to_land; "Ghi chú" → notes; sơ đồ thửa đất → land_map.
+- Số phát hành (seri) → metadata.certificate_number; "Số vào sổ cấp Giấy chứng nhận" → metadata.registration_number.
+- Không đọc nội dung mã QR; chỉ ghi metadata.has_qr_code là true nếu ảnh có mã QR.
+        `.trim()
+    }
+};
+
+// Titles, most specific first: the 2009 and 2024 titles both start with "quyền sử dụng đất"
+const TITLE_PATTERNS = [
+    ['unified_2024', /quyen su dung dat quyen so huu tai san gan lien voi dat/],
+    ['unified_2009', /quyen su dung dat quyen so huu nha o va tai san khac gan lien voi dat/],
+    ['pink_book_pre2009', /quyen so huu nha o/],
+    ['red_book_pre2009', /quyen su dung dat/]
+];
+
+// Nghị định 88/2009 introduced the unified form; Thông tư 10/2024 the single-sheet form
+const UNIFIED_2009_FROM = '2009-12-10';
+const UNIFIED_2024_FROM = '2024-08-01';
+
+const SIGNAL_WEIGHTS = { title: 3, qr_code: 2, registration_number: 2, issue_date: 1 };
+
+export class CertificateGenerationDetector {
+    /**
+     * @param {Object} options - Detector options
+     * @param {VietnameseNormalizer} options.normalizer - Date parser (default a new VietnameseNormalizer)
+     */
+    constructor(options = {}) {
+        this.normalizer = options.normalizer || new VietnameseNormalizer();
+    }
+
+    /**
+     * Label of a generation
+     * @param {string} generation - Generation code
+     * @param {string} language - 'vi' or 'en'
+     * @returns {string|null} Label
+     */
+    getLabel(generation, language = 'vi') {
+        return CERTIFICATE_GENERATIONS[generation]?.[language] || null;
+    }
+
+    /**
+     * Detect the generation from extracted data
+     * Each signal votes for one or more generations; the highest total wins, ties stay undecided.
+     * @param {Object} extractedData - Raw model output (for QR and title fields outside the canonical shape)
+     * @param {Object} canonicalData - Canonical data
+     * @param {Object} context - Other evidence
+     * @param {Array<Object>} context.qrCodes - QR codes decoded from the images (see lib/qr-decoder.js)
+     * @returns {Object} { generation, signals: [{ signal, generations, value }] } - generation is null when undecided
+     */
+    detect(extractedData, canonicalData, context = {}) {
+        const metadata = canonicalData?.metadata || {};
+        const signals = [];
+
+        const title = [metadata.document_name, metadata.document_type].find(text => typeof text === 'string' && TITLE_PATTERNS.some(([, pattern]) => pattern.test(asciiKey(text))));
+        if (title) {
+            const [generation] = TITLE_PATTERNS.find(([, pattern]) => pattern.test(asciiKey(title)));
+            signals.push({ signal: 'title', generations: [generation], value: title });
+        }
+
+        if (context.qrCodes?.length > 0 || hasQrCode(extractedData)) {
+            signals.push({ signal: 'qr_code', generations: ['unified_2024'], value: context.qrCodes?.length > 0 ? 'decoded' : 'reported' });
+        }
+
+        // Old red books number their register entries "<n> QSDĐ/<unit>"
+        if (typeof metadata.registration_number === 'string' && /\bqsdd\b/.test(asciiKey(metadata.registration_number))) {
+            signals.push({ signal: 'registration_number', generations: ['red_book_pre2009'], value: metadata.registration_number });
+        }
+
+        const issued = this.normalizer.normalizeDate(canonicalData?.issue_date);
+        if (issued.value) {
+            signals.push({ signal: 'issue_date', generations: generationsIssuedOn(issued), value: issued.value });
+        }
+
+        const scores = {};
+        for (const { signal, generations } of signals) {
+            for (const generation of generations) {
+                scores[generation] = (scores[generation] || 0) + SIGNAL_WEIGHTS[signal];
+            }
+        }
+
+        const ranked = Object.entries(scores).sort((a, b) => b[1] - a[1]);
+        const generation = ranked.length > 0 && ranked[0][1] !== ranked[1]?.[1] ? ranked[0][0] : null;
+        return { generation, signals };
+    }
+}
+
+/**
+ * Generations that were being issued on a date
+ * @param {Object} date - Normalized date from VietnameseNormalizer.normalizeDate
+ * @returns {Array<string>} Generation codes
+ */
+function generationsIssuedOn(date) {
+    // A year alone is compared as its first day, except for the changeover years themselves
+    if (date.precision === 'year' && [2009, 2024].includes(date.year)) {
+        return date.year === 2009 ? ['red_book_pre2009', 'pink_book_pre2009', 'unified_2009'] : ['unified_2009', 'unified_2024'];
+    }
+    if (date.value < UNIFIED_2009_FROM) {
+        return ['red_book_pre2009', 'pink_book_pre2009'];
+    }
+    return date.value < UNIFIED_2024_FROM ? ['unified_2009'] : ['unified_2024'];
+}
+
+/**
+ * Check whether the model reported a QR code anywhere in its output
+ * @param {*} value - Extracted data
+ * @returns {boolean} A key mentioning "qr" has a value other than false/empty
+ */
+function hasQrCode(value) {
+    if (!value || typeof value !== 'object') {
+        return false;
+    }
+    return Object.entries(value).some(([key, item]) =>
+        (/(^|_)qr(_|$)/i.test(key) && item !== false && item !== null && item !== '') || hasQrCode(item));
+}
+
+export default CertificateGenerationDetector;
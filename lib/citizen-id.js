@@ -0,0 +1,266 @@
+import { LandCertificateMapper, setOrigin, getOrigin } from "./land-certificate-mapper.js";
+import { asciiKey } from "./gazetteer.js";
+
+/**
+ * Citizen ID Cards
+ * ================
+ *
+ * Maps the model's reading of a citizen identity card to the canonical
+ * citizen-id shape (schemas/citizen-id.v1.schema.json) and reads the
+ * machine-readable zone on its back:
+ *
+ *   cccd      Căn cước công dân (2016-2024, chip cards from 2021), 12 digits
+ *   can_cuoc  Thẻ căn cước (Luật Căn cước 2023, from 01/07/2024), 12 digits
+ *   cmnd      Chứng minh nhân dân (older card, no MRZ), 9 or 12 digits
+ *
+ * The MRZ is ICAO 9303 TD1: three lines of 30 characters. Vietnamese cards
+ * put the last 9 digits of the ID number in the document number field and
+ * the full 12-digit number at the start of the optional data:
+ *
+ *   IDVNM0970012342001097001234<<<    type, state, document number + check, optional data
+ *   9701012M3701010VNM<<<<<<<<<<<1    birth date + check, sex, expiry + check, nationality, composite check
+ *   NGUYEN<<VAN<AN<<<<<<<<<<<<<<<<    surname << given names, without diacritics
+ */
+
+const CARD_FIELDS = {
+    document_name: ['document_name', 'title', 'card_title'],
+    id_number: ['id_number', 'citizen_id_number', 'personal_identification_number', 'cccd', 'so', 'so_dinh_danh_ca_nhan'],
+    previous_id_number: ['previous_id_number', 'old_id_number', 'cmnd', 'so_cmnd'],
+    full_name: ['full_name', 'name', 'ho_va_ten', 'ho_ten'],
+    date_of_birth: ['date_of_birth', 'dob', 'birth_date', 'ngay_sinh'],
+    sex: ['sex', 'gender', 'gioi_tinh'],
+    nationality: ['nationality', 'quoc_tich'],
+    place_of_origin: ['place_of_origin', 'hometown', 'que_quan'],
+    place_of_residence: ['place_of_residence', 'permanent_address', 'address', 'noi_thuong_tru', 'noi_cu_tru'],
+    date_of_expiry: ['date_of_expiry', 'expiry_date', 'valid_until', 'co_gia_tri_den'],
+    issue_date: ['issue_date', 'date_of_issue', 'ngay_cap'],
+    issued_by: ['issued_by', 'issuing_authority', 'noi_cap'],
+    personal_identification: ['personal_identification', 'identifying_features', 'dac_diem_nhan_dang']
+};
+
+// Sections the model may group fields under (sides of the card), front first
+const CARD_SECTIONS = ['metadata', 'front', 'front_side', 'mat_truoc', 'back', 'back_side', 'mat_sau'];
+const MRZ_KEYS = ['mrz', 'machine_readable_zone'];
+
+const CARD_TYPES = ['cccd', 'can_cuoc', 'cmnd'];
+
+// Titles, most specific first: "căn cước công dân" also contains "căn cước"
+const TITLE_PATTERNS = [
+    ['cccd', /can cuoc cong dan/],
+    ['cmnd', /chung minh nhan dan/],
+    ['can_cuoc', /can cuoc/]
+];
+
+const MRZ_LINE_LENGTH = 30;
+
+export class CitizenIdMapper extends LandCertificateMapper {
+    /**
+     * Map extracted card data to the canonical shape
+     * Fields may be flat or grouped by side (front/back); the first side that has a field wins.
+     * @param {Object} source - Extracted data
+     * @returns {Object} { data, unmappedFields }
+     */
+    map(source) {
+        if (!source || typeof source !== 'object' || Array.isArray(source)) {
+            throw new Error('Extracted data must be a JSON object');
+        }
+
+        const consumed = new Set();
+        const sections = [['', source], ...CARD_SECTIONS.filter(key => isObject(source[key])).map(key => [`/${key}`, source[key]])];
+
+        const data = { card_type: null, ...Object.fromEntries(Object.keys(CARD_FIELDS).map(field => [field, null])), mrz: null };
+        for (const [sectionPath, section] of sections) {
+            const picked = this.pickFields(section, sectionPath, CARD_FIELDS, consumed);
+            for (const [field, value] of Object.entries(picked)) {
+                if (data[field] === null && value !== null) {
+                    data[field] = value;
+                    setOrigin(data, field, getOrigin(picked, field));
+                }
+            }
+        }
+
+        data.card_type = this.detectCardType(source, data, consumed);
+        for (const [sectionPath, section] of sections) {
+            const key = MRZ_KEYS.find(candidate => section[candidate] !== undefined);
+            if (key && data.mrz === null) {
+                data.mrz = toMrzText(section[key]);
+                setOrigin(data, 'mrz', `${sectionPath}/${key}`);
+                this.consumeAll(section[key], `${sectionPath}/${key}`, consumed);
+            }
+        }
+
+        return {
+            data,
+            unmappedFields: this.collectUnmapped(source, '', consumed)
+        };
+    }
+
+    /**
+     * Decide the card type from an explicit type, the title or the number format
+     * @param {Object} source - Extracted data
+     * @param {Object} data - Canonical fields picked so far
+     * @param {Set<string>} consumed - Consumed pointers
+     * @returns {string|null} cccd, can_cuoc, cmnd or null
+     */
+    detectCardType(source, data, consumed) {
+        if (source.card_type !== undefined) {
+            consumed.add('/card_type');
+            const explicit = asciiKey(source.card_type ?? '').replace(/\s+/g, '_');
+            if (CARD_TYPES.includes(explicit)) {
+                return explicit;
+            }
+        }
+
+        const title = data.document_name ? asciiKey(data.document_name) : '';
+        const byTitle = TITLE_PATTERNS.find(([, pattern]) => pattern.test(title));
+        if (byTitle) {
+            return byTitle[0];
+        }
+        return /^\d{9}$/.test(String(data.id_number ?? '').replace(/\s/g, '')) ? 'cmnd' : null;
+    }
+
+    /**
+     * Mark a value and everything below it as consumed
+     */
+    consumeAll(value, valuePath, consumed) {
+        for (const pointer of this.collectUnmapped(value, valuePath, new Set())) {
+            consumed.add(pointer);
+        }
+    }
+}
+
+/**
+ * Compute an ICAO 9303 check digit (weights 7, 3, 1; "<" counts 0, A-Z count 10-35)
+ * @param {string} text - MRZ characters
+ * @returns {number} Check digit
+ */
+export function mrzCheckDigit(text) {
+    const weights = [7, 3, 1];
+    let sum = 0;
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+        const value = /\d/.test(char) ? Number(char) : /[A-Z]/.test(char) ? char.charCodeAt(0) - 55 : 0;
+        sum += value * weights[i % 3];
+    }
+    return sum % 10;
+}
+
+/**
+ * Parse and check a TD1 machine-readable zone
+ * OCR noise is tolerated: spaces are dropped, "«" is read as "<", and a 90-character block is split into lines.
+ * @param {string} text - MRZ as read, lines separated by new lines
+ * @param {Object} options - { now: reference date for two-digit birth years (default today) }
+ * @returns {Object} { format, lines, valid, fields, checks: [{ field, valid }], error? }
+ *   fields: { document_code, issuing_state, document_number, id_number, date_of_birth, sex, date_of_expiry, nationality, full_name }
+ */
+export function parseMrz(text, { now = new Date() } = {}) {
+    const cleaned = String(text ?? '').toUpperCase().replace(/[«‹]/g, '<').replace(/[ \t]/g, '');
+    let lines = cleaned.split(/\r?\n/).filter(Boolean);
+    if (lines.length === 1 && lines[0].length === MRZ_LINE_LENGTH * 3) {
+        lines = lines[0].match(new RegExp(`.{${MRZ_LINE_LENGTH}}`, 'g'));
+    }
+
+    if (lines.length !== 3 || lines.some(line => line.length !== MRZ_LINE_LENGTH || /[^A-Z0-9<]/.test(line))) {
+        return { format: null, lines, valid: false, fields: null, checks: [], error: 'MRZ is not three lines of 30 characters (TD1)' };
+    }
+
+    const [line1, line2, line3] = lines;
+    const optional = line1.slice(15, 30);
+    const [surname, givenNames = ''] = line3.split('<<');
+    const fields = {
+        document_code: line1.slice(0, 2).replace(/<+$/, ''),
+        issuing_state: line1.slice(2, 5).replace(/</g, ''),
+        document_number: line1.slice(5, 14).replace(/<+$/, ''),
+        id_number: optional.match(/^\d{12}/)?.[0] ?? null,
+        date_of_birth: mrzDate(line2.slice(0, 6), { now, past: true }),
+        sex: { M: 'male', F: 'female' }[line2[7]] ?? null,
+        date_of_expiry: mrzDate(line2.slice(8, 14), { now, past: false }),
+        nationality: line2.slice(15, 18).replace(/</g, ''),
+        full_name: [surname, givenNames].map(part => part.replace(/</g, ' ').trim()).filter(Boolean).join(' ') || null
+    };
+
+    const digit = char => (/\d/.test(char) ? Number(char) : char === '<' ? 0 : NaN);
+    const checks = [
+        { field: 'document_number', valid: mrzCheckDigit(line1.slice(5, 14)) === digit(line1[14]) },
+        { field: 'date_of_birth', valid: mrzCheckDigit(line2.slice(0, 6)) === digit(line2[6]) },
+        { field: 'date_of_expiry', valid: mrzCheckDigit(line2.slice(8, 14)) === digit(line2[14]) },
+        { field: 'composite', valid: mrzCheckDigit(line1.slice(5) + line2.slice(0, 7) + line2.slice(8, 15) + line2.slice(18, 29)) === digit(line2[29]) }
+    ];
+
+    return { format: 'TD1', lines, valid: checks.every(check => check.valid), fields, checks };
+}
+
+/**
+ * Compare the printed fields of a card with its MRZ
+ * Names are compared without diacritics, since the MRZ has none.
+ * @param {Object} card - Canonical citizen-id data
+ * @param {Object} fields - Parsed MRZ fields
+ * @returns {Array<Object>} [{ path, printed, mrz, match }] for fields present on both
+ */
+export function compareMrz(card, fields) {
+    const comparisons = [
+        ['/id_number', card.id_number, fields.id_number, value => String(value).replace(/\D/g, '') || null],
+        ['/full_name', card.full_name, fields.full_name, value => asciiKey(value) || null],
+        ['/date_of_birth', card.date_of_birth, fields.date_of_birth, toIsoDate],
+        ['/date_of_expiry', card.date_of_expiry, fields.date_of_expiry, toIsoDate],
+        ['/sex', card.sex, fields.sex, sexCode]
+    ];
+
+    return comparisons
+        .filter(([, printed, mrz, read]) => typeof printed === 'string' && read(printed) !== null && mrz)
+        .map(([path, printed, mrz, read]) => ({ path, printed, mrz, match: read(printed) === read(mrz) }));
+}
+
+/**
+ * Read the sex printed on a card
+ * @param {string|null} value - "Nam", "Nữ", "M", "F"...
+ * @returns {string|null} male, female or null
+ */
+export function sexCode(value) {
+    const key = asciiKey(value ?? '');
+    if (['nam', 'male', 'm'].includes(key)) {
+        return 'male';
+    }
+    return ['nu', 'female', 'f'].includes(key) ? 'female' : null;
+}
+
+/**
+ * Convert a YYMMDD MRZ date to ISO 8601
+ * Birth dates take the latest century not in the future; expiry dates are in this century.
+ */
+function mrzDate(text, { now, past }) {
+    if (!/^\d{6}$/.test(text)) {
+        return null;
+    }
+    const [yy, mm, dd] = [text.slice(0, 2), text.slice(2, 4), text.slice(4, 6)];
+    let year = 2000 + Number(yy);
+    if (past && year > now.getUTCFullYear()) {
+        year -= 100;
+    }
+    return `${year}-${mm}-${dd}`;
+}
+
+/**
+ * Convert a printed dd/mm/yyyy (or ISO) date to ISO 8601
+ */
+function toIsoDate(text) {
+    const iso = String(text).match(/^(\d{4})-(\d{2})-(\d{2})$/);
+    if (iso) {
+        return iso[0];
+    }
+    const match = String(text).match(/(\d{1,2})[/.-](\d{1,2})[/.-](\d{4})/);
+    return match ? `${match[3]}-${match[2].padStart(2, '0')}-${match[1].padStart(2, '0')}` : null;
+}
+
+function toMrzText(value) {
+    if (Array.isArray(value)) {
+        return value.filter(line => typeof line === 'string').join('\n') || null;
+    }
+    return typeof value === 'string' && value.trim() ? value.trim() : null;
+}
+
+function isObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+export default CitizenIdMapper;
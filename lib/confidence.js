@@ -0,0 +1,400 @@
+import { toPointer } from "./provenance.js";
+import { editDistance } from "./ocr-corrector.js";
+import { fieldKey } from "./ensemble.js";
+import { ValidationError } from "./validation-error.js";
+
+/**
+ * Field Confidence
+ * ================
+ *
+ * Scores every canonical field from four signals and routes the document:
+ *
+ *   model       certainty the model reports for the field (_confidence, 0-1)
+ *   agreement   share of repeated or ensemble runs that read the same value
+ *   validation  warnings and schema violations on the field, by severity
+ *   ocr         1 - edit distance of OCR corrections, relative to the value length
+ *
+ * The field score is the product of the signals; a signal that was not
+ * measured counts as 1. When the model reported certainty for some fields,
+ * the others fall back to policy.defaultCertainty. Required fields that are
+ * empty score 0.
+ *
+ * The policy turns the scores into a decision:
+ *
+ *   reject        no canonical data, schema violations, or a document score below policy.reject
+ *   needs_review  a field below policy.accept, a high-severity warning, or no certainty
+ *                 or agreement signal on any field (nothing measured how well the model read)
+ *   auto_accept   otherwise
+ */
+
+export const CONFIDENCE_KEY = '_confidence';
+
+// Certainty given as words rather than a number
+const CERTAINTY_WORDS = { high: 0.9, medium: 0.6, low: 0.3 };
+
+// Canonical paths (array indices as []) that must have a value, per document type
+const REQUIRED_FIELDS = {
+    land_certificate: [
+        'metadata.certificate_number',
+        'metadata.registration_number',
+        'property_owners[].full_name',
+        'land_information.land_address',
+        'land_information.plot_number',
+        'land_information.map_sheet_number',
+        'land_information.area',
+        'issue_date'
+    ],
+    citizen_id: ['id_number', 'full_name', 'date_of_birth'],
+    marriage_certificate: ['registration_number', 'registration_date'],
+    sale_contract: ['contract_date', 'sellers[].full_name', 'buyers[].full_name', 'property.certificate_number']
+};
+
+export const DEFAULT_POLICY = {
+    accept: 0.9,
+    reject: 0.5,
+    defaultCertainty: 0.8,
+    severity: { high: 0.3, medium: 0.6, low: 0.85 },
+    required: REQUIRED_FIELDS
+};
+
+export class ConfidenceScorer {
+    /**
+     * @param {Object} options - Scorer options
+     * @param {Object} options.policy - Policy overrides (see DEFAULT_POLICY); accept and reject default to CONFIDENCE_ACCEPT and CONFIDENCE_REJECT
+     */
+    constructor(options = {}) {
+        this.policy = this.resolvePolicy({
+            accept: readThreshold(process.env.CONFIDENCE_ACCEPT),
+            reject: readThreshold(process.env.CONFIDENCE_REJECT),
+            ...options.policy
+        });
+    }
+
+    /**
+     * Merge policy overrides over the defaults
+     * @param {Object} overrides - Partial policy; undefined values are ignored
+     * @returns {Object} Policy
+     * @throws {ValidationError} When the overrides are not a valid policy
+     */
+    resolvePolicy(overrides = {}) {
+        if (!isObject(overrides)) {
+            throw new ValidationError('Invalid confidence policy: expected an object');
+        }
+        const defined = Object.fromEntries(Object.entries(overrides).filter(([, value]) => value !== undefined));
+        for (const key of ['severity', 'required']) {
+            if (defined[key] !== undefined && !isObject(defined[key])) {
+                throw new ValidationError(`Invalid confidence policy: ${key} must be an object`);
+            }
+        }
+        const policy = {
+            ...DEFAULT_POLICY,
+            ...defined,
+            severity: { ...DEFAULT_POLICY.severity, ...defined.severity },
+            required: { ...DEFAULT_POLICY.required, ...defined.required }
+        };
+
+        for (const [name, value] of [['accept', policy.accept], ['reject', policy.reject], ['defaultCertainty', policy.defaultCertainty],
+            ...Object.entries(policy.severity).map(([severity, factor]) => [`severity.${severity}`, factor])]) {
+            if (typeof value !== 'number' || !(value >= 0 && value <= 1)) {
+                throw new ValidationError(`Invalid confidence policy: ${name} must be a number between 0 and 1`);
+            }
+        }
+        for (const [documentType, fields] of Object.entries(policy.required)) {
+            if (!Array.isArray(fields) || !fields.every(field => typeof field === 'string')) {
+                throw new ValidationError(`Invalid confidence policy: required.${documentType} must be a list of field paths`);
+            }
+        }
+        if (policy.reject > policy.accept) {
+            throw new ValidationError(`Invalid confidence policy: need 0 <= reject (${policy.reject}) <= accept (${policy.accept}) <= 1`);
+        }
+        return policy;
+    }
+
+    /**
+     * Resolve the policy overrides of one result over the scorer's policy
+     * @param {Object} overrides - Partial policy (the confidencePolicy option)
+     * @returns {Object} Policy
+     * @throws {ValidationError} When the overrides are not a valid policy
+     */
+    policyFor(overrides) {
+        if (!isObject(overrides)) {
+            throw new ValidationError('Invalid confidence policy: expected an object');
+        }
+        return this.resolvePolicy({ ...this.policy, ...overrides });
+    }
+
+    /**
+     * Take the model's self-reported certainty out of extracted data
+     * @param {*} extracted - Extracted data, possibly with a _confidence key
+     * @returns {Object} { data, certainty: JSON pointer -> 0-1 (null when the model gave none), issues: [{ path, message }] }
+     */
+    split(extracted) {
+        if (!isObject(extracted) || !(CONFIDENCE_KEY in extracted)) {
+            return { data: extracted, certainty: null, issues: [] };
+        }
+
+        const { [CONFIDENCE_KEY]: raw, ...data } = extracted;
+        const certainty = {};
+        const issues = [];
+
+        const walk = (value, pointer) => {
+            if (isObject(value)) {
+                for (const [key, child] of Object.entries(value)) {
+                    walk(child, pointer ? `${pointer}/${key}` : toPointer(key));
+                }
+            } else if (Array.isArray(value)) {
+                value.forEach((item, index) => walk(item, `${pointer}/${index}`));
+            } else {
+                const parsed = parseCertainty(value);
+                if (parsed === null) {
+                    issues.push({ path: pointer || '/', message: `Unrecognized certainty: ${JSON.stringify(value)}` });
+                } else {
+                    certainty[pointer] = parsed;
+                }
+            }
+        };
+
+        walk(raw, '');
+        return { data, certainty, issues };
+    }
+
+    /**
+     * Carry certainty over to canonical fields through the mapper's source pointers
+     * @param {Object} certainty - Extracted JSON pointer -> 0-1
+     * @param {Object} sources - Canonical JSON pointer -> extracted JSON pointer (LandCertificateMapper.getSources)
+     * @returns {Object} Canonical JSON pointer -> 0-1
+     */
+    resolve(certainty, sources) {
+        return Object.fromEntries(Object.entries(sources)
+            .filter(([, extractedPath]) => certainty[extractedPath] !== undefined)
+            .map(([canonicalPath, extractedPath]) => [canonicalPath, certainty[extractedPath]]));
+    }
+
+    /**
+     * Score the fields of a post-processed result and decide how to route it
+     * @param {Object} result - Result with normalizedData, warnings, corrections and schemaValidation
+     * @param {Object} options - { policy: overrides for this result, agreement: JSON pointer -> share of runs that agree (see measureAgreement) }
+     * @returns {Object} { decision, score, fields: { pointer: { score, signals } }, reasons: [{ path, score?, code, message }], policy }
+     */
+    score(result, options = {}) {
+        const policy = options.policy ? this.policyFor(options.policy) : this.policy;
+        const reasons = [];
+
+        if (!result.normalizedData) {
+            reasons.push({ path: '', code: 'NO_DATA', message: 'No canonical data was extracted' });
+            return { decision: 'reject', score: 0, fields: {}, reasons, policy: summarize(policy) };
+        }
+
+        const leaves = collectLeaves(result.normalizedData);
+        const required = new Set(policy.required[result.documentType || 'land_certificate'] || []);
+        const certainty = result.modelCertainty?.canonical || {};
+        const agreement = options.agreement || {};
+        const penalties = this.collectPenalties(result, policy);
+        // Without any certainty or agreement, fields are scored by the checks alone
+        const measured = Object.keys(certainty).length > 0 || Object.keys(agreement).length > 0;
+        const assumed = measured ? policy.defaultCertainty : 1;
+        const fields = {};
+        let unmeasured = 0;
+
+        for (const { pointer, typePath, leaf } of leaves) {
+            const isRequired = required.has(typePath);
+            if (leaf.value === null && !isRequired) {
+                continue;
+            }
+
+            const signals = {
+                model: certainty[pointer] ?? null,
+                agreement: agreement[pointer] ?? null,
+                validation: this.validationFactor(pointer, penalties),
+                ocr: this.ocrFactor(pointer, result.corrections)
+            };
+            const score = leaf.value === null
+                ? 0
+                : round((signals.model ?? assumed) * (signals.agreement ?? 1) * signals.validation * signals.ocr);
+            fields[pointer] = { score, signals };
+
+            if (leaf.value === null) {
+                reasons.push({ path: pointer, score, code: 'REQUIRED_FIELD_MISSING', message: 'Required field is empty' });
+            } else if (score < policy.accept && isMeasured(signals)) {
+                reasons.push({ path: pointer, score, code: 'LOW_CONFIDENCE', message: describeSignals(signals, policy, assumed) });
+            } else if (score < policy.accept) {
+                unmeasured++;
+            }
+        }
+        if (!measured) {
+            reasons.push({
+                path: '',
+                code: 'CONFIDENCE_NOT_MEASURED',
+                message: 'No field has a certainty or agreement signal; scores reflect validation and OCR checks only'
+            });
+        }
+        // Fields held back only by the assumed certainty share one reason instead of one each
+        if (unmeasured > 0) {
+            reasons.push({
+                path: '',
+                code: 'CONFIDENCE_NOT_MEASURED',
+                message: `${unmeasured} field(s) have no certainty or agreement signal; ${policy.defaultCertainty} is assumed, below the accept threshold ${policy.accept}`
+            });
+        }
+
+        // Required array fields with no element at all (e.g. no owner was read)
+        for (const typePath of required) {
+            if (!leaves.some(item => item.typePath === typePath) && typePath.includes('[]')) {
+                const pointer = `/${typePath.split('[]')[0].replace(/\./g, '/')}`;
+                fields[pointer] = { score: 0, signals: { model: null, agreement: null, validation: 1, ocr: 1 } };
+                reasons.push({ path: pointer, score: 0, code: 'REQUIRED_FIELD_MISSING', message: 'No entry was extracted' });
+            }
+        }
+
+        const scores = Object.values(fields).map(field => field.score);
+        const score = scores.length > 0 ? round(scores.reduce((sum, value) => sum + value, 0) / scores.length) : 0;
+        const highWarnings = (result.warnings || []).filter(warning => warning.severity === 'high');
+        for (const warning of highWarnings.filter(item => !item.path)) {
+            reasons.push({ path: '', code: warning.code, message: warning.message });
+        }
+
+        let decision = 'auto_accept';
+        if (result.schemaValidation?.valid === false || score < policy.reject) {
+            decision = 'reject';
+            if (result.schemaValidation?.valid === false) {
+                reasons.unshift({ path: '', code: 'SCHEMA_INVALID', message: `${result.schemaValidation.violations.length} schema violation(s)` });
+            }
+        } else if (reasons.length > 0 || highWarnings.length > 0) {
+            decision = 'needs_review';
+        }
+
+        return { decision, score, fields, reasons, policy: summarize(policy) };
+    }
+
+    /**
+     * Collect the validation penalty of every warned or schema-violating path
+     * @returns {Array<Object>} [{ path, factor }]
+     */
+    collectPenalties(result, policy) {
+        return [
+            ...(result.warnings || []).map(warning => ({ path: warning.path, factor: policy.severity[warning.severity] ?? 1 })),
+            ...(result.schemaValidation?.violations || []).map(violation => ({ path: violation.path, factor: policy.severity.high }))
+        ].filter(penalty => penalty.path && penalty.path !== '/');
+    }
+
+    /**
+     * Lowest penalty factor of the warnings on a field or on an object containing it
+     * @returns {number} 0-1
+     */
+    validationFactor(pointer, penalties) {
+        return penalties
+            .filter(penalty => pointer === penalty.path || pointer.startsWith(`${penalty.path}/`))
+            .reduce((factor, penalty) => Math.min(factor, penalty.factor), 1);
+    }
+
+    /**
+     * How far OCR correction moved a field: applied fixes and open proposals both count
+     * @returns {number} 1 - edits / length of the value as read, at least 0
+     */
+    ocrFactor(pointer, corrections = []) {
+        const correction = corrections.find(item => item.path === pointer);
+        if (!correction || typeof correction.original !== 'string') {
+            return 1;
+        }
+
+        const applied = editDistance(correction.original, String(correction.corrected ?? ''));
+        const proposed = correction.changes
+            .filter(change => !change.applied)
+            .reduce((sum, change) => sum + editDistance(String(change.from), String(change.to)), 0);
+        return round(Math.max(0, 1 - (applied + proposed) / Math.max(1, correction.original.length)));
+    }
+}
+
+/**
+ * Measure how many runs read the same value for each field
+ * Values are compared by type after normalization, as ensemble votes are (see fieldKey in lib/ensemble.js).
+ * @param {Array<Object>} results - Post-processed results of the same document; the first is the one being scored
+ * @returns {Object} JSON pointer of the first result -> share of runs with the same value (0-1)
+ */
+export function measureAgreement(results) {
+    const runs = results.filter(result => result?.normalizedData).map(result => new Map(
+        collectLeaves(result.normalizedData).map(({ pointer, leaf }) => [pointer, fieldKey(leaf)])
+    ));
+    if (runs.length < 2) {
+        return {};
+    }
+
+    const agreement = {};
+    for (const [pointer, key] of runs[0]) {
+        const agreeing = runs.filter(run => (run.get(pointer) ?? null) === key).length;
+        agreement[pointer] = round(agreeing / runs.length);
+    }
+    return agreement;
+}
+
+/**
+ * List the normalized leaves of a document
+ * @param {Object} normalized - normalizedData
+ * @returns {Array<Object>} [{ pointer, typePath, leaf }] - typePath as in FIELD_TYPES (array indices as [])
+ */
+function collectLeaves(normalized) {
+    const leaves = [];
+
+    const walk = (value, pointer, typePath) => {
+        if (Array.isArray(value)) {
+            value.forEach((item, index) => walk(item, `${pointer}/${index}`, `${typePath}[]`));
+        } else if (isObject(value) && 'value' in value && 'original' in value) {
+            leaves.push({ pointer, typePath, leaf: value });
+        } else if (isObject(value)) {
+            for (const [key, child] of Object.entries(value)) {
+                walk(child, `${pointer}/${key}`, typePath ? `${typePath}.${key}` : key);
+            }
+        }
+    };
+
+    walk(normalized, '', '');
+    return leaves;
+}
+
+/**
+ * Read a threshold from the environment; unset or unparsable values keep the default, 0 is kept
+ */
+function readThreshold(value) {
+    const number = parseFloat(value);
+    return Number.isFinite(number) ? number : undefined;
+}
+
+function parseCertainty(value) {
+    if (typeof value === 'string' && CERTAINTY_WORDS[value.trim().toLowerCase()] !== undefined) {
+        return CERTAINTY_WORDS[value.trim().toLowerCase()];
+    }
+    const number = typeof value === 'string' ? parseFloat(value.replace('%', '')) : value;
+    if (typeof number !== 'number' || !Number.isFinite(number) || number < 0 || number > 100) {
+        return null;
+    }
+    // Percentages
+    return round(number > 1 ? number / 100 : number);
+}
+
+function isMeasured(signals) {
+    return signals.model !== null || signals.agreement !== null || signals.validation < 1 || signals.ocr < 1;
+}
+
+function describeSignals(signals, policy, assumed) {
+    const parts = [];
+    if (signals.model !== null && signals.model < policy.accept) parts.push(`model certainty ${signals.model}`);
+    if (signals.model === null && assumed < 1) parts.push(`model certainty not reported (${assumed} assumed)`);
+    if (signals.agreement !== null && signals.agreement < 1) parts.push(`${Math.round(signals.agreement * 100)}% of runs agree`);
+    if (signals.validation < 1) parts.push('validation warnings');
+    if (signals.ocr < 1) parts.push(`OCR correction changed ${Math.round((1 - signals.ocr) * 100)}% of the value`);
+    return parts.join(', ');
+}
+
+function summarize(policy) {
+    return { accept: policy.accept, reject: policy.reject, defaultCertainty: policy.defaultCertainty };
+}
+
+function round(value) {
+    return Math.round(value * 100) / 100;
+}
+
+function isObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+export default ConfidenceScorer;
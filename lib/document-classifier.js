@@ -0,0 +1,136 @@
+import { extractJson } from "./json-extractor.js";
+import { CERTIFICATE_GENERATIONS } from "./certificate-generations.js";
+
+/**
+ * Document Classifier
+ * ===================
+ *
+ * Decides what kind of document an upload is before any extraction runs, so
+ * that a CCCD card or a sale contract is not forced into the land-certificate
+ * JSON. The model answers a short prompt with one type code and a confidence;
+ * the analyzer then routes to the extractor registered for that type, or
+ * returns an "unsupported document" result. For land certificates the model
+ * also names the certificate generation, so its template can be used.
+ */
+
+export const DOCUMENT_TYPES = {
+    land_certificate: {
+        vi: 'Giấy chứng nhận quyền sử dụng đất, quyền sở hữu nhà ở (sổ đỏ, sổ hồng), kể cả các mẫu cũ',
+        en: 'Land use rights certificate (red or pink book), including older forms'
+    },
+    citizen_id: {
+        vi: 'Căn cước công dân, thẻ căn cước hoặc chứng minh nhân dân',
+        en: 'Citizen identity card or former ID card'
+    },
+    sale_contract: {
+        vi: 'Hợp đồng mua bán, chuyển nhượng hoặc tặng cho nhà đất',
+        en: 'Property sale, transfer or gift contract'
+    },
+    marriage_certificate: {
+        vi: 'Giấy chứng nhận kết hôn hoặc giấy xác nhận tình trạng hôn nhân',
+        en: 'Marriage certificate or marital status confirmation'
+    },
+    other: {
+        vi: 'Tài liệu khác hoặc không đọc được',
+        en: 'Other or unreadable document'
+    }
+};
+
+export class DocumentClassifier {
+    /**
+     * @param {Object} options - Classifier options
+     * @param {number} options.minConfidence - Below this confidence a classification is flagged for review (default CLASSIFICATION_MIN_CONFIDENCE or 0.6)
+     * @param {number} options.maxTokens - Completion limit of the classification call (default CLASSIFICATION_MAX_TOKENS or 300)
+     */
+    constructor(options = {}) {
+        this.minConfidence = options.minConfidence ?? parseFloat(process.env.CLASSIFICATION_MIN_CONFIDENCE ?? '0.6');
+        this.maxTokens = options.maxTokens || parseInt(process.env.CLASSIFICATION_MAX_TOKENS) || 300;
+    }
+
+    /**
+     * Build the classification prompt from the known document types
+     * @returns {string} Prompt
+     */
+    buildPrompt() {
+        const types = Object.entries(DOCUMENT_TYPES).map(([code, labels]) => `- ${code}: ${labels.vi}`).join('\n');
+        const generations = Object.entries(CERTIFICATE_GENERATIONS).map(([code, template]) => `- ${code}: ${template.vi}`).join('\n');
+
+        return `
+Bạn là trợ lý phân loại hồ sơ vay thế chấp bất động sản.
+
+Hãy xác định loại tài liệu trong ảnh và chọn đúng một mã:
+${types}
+
+Nếu là land_certificate, chọn thêm mẫu giấy chứng nhận theo tiêu đề và bố cục (null nếu không chắc chắn):
+${generations}
+
+Chỉ trả về một đối tượng JSON duy nhất, không giải thích thêm:
+{"document_type": "<mã>", "generation": "<mã mẫu hoặc null>", "confidence": <số từ 0 đến 1>, "reason": "<lý do ngắn gọn>"}
+        `.trim();
+    }
+
+    /**
+     * Parse the model's classification answer
+     * @param {string} content - Model response text
+     * @returns {Object} { documentType, confidence, reason, generation?, error? } - documentType is null when the answer is unusable;
+     *   generation (a known generation code or null) is only set for land certificates
+     */
+    parse(content) {
+        const { data, error } = extractJson(content);
+        if (!data) {
+            return { documentType: null, confidence: null, reason: null, error: error || 'No classification found' };
+        }
+
+        const code = String(data.document_type ?? data.documentType ?? '').trim().toLowerCase();
+        const confidence = this.parseConfidence(data.confidence);
+        const reason = typeof data.reason === 'string' ? data.reason : null;
+
+        if (!code) {
+            return { documentType: null, confidence, reason, error: 'Classification has no document_type' };
+        }
+        if (!Object.hasOwn(DOCUMENT_TYPES, code)) {
+            // An unknown code still tells us it is not one of the supported documents
+            return { documentType: 'other', confidence, reason: reason || `Unknown document type "${code}"` };
+        }
+        if (code === 'land_certificate') {
+            const generation = String(data.generation ?? '').trim().toLowerCase();
+            return { documentType: code, confidence, reason, generation: Object.hasOwn(CERTIFICATE_GENERATIONS, generation) ? generation : null };
+        }
+        return { documentType: code, confidence, reason };
+    }
+
+    /**
+     * Read a confidence given as 0-1, a percentage, or a numeric string
+     * @param {*} value - Raw confidence
+     * @returns {number|null} Confidence in [0, 1]
+     */
+    parseConfidence(value) {
+        const number = typeof value === 'string' ? parseFloat(value.replace(',', '.')) : value;
+        if (typeof number !== 'number' || !Number.isFinite(number)) {
+            return null;
+        }
+        const fraction = number > 1 ? number / 100 : number;
+        return Math.min(1, Math.max(0, fraction));
+    }
+
+    /**
+     * Check whether a classification should be reviewed by a person
+     * @param {Object} classification - Parsed classification
+     * @returns {boolean} Confidence is missing or below minConfidence
+     */
+    isLowConfidence(classification) {
+        return classification.confidence === null || classification.confidence < this.minConfidence;
+    }
+
+    /**
+     * Label of a document type
+     * @param {string} documentType - Type code
+     * @param {string} language - 'vi' or 'en'
+     * @returns {string} Label
+     */
+    getLabel(documentType, language = 'vi') {
+        return DOCUMENT_TYPES[documentType]?.[language] || documentType;
+    }
+}
+
+export default DocumentClassifier;
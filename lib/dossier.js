@@ -0,0 +1,577 @@
+import { asciiKey } from "./gazetteer.js";
+import { VietnameseNormalizer } from "./normalizer.js";
+import { IdentityValidator } from "./id-validator.js";
+import { OwnerVerifier, personKey } from "./owner-verifier.js";
+
+/**
+ * Loan Dossiers
+ * =============
+ *
+ * Consolidates the analyzed documents of a collateral dossier - the land
+ * certificate, the owners' citizen ID cards, a marriage certificate and
+ * sometimes a notarized sale contract - into one collateral profile:
+ *
+ *   property          the parcel, from the certificate, corroborated by the contract
+ *   legalOwners       the owners on the certificate, completed from their cards
+ *   spousesToConsent  spouses of owners who are not owners themselves; they also sign the mortgage
+ *   encumbrances      mortgages, seizures and disputes registered on the certificate or stated in the contract
+ *
+ * Every fact is { value, sources: [{ document, documentType, page, path }] }.
+ * The first document in priority order (certificate, card, marriage
+ * certificate, contract) gives the value and documents that agree with it
+ * are added to its sources. Documents that disagree produce a conflict
+ * listing each value with its source; they never silently overwrite it.
+ * page is null when a document has several pages and the model gave no
+ * evidence for the field (see lib/provenance.js).
+ */
+
+const PROPERTY_FIELDS = ['certificate_number', 'registration_number', 'land_address', 'plot_number', 'map_sheet_number', 'area', 'usage_purpose', 'usage_form', 'usage_duration', 'usage_origin'];
+
+// Certificate pointer of each property fact
+const CERTIFICATE_PATHS = {
+    certificate_number: '/metadata/certificate_number',
+    registration_number: '/metadata/registration_number'
+};
+
+// Property facts that identify the parcel; a disagreement means the documents are about different property
+const PROPERTY_IDENTIFIERS = ['certificate_number', 'registration_number', 'plot_number', 'map_sheet_number', 'area'];
+
+const PERSON_FIELDS = ['full_name', 'date_of_birth', 'id_number'];
+
+const ENCUMBRANCE_PATTERNS = [
+    ['mortgage', /the chap/],
+    ['seizure', /ke bien|phong toa/],
+    ['dispute', /tranh chap/],
+    ['lease', /cho thue/],
+    ['capital_contribution', /gop von/]
+];
+// A release names what it ends: "xóa (nội dung) (đăng ký) thế chấp", "giải chấp" (a mortgage), "giải tỏa" (a seizure)
+const RELEASE_PATTERNS = [
+    ['mortgage', /xoa (?:noi dung )?(?:dang ky )?the chap|giai chap/],
+    ['seizure', /xoa (?:noi dung )?(?:dang ky )?(?:ke bien|phong toa)|giai toa/]
+];
+const NEGATION_PATTERN = /\bkhong\b/;
+const SINGLE_PATTERN = /chua (?:dang ky )?ket hon|doc than/;
+
+export class DossierConsolidator {
+    /**
+     * @param {Object} options - Consolidator options
+     * @param {VietnameseNormalizer} options.normalizer - Area, date and address normalizer (default a new VietnameseNormalizer)
+     * @param {IdentityValidator} options.identityValidator - ID number classifier (default one sharing the normalizer)
+     * @param {OwnerVerifier} options.ownerVerifier - Pairs owners with their cards (default one sharing both)
+     */
+    constructor(options = {}) {
+        this.normalizer = options.normalizer || new VietnameseNormalizer();
+        this.identityValidator = options.identityValidator || new IdentityValidator({ normalizer: this.normalizer });
+        this.ownerVerifier = options.ownerVerifier || new OwnerVerifier({ normalizer: this.normalizer, identityValidator: this.identityValidator });
+    }
+
+    /**
+     * Consolidate analyzed documents into a collateral profile
+     * @param {Array<Object>} documents - [{ id, name, pageCount, result, error? }]; result is an analysis result, error a failed analysis
+     * @returns {Object} { status, documents, property, legalOwners, spousesToConsent, encumbrances, contracts, conflicts, missing, unassignedDocuments }
+     *   status is conflicting (any conflict), incomplete (a document is missing) or consistent
+     */
+    consolidate(documents = []) {
+        const analyzed = documents.filter(document => document.result?.canonicalData);
+        const ofType = type => analyzed.filter(document => document.result.documentType === type);
+        const certificates = ofType('land_certificate');
+        const cards = ofType('citizen_id');
+        const marriages = ofType('marriage_certificate');
+        const contracts = ofType('sale_contract');
+
+        const conflicts = [];
+        const missing = [];
+        const assigned = new Set();
+        const certificate = certificates[0] || null;
+        if (!certificate) {
+            missing.push({ documentType: 'land_certificate', path: '/property', reason: 'No land certificate was analyzed' });
+        }
+
+        const property = this.buildProperty(certificates, contracts, conflicts);
+        const { legalOwners, spousesToConsent } = this.buildParties(certificate, cards, marriages, contracts, conflicts, missing, assigned);
+
+        certificates.forEach(document => assigned.add(document.id));
+        contracts.forEach(document => assigned.add(document.id));
+
+        const encumbrances = this.buildEncumbrances(certificates, contracts);
+        const contractSummaries = contracts.map(document => this.describeContract(document, legalOwners, conflicts));
+
+        return {
+            status: conflicts.length > 0 ? 'conflicting' : missing.length > 0 ? 'incomplete' : 'consistent',
+            documents: documents.map(document => this.describeDocument(document)),
+            property,
+            legalOwners,
+            spousesToConsent,
+            encumbrances,
+            contracts: contractSummaries,
+            conflicts,
+            missing,
+            unassignedDocuments: documents.map(document => document.id).filter(id => !assigned.has(id))
+        };
+    }
+
+    /**
+     * Summarize a document of the dossier
+     * @returns {Object} { id, name, documentType, status, pageCount, warnings, error? } - status is analyzed, unsupported or failed
+     */
+    describeDocument(document) {
+        const { result } = document;
+        const status = result?.canonicalData ? 'analyzed' : result?.status === 'unsupported_document' ? 'unsupported' : 'failed';
+        const summary = {
+            id: document.id,
+            name: document.name ?? null,
+            documentType: result?.documentType ?? null,
+            status,
+            pageCount: document.pageCount ?? null,
+            warnings: result?.warnings || []
+        };
+        if (status !== 'analyzed') {
+            summary.error = document.error ?? result?.message ?? result?.metadata?.extractionError ?? 'No data was extracted';
+        }
+        return summary;
+    }
+
+    /**
+     * Build the property facts from the certificates, then the contracts
+     * @returns {Object} Fact per field, plus assets from the first certificate
+     */
+    buildProperty(certificates, contracts, conflicts) {
+        const property = {};
+        for (const field of PROPERTY_FIELDS) {
+            const certificatePath = CERTIFICATE_PATHS[field] || `/land_information/${field}`;
+            const candidates = [
+                ...certificates.map(document => this.candidate(document, certificatePath)),
+                ...contracts.map(document => this.candidate(document, `/property/${field}`))
+            ];
+            property[field] = this.mergeFact(`/property/${field}`, candidates, this.comparator(field), conflicts, {
+                code: 'PROPERTY_MISMATCH',
+                severity: PROPERTY_IDENTIFIERS.includes(field) ? 'high' : 'medium'
+            });
+        }
+
+        const [certificate] = certificates;
+        property.assets = (certificate?.result.canonicalData.assets_attached_to_land || []).map((asset, index) => ({
+            value: asset,
+            sources: [this.source(certificate, `/assets_attached_to_land/${index}`)]
+        }));
+        return property;
+    }
+
+    /**
+     * Build the legal owners and the spouses who must consent
+     * Owners come from the first certificate; cards, marriage certificates and contract parties are matched to them.
+     * @returns {Object} { legalOwners, spousesToConsent }
+     */
+    buildParties(certificate, cards, marriages, contracts, conflicts, missing, assigned) {
+        const owners = certificate?.result.canonicalData.property_owners || [];
+        const verification = this.ownerVerifier.verify(owners, cards.map(document => document.result.canonicalData));
+
+        const people = owners.map((owner, index) => {
+            const card = verification.owners[index].card;
+            const person = {
+                path: `/legalOwners/${index}`,
+                name: owner?.full_name ?? null,
+                key: keyOf(owner?.full_name),
+                candidates: this.personCandidates(certificate, `/property_owners/${index}`, { address: 'permanent_address' }),
+                card: card === null ? null : cards[card],
+                verification: verification.owners[index].verdict,
+                spouse: null,
+                maritalStatus: null
+            };
+            if (person.card) {
+                person.candidates.push(...this.cardCandidates(person.card));
+                assigned.add(person.card.id);
+            }
+            return person;
+        });
+
+        const remainingCards = verification.unmatchedCards.map(index => ({ index, ...this.ownerVerifier.readCard(cards[index].result.canonicalData) }));
+        const spouses = [];
+        for (const marriage of marriages) {
+            this.applyMarriage(marriage, people, spouses, conflicts, assigned);
+        }
+        people.forEach(person => this.checkMaritalStatus(person, conflicts));
+        for (const spouse of spouses) {
+            const card = this.ownerVerifier.findCard(spouse.person, remainingCards.filter(candidate => !assigned.has(cards[candidate.index].id)));
+            if (card) {
+                spouse.card = cards[card.index];
+                spouse.candidates.push(...this.cardCandidates(spouse.card));
+                assigned.add(spouse.card.id);
+            }
+        }
+        for (const contract of contracts) {
+            this.applyContractParties(contract, people);
+        }
+
+        const legalOwners = people.map(person => ({
+            ...this.mergePerson(person, conflicts, 'OWNER_MISMATCH'),
+            verification: person.verification,
+            card: person.card?.id ?? null,
+            spouse: person.spouse,
+            marital_status: person.maritalStatus
+        }));
+        const spousesToConsent = spouses.map((spouse, index) => ({
+            ...this.mergePerson({ ...spouse, path: `/spousesToConsent/${index}` }, conflicts, 'SPOUSE_MISMATCH'),
+            spouse_of: spouse.spouseOf,
+            card: spouse.card?.id ?? null
+        }));
+
+        [...legalOwners.map((owner, index) => [owner, `/legalOwners/${index}`]), ...spousesToConsent.map((spouse, index) => [spouse, `/spousesToConsent/${index}`])]
+            .filter(([person]) => person.card === null)
+            .forEach(([person, path]) => missing.push({ documentType: 'citizen_id', path, reason: `No citizen ID card for ${person.full_name.value ?? path}` }));
+
+        return { legalOwners, spousesToConsent };
+    }
+
+    /**
+     * Match the husband and wife (or the confirmed person) of a marriage document to the owners
+     * A spouse who is not an owner is added to spouses; a marriage of none of the owners is a conflict.
+     */
+    applyMarriage(marriage, people, spouses, conflicts, assigned) {
+        const data = marriage.result.canonicalData;
+        const find = person => (person?.full_name ? people.find(candidate => candidate.key === keyOf(person.full_name)) : null);
+
+        if (data.document_kind === 'marital_status') {
+            const owner = find(data.subject);
+            if (owner) {
+                owner.maritalStatus = { value: data.marital_status, sources: [this.source(marriage, '/marital_status')] };
+                owner.candidates.push(...this.personCandidates(marriage, '/subject', { address: 'place_of_residence' }));
+                assigned.add(marriage.id);
+            }
+            return;
+        }
+
+        const partners = ['husband', 'wife'].filter(role => data[role]?.full_name).map(role => ({ role, data: data[role], owner: find(data[role]) }));
+        if (partners.length > 0 && partners.every(partner => !partner.owner)) {
+            conflicts.push({
+                path: '/spousesToConsent',
+                code: 'MARRIAGE_PARTIES_NOT_OWNERS',
+                severity: 'medium',
+                message: `Neither ${partners.map(partner => partner.data.full_name).join(' nor ')} is an owner on the certificate`,
+                values: partners.map(partner => ({ value: partner.data.full_name, source: this.source(marriage, `/${partner.role}/full_name`) }))
+            });
+            return;
+        }
+
+        assigned.add(marriage.id);
+        for (const partner of partners.filter(item => item.owner)) {
+            partner.owner.candidates.push(...this.personCandidates(marriage, `/${partner.role}`, { address: null }));
+            const other = partners.find(item => item !== partner);
+            if (!other) {
+                continue;
+            }
+
+            partner.owner.spouse = { value: other.data.full_name, sources: [this.source(marriage, `/${other.role}/full_name`)] };
+            if (other.owner) {
+                continue;
+            }
+
+            const key = keyOf(other.data.full_name);
+            const existing = spouses.find(spouse => spouse.key === key);
+            const candidates = this.personCandidates(marriage, `/${other.role}`, { address: 'place_of_residence' });
+            if (existing) {
+                existing.candidates.push(...candidates);
+            } else {
+                spouses.push({
+                    key,
+                    person: { full_name: other.data.full_name, id_number: other.data.id_number },
+                    spouseOf: partner.owner.name,
+                    candidates,
+                    card: null
+                });
+            }
+        }
+    }
+
+    /**
+     * Flag an owner confirmed as unmarried who also appears on a marriage certificate
+     */
+    checkMaritalStatus(owner, conflicts) {
+        const status = owner.maritalStatus;
+        if (!owner.spouse || !status || !SINGLE_PATTERN.test(asciiKey(status.value ?? ''))) {
+            return;
+        }
+        conflicts.push({
+            path: `${owner.path}/marital_status`,
+            code: 'MARITAL_STATUS_MISMATCH',
+            severity: 'high',
+            message: `Confirmed as "${status.value}", but a marriage certificate names ${owner.spouse.value} as spouse`,
+            values: [{ value: status.value, source: status.sources[0] }, { value: owner.spouse.value, source: owner.spouse.sources[0] }]
+        });
+    }
+
+    /**
+     * Add the contract parties that match an owner to the owner's candidates
+     */
+    applyContractParties(contract, people) {
+        const data = contract.result.canonicalData;
+        for (const role of ['sellers', 'buyers']) {
+            (data[role] || []).forEach((party, index) => {
+                const owner = people.find(person => person.key && person.key === keyOf(party.full_name));
+                owner?.candidates.push(...this.personCandidates(contract, `/${role}/${index}`, { address: 'permanent_address' }));
+            });
+        }
+    }
+
+    /**
+     * Describe a contract and check that its parties include the certificate owners
+     * @returns {Object} { document, contract_type, role, contract_date, price } - role is acquisition (owners are the buyers), disposal (owners are the sellers) or null
+     */
+    describeContract(contract, legalOwners, conflicts) {
+        const data = contract.result.canonicalData;
+        const ownerKeys = new Set(legalOwners.map(owner => keyOf(owner.full_name.value)).filter(Boolean));
+        const matches = role => (data[role] || []).some(party => ownerKeys.has(keyOf(party.full_name)));
+        const role = matches('buyers') ? 'acquisition' : matches('sellers') ? 'disposal' : null;
+
+        if (!role && legalOwners.length > 0) {
+            conflicts.push({
+                path: '/contracts',
+                code: 'CONTRACT_PARTIES_MISMATCH',
+                severity: 'high',
+                message: `No party of contract ${contract.name ?? contract.id} is an owner on the certificate`,
+                values: ['sellers', 'buyers'].flatMap(side => (data[side] || []).map((party, index) => ({
+                    value: party.full_name,
+                    source: this.source(contract, `/${side}/${index}/full_name`)
+                })))
+            });
+        }
+
+        const fact = field => (this.normalizer.isPlaceholder(data[field]) ? { value: null, sources: [] } : { value: data[field], sources: [this.source(contract, `/${field}`)] });
+        return { document: contract.id, contract_type: data.contract_type, role, contract_date: fact('contract_date'), price: fact('price') };
+    }
+
+    /**
+     * Collect the registered and declared encumbrances
+     * Clauses are read in order: a release ("xóa thế chấp", "giải chấp") closes the last active encumbrance of its type.
+     * @returns {Array<Object>} [{ type, status, text, source, release }] - status is active or released
+     */
+    buildEncumbrances(certificates, contracts) {
+        const texts = [
+            ...certificates.flatMap(document => ['/changes_after_certificate/content', '/notes'].map(path => [document, path])),
+            ...contracts.map(document => [document, '/encumbrances'])
+        ];
+
+        const encumbrances = [];
+        for (const [document, path] of texts) {
+            const text = this.valueAt(document, path);
+            if (typeof text !== 'string' || this.normalizer.isPlaceholder(text)) {
+                continue;
+            }
+
+            for (const clause of text.split(/\r?\n|;|\.(?=\s)/).map(part => part.trim()).filter(Boolean)) {
+                const key = asciiKey(clause);
+                const source = this.source(document, path);
+
+                // Releases first: "giải chấp" matches no encumbrance pattern, "xóa thế chấp" matches the mortgage itself
+                const release = RELEASE_PATTERNS.find(([, pattern]) => pattern.test(key));
+                if (release) {
+                    const [type] = release;
+                    const open = encumbrances.filter(item => item.type === type && item.status === 'active').pop();
+                    if (open) {
+                        open.status = 'released';
+                        open.release = { text: clause, source };
+                    } else {
+                        encumbrances.push({ type, status: 'released', text: clause, source, release: { text: clause, source } });
+                    }
+                    continue;
+                }
+
+                const match = ENCUMBRANCE_PATTERNS.find(([, pattern]) => pattern.test(key));
+                if (match && !isNegated(key, match[1])) {
+                    encumbrances.push({ type: match[0], status: 'active', text: clause, source, release: null });
+                }
+            }
+        }
+        return encumbrances;
+    }
+
+    /**
+     * Merge a person's candidates into facts
+     * @returns {Object} { full_name, date_of_birth, id_number, address }
+     */
+    mergePerson(person, conflicts, code) {
+        const fields = [...PERSON_FIELDS, 'address'];
+        return Object.fromEntries(fields.map(field => [field, this.mergeFact(
+            `${person.path}/${field}`,
+            person.candidates.filter(candidate => candidate.field === field),
+            this.comparator(field),
+            conflicts,
+            { code, severity: field === 'address' ? 'medium' : 'high' }
+        )]));
+    }
+
+    /**
+     * Merge candidate values of one fact
+     * The first present value wins; candidates that agree become sources, candidates that disagree a conflict.
+     * @param {string} path - Profile pointer of the fact
+     * @param {Array<Object>} candidates - [{ value, source }] in priority order
+     * @param {Function} same - (a, b) => true, false or null (cannot tell)
+     * @param {Array<Object>} conflicts - Conflicts, appended to
+     * @param {Object} conflict - { code, severity }
+     * @returns {Object} { value, sources }
+     */
+    mergeFact(path, candidates, same, conflicts, conflict) {
+        const present = candidates.filter(candidate => !this.normalizer.isPlaceholder(candidate.value));
+        if (present.length === 0) {
+            return { value: null, sources: [] };
+        }
+
+        const [first, ...rest] = present;
+        const agreeing = [first];
+        const disagreeing = [];
+        for (const candidate of rest) {
+            const match = same(first.value, candidate.value);
+            if (match === true) {
+                agreeing.push(candidate);
+            } else if (match === false) {
+                disagreeing.push(candidate);
+            }
+        }
+
+        if (disagreeing.length > 0) {
+            conflicts.push({
+                path,
+                ...conflict,
+                message: `${describeSource(first.source)} has "${first.value}", but ${disagreeing.map(candidate => `${describeSource(candidate.source)} has "${candidate.value}"`).join(', ')}`,
+                values: [first, ...disagreeing].map(({ value, source }) => ({ value, source }))
+            });
+        }
+        return { value: first.value, sources: agreeing.map(candidate => candidate.source) };
+    }
+
+    /**
+     * Get the comparison of a fact
+     * @param {string} field - Property or person field
+     * @returns {Function} (a, b) => true, false or null
+     */
+    comparator(field) {
+        if (field === 'full_name') {
+            return (a, b) => personKey(a) === personKey(b);
+        }
+        if (field === 'id_number') {
+            return (a, b) => {
+                const [first, second] = [a, b].map(value => this.identityValidator.classify(value));
+                if (first.number === second.number) {
+                    return true;
+                }
+                // A passport or CMND number does not contradict a CCCD number
+                return first.type === second.type ? false : null;
+            };
+        }
+        if (field === 'date_of_birth') {
+            return (a, b) => {
+                const [first, second] = [a, b].map(value => this.normalizer.normalizeDate(value));
+                if (first.year === null || second.year === null) {
+                    return null;
+                }
+                return first.precision === 'day' && second.precision === 'day' ? first.value === second.value : first.year === second.year;
+            };
+        }
+        if (field === 'address' || field === 'land_address') {
+            return (a, b) => ({ match: true, mismatch: false })[this.ownerVerifier.compareAddresses(a, b).status] ?? null;
+        }
+        if (field === 'area') {
+            return (a, b) => {
+                const [first, second] = [a, b].map(value => this.normalizer.normalizeArea(value).value);
+                return first === null || second === null ? null : Math.abs(first - second) < 0.05;
+            };
+        }
+        if (PROPERTY_IDENTIFIERS.includes(field)) {
+            return (a, b) => compactIdentifier(a) === compactIdentifier(b);
+        }
+        return (a, b) => compactText(a) === compactText(b);
+    }
+
+    /**
+     * Person candidates of a document section
+     * @param {Object} document - Dossier document
+     * @param {string} basePath - Pointer of the person in the canonical data
+     * @param {Object} fields - { address: field holding the address, or null }
+     * @returns {Array<Object>} [{ field, value, source }]
+     */
+    personCandidates(document, basePath, { address }) {
+        const fields = [...PERSON_FIELDS.map(field => [field, field]), ...(address ? [['address', address]] : [])];
+        return fields.map(([field, key]) => ({ field, ...this.candidate(document, `${basePath}/${key}`) }));
+    }
+
+    /**
+     * Person candidates of a citizen ID card, with the MRZ standing in for missing fields and the former number as a second ID
+     */
+    cardCandidates(document) {
+        const card = this.ownerVerifier.readCard(document.result.canonicalData);
+        return [
+            { field: 'full_name', value: card.full_name, source: this.source(document, '/full_name') },
+            { field: 'date_of_birth', value: card.date_of_birth, source: this.source(document, '/date_of_birth') },
+            { field: 'id_number', value: card.id_number, source: this.source(document, '/id_number') },
+            { field: 'id_number', value: card.previous_id_number, source: this.source(document, '/previous_id_number') },
+            { field: 'address', value: card.place_of_residence, source: this.source(document, '/place_of_residence') }
+        ];
+    }
+
+    /**
+     * Candidate value of a fact
+     * @returns {Object} { value, source }
+     */
+    candidate(document, path) {
+        return { value: this.valueAt(document, path), source: this.source(document, path) };
+    }
+
+    /**
+     * Source of a fact
+     * @param {Object} document - Dossier document
+     * @param {string} path - JSON pointer in the document's canonical data
+     * @returns {Object} { document, documentType, page, path } - page comes from the field's evidence, is 1 for single-page documents, otherwise null
+     */
+    source(document, path) {
+        // Evidence pages only count the document's own pages when they were sent separately
+        const { provenance } = document.result;
+        const evidence = provenance?.pageMode === 'pages' ? provenance.canonical[path] : null;
+        return {
+            document: document.id,
+            documentType: document.result.documentType,
+            page: evidence?.page ?? (document.pageCount === 1 ? 1 : null),
+            path
+        };
+    }
+
+    /**
+     * Read a JSON pointer from a document's canonical data
+     * @returns {*} Value, or null
+     */
+    valueAt(document, path) {
+        let value = document.result.canonicalData;
+        for (const key of path.split('/').slice(1)) {
+            value = value?.[key];
+        }
+        return value ?? null;
+    }
+}
+
+function describeSource(source) {
+    return `${source.documentType} ${source.document}`;
+}
+
+function keyOf(name) {
+    return typeof name === 'string' && name.trim() ? personKey(name) : null;
+}
+
+function compactIdentifier(value) {
+    const compact = String(value).toUpperCase().replace(/[^A-Z0-9]/g, '');
+    return /^\d+$/.test(compact) ? compact.replace(/^0+(?=\d)/, '') : compact;
+}
+
+function compactText(value) {
+    return asciiKey(String(value)).replace(/[^a-z0-9]/g, '');
+}
+
+/**
+ * Whether a clause denies its encumbrance, e.g. "không bị thế chấp"
+ */
+function isNegated(key, pattern) {
+    const at = key.search(pattern);
+    const negation = key.search(NEGATION_PATTERN);
+    return negation !== -1 && negation < at;
+}
+
+export default DossierConsolidator;
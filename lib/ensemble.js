@@ -0,0 +1,270 @@
+import { normalizeValue } from "./evaluation.js";
+
+/**
+ * Ensemble Consensus
+ * ==================
+ *
+ * Votes the canonical fields of several runs over the same document (N
+ * models, or N samples of one model) into one consensus result:
+ *
+ *   - Arrays of people are aligned by ID number or name, not by position,
+ *     so runs that list the owners in a different order still vote together.
+ *     An entry is kept when at least half of the runs read it.
+ *   - Fields are compared by type on their normalized values: dates by ISO
+ *     date, areas by m², addresses by street and administrative units, and
+ *     other text ignoring case, spaces and punctuation. "06/04/2019" and
+ *     "06 tháng 04 năm 2019" are the same vote; "20/04/2014" is not.
+ *   - The value with most votes wins. A tie goes to a value over an empty
+ *     field, then to the earliest run.
+ *
+ * Every field the runs did not all read the same way is listed in the
+ * disagreement report with the runs behind each value.
+ */
+
+export class EnsembleVoter {
+    /**
+     * Vote the canonical data of several runs of the same document
+     * @param {Array<Object>} results - Post-processed results; runs without canonical data do not vote
+     * @returns {Object} { canonicalData, voters, agreement, fields, disagreements, sources }
+     *   voters: indices of the runs that voted; agreement: JSON pointer -> share of voters behind the consensus value;
+     *   fields: pointer -> { status, agreement, value }; disagreements: [{ kind, path, status, agreement, consensus, values }];
+     *   sources: pointer -> [{ run, pointer }] the runs and their own pointers behind the consensus value
+     */
+    vote(results) {
+        const voters = results
+            .map((result, index) => ({ index, result }))
+            .filter(({ result }) => result?.canonicalData && result?.normalizedData);
+        if (voters.length === 0) {
+            throw new Error('No run extracted data to vote on');
+        }
+
+        const state = { total: voters.length, fields: {}, disagreements: [], sources: {} };
+        const entries = voters.map(({ index, result }) => ({
+            run: index,
+            pointer: '',
+            canonical: result.canonicalData,
+            normalized: result.normalizedData
+        }));
+        const canonicalData = this.voteNode(entries, '', state);
+
+        return {
+            canonicalData,
+            voters: voters.map(voter => voter.index),
+            agreement: Object.fromEntries(Object.entries(state.fields).map(([pointer, field]) => [pointer, field.agreement])),
+            fields: state.fields,
+            disagreements: state.disagreements,
+            sources: state.sources
+        };
+    }
+
+    /**
+     * Vote one node of the document
+     * @param {Array<Object>} entries - Per voting run: { run, pointer, canonical, normalized }; undefined where the run has no such node
+     * @param {string} pointer - JSON pointer of the node in the consensus
+     * @param {Object} state - Vote state
+     * @returns {*} Consensus canonical value
+     */
+    voteNode(entries, pointer, state) {
+        const present = entries.filter(entry => entry.normalized !== undefined && entry.normalized !== null);
+
+        if (present.some(entry => Array.isArray(entry.normalized))) {
+            return this.voteArray(entries, pointer, state);
+        }
+        if (present.some(entry => isLeaf(entry.normalized))) {
+            return this.voteLeaf(entries, pointer, state);
+        }
+        if (present.some(entry => isObject(entry.normalized))) {
+            const keys = [...new Set(present.flatMap(entry => (isObject(entry.normalized) ? Object.keys(entry.normalized) : [])))];
+            const consensus = {};
+            for (const key of keys) {
+                const value = this.voteNode(entries.map(entry => child(entry, key)), `${pointer}/${key}`, state);
+                if (value !== undefined) {
+                    consensus[key] = value;
+                }
+            }
+            return consensus;
+        }
+
+        // No run read anything here; keep the first run's empty value
+        return entries.find(entry => entry.canonical !== undefined)?.canonical;
+    }
+
+    /**
+     * Align the entries of an array across runs and vote each entry that at least half of the runs read
+     */
+    voteArray(entries, pointer, state) {
+        const slots = [];
+        for (const entry of entries) {
+            const items = Array.isArray(entry.normalized) ? entry.normalized : [];
+            items.forEach((item, index) => {
+                const keys = identityKeys(item);
+                // Entries without an identity (e.g. attached assets) are aligned by position
+                let slot = slots.find(candidate => candidate.members[entry.run] === undefined && (keys.length > 0
+                    ? keys.some(key => candidate.keys.has(key))
+                    : candidate.keys.size === 0 && candidate.index === index));
+                if (!slot) {
+                    slot = { keys: new Set(), index, members: {} };
+                    slots.push(slot);
+                }
+                keys.forEach(key => slot.keys.add(key));
+                slot.members[entry.run] = index;
+            });
+        }
+
+        const consensus = [];
+        for (const slot of slots) {
+            const runs = entries.filter(entry => slot.members[entry.run] !== undefined);
+            if (runs.length * 2 < state.total) {
+                const absent = entries.filter(entry => slot.members[entry.run] === undefined).map(entry => entry.run);
+                state.disagreements.push({
+                    kind: 'item',
+                    path: pointer,
+                    status: absent.length * 2 > state.total ? 'majority' : 'no_majority',
+                    agreement: round(absent.length / state.total),
+                    consensus: null,
+                    values: [
+                        { value: runs[0].canonical[slot.members[runs[0].run]], normalized: null, runs: runs.map(entry => entry.run) },
+                        { value: null, normalized: null, runs: absent }
+                    ]
+                });
+                continue;
+            }
+
+            const aligned = entries.map(entry => child(entry, slot.members[entry.run]));
+            consensus.push(this.voteNode(aligned, `${pointer}/${consensus.length}`, state));
+        }
+        return consensus;
+    }
+
+    /**
+     * Vote a normalized field
+     */
+    voteLeaf(entries, pointer, state) {
+        const groups = [];
+        for (const entry of entries) {
+            const read = isLeaf(entry.normalized);
+            const vote = {
+                run: entry.run,
+                pointer: read ? entry.pointer : null,
+                canonical: entry.canonical ?? null,
+                value: read ? entry.normalized.value : null
+            };
+            const key = read ? fieldKey(entry.normalized) : null;
+            const group = groups.find(item => item.key === key);
+            if (group) {
+                group.votes.push(vote);
+            } else {
+                groups.push({ key, votes: [vote] });
+            }
+        }
+
+        // Groups are in run order, so an equal count keeps the earlier run
+        const winner = groups.reduce((best, group) => (
+            group.votes.length > best.votes.length || (group.votes.length === best.votes.length && best.key === null && group.key !== null)
+                ? group
+                : best
+        ));
+        const consensus = winner.votes[0];
+        if (winner.key === null && groups.length === 1) {
+            // Empty in every run: nothing to vote on
+            return consensus.canonical;
+        }
+
+        const agreement = round(winner.votes.length / state.total);
+        const status = groups.length === 1 ? 'unanimous' : winner.votes.length * 2 > state.total ? 'majority' : 'no_majority';
+        state.fields[pointer] = { status, agreement, value: consensus.value };
+        state.sources[pointer] = winner.votes.filter(vote => vote.pointer !== null).map(vote => ({ run: vote.run, pointer: vote.pointer }));
+
+        if (groups.length > 1) {
+            state.disagreements.push({
+                kind: 'field',
+                path: pointer,
+                status,
+                agreement,
+                consensus: consensus.canonical,
+                values: groups.map(group => ({
+                    value: group.votes[0].canonical,
+                    normalized: group.votes[0].value,
+                    runs: group.votes.map(vote => vote.run)
+                }))
+            });
+        }
+        return consensus.canonical;
+    }
+}
+
+/**
+ * Key under which two normalized values count as the same reading
+ * @param {Object} leaf - Normalized leaf { value, original, ... } (see VietnameseNormalizer.normalizeDocument)
+ * @returns {string|null} Comparison key; null for an empty field
+ */
+export function fieldKey(leaf) {
+    // "Không thời hạn" is a reading of the expiry date, not an empty field
+    if (leaf.noExpiry) {
+        return 'no-expiry';
+    }
+    if (leaf.value === null || leaf.value === undefined) {
+        return null;
+    }
+    // Areas in m², to a tenth
+    if (typeof leaf.value === 'number' && leaf.unit) {
+        return `${Math.round(leaf.value * 10) / 10} ${leaf.unit}`;
+    }
+    // Dates as ISO dates of their precision ("2019-04-06", "1986")
+    if (leaf.precision) {
+        return leaf.value;
+    }
+    // Addresses by their units, however they were written out
+    if (leaf.address) {
+        const { street, ward, district, province } = leaf.address;
+        return [street, ward?.name, district?.name, province?.name].map(part => (part ? normalizeValue(part) : '')).join('|');
+    }
+    return normalizeValue(leaf.value) || null;
+}
+
+/**
+ * Keys that identify an array entry across extractions: ID number and name for people, the value for plain values
+ * Two entries are the same when they share any key; entries without keys are matched by position.
+ * @param {*} item - Normalized array entry
+ * @returns {Array<string>} Keys such as "id:113287050" and "name:trươngthịphương"
+ */
+export function identityKeys(item) {
+    if (isLeaf(item)) {
+        const key = fieldKey(item);
+        return key === null ? [] : [`value:${key}`];
+    }
+    if (!isObject(item)) {
+        return [];
+    }
+
+    const keys = [];
+    const id = isLeaf(item.id_number) ? fieldKey(item.id_number) : null;
+    const name = isLeaf(item.full_name) ? fieldKey(item.full_name) : null;
+    if (id) keys.push(`id:${id}`);
+    if (name) keys.push(`name:${name}`);
+    return keys;
+}
+
+function child(entry, key) {
+    const has = key !== undefined && entry.normalized !== null && typeof entry.normalized === 'object' && entry.normalized[key] !== undefined;
+    return {
+        run: entry.run,
+        pointer: has ? `${entry.pointer}/${key}` : null,
+        canonical: has ? entry.canonical?.[key] : undefined,
+        normalized: has ? entry.normalized[key] : undefined
+    };
+}
+
+function isLeaf(value) {
+    return isObject(value) && 'value' in value && 'original' in value;
+}
+
+function isObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function round(value) {
+    return Math.round(value * 100) / 100;
+}
+
+export default EnsembleVoter;
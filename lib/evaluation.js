@@ -0,0 +1,104 @@
+/**
+ * Extraction Evaluation
+ * =====================
+ *
+ * Scores extracted data against a hand-curated reference such as
+ * output/data.json. Matching is by value rather than by key path, because
+ * model runs return differently shaped JSON for the same certificate.
+ */
+
+/**
+ * Normalize a value for comparison: case, whitespace and punctuation are
+ * ignored, diacritics are kept (a wrong diacritic is a real extraction error)
+ * @param {*} value - Value to normalize
+ * @returns {string} Normalized value
+ */
+export function normalizeValue(value) {
+    return String(value)
+        .normalize('NFC')
+        .toLowerCase()
+        .replace(/[^\p{L}\p{N}]+/gu, '');
+}
+
+/**
+ * Flatten nested data into leaf values keyed by path
+ * @param {*} data - Data to flatten
+ * @param {string} prefix - Path prefix
+ * @returns {Array<Object>} Leaves: { path, value }
+ */
+export function flattenValues(data, prefix = '') {
+    if (data === null || data === undefined) {
+        return [];
+    }
+
+    if (Array.isArray(data)) {
+        return data.flatMap((item, index) => flattenValues(item, `${prefix}[${index}]`));
+    }
+
+    if (typeof data === 'object') {
+        return Object.entries(data).flatMap(([key, value]) =>
+            flattenValues(value, prefix ? `${prefix}.${key}` : key)
+        );
+    }
+
+    return [{ path: prefix, value: data }];
+}
+
+/**
+ * Score extracted data against a reference by value recall
+ * A reference value counts only when an extracted value equals it after normalization;
+ * a longer value that contains it (a whole address for a ward) does not.
+ * @param {Object} extracted - Extracted data from the model
+ * @param {Object} reference - Reference data
+ * @returns {Object} { total, matched, recall, missing: [{ path, value }] }
+ */
+export function scoreAgainstReference(extracted, reference) {
+    const extractedValues = new Set(flattenValues(extracted).map(leaf => normalizeValue(leaf.value)));
+
+    // Placeholders such as "-/-" normalize to nothing and are not scored
+    const referenceLeaves = flattenValues(reference).filter(leaf => normalizeValue(leaf.value) !== '');
+
+    const missing = referenceLeaves.filter(leaf => !extractedValues.has(normalizeValue(leaf.value)));
+
+    const matched = referenceLeaves.length - missing.length;
+
+    return {
+        total: referenceLeaves.length,
+        matched,
+        recall: referenceLeaves.length > 0 ? matched / referenceLeaves.length : 0,
+        missing
+    };
+}
+
+/**
+ * Run the same input in stitched and per-page mode and score both
+ * @param {Object} analyzer - RealEstateAnalyzer instance
+ * @param {string|Buffer|Array} input - PDF or image input
+ * @param {Object|null} reference - Reference data; without one, per-page output is scored against stitched output
+ * @param {Object} options - Analysis options shared by both runs
+ * @returns {Promise<Object>} Per-mode results: { stitched, pages }
+ */
+export async function comparePageModes(analyzer, input, reference = null, options = {}) {
+    const runs = {};
+
+    for (const pageMode of ['stitched', 'pages']) {
+        const start = Date.now();
+        const result = await analyzer.analyzeLandCertificate(input, { includeFollowUp: false, ...options, pageMode });
+
+        runs[pageMode] = {
+            durationMs: Date.now() - start,
+            totalTokens: result.metadata?.totalTokens,
+            hasExtractedData: !!result.extractedData,
+            extractedData: result.extractedData
+        };
+    }
+
+    for (const pageMode of Object.keys(runs)) {
+        const baseline = reference || (pageMode === 'pages' ? runs.stitched.extractedData : null);
+        runs[pageMode].score = baseline && runs[pageMode].extractedData
+            ? scoreAgainstReference(runs[pageMode].extractedData, baseline)
+            : null;
+    }
+
+    return runs;
+}
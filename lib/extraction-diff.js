@@ -0,0 +1,272 @@
+import { LandCertificateMapper } from "./land-certificate-mapper.js";
+import { VietnameseNormalizer, isPlaceholder } from "./normalizer.js";
+import { fieldKey, identityKeys } from "./ensemble.js";
+import { normalizeValue } from "./evaluation.js";
+
+/**
+ * Extraction Diff
+ * ===============
+ *
+ * Compares two extractions of the same document - old model vs new model,
+ * a saved response vs the hand-curated output/data.json, or a result before
+ * and after a human correction - field by field on the canonical schema:
+ *
+ *   missing     the left extraction has a value, the right one does not
+ *   added       the right extraction has a value, the left one does not
+ *   changed     both have a value, and they differ after normalization
+ *   formatting  both read the same value, written differently
+ *               ("06/04/2019" and "06 tháng 04 năm 2019")
+ *
+ * Values are compared as ensemble votes are (see fieldKey in lib/ensemble.js);
+ * text that could not be normalized is compared as read.
+ * Owners and other people are matched by ID number or name, so reordering
+ * them is not a difference; an owner only one side has is one missing or
+ * added entry.
+ */
+
+export const DIFF_TYPES = ['missing', 'added', 'changed', 'formatting'];
+
+export class ExtractionDiffer {
+    /**
+     * @param {Object} options - Differ options
+     * @param {VietnameseNormalizer} options.normalizer - Normalizer (default: new instance)
+     */
+    constructor(options = {}) {
+        this.normalizer = options.normalizer || new VietnameseNormalizer();
+        this.mapper = new LandCertificateMapper();
+    }
+
+    /**
+     * Get the canonical data of an analysis result or of extracted data
+     * @param {Object} input - Analysis result, or extracted data such as output/data.json (mapped as a land certificate)
+     * @returns {Object} { data, documentType }
+     */
+    resolveData(input) {
+        if (!input || typeof input !== 'object' || Array.isArray(input)) {
+            throw new Error('Diff input must be an analysis result or extracted data object');
+        }
+
+        const isResult = 'canonicalData' in input || 'extractedData' in input;
+        if (isResult && !input.canonicalData && !input.extractedData) {
+            throw new Error('Analysis result has no extracted data to compare');
+        }
+
+        return {
+            data: input.canonicalData || this.mapper.map(isResult ? input.extractedData : input).data,
+            documentType: (isResult && input.documentType) || 'land_certificate'
+        };
+    }
+
+    /**
+     * Compare two extractions of the same document
+     * @param {Object} left - Analysis result or extracted data, e.g. the older extraction
+     * @param {Object} right - Analysis result or extracted data, e.g. the newer extraction
+     * @param {Object} options - { labels: { left, right } naming the two sides in the output }
+     * @returns {Object} { documentType, labels, summary: { unchanged, missing, added, changed, formatting },
+     *   differences: [{ path, rightPath?, type, left, right, normalized: { left, right } }] }
+     */
+    diff(left, right, options = {}) {
+        const sides = [this.resolveData(left), this.resolveData(right)];
+        if (sides[0].documentType !== sides[1].documentType) {
+            throw new Error(`Cannot compare a ${sides[0].documentType} with a ${sides[1].documentType}`);
+        }
+
+        const [leftNode, rightNode] = sides.map(({ data }) => ({
+            pointer: '',
+            canonical: data,
+            normalized: this.normalizer.normalizeDocument(data).data
+        }));
+        const state = { unchanged: 0, differences: [] };
+        this.compareNode(leftNode, rightNode, state);
+
+        const summary = { unchanged: state.unchanged };
+        for (const type of DIFF_TYPES) {
+            summary[type] = state.differences.filter(difference => difference.type === type).length;
+        }
+        return {
+            documentType: sides[0].documentType,
+            labels: { left: options.labels?.left ?? 'left', right: options.labels?.right ?? 'right' },
+            summary,
+            differences: state.differences
+        };
+    }
+
+    /**
+     * Compare one node of both documents
+     * @param {Object} left - { pointer, canonical, normalized }; canonical and normalized are undefined where the side has no such node
+     * @param {Object} right - Same for the right side
+     * @param {Object} state - { unchanged, differences }
+     */
+    compareNode(left, right, state) {
+        const nodes = [left.normalized, right.normalized].filter(node => node !== undefined && node !== null);
+
+        if (nodes.some(node => Array.isArray(node))) {
+            this.compareArray(left, right, state);
+        } else if (nodes.some(node => isLeaf(node))) {
+            this.compareLeaf(left, right, state);
+        } else if (nodes.some(node => isObject(node))) {
+            const keys = [...new Set(nodes.flatMap(node => (isObject(node) ? Object.keys(node) : [])))];
+            for (const key of keys) {
+                this.compareNode(child(left, key), child(right, key), state);
+            }
+        }
+    }
+
+    /**
+     * Match array entries by identity (position for entries without one) and compare the pairs
+     */
+    compareArray(left, right, state) {
+        const leftItems = Array.isArray(left.normalized) ? left.normalized : [];
+        const rightItems = Array.isArray(right.normalized) ? right.normalized : [];
+        const matched = new Set();
+
+        leftItems.forEach((item, index) => {
+            const keys = identityKeys(item);
+            const match = rightItems.findIndex((candidate, candidateIndex) => {
+                if (matched.has(candidateIndex)) {
+                    return false;
+                }
+                const candidateKeys = identityKeys(candidate);
+                return keys.length > 0 ? keys.some(key => candidateKeys.includes(key)) : candidateKeys.length === 0 && candidateIndex === index;
+            });
+
+            if (match === -1) {
+                this.addDifference(state, 'missing', child(left, index), { pointer: null, canonical: undefined, normalized: undefined });
+            } else {
+                matched.add(match);
+                this.compareNode(child(left, index), child(right, match), state);
+            }
+        });
+
+        rightItems.forEach((item, index) => {
+            if (!matched.has(index)) {
+                this.addDifference(state, 'added', { pointer: null, canonical: undefined, normalized: undefined }, child(right, index));
+            }
+        });
+    }
+
+    /**
+     * Classify a normalized field
+     */
+    compareLeaf(left, right, state) {
+        const leftKey = diffKey(left.normalized);
+        const rightKey = diffKey(right.normalized);
+
+        if (leftKey === null && rightKey === null) {
+            return;
+        }
+        if (leftKey === rightKey) {
+            if (String(left.canonical).trim() === String(right.canonical).trim()) {
+                state.unchanged++;
+            } else {
+                this.addDifference(state, 'formatting', left, right);
+            }
+            return;
+        }
+        this.addDifference(state, leftKey === null ? 'added' : rightKey === null ? 'missing' : 'changed', left, right);
+    }
+
+    addDifference(state, type, left, right) {
+        const path = left.pointer ?? right.pointer;
+        state.differences.push({
+            path,
+            // Owners matched at another position on the right
+            ...(right.pointer && right.pointer !== path ? { rightPath: right.pointer } : {}),
+            type,
+            left: left.canonical ?? null,
+            right: right.canonical ?? null,
+            normalized: {
+                left: isLeaf(left.normalized) ? left.normalized.value : null,
+                right: isLeaf(right.normalized) ? right.normalized.value : null
+            }
+        });
+    }
+}
+
+/**
+ * Comparison key of a field: its ensemble key, or the text as read when it could not be normalized
+ * A date field holding an address is a reading that changed, not an empty field.
+ * @param {*} node - Normalized node
+ * @returns {string|null} Key; null for an empty field, a placeholder or a node that is not a field
+ */
+function diffKey(node) {
+    if (!isLeaf(node)) {
+        return null;
+    }
+    const key = fieldKey(node);
+    if (key !== null || typeof node.original !== 'string' || isPlaceholder(node.original)) {
+        return key;
+    }
+    return `text:${normalizeValue(node.original)}`;
+}
+
+/**
+ * Format a diff as a readable table
+ * @param {Object} diff - Diff from ExtractionDiffer.diff
+ * @param {Object} options - { format: 'text' (aligned columns, default) or 'markdown', maxWidth: characters per value in text tables (default 40) }
+ * @returns {string} Table of the differences followed by the summary
+ */
+export function formatDiffTable(diff, { format = 'text', maxWidth = 40 } = {}) {
+    const header = ['Field', 'Difference', diff.labels.left, diff.labels.right];
+    const rows = diff.differences.map(difference => [
+        difference.rightPath ? `${difference.path} (${difference.rightPath})` : difference.path,
+        difference.type,
+        formatValue(difference.left),
+        formatValue(difference.right)
+    ]);
+    const summary = `${diff.differences.length} difference(s): ` +
+        DIFF_TYPES.map(type => `${diff.summary[type]} ${type}`).join(', ') +
+        `; ${diff.summary.unchanged} field(s) unchanged`;
+
+    if (format === 'markdown') {
+        const escape = cell => cell.replace(/\|/g, '\\|').replace(/\n/g, ' ');
+        const line = cells => `| ${cells.map(escape).join(' | ')} |`;
+        const table = rows.length > 0 ? [line(header), line(header.map(() => '---')), ...rows.map(line)].join('\n') + '\n\n' : '';
+        return `${table}${summary}\n`;
+    }
+    if (format !== 'text') {
+        throw new Error(`Unsupported diff format: ${format}`);
+    }
+
+    const cells = [header, ...rows].map(row => row.map((cell, index) => (index >= 2 ? truncate(cell, maxWidth) : cell)));
+    const widths = header.map((_, index) => Math.max(...cells.map(row => row[index].length)));
+    const line = row => row.map((cell, index) => cell.padEnd(widths[index])).join('  ').trimEnd();
+    const table = rows.length > 0
+        ? [line(cells[0]), widths.map(width => '─'.repeat(width)).join('  '), ...cells.slice(1).map(line)].join('\n') + '\n\n'
+        : '';
+    return `${table}${summary}\n`;
+}
+
+function formatValue(value) {
+    if (value === null || value === undefined) {
+        return '-';
+    }
+    if (typeof value === 'object') {
+        // A whole entry, such as an owner only one side has
+        return value.full_name ?? JSON.stringify(value);
+    }
+    return String(value);
+}
+
+function truncate(text, width) {
+    return text.length > width ? `${text.slice(0, width - 1)}…` : text;
+}
+
+function child(node, key) {
+    const has = node.normalized !== null && typeof node.normalized === 'object' && node.normalized[key] !== undefined;
+    return {
+        pointer: has ? `${node.pointer}/${key}` : null,
+        canonical: has ? node.canonical?.[key] : undefined,
+        normalized: has ? node.normalized[key] : undefined
+    };
+}
+
+function isLeaf(value) {
+    return isObject(value) && 'value' in value && 'original' in value;
+}
+
+function isObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+export default ExtractionDiffer;
@@ -0,0 +1,37 @@
+/**
+ * File Type Detection
+ * ===================
+ *
+ * Detects input types from file signatures, since client-supplied
+ * MIME types and file extensions are not trusted.
+ */
+
+/**
+ * Detect MIME type from the file signature
+ * @param {Buffer} buffer - File bytes
+ * @returns {string|null} MIME type or null if unsupported
+ */
+export function detectMimeType(buffer) {
+    if (!buffer || buffer.length < 4) {
+        return null;
+    }
+    if (buffer[0] === 0xff && buffer[1] === 0xd8 && buffer[2] === 0xff) {
+        return 'image/jpeg';
+    }
+    if (buffer.subarray(0, 4).toString('hex') === '89504e47') {
+        return 'image/png';
+    }
+    if (buffer.subarray(0, 4).toString('latin1') === '%PDF') {
+        return 'application/pdf';
+    }
+    return null;
+}
+
+/**
+ * Check whether a buffer holds a PDF document
+ * @param {Buffer} buffer - File bytes
+ * @returns {boolean} Is PDF
+ */
+export function isPdf(buffer) {
+    return detectMimeType(buffer) === 'application/pdf';
+}
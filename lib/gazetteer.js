@@ -0,0 +1,160 @@
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+
+const DEFAULT_GAZETTEER_PATH = path.join(path.dirname(fileURLToPath(import.meta.url)), '..', 'data', 'gazetteer.json');
+
+/**
+ * Gazetteer
+ * =========
+ *
+ * Offline lookup of Vietnamese administrative units (see data/gazetteer.json).
+ * Units before the 1 July 2025 reorganization live in provinces, districts
+ * and wards; the units after it live in provinces2025 and wards2025 (the
+ * district level was abolished). A unit's successor code points to the
+ * post-reorganization unit that absorbed it.
+ *
+ * The bundled file holds every province, the districts of selected
+ * provinces and the wards of selected districts with their successors.
+ * A full dataset in the same format can be loaded with GAZETTEER_PATH.
+ */
+export class Gazetteer {
+    constructor(options = {}) {
+        const data = options.data
+            || JSON.parse(fs.readFileSync(options.path || process.env.GAZETTEER_PATH || DEFAULT_GAZETTEER_PATH, 'utf8'));
+
+        this.version = data.version || null;
+        this.provinces = indexUnits(data.provinces);
+        this.districts = indexUnits(data.districts);
+        this.wards = indexUnits(data.wards);
+        this.provinces2025 = indexUnits(data.provinces2025);
+        this.wards2025 = indexUnits(data.wards2025);
+    }
+
+    /**
+     * Find a province by name, pre-2025 units first
+     * @param {string} name - Name without its type prefix, e.g. "Hà Nội"
+     * @returns {Object|null} { unit, reorganized, matchedBy } - reorganized is true for post-2025 units
+     */
+    findProvince(name) {
+        const previous = findUnit(this.provinces, name);
+        if (previous) {
+            return { ...previous, reorganized: false };
+        }
+
+        const current = findUnit(this.provinces2025, name);
+        return current ? { ...current, reorganized: true } : null;
+    }
+
+    /**
+     * Find a district within a province
+     * @param {string} name - Name without its type prefix
+     * @param {string|null} provinceCode - Province to search, or null for all
+     * @returns {Object|null} { unit, matchedBy }
+     */
+    findDistrict(name, provinceCode = null) {
+        return findUnit(this.districts, name, unit => !provinceCode || unit.province === provinceCode);
+    }
+
+    /**
+     * Find a ward within a district, or within a province when the district is unknown
+     * @param {string} name - Name without its type prefix
+     * @param {Object} scope - { districtCode, provinceCode, reorganized }
+     * @returns {Object|null} { unit, matchedBy }
+     */
+    findWard(name, { districtCode = null, provinceCode = null, reorganized = false } = {}) {
+        if (reorganized) {
+            return findUnit(this.wards2025, name, unit => !provinceCode || unit.province === provinceCode);
+        }
+
+        return findUnit(this.wards, name, unit => {
+            if (districtCode) {
+                return unit.district === districtCode;
+            }
+            return !provinceCode || this.districts.byCode.get(unit.district)?.province === provinceCode;
+        });
+    }
+
+    /**
+     * Get the post-2025 province that absorbed a pre-2025 province
+     * @param {string} code - Pre-2025 province code
+     * @returns {Object|null} Post-2025 province
+     */
+    getProvinceSuccessor(code) {
+        const successor = this.provinces.byCode.get(code)?.successor;
+        return successor ? this.provinces2025.byCode.get(successor) || null : null;
+    }
+
+    /**
+     * Get the post-2025 ward that absorbed a pre-2025 ward
+     * @param {string} code - Pre-2025 ward code
+     * @returns {Object|null} Post-2025 ward
+     */
+    getWardSuccessor(code) {
+        const successor = this.wards.byCode.get(code)?.successor;
+        return successor ? this.wards2025.byCode.get(successor) || null : null;
+    }
+}
+
+/**
+ * Build a matching key: NFC, lower case, punctuation to spaces
+ * @param {string} name - Unit name
+ * @returns {string} Key
+ */
+export function nameKey(name) {
+    return String(name).normalize('NFC').toLowerCase().replace(/[-–.,_']/g, ' ').replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Build a key without diacritics, for OCR output and old tone placement ("Hoà" / "Hòa")
+ * @param {string} name - Unit name
+ * @returns {string} Key
+ */
+export function asciiKey(name) {
+    return nameKey(name).normalize('NFD').replace(/\p{M}/gu, '').replace(/đ/g, 'd');
+}
+
+function indexUnits(units = []) {
+    const index = { all: units, byCode: new Map(), byName: new Map(), byAscii: new Map() };
+
+    for (const unit of units) {
+        index.byCode.set(unit.code, unit);
+        for (const name of [unit.name, ...(unit.aliases || [])]) {
+            addToIndex(index.byName, nameKey(name), unit);
+            addToIndex(index.byAscii, asciiKey(name), unit);
+        }
+    }
+
+    return index;
+}
+
+function addToIndex(map, key, unit) {
+    if (!map.has(key)) {
+        map.set(key, []);
+    }
+    // A unit's name and aliases can share a key
+    if (!map.get(key).includes(unit)) {
+        map.get(key).push(unit);
+    }
+}
+
+function findUnit(index, name, filter = () => true) {
+    if (!name) {
+        return null;
+    }
+
+    const exact = (index.byName.get(nameKey(name)) || []).filter(filter);
+    if (exact.length === 1) {
+        return { unit: exact[0], matchedBy: 'name' };
+    }
+
+    // Without diacritics distinct units can collide, so only accept a unique match
+    const loose = (index.byAscii.get(asciiKey(name)) || []).filter(filter);
+    if (exact.length === 0 && loose.length === 1) {
+        return { unit: loose[0], matchedBy: 'ascii' };
+    }
+
+    return null;
+}
+
+export default Gazetteer;
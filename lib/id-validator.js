@@ -0,0 +1,200 @@
+import { VietnameseNormalizer } from "./normalizer.js";
+
+/**
+ * Identity Document Validator
+ * ===========================
+ *
+ * Classifies owner ID numbers printed on land certificates:
+ *
+ *   CMND      9 digits (older identity card)
+ *   CCCD      12 digits: province (3) + gender/century (1) + birth year (2) + serial (6)
+ *   Passport  one letter + 7 digits, e.g. "B6075953"
+ *
+ * CCCD numbers are decoded and cross-checked against the owner's date of
+ * birth and salutation (Ông/Bà), or against the date of birth and sex printed
+ * on a citizen ID card.
+ */
+
+// CCCD place-of-birth codes (Circular 07/2016/TT-BCA, provinces before the 2025 merger)
+export const CCCD_PROVINCES = {
+    '001': 'Hà Nội', '002': 'Hà Giang', '004': 'Cao Bằng', '006': 'Bắc Kạn', '008': 'Tuyên Quang',
+    '010': 'Lào Cai', '011': 'Điện Biên', '012': 'Lai Châu', '014': 'Sơn La', '015': 'Yên Bái',
+    '017': 'Hòa Bình', '019': 'Thái Nguyên', '020': 'Lạng Sơn', '022': 'Quảng Ninh', '024': 'Bắc Giang',
+    '025': 'Phú Thọ', '026': 'Vĩnh Phúc', '027': 'Bắc Ninh', '030': 'Hải Dương', '031': 'Hải Phòng',
+    '033': 'Hưng Yên', '034': 'Thái Bình', '035': 'Hà Nam', '036': 'Nam Định', '037': 'Ninh Bình',
+    '038': 'Thanh Hóa', '040': 'Nghệ An', '042': 'Hà Tĩnh', '044': 'Quảng Bình', '045': 'Quảng Trị',
+    '046': 'Thừa Thiên Huế', '048': 'Đà Nẵng', '049': 'Quảng Nam', '051': 'Quảng Ngãi', '052': 'Bình Định',
+    '054': 'Phú Yên', '056': 'Khánh Hòa', '058': 'Ninh Thuận', '060': 'Bình Thuận', '062': 'Kon Tum',
+    '064': 'Gia Lai', '066': 'Đắk Lắk', '067': 'Đắk Nông', '068': 'Lâm Đồng', '070': 'Bình Phước',
+    '072': 'Tây Ninh', '074': 'Bình Dương', '075': 'Đồng Nai', '077': 'Bà Rịa - Vũng Tàu', '079': 'Hồ Chí Minh',
+    '080': 'Long An', '082': 'Tiền Giang', '083': 'Bến Tre', '084': 'Trà Vinh', '086': 'Vĩnh Long',
+    '087': 'Đồng Tháp', '089': 'An Giang', '091': 'Kiên Giang', '092': 'Cần Thơ', '093': 'Hậu Giang',
+    '094': 'Sóc Trăng', '095': 'Bạc Liêu', '096': 'Cà Mau'
+};
+
+// Salutations printed before owner names and the gender they imply
+const SALUTATION_GENDERS = { 'ông': 'male', 'bà': 'female' };
+
+// Sex as printed on citizen ID cards
+const CARD_SEXES = { 'nam': 'male', 'nữ': 'female' };
+
+export class IdentityValidator {
+    constructor(options = {}) {
+        this.normalizer = options.normalizer || new VietnameseNormalizer();
+    }
+
+    /**
+     * Classify an ID number as CMND, CCCD or passport
+     * @param {string|number|null} raw - ID number as printed
+     * @returns {Object} { type, number, valid, error?, ...decoded CCCD fields }
+     */
+    classify(raw) {
+        if (this.normalizer.isPlaceholder(raw)) {
+            return { type: null, number: null, valid: false, error: 'ID number is missing' };
+        }
+
+        const number = String(raw).normalize('NFC').replace(/[\s.-]/g, '').toUpperCase();
+
+        if (/^\d{12}$/.test(number)) {
+            return { type: 'cccd', number, ...this.decodeCccd(number) };
+        }
+        if (/^\d{9}$/.test(number)) {
+            return { type: 'cmnd', number, valid: true };
+        }
+        if (/^[A-Z]\d{7}$/.test(number)) {
+            return { type: 'passport', number, valid: true };
+        }
+
+        return { type: 'unknown', number, valid: false, error: `Unrecognized ID number format: "${raw}"` };
+    }
+
+    /**
+     * Decode the province, gender and birth year embedded in a CCCD number
+     * @param {string} number - 12-digit CCCD number
+     * @returns {Object} { valid, provinceCode, province, gender, birthYear, error? }
+     */
+    decodeCccd(number) {
+        const provinceCode = number.slice(0, 3);
+        const genderDigit = Number(number[3]);
+        const century = 1900 + Math.floor(genderDigit / 2) * 100;
+        const decoded = {
+            provinceCode,
+            province: CCCD_PROVINCES[provinceCode] || null,
+            gender: genderDigit % 2 === 0 ? 'male' : 'female',
+            birthYear: century + Number(number.slice(4, 6))
+        };
+
+        if (!decoded.province) {
+            return { valid: false, ...decoded, error: `Unknown CCCD province code ${provinceCode}` };
+        }
+        return { valid: true, ...decoded };
+    }
+
+    /**
+     * Validate the ID numbers of all owners
+     * @param {Array<Object>} owners - Canonical property_owners
+     * @returns {Object} { documents: [{ path, ...classification }], issues: [{ path, code, severity, message }] }
+     */
+    validateOwners(owners = []) {
+        const documents = [];
+        const issues = [];
+
+        (owners || []).forEach((owner, index) => {
+            const pointer = `/property_owners/${index}`;
+            if (!owner || this.normalizer.isPlaceholder(owner.id_number)) {
+                return;
+            }
+
+            const document = this.classify(owner.id_number);
+            documents.push({ path: `${pointer}/id_number`, ...document });
+            issues.push(...this.checkOwner(owner, document, pointer));
+        });
+
+        return { documents, issues };
+    }
+
+    /**
+     * Validate the ID number of a citizen ID card against its printed date of birth and sex
+     * @param {Object} card - Canonical citizen-id data
+     * @returns {Object} { documents: [{ path, ...classification }], issues: [{ path, code, severity, message }] }
+     */
+    validateCard(card) {
+        if (!card || this.normalizer.isPlaceholder(card.id_number)) {
+            return { documents: [], issues: [] };
+        }
+
+        const document = this.classify(card.id_number);
+        const issues = [];
+        if (!document.valid) {
+            issues.push({ path: '/id_number', code: 'ID_NUMBER_INVALID', severity: 'medium', message: document.error });
+        }
+
+        if (document.type === 'cccd' && document.province) {
+            const { year } = this.normalizer.normalizeDate(card.date_of_birth);
+            if (year && year !== document.birthYear) {
+                issues.push({
+                    path: '/date_of_birth',
+                    code: 'ID_BIRTH_YEAR_MISMATCH',
+                    severity: 'high',
+                    message: `CCCD ${document.number} encodes birth year ${document.birthYear}, date_of_birth is ${year}`
+                });
+            }
+
+            const sex = CARD_SEXES[String(card.sex || '').trim().toLowerCase()];
+            if (sex && sex !== document.gender) {
+                issues.push({
+                    path: '/sex',
+                    code: 'ID_GENDER_MISMATCH',
+                    severity: 'medium',
+                    message: `CCCD ${document.number} encodes a ${document.gender} holder, the card says "${card.sex}"`
+                });
+            }
+        }
+
+        return { documents: [{ path: '/id_number', ...document }], issues };
+    }
+
+    /**
+     * Cross-check a classified ID against the owner's other fields
+     * @param {Object} owner - Canonical owner
+     * @param {Object} document - Result of classify()
+     * @param {string} pointer - JSON pointer of the owner
+     * @returns {Array<Object>} Issues
+     */
+    checkOwner(owner, document, pointer) {
+        const issues = [];
+        const idPath = `${pointer}/id_number`;
+
+        if (!document.valid) {
+            issues.push({ path: idPath, code: 'ID_NUMBER_INVALID', severity: 'medium', message: document.error });
+        }
+        if (document.type !== 'cccd' || !document.province) {
+            return issues;
+        }
+
+        const { year } = this.normalizer.normalizeDate(owner.date_of_birth);
+        if (year && year !== document.birthYear) {
+            issues.push({
+                path: `${pointer}/date_of_birth`,
+                code: 'ID_BIRTH_YEAR_MISMATCH',
+                severity: 'high',
+                message: `CCCD ${document.number} encodes birth year ${document.birthYear}, date_of_birth is ${year}`
+            });
+        }
+
+        const salutation = String(owner.owner_type || '').trim().toLowerCase();
+        const gender = SALUTATION_GENDERS[salutation];
+        if (gender && gender !== document.gender) {
+            issues.push({
+                path: `${pointer}/owner_type`,
+                code: 'ID_GENDER_MISMATCH',
+                severity: 'medium',
+                message: `CCCD ${document.number} encodes a ${document.gender} holder, owner is "${owner.owner_type}"`
+            });
+        }
+
+        return issues;
+    }
+}
+
+export default IdentityValidator;
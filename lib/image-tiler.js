@@ -0,0 +1,90 @@
+import { createCanvas, loadImage } from "@napi-rs/canvas";
+
+/**
+ * Image Tiler
+ * ===========
+ *
+ * Splits very tall page images into overlapping tiles so providers do not
+ * downscale them until small text (ID numbers, parcel numbers) is unreadable.
+ */
+export class ImageTiler {
+    /**
+     * @param {Object} options - Tiling options
+     * @param {number} options.maxAspectRatio - Tile only pages taller than width * ratio (default TILE_MAX_ASPECT_RATIO or 2)
+     * @param {number} options.tileAspectRatio - Tile height as a multiple of width (default 1.5)
+     * @param {number} options.overlap - Overlap between neighbouring tiles as a fraction of tile height (default 0.1)
+     * @param {number} options.quality - JPEG quality 1-100
+     */
+    constructor(options = {}) {
+        this.maxAspectRatio = options.maxAspectRatio || parseFloat(process.env.TILE_MAX_ASPECT_RATIO) || 2;
+        this.tileAspectRatio = options.tileAspectRatio || 1.5;
+        this.overlap = options.overlap ?? 0.1;
+        this.quality = options.quality || parseInt(process.env.PDF_JPEG_QUALITY) || 85;
+
+        if (this.overlap < 0 || this.overlap >= 1) {
+            throw new Error('Tile overlap must be between 0 and 1');
+        }
+    }
+
+    /**
+     * Compute tile positions for an image
+     * @param {number} width - Image width
+     * @param {number} height - Image height
+     * @returns {Array<Object>} Tile boxes: { top, height }
+     */
+    computeTiles(width, height) {
+        if (height <= width * this.maxAspectRatio) {
+            return [{ top: 0, height }];
+        }
+
+        // With maxAspectRatio below tileAspectRatio, one tile can cover the whole image
+        const tileHeight = Math.min(Math.round(width * this.tileAspectRatio), height);
+        if (tileHeight === height) {
+            return [{ top: 0, height }];
+        }
+        const overlapPx = Math.round(tileHeight * this.overlap);
+        const step = tileHeight - overlapPx;
+        const count = Math.ceil((height - overlapPx) / step);
+
+        return Array.from({ length: count }, (_, i) => ({
+            // Last tile is aligned to the bottom edge so it stays full size
+            top: Math.min(i * step, height - tileHeight),
+            height: tileHeight
+        }));
+    }
+
+    /**
+     * Split an image into overlapping tiles
+     * @param {Buffer} buffer - Encoded JPEG or PNG image
+     * @param {string} mimeType - MIME type of the image
+     * @returns {Promise<Array<Object>>} Tiles: { tileIndex, tileCount, top, width, height, buffer, mimeType }
+     */
+    async tile(buffer, mimeType = 'image/jpeg') {
+        const image = await loadImage(buffer);
+        const boxes = this.computeTiles(image.width, image.height);
+
+        if (boxes.length === 1) {
+            return [{ tileIndex: 1, tileCount: 1, top: 0, width: image.width, height: image.height, buffer, mimeType }];
+        }
+
+        const tiles = [];
+        for (const [index, box] of boxes.entries()) {
+            const canvas = createCanvas(image.width, box.height);
+            canvas.getContext('2d').drawImage(image, 0, box.top, image.width, box.height, 0, 0, image.width, box.height);
+
+            tiles.push({
+                tileIndex: index + 1,
+                tileCount: boxes.length,
+                top: box.top,
+                width: image.width,
+                height: box.height,
+                buffer: mimeType === 'image/png' ? await canvas.encode('png') : await canvas.encode('jpeg', this.quality),
+                mimeType
+            });
+        }
+
+        return tiles;
+    }
+}
+
+export default ImageTiler;
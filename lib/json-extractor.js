@@ -0,0 +1,166 @@
+import JSON5 from "json5";
+
+/**
+ * JSON Extractor
+ * ==============
+ *
+ * Pulls the JSON object out of a model response. Models wrap their JSON in
+ * many ways, so candidates are tried in order:
+ *
+ *   1. fenced blocks, with or without a language tag (```json, ```JSON, ```)
+ *   2. the whole response, when it is bare JSON
+ *   3. the first balanced {...} embedded in surrounding prose
+ *
+ * Each candidate is parsed as strict JSON first, then as JSON5 (trailing
+ * commas, comments, single quotes, unquoted keys).
+ */
+
+const MAX_EMBEDDED_CANDIDATES = 20;
+
+/**
+ * Extract a JSON object from model output
+ * @param {string} text - Model response text
+ * @returns {Object} { data, method, error } - data is null when nothing could be parsed
+ */
+export function extractJson(text) {
+    if (typeof text !== 'string' || text.trim() === '') {
+        return { data: null, method: null, error: 'Response is empty' };
+    }
+
+    let lastError = 'No JSON object found in response';
+
+    const strategies = [
+        ['fenced', findFencedBlocks(text)],
+        ['bare', [text.trim()]],
+        ['embedded', findEmbeddedObjects(text)]
+    ];
+
+    for (const [method, candidates] of strategies) {
+        for (const candidate of candidates) {
+            const parsed = parseCandidate(candidate);
+            if (parsed.data) {
+                return { data: parsed.data, method: parsed.lenient ? `${method}-json5` : method, error: null };
+            }
+            if (parsed.error) {
+                lastError = parsed.error;
+            }
+        }
+    }
+
+    return { data: null, method: null, error: lastError };
+}
+
+/**
+ * Parse a candidate as strict JSON, then as JSON5
+ * @param {string} candidate - Candidate text
+ * @returns {Object} { data, lenient, error }
+ */
+function parseCandidate(candidate) {
+    const trimmed = candidate.trim();
+    if (!trimmed.startsWith('{')) {
+        return { data: null, error: null };
+    }
+
+    try {
+        return asObject(JSON.parse(trimmed), false);
+    } catch (strictError) {
+        try {
+            return asObject(JSON5.parse(trimmed), true);
+        } catch {
+            return { data: null, error: `Invalid JSON: ${strictError.message}` };
+        }
+    }
+}
+
+function asObject(value, lenient) {
+    if (value === null || typeof value !== 'object' || Array.isArray(value)) {
+        return { data: null, error: 'Response JSON is not an object' };
+    }
+    return { data: value, lenient, error: null };
+}
+
+/**
+ * Find the contents of all fenced code blocks
+ * @param {string} text - Response text
+ * @returns {Array<string>} Block contents
+ */
+function findFencedBlocks(text) {
+    const blocks = [];
+    const fencePattern = /```[ \t]*([\w-]*)[ \t]*\r?\n?([\s\S]*?)```/g;
+    let match;
+
+    while ((match = fencePattern.exec(text)) !== null) {
+        blocks.push(match[2]);
+    }
+
+    // An unterminated fence (truncated response) still holds usable JSON
+    if (blocks.length === 0) {
+        const open = text.match(/```[ \t]*[\w-]*[ \t]*\r?\n([\s\S]*)$/);
+        if (open) {
+            blocks.push(open[1]);
+        }
+    }
+
+    return blocks;
+}
+
+/**
+ * Find balanced {...} spans, skipping braces inside strings
+ * @param {string} text - Response text
+ * @returns {Array<string>} Candidate spans, in order of appearance
+ */
+function findEmbeddedObjects(text) {
+    const candidates = [];
+    let start = text.indexOf('{');
+
+    while (start !== -1 && candidates.length < MAX_EMBEDDED_CANDIDATES) {
+        const end = findMatchingBrace(text, start);
+        if (end === -1) {
+            break;
+        }
+        candidates.push(text.slice(start, end + 1));
+        // Nested objects are fragments of this span, so continue after it
+        start = text.indexOf('{', end + 1);
+    }
+
+    return candidates;
+}
+
+/**
+ * Find the index of the brace closing the one at `start`
+ * @param {string} text - Text to scan
+ * @param {number} start - Index of an opening brace
+ * @returns {number} Index of the closing brace, or -1
+ */
+function findMatchingBrace(text, start) {
+    let depth = 0;
+    let quote = null;
+
+    for (let i = start; i < text.length; i++) {
+        const char = text[i];
+
+        if (quote) {
+            if (char === '\\') {
+                i++;
+            } else if (char === quote) {
+                quote = null;
+            }
+            continue;
+        }
+
+        if (char === '"' || char === "'") {
+            quote = char;
+        } else if (char === '{') {
+            depth++;
+        } else if (char === '}') {
+            depth--;
+            if (depth === 0) {
+                return i;
+            }
+        }
+    }
+
+    return -1;
+}
+
+export default extractJson;
@@ -0,0 +1,379 @@
+/**
+ * Land Certificate Mapper
+ * =======================
+ *
+ * Converts the differently shaped JSON returned by model runs into the
+ * canonical land-certificate shape (schemas/land-certificate.v1.schema.json).
+ *
+ * Known alternative shapes:
+ *   - owner_information { ..., spouse_information } instead of property_owners[]
+ *   - land_parcel_information instead of land_information
+ *   - house_and_attached_assets instead of assets_attached_to_land[]
+ *   - additional_information { notes, construction_process } instead of top-level fields
+ *   - house_owners / house_information on pre-2009 house ownership certificates,
+ *     land_type ("Loại đất") on 2024 certificates
+ *
+ * The mapper remembers which source field each canonical value was read
+ * from (getSources), so evidence the model gives for its own fields can be
+ * carried over to the canonical ones.
+ */
+
+const METADATA_FIELDS = {
+    document_type: ['document_type', 'document_label', 'type'],
+    document_name: ['document_name', 'name', 'title'],
+    issuing_authority: ['issuing_authority'],
+    certificate_number: ['certificate_number', 'serial_number', 'certificate_serial'],
+    registration_number: ['registration_number', 'registry_number', 'book_entry_number']
+};
+
+const OWNER_FIELDS = {
+    owner_type: ['owner_type', 'salutation', 'title'],
+    full_name: ['full_name', 'name', 'owner_name'],
+    date_of_birth: ['date_of_birth', 'birth_year', 'year_of_birth', 'dob'],
+    id_number: ['id_number', 'identity_card_number', 'id_card_number', 'identity_number', 'passport_number', 'cmnd', 'cccd'],
+    id_issued_by: ['id_issued_by', 'identity_card_issued_by', 'issued_by', 'id_place_of_issue'],
+    id_issued_date: ['id_issued_date', 'identity_card_issued_date', 'issued_date', 'id_date_of_issue'],
+    permanent_address: ['permanent_address', 'address', 'permanent_residence', 'residence_address']
+};
+
+const LAND_FIELDS = {
+    land_address: ['land_address', 'land_parcel_address', 'parcel_address', 'address', 'location'],
+    plot_number: ['plot_number', 'parcel_number', 'land_plot_number', 'plot'],
+    map_sheet_number: ['map_sheet_number', 'sheet_map_number', 'map_sheet', 'map_number'],
+    area: ['area', 'land_area'],
+    usage_purpose: ['usage_purpose', 'land_use_purpose', 'purpose', 'land_type'],
+    usage_form: ['usage_form', 'land_use_form', 'form_of_use'],
+    usage_duration: ['usage_duration', 'usage_term', 'land_use_term', 'duration'],
+    usage_origin: ['usage_origin', 'origin_of_usage', 'land_use_origin', 'origin']
+};
+
+const ASSET_DETAIL_FIELDS = {
+    house_type: ['house_type', 'house_count'],
+    house_name: ['house_name', 'building_name'],
+    floor_area: ['floor_area', 'house_area', 'usable_area'],
+    construction_area: ['construction_area', 'built_area'],
+    number_of_floors: ['number_of_floors', 'floors'],
+    ownership_form: ['ownership_form'],
+    ownership_duration: ['ownership_duration', 'ownership_term'],
+    common_ownership_purpose: ['common_ownership_purpose']
+};
+
+const AUTHORITY_FIELDS = {
+    authority_name: ['authority_name', 'issued_by', 'issuing_body'],
+    signatory_position: ['signatory_position', 'position'],
+    signatory_name: ['signatory_name', 'signed_by', 'signatory']
+};
+
+const TOP_LEVEL_FIELDS = {
+    construction_process: ['construction_process'],
+    forest_land: ['forest_land', 'production_forest'],
+    trees: ['trees', 'perennial_trees'],
+    notes: ['notes', 'note', 'remarks'],
+    issue_date: ['issue_date', 'date_of_issue', 'issued_date']
+};
+
+const LAND_MAP_FIELDS = { description: ['description'], image: ['image'] };
+const CHANGES_FIELDS = { content: ['content'], confirmation: ['confirmation'] };
+
+const OWNER_SECTIONS = ['property_owners', 'owners', 'land_users', 'owner_information', 'owner', 'house_owners'];
+const LAND_SECTIONS = ['land_information', 'land_parcel_information', 'land_parcel', 'parcel_information', 'land'];
+const ASSET_SECTIONS = ['assets_attached_to_land', 'house_and_attached_assets', 'attached_assets', 'house_information'];
+const EXTRA_SECTIONS = ['additional_information', 'other_information'];
+const SPOUSE_KEYS = ['spouse_information', 'spouse', 'co_owner'];
+const SALUTATIONS = ['Ông', 'Bà'];
+
+// Canonical object -> { field: JSON pointer of the source value }; kept off the objects so their shape is unchanged
+const ORIGINS = new WeakMap();
+
+export class LandCertificateMapper {
+    /**
+     * Map extracted data to the canonical shape
+     * @param {Object} source - Extracted data in any known shape
+     * @returns {Object} { data, unmappedFields } where unmappedFields lists JSON pointers that were dropped
+     */
+    map(source) {
+        if (!isObject(source)) {
+            throw new Error('Extracted data must be a JSON object');
+        }
+
+        const consumed = new Set();
+        const take = (object, objectPath, fields) => this.pickFields(object, objectPath, fields, consumed);
+
+        const metadataSource = isObject(source.metadata) ? source.metadata : {};
+        const extras = EXTRA_SECTIONS.map(key => [key, source[key]]).filter(([, value]) => isObject(value));
+
+        // Metadata
+        const metadata = take(metadataSource, '/metadata', METADATA_FIELDS);
+        if (!metadata.document_name && typeof source.document_type === 'string') {
+            metadata.document_name = source.document_type;
+            setOrigin(metadata, 'document_name', '/document_type');
+            consumed.add('/document_type');
+        }
+        if (!metadata.document_type && /giấy chứng nhận/i.test(metadata.document_name || '')) {
+            metadata.document_type = 'Land_Certificate';
+            setOrigin(metadata, 'document_type', getOrigin(metadata, 'document_name'));
+        }
+
+        // Owners
+        const property_owners = this.mapOwners(source, take);
+
+        // Land parcel
+        const landKey = LAND_SECTIONS.find(key => isObject(source[key]));
+        const land_information = take(landKey ? source[landKey] : {}, `/${landKey}`, LAND_FIELDS);
+
+        // Attached assets
+        const assets_attached_to_land = this.mapAssets(source, take, consumed);
+
+        // Top-level scalars may also come from metadata or an "additional information" block
+        const canonical = { metadata, property_owners, land_information, assets_attached_to_land };
+        const topLevel = take(source, '', TOP_LEVEL_FIELDS);
+        for (const [extraKey, extra] of extras) {
+            mergeMissing(topLevel, take(extra, `/${extraKey}`, TOP_LEVEL_FIELDS));
+        }
+        mergeMissing(topLevel, take(metadataSource, '/metadata', { issue_date: TOP_LEVEL_FIELDS.issue_date }));
+        Object.assign(canonical, topLevel);
+        copyOrigins(canonical, topLevel);
+
+        // Optional sections
+        const authority = take(source.issuing_authority_details, '/issuing_authority_details', AUTHORITY_FIELDS);
+        mergeMissing(authority, take(metadataSource, '/metadata', { authority_name: ['issued_by'] }));
+        if (hasValues(authority)) canonical.issuing_authority_details = authority;
+
+        const landMap = take(source.land_map, '/land_map', LAND_MAP_FIELDS);
+        if (hasValues(landMap)) canonical.land_map = landMap;
+
+        const changes = take(source.changes_after_certificate, '/changes_after_certificate', CHANGES_FIELDS);
+        if (hasValues(changes)) canonical.changes_after_certificate = changes;
+
+        return {
+            data: canonical,
+            unmappedFields: this.collectUnmapped(source, '', consumed)
+        };
+    }
+
+    /**
+     * Map owners from property_owners[] or an owner_information/spouse_information pair
+     */
+    mapOwners(source, take) {
+        const key = OWNER_SECTIONS.find(candidate => isObject(source[candidate]) || Array.isArray(source[candidate]));
+        if (!key) {
+            return [];
+        }
+
+        const entries = Array.isArray(source[key])
+            ? source[key].map((owner, index) => [owner, `/${key}/${index}`])
+            : [[source[key], `/${key}`]];
+
+        // A spouse nested inside the main owner becomes the next owner
+        for (const [owner, ownerPath] of [...entries]) {
+            const spouseKey = isObject(owner) && SPOUSE_KEYS.find(candidate => isObject(owner[candidate]));
+            if (spouseKey) {
+                entries.push([owner[spouseKey], `${ownerPath}/${spouseKey}`]);
+            }
+        }
+
+        return entries
+            .filter(([owner]) => isObject(owner))
+            .map(([owner, ownerPath]) => this.splitSalutation(take(owner, ownerPath, OWNER_FIELDS)));
+    }
+
+    /**
+     * Move a leading "Ông"/"Bà" from the name into owner_type
+     * @param {Object} owner - Canonical owner
+     * @returns {Object} Owner
+     */
+    splitSalutation(owner) {
+        const match = typeof owner.full_name === 'string' && owner.full_name.match(/^\s*(Ông|Bà)\s*:?\s+(.+)$/);
+        if (match && SALUTATIONS.includes(match[1])) {
+            owner.full_name = match[2].trim();
+            if (!owner.owner_type) {
+                owner.owner_type = match[1];
+                setOrigin(owner, 'owner_type', getOrigin(owner, 'full_name'));
+            }
+        }
+        return owner;
+    }
+
+    /**
+     * Map attached assets from an array or a single house/asset block
+     */
+    mapAssets(source, take, consumed) {
+        const key = ASSET_SECTIONS.find(candidate => isObject(source[candidate]) || Array.isArray(source[candidate]));
+        if (!key) {
+            return [];
+        }
+
+        const items = Array.isArray(source[key])
+            ? source[key].map((item, index) => [item, `/${key}/${index}`])
+            : [[source[key], `/${key}`]];
+
+        return items.filter(([item]) => isObject(item)).map(([item, itemPath]) => {
+            const type = take(item, itemPath, { asset_type: ['asset_type', 'type'] });
+            const detailsSource = isObject(item.details) ? item.details : item;
+            const detailsPath = isObject(item.details) ? `${itemPath}/details` : itemPath;
+
+            // Details are free-form, so only fields that were found are kept
+            const picked = take(detailsSource, detailsPath, ASSET_DETAIL_FIELDS);
+            const details = Object.fromEntries(Object.entries(picked).filter(([, value]) => value !== null));
+            copyOrigins(details, picked);
+            // Keep asset-specific fields the schema does not name (details allows extra text fields)
+            if (isObject(item.details)) {
+                for (const [detailKey, value] of Object.entries(item.details)) {
+                    if (!(detailKey in details) && isScalar(value)) {
+                        details[detailKey] = toText(value);
+                        setOrigin(details, detailKey, `${detailsPath}/${detailKey}`);
+                        consumed.add(`${detailsPath}/${detailKey}`);
+                    }
+                }
+            }
+
+            const looksLikeHouse = details.house_type || details.floor_area;
+            const asset = {
+                asset_type: type.asset_type || (looksLikeHouse ? 'Nhà ở' : 'Tài sản khác'),
+                details
+            };
+            copyOrigins(asset, type);
+            return asset;
+        });
+    }
+
+    /**
+     * Pick canonical fields from an object using alias lists
+     * @param {Object} object - Source object
+     * @param {string} objectPath - JSON pointer of the source object
+     * @param {Object} fields - Canonical field name -> accepted aliases
+     * @param {Set<string>} consumed - JSON pointers of consumed source fields
+     * @returns {Object} Canonical fields (null when not found)
+     */
+    pickFields(object, objectPath, fields, consumed) {
+        const picked = {};
+
+        for (const [field, aliases] of Object.entries(fields)) {
+            picked[field] = null;
+            if (!isObject(object)) continue;
+
+            const alias = aliases.find(candidate => isScalar(object[candidate]) && object[candidate] !== null);
+            if (alias) {
+                picked[field] = toText(object[alias]);
+                setOrigin(picked, field, `${objectPath}/${alias}`);
+                consumed.add(`${objectPath}/${alias}`);
+            } else {
+                const nullAlias = aliases.find(candidate => object[candidate] === null);
+                if (nullAlias) consumed.add(`${objectPath}/${nullAlias}`);
+            }
+        }
+
+        return picked;
+    }
+
+    /**
+     * List the source field each canonical value was read from
+     * Values the mapper derived (a default asset type, a detected card type) have no source.
+     * @param {Object} data - Canonical data returned by map()
+     * @returns {Object} Canonical JSON pointer -> JSON pointer in the extracted data
+     */
+    getSources(data) {
+        const sources = {};
+
+        const walk = (value, pointer) => {
+            if (Array.isArray(value)) {
+                value.forEach((item, index) => walk(item, `${pointer}/${index}`));
+            } else if (isObject(value)) {
+                const origins = ORIGINS.get(value) || {};
+                for (const [key, child] of Object.entries(value)) {
+                    if (isScalar(child) && child !== null && origins[key]) {
+                        sources[`${pointer}/${key}`] = origins[key];
+                    } else {
+                        walk(child, `${pointer}/${key}`);
+                    }
+                }
+            }
+        };
+
+        walk(data, '');
+        return sources;
+    }
+
+    /**
+     * List leaf fields of the source that were not mapped
+     * @param {*} value - Source value
+     * @param {string} valuePath - JSON pointer
+     * @param {Set<string>} consumed - Consumed pointers
+     * @returns {Array<string>} Unmapped JSON pointers
+     */
+    collectUnmapped(value, valuePath, consumed) {
+        if (Array.isArray(value)) {
+            return value.flatMap((item, index) => this.collectUnmapped(item, `${valuePath}/${index}`, consumed));
+        }
+        if (isObject(value)) {
+            return Object.entries(value).flatMap(([key, child]) =>
+                this.collectUnmapped(child, `${valuePath}/${key}`, consumed)
+            );
+        }
+        return consumed.has(valuePath) ? [] : [valuePath];
+    }
+}
+
+function isObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function isScalar(value) {
+    return value === null || ['string', 'number', 'boolean'].includes(typeof value);
+}
+
+function toText(value) {
+    return value === null ? null : String(value).trim();
+}
+
+function hasValues(object) {
+    return Object.values(object).some(value => value !== null);
+}
+
+function mergeMissing(target, source) {
+    for (const [key, value] of Object.entries(source)) {
+        if (target[key] === null && value !== null) {
+            target[key] = value;
+            setOrigin(target, key, getOrigin(source, key));
+        }
+    }
+}
+
+/**
+ * Record the source field a canonical value was read from (see getSources)
+ * @param {Object} target - Canonical object
+ * @param {string} field - Field of the canonical object
+ * @param {string|null} pointer - JSON pointer in the extracted data; null clears the record
+ */
+export function setOrigin(target, field, pointer) {
+    const origins = ORIGINS.get(target) || {};
+    if (pointer) {
+        origins[field] = pointer;
+    } else {
+        delete origins[field];
+    }
+    ORIGINS.set(target, origins);
+}
+
+/**
+ * Get the recorded source field of a canonical value
+ * @param {Object} target - Canonical object
+ * @param {string} field - Field
+ * @returns {string|null} JSON pointer in the extracted data
+ */
+export function getOrigin(target, field) {
+    return ORIGINS.get(target)?.[field] ?? null;
+}
+
+/**
+ * Copy the recorded source fields of one canonical object to another that took over its values
+ * @param {Object} target - Object the values were copied to
+ * @param {Object} source - Object they were picked into
+ */
+export function copyOrigins(target, source) {
+    for (const field of Object.keys(ORIGINS.get(source) || {})) {
+        setOrigin(target, field, getOrigin(source, field));
+    }
+}
+
+export default LandCertificateMapper;
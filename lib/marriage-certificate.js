@@ -0,0 +1,113 @@
+import { LandCertificateMapper, copyOrigins } from "./land-certificate-mapper.js";
+import { asciiKey } from "./gazetteer.js";
+
+/**
+ * Marriage Certificates
+ * =====================
+ *
+ * Maps the model's reading of a marriage document to the canonical
+ * marriage-certificate shape (schemas/marriage-certificate.v1.schema.json).
+ * Two documents share the shape:
+ *
+ *   marriage        Giấy chứng nhận kết hôn: husband and wife
+ *   marital_status  Giấy xác nhận tình trạng hôn nhân: one subject and their status
+ *
+ * In a loan dossier they tell who must consent to pledging the property:
+ * a spouse who is not on the land certificate still signs the mortgage.
+ */
+
+const DOCUMENT_FIELDS = {
+    document_name: ['document_name', 'title'],
+    registration_number: ['registration_number', 'number', 'so', 'so_dang_ky'],
+    registration_date: ['registration_date', 'date_of_registration', 'issue_date', 'ngay_dang_ky'],
+    registered_by: ['registered_by', 'issued_by', 'issuing_authority', 'registration_place', 'noi_dang_ky'],
+    marital_status: ['marital_status', 'status', 'tinh_trang_hon_nhan']
+};
+
+const PERSON_FIELDS = {
+    full_name: ['full_name', 'name', 'ho_ten', 'ho_va_ten'],
+    date_of_birth: ['date_of_birth', 'dob', 'birth_date', 'ngay_sinh'],
+    nationality: ['nationality', 'quoc_tich'],
+    place_of_residence: ['place_of_residence', 'residence', 'address', 'permanent_address', 'noi_cu_tru'],
+    id_number: ['id_number', 'identity_number', 'cccd', 'cmnd', 'giay_to_tuy_than']
+};
+
+const PERSON_KEYS = {
+    husband: ['husband', 'chong', 'ben_chong'],
+    wife: ['wife', 'vo', 'ben_vo'],
+    subject: ['subject', 'person', 'applicant', 'nguoi_duoc_xac_nhan']
+};
+
+const DOCUMENT_KINDS = ['marriage', 'marital_status'];
+
+// Titles: "Giấy xác nhận tình trạng hôn nhân" and "Giấy chứng nhận kết hôn"
+const TITLE_PATTERNS = [
+    ['marital_status', /tinh trang hon nhan/],
+    ['marriage', /ket hon/]
+];
+
+export class MarriageCertificateMapper extends LandCertificateMapper {
+    /**
+     * Map extracted marriage data to the canonical shape
+     * @param {Object} source - Extracted data
+     * @returns {Object} { data, unmappedFields }
+     */
+    map(source) {
+        if (!source || typeof source !== 'object' || Array.isArray(source)) {
+            throw new Error('Extracted data must be a JSON object');
+        }
+
+        const consumed = new Set();
+        const fields = this.pickFields(source, '', DOCUMENT_FIELDS, consumed);
+        const data = { document_kind: null, ...fields };
+        copyOrigins(data, fields);
+
+        for (const [role, keys] of Object.entries(PERSON_KEYS)) {
+            const key = keys.find(candidate => isObject(source[candidate]));
+            data[role] = key ? this.pickFields(source[key], `/${key}`, PERSON_FIELDS, consumed) : null;
+            if (!key) {
+                const nullKey = keys.find(candidate => source[candidate] === null);
+                if (nullKey) consumed.add(`/${nullKey}`);
+            }
+        }
+
+        data.document_kind = this.detectKind(source, data, consumed);
+        return {
+            data,
+            unmappedFields: this.collectUnmapped(source, '', consumed)
+        };
+    }
+
+    /**
+     * Decide the document kind from an explicit kind, the title or the people listed
+     * @param {Object} source - Extracted data
+     * @param {Object} data - Canonical fields picked so far
+     * @param {Set<string>} consumed - Consumed pointers
+     * @returns {string|null} marriage, marital_status or null
+     */
+    detectKind(source, data, consumed) {
+        if (source.document_kind !== undefined) {
+            consumed.add('/document_kind');
+            const explicit = asciiKey(source.document_kind ?? '').replace(/\s+/g, '_');
+            if (DOCUMENT_KINDS.includes(explicit)) {
+                return explicit;
+            }
+        }
+
+        const title = data.document_name ? asciiKey(data.document_name) : '';
+        const byTitle = TITLE_PATTERNS.find(([, pattern]) => pattern.test(title));
+        if (byTitle) {
+            return byTitle[0];
+        }
+        if (data.husband || data.wife) {
+            return 'marriage';
+        }
+        return data.subject ? 'marital_status' : null;
+    }
+}
+
+function isObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+export default MarriageCertificateMapper;
@@ -0,0 +1,304 @@
+import { AddressParser } from "./address-parser.js";
+
+/**
+ * Vietnamese Value Normalizer
+ * ===========================
+ *
+ * Converts raw Vietnamese strings from canonical extraction data into values
+ * a banking core can ingest:
+ *
+ *   "16484,0 m²"            -> { value: 16484, unit: "m2", sourceUnit: "m2" }
+ *   "06 tháng 04 năm 2019"  -> { value: "2019-04-06", precision: "day" }
+ *   "1986"                  -> { value: "1986", precision: "year", year: 1986 }
+ *   "-/-", "Không"          -> { value: null }
+ *   "Không thời hạn"        -> { value: null, noExpiry: true } (expiry dates only)
+ *   addresses               -> { value, address: { street, ward, district, province, current } }
+ *
+ * Every normalized leaf keeps the original string next to the value.
+ */
+
+const PLACEHOLDER_PATTERN = /^(?:[-–—/\\.\s]+|không|không có|chưa có|n\/a|null|none)$/iu;
+
+// Printed instead of an expiry date on cards that never expire (holders aged 60 and over)
+const NO_EXPIRY_PATTERN = /^(?:không|vô)(?: có)? thời hạn$/iu;
+
+// Canonical paths (array indices as []) and the normalizer applied to them
+const FIELD_TYPES = {
+    'land_information.area': 'area',
+    'assets_attached_to_land[].details.floor_area': 'area',
+    'assets_attached_to_land[].details.construction_area': 'area',
+    'issue_date': 'date',
+    'property_owners[].date_of_birth': 'date',
+    'property_owners[].id_issued_date': 'date',
+    'land_information.land_address': 'address',
+    'property_owners[].permanent_address': 'address',
+    // Citizen ID cards (lib/citizen-id.js); issue_date is shared
+    'date_of_birth': 'date',
+    'date_of_expiry': 'expiry',
+    'place_of_origin': 'address',
+    'place_of_residence': 'address',
+    // Marriage certificates (lib/marriage-certificate.js)
+    'registration_date': 'date',
+    'husband.date_of_birth': 'date',
+    'wife.date_of_birth': 'date',
+    'subject.date_of_birth': 'date',
+    'husband.place_of_residence': 'address',
+    'wife.place_of_residence': 'address',
+    'subject.place_of_residence': 'address',
+    // Sale contracts (lib/sale-contract.js)
+    'contract_date': 'date',
+    'notarization.date': 'date',
+    'sellers[].date_of_birth': 'date',
+    'buyers[].date_of_birth': 'date',
+    'sellers[].permanent_address': 'address',
+    'buyers[].permanent_address': 'address',
+    'property.land_address': 'address',
+    'property.area': 'area'
+};
+
+const AREA_UNITS = [
+    { pattern: /(?:km²|km2|km\s*vuông)/iu, unit: 'km2', factor: 1e6 },
+    { pattern: /(?:\bha\b|héc\s*ta|hecta)/iu, unit: 'ha', factor: 1e4 },
+    { pattern: /(?:m²|m2|m\s*vuông|\bm\b)/iu, unit: 'm2', factor: 1 }
+];
+
+export class VietnameseNormalizer {
+    constructor(options = {}) {
+        this.addressParser = options.addressParser || new AddressParser();
+    }
+
+    /**
+     * Check whether a value is an empty-field placeholder such as "-/-" or "Không"
+     * @param {*} value - Raw value
+     * @returns {boolean} Is placeholder
+     */
+    isPlaceholder(value) {
+        return isPlaceholder(value);
+    }
+
+    /**
+     * Normalize free text: NFC, trimmed, single spaces, placeholders to null
+     * @param {string|null} raw - Raw value
+     * @returns {Object} { value, original }
+     */
+    normalizeText(raw) {
+        if (this.isPlaceholder(raw)) {
+            return { value: null, original: raw ?? null };
+        }
+        return { value: String(raw).normalize('NFC').replace(/\s+/g, ' ').trim(), original: raw };
+    }
+
+    /**
+     * Normalize an area to square metres
+     * @param {string|null} raw - e.g. "16484,0 m²", "1.234,5m2", "0,5 ha"
+     * @returns {Object} { value, unit, sourceUnit, original, error? } - value in m², sourceUnit as printed
+     */
+    normalizeArea(raw) {
+        if (this.isPlaceholder(raw)) {
+            return { value: null, unit: 'm2', sourceUnit: null, original: raw ?? null };
+        }
+
+        const text = String(raw).normalize('NFC');
+        const match = text.match(/\d[\d.,\s]*\d|\d/u);
+        if (!match) {
+            return { value: null, unit: 'm2', sourceUnit: null, original: raw, error: `Unrecognized area: "${raw}"` };
+        }
+
+        const number = this.parseNumber(match[0].replace(/\s+/g, ''));
+        // Only look right after the number; a spelled-out area may follow in brackets
+        const rest = text.slice(match.index + match[0].length).slice(0, 12);
+        const unit = AREA_UNITS.find(candidate => candidate.pattern.test(rest)) || AREA_UNITS[2];
+
+        if (number === null) {
+            return { value: null, unit: 'm2', sourceUnit: null, original: raw, error: `Unrecognized area: "${raw}"` };
+        }
+
+        return { value: roundArea(number * unit.factor), unit: 'm2', sourceUnit: unit.unit, original: raw };
+    }
+
+    /**
+     * Parse a number written with Vietnamese or English separators
+     * Vietnamese convention: "." groups thousands, "," marks decimals.
+     * @param {string} text - Digits with separators
+     * @returns {number|null} Parsed number
+     */
+    parseNumber(text) {
+        const hasDot = text.includes('.');
+        const hasComma = text.includes(',');
+        let normalized = text;
+
+        if (hasDot && hasComma) {
+            // The separator that appears last is the decimal mark
+            const decimal = text.lastIndexOf(',') > text.lastIndexOf('.') ? ',' : '.';
+            const thousands = decimal === ',' ? '.' : ',';
+            normalized = text.split(thousands).join('').replace(decimal, '.');
+        } else if (hasComma) {
+            normalized = /^\d{1,3}(,\d{3}){2,}$/.test(text) ? text.replace(/,/g, '') : text.replace(',', '.');
+        } else if (hasDot) {
+            normalized = /^\d{1,3}(\.\d{3})+$/.test(text) ? text.replace(/\./g, '') : text;
+        }
+
+        if (!/^\d+(\.\d+)?$/.test(normalized)) {
+            return null;
+        }
+        return parseFloat(normalized);
+    }
+
+    /**
+     * Normalize a date to ISO 8601, keeping partial dates typed by precision
+     * @param {string|number|null} raw - e.g. "06 tháng 04 năm 2019", "06/04/2019", "04/2019", "1986"
+     * @returns {Object} { value, precision, year, month, day, original, error? }
+     */
+    normalizeDate(raw) {
+        const empty = { value: null, precision: null, year: null, month: null, day: null, original: raw ?? null };
+        if (this.isPlaceholder(raw)) {
+            return empty;
+        }
+
+        const text = String(raw).normalize('NFC').toLowerCase().replace(/\s+/g, ' ').trim();
+        const parts = this.matchDateParts(text);
+
+        if (!parts) {
+            return { ...empty, error: `Unrecognized date: "${raw}"` };
+        }
+
+        const { year, month = null, day = null } = parts;
+        if (!isValidDate(year, month, day)) {
+            return { ...empty, error: `Invalid date: "${raw}"` };
+        }
+
+        const pad = value => String(value).padStart(2, '0');
+        const value = day ? `${year}-${pad(month)}-${pad(day)}` : month ? `${year}-${pad(month)}` : String(year);
+        const precision = day ? 'day' : month ? 'month' : 'year';
+
+        return { value, precision, year, month, day, original: raw };
+    }
+
+    /**
+     * Normalize an expiry date, recognizing "Không thời hạn" as a document that does not expire
+     * @param {string|null} raw - e.g. "12/05/2026", "Không thời hạn"
+     * @returns {Object} normalizeDate result, with noExpiry: true and a null value for no expiry
+     */
+    normalizeExpiryDate(raw) {
+        if (typeof raw === 'string' && NO_EXPIRY_PATTERN.test(raw.normalize('NFC').replace(/\s+/g, ' ').trim())) {
+            return { value: null, precision: null, year: null, month: null, day: null, noExpiry: true, original: raw };
+        }
+        return this.normalizeDate(raw);
+    }
+
+    /**
+     * Match the supported Vietnamese and numeric date layouts
+     * @param {string} text - Lower-cased date text
+     * @returns {Object|null} { year, month, day }
+     */
+    matchDateParts(text) {
+        let match;
+
+        // "ngày 06 tháng 04 năm 2019", "06 tháng 4 năm 2019"
+        if ((match = text.match(/(?:ngày\s*)?(\d{1,2})\s*tháng\s*(\d{1,2})\s*,?\s*năm\s*(\d{4})/u))) {
+            return { day: +match[1], month: +match[2], year: +match[3] };
+        }
+        // "tháng 04 năm 2019"
+        if ((match = text.match(/tháng\s*(\d{1,2})\s*,?\s*năm\s*(\d{4})/u))) {
+            return { month: +match[1], year: +match[2] };
+        }
+        // ISO "2019-04-06"
+        if ((match = text.match(/\b(\d{4})-(\d{1,2})-(\d{1,2})\b/))) {
+            return { year: +match[1], month: +match[2], day: +match[3] };
+        }
+        // "06/04/2019", "6-4-2019", "06.04.2019"
+        if ((match = text.match(/\b(\d{1,2})[/.-](\d{1,2})[/.-](\d{4})\b/))) {
+            return { day: +match[1], month: +match[2], year: +match[3] };
+        }
+        // "04/2019"
+        if ((match = text.match(/^(?:tháng\s*)?(\d{1,2})[/.-](\d{4})$/u))) {
+            return { month: +match[1], year: +match[2] };
+        }
+        // "1986", "năm 1986", "năm sinh: 1986"
+        if ((match = text.match(/^(?:năm(?: sinh)?\s*:?\s*)?(\d{4})$/u))) {
+            return { year: +match[1] };
+        }
+
+        return null;
+    }
+
+    /**
+     * Normalize an address into administrative units with gazetteer codes
+     * @param {string|null} raw - e.g. "phường Yên Nghĩa, quận Hà Đông, thành phố Hà Nội"
+     * @returns {Object} { value, original, address, error? } - see AddressParser.parse
+     */
+    normalizeAddress(raw) {
+        const text = this.normalizeText(raw);
+        if (text.value === null) {
+            return { ...text, address: null };
+        }
+
+        const { error, ...address } = this.addressParser.parse(text.value);
+        return error ? { ...text, address, error } : { ...text, address };
+    }
+
+    /**
+     * Normalize a canonical document of any supported type
+     * @param {Object} data - Canonical data (see LandCertificateMapper, CitizenIdMapper, MarriageCertificateMapper, SaleContractMapper)
+     * @param {Object} options - { originals: Map of JSON pointer to the value before OCR correction, provenance: Map of JSON pointer to { page, bbox } }
+     * @returns {Object} { data, issues: [{ path, message }] } - every scalar leaf becomes { value, original, ..., provenance? }
+     */
+    normalizeDocument(data, { originals = new Map(), provenance = new Map() } = {}) {
+        const issues = [];
+
+        const walk = (value, pointer, typePath) => {
+            if (Array.isArray(value)) {
+                return value.map((item, index) => walk(item, `${pointer}/${index}`, `${typePath}[]`));
+            }
+            if (value !== null && typeof value === 'object') {
+                return Object.fromEntries(Object.entries(value).map(([key, child]) =>
+                    [key, walk(child, `${pointer}/${key}`, typePath ? `${typePath}.${key}` : key)]
+                ));
+            }
+
+            const type = FIELD_TYPES[typePath];
+            const normalized = type === 'area' ? this.normalizeArea(value)
+                : type === 'date' ? this.normalizeDate(value)
+                    : type === 'expiry' ? this.normalizeExpiryDate(value)
+                        : type === 'address' ? this.normalizeAddress(value)
+                            : this.normalizeText(value);
+
+            if (normalized.error) {
+                issues.push({ path: pointer, message: normalized.error });
+                delete normalized.error;
+            }
+            if (originals.has(pointer)) {
+                normalized.original = originals.get(pointer);
+            }
+            if (provenance.has(pointer)) {
+                normalized.provenance = provenance.get(pointer);
+            }
+            return normalized;
+        };
+
+        return { data: walk(data, '', ''), issues };
+    }
+}
+
+/**
+ * Check whether a value is an empty-field placeholder such as "-/-" or "Không"
+ * @param {*} value - Raw value
+ * @returns {boolean} Is placeholder
+ */
+export function isPlaceholder(value) {
+    return value === null || value === undefined || (typeof value === 'string' && (value.trim() === '' || PLACEHOLDER_PATTERN.test(value.trim())));
+}
+
+function isValidDate(year, month, day) {
+    if (year < 1800 || year > 2100) return false;
+    if (month === null) return day === null;
+    if (month < 1 || month > 12) return false;
+    if (day === null) return true;
+    return day >= 1 && day <= new Date(Date.UTC(year, month, 0)).getUTCDate();
+}
+
+function roundArea(value) {
+    return Math.round(value * 1e4) / 1e4;
+}
+
+export default VietnameseNormalizer;
@@ -0,0 +1,324 @@
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+import { AddressParser } from "./address-parser.js";
+import { asciiKey } from "./gazetteer.js";
+
+const SURNAMES_PATH = path.join(path.dirname(fileURLToPath(import.meta.url)), '..', 'data', 'surnames.json');
+
+// Salutations printed before owner names on certificates
+const SALUTATIONS = ['Ông', 'Bà'];
+
+// Confidence of a diacritics-only fix, per address level; each spelling edit costs 0.15
+const LEVEL_CONFIDENCE = { province: 0.95, district: 0.9, ward: 0.9, street: 0.6 };
+const EDIT_PENALTY = 0.15;
+
+// Tone marks (huyền, sắc, hỏi, ngã, nặng) whose position varies between "Hoà" and "Hòa"
+const TONE_MARKS = /[̣̀́̉̃]/g;
+
+/**
+ * OCR Corrector
+ * =============
+ *
+ * Proposes fixes for OCR errors in canonical data:
+ *
+ *   "Thành phố Vinh Yên"      -> "Thành phố Vĩnh Yên"   (gazetteer, diacritics)
+ *   "Giá Viên"                -> "Gia Viễn"             (gazetteer, low confidence outside the hierarchy)
+ *   "Đà Trương Thị Phương"    -> owner_type "Bà", full_name "Trương Thị Phương"
+ *   "Nguyen Anh Quân"         -> "Nguyễn Anh Quân"      (surname list)
+ *
+ * Fixes at or above minConfidence (OCR_CORRECTION_MIN_CONFIDENCE, default 0.8)
+ * are applied; the rest are only proposed. Every field touched is reported with
+ * its original value so the change can be audited and reverted.
+ */
+export class OcrCorrector {
+    constructor(options = {}) {
+        this.addressParser = options.addressParser || new AddressParser();
+        this.gazetteer = this.addressParser.gazetteer;
+        this.minConfidence = options.minConfidence ?? parseFloat(process.env.OCR_CORRECTION_MIN_CONFIDENCE || '0.8');
+        this.surnames = options.surnames || JSON.parse(fs.readFileSync(SURNAMES_PATH, 'utf8')).surnames;
+        this.surnameKeys = new Set(this.surnames.map(surname => toneKey(surname)));
+    }
+
+    /**
+     * Correct a canonical land-certificate document
+     * @param {Object} data - Canonical data (not modified)
+     * @returns {Object} { data, corrections: [{ path, original, corrected, changes: [{ from, to, confidence, reason, applied }] }] }
+     */
+    correct(data) {
+        const corrected = structuredClone(data);
+        const corrections = [];
+
+        const record = (pointer, original, value, changes) => {
+            if (changes.length > 0) {
+                corrections.push({ path: pointer, original, corrected: value, changes });
+            }
+        };
+
+        (corrected.property_owners || []).forEach((owner, index) => {
+            if (owner && typeof owner.full_name === 'string') {
+                this.correctOwner(owner, `/property_owners/${index}`, record);
+            }
+        });
+
+        const signatory = corrected.issuing_authority_details;
+        if (signatory && typeof signatory.signatory_name === 'string') {
+            const { value, changes } = this.correctName(signatory.signatory_name);
+            record('/issuing_authority_details/signatory_name', signatory.signatory_name, value, changes);
+            signatory.signatory_name = value;
+        }
+
+        this.walkStrings(corrected, '', (text, pointer, parent, key) => {
+            if (!this.looksLikeAddress(text)) {
+                return;
+            }
+            const { value, changes } = this.correctAddress(text);
+            record(pointer, text, value, changes);
+            parent[key] = value;
+        });
+
+        return { data: corrected, corrections };
+    }
+
+    /**
+     * Split a merged salutation out of an owner's name and fix the surname
+     * @param {Object} owner - Canonical owner (mutated)
+     * @param {string} pointer - JSON pointer of the owner
+     * @param {Function} record - Correction recorder
+     */
+    correctOwner(owner, pointer, record) {
+        const originalName = owner.full_name;
+        const originalType = owner.owner_type ?? null;
+        let result = this.correctName(originalName);
+
+        // A salutation that disagrees with owner_type is probably part of the name
+        if (result.salutation && originalType && originalType !== result.salutation.to) {
+            result = this.correctName(originalName, { splitSalutation: false });
+        }
+
+        if (result.salutation && !originalType) {
+            if (result.salutation.applied) {
+                owner.owner_type = result.salutation.to;
+            }
+            record(`${pointer}/owner_type`, originalType, owner.owner_type ?? null, [result.salutation]);
+        }
+
+        record(`${pointer}/full_name`, originalName, result.value, result.changes);
+        owner.full_name = result.value;
+    }
+
+    /**
+     * Correct a person's name
+     * @param {string} text - Name as read
+     * @param {Object} options - { splitSalutation }
+     * @returns {Object} { value, changes, salutation } - salutation is the change that split one off
+     */
+    correctName(text, { splitSalutation = true } = {}) {
+        let tokens = text.trim().split(/\s+/);
+        const changes = [];
+        let salutation = null;
+
+        if (splitSalutation && tokens.length >= 3) {
+            const first = tokens[0].replace(/[:.,]$/, '');
+            const match = SALUTATIONS.find(candidate => editDistance(first.toLowerCase(), candidate.toLowerCase()) <= 1);
+
+            if (match && !this.isSurname(first) && (this.isSurname(tokens[1]) || this.findSurname(tokens[1]))) {
+                const exact = first.toLowerCase() === match.toLowerCase();
+                salutation = this.proposal(tokens[0], match, exact ? 0.95 : 0.85, 'salutation');
+                changes.push(this.proposal(text, tokens.slice(1).join(' '), salutation.confidence, 'salutation'));
+                if (salutation.applied) {
+                    tokens = tokens.slice(1);
+                }
+            }
+        }
+
+        const surname = this.findSurname(tokens[0]);
+        if (surname) {
+            // Diacritics dropped entirely are a common OCR failure; wrong ones are less certain
+            const confidence = /^[A-Za-z]+$/.test(tokens[0]) ? 0.85 : 0.6;
+            const change = this.proposal(tokens[0], surname, confidence, 'surname');
+            changes.push(change);
+            if (change.applied) {
+                tokens = [surname, ...tokens.slice(1)];
+            }
+        }
+
+        return { value: tokens.join(' '), changes, salutation };
+    }
+
+    /**
+     * Correct the administrative units of an address, right to left
+     * @param {string} text - Address as read
+     * @returns {Object} { value, changes }
+     */
+    correctAddress(text) {
+        // Odd indices hold the separators, so the address is rebuilt exactly
+        const segments = text.split(/(\s*[,;]\s*)/);
+        const parts = segments
+            .map((segment, index) => ({ index, ...this.addressParser.classifyPart(segment.trim()) }))
+            .filter(part => part.index % 2 === 0 && part.text);
+        const changes = [];
+
+        const fix = (part, level, candidates) => {
+            const match = this.matchUnit(part.name, candidates, level);
+            if (match?.change) {
+                changes.push(match.change);
+                if (match.change.applied) {
+                    segments[part.index] = segments[part.index].replace(part.name, match.unit.name);
+                }
+            }
+            return match?.unit || null;
+        };
+
+        let last = parts.length - 1;
+        let province = null;
+        let district = null;
+
+        if (parts[last] && (!parts[last].levels || parts[last].levels.includes('province'))) {
+            province = fix(parts[last], 'province', [...this.gazetteer.provinces.all, ...this.gazetteer.provinces2025.all]);
+            if (province || parts[last].levels) {
+                last--;
+            }
+        }
+        if (parts[last]?.levels?.includes('district')) {
+            district = fix(parts[last], 'district',
+                this.gazetteer.districts.all.filter(unit => !province || unit.province === province.code));
+            last--;
+        }
+        if (parts[last]?.levels?.includes('ward')) {
+            fix(parts[last], 'ward', this.gazetteer.wards.all.filter(unit => !district || unit.district === district.code));
+            last--;
+        }
+
+        // Street, village and project names: any unit name, diacritics only
+        const lexicon = [...this.gazetteer.districts.all, ...this.gazetteer.wards.all, ...this.gazetteer.wards2025.all];
+        for (const part of parts.slice(0, last + 1)) {
+            fix(part, 'street', lexicon);
+        }
+
+        return { value: segments.join(''), changes };
+    }
+
+    /**
+     * Find the unit a name most likely refers to
+     * @param {string} name - Unit name as read
+     * @param {Array<Object>} candidates - Gazetteer units
+     * @param {string} level - province, district, ward or street
+     * @returns {Object|null} { unit, change } - change is null when the name is already correct
+     */
+    matchUnit(name, candidates, level) {
+        if (!name) {
+            return null;
+        }
+
+        const key = toneKey(name);
+        const exact = candidates.find(unit => toneKey(unit.name) === key);
+        if (exact) {
+            return { unit: exact, change: null };
+        }
+
+        const ascii = asciiKey(name);
+        const maxDistance = level === 'street' ? 0 : ascii.length >= 8 ? 2 : 1;
+        let best = [];
+        let bestDistance = Infinity;
+
+        for (const unit of candidates) {
+            const distance = editDistance(ascii, asciiKey(unit.name));
+            if (distance < bestDistance) {
+                best = [unit];
+                bestDistance = distance;
+            } else if (distance === bestDistance && !best.some(other => other.name === unit.name)) {
+                best.push(unit);
+            }
+        }
+
+        if (best.length !== 1 || bestDistance > maxDistance) {
+            return null;
+        }
+
+        const confidence = LEVEL_CONFIDENCE[level] - EDIT_PENALTY * bestDistance;
+        return {
+            unit: best[0],
+            change: this.proposal(name, best[0].name, confidence, bestDistance === 0 ? `${level}-diacritics` : `${level}-spelling`)
+        };
+    }
+
+    /**
+     * Check whether text carries at least two administrative unit prefixes
+     * @param {string} text - Field value
+     * @returns {boolean} Looks like an address
+     */
+    looksLikeAddress(text) {
+        const parts = text.split(/\s*[,;]\s*/);
+        return parts.length >= 2 && parts.filter(part => this.addressParser.classifyPart(part.trim()).levels).length >= 2;
+    }
+
+    isSurname(token) {
+        return this.surnameKeys.has(toneKey(token));
+    }
+
+    /**
+     * Find the surname a token spells without (or with wrong) diacritics
+     * @param {string} token - First token of a name
+     * @returns {string|null} Surname, when exactly one matches
+     */
+    findSurname(token) {
+        if (!token || this.isSurname(token)) {
+            return null;
+        }
+        const matches = this.surnames.filter(surname => asciiKey(surname) === asciiKey(token));
+        return matches.length === 1 ? matches[0] : null;
+    }
+
+    proposal(from, to, confidence, reason) {
+        const rounded = Math.round(confidence * 100) / 100;
+        return { from, to, confidence: rounded, reason, applied: rounded >= this.minConfidence };
+    }
+
+    walkStrings(value, pointer, visit) {
+        for (const [key, child] of Object.entries(value)) {
+            const childPointer = `${pointer}/${key}`;
+            if (typeof child === 'string') {
+                visit(child, childPointer, value, key);
+            } else if (child !== null && typeof child === 'object') {
+                this.walkStrings(child, childPointer, visit);
+            }
+        }
+    }
+}
+
+/**
+ * Build a comparison key that ignores case and tone-mark placement ("Hoà" = "Hòa")
+ * @param {string} text - Text
+ * @returns {string} Key
+ */
+function toneKey(text) {
+    return String(text).normalize('NFD').toLowerCase().split(/\s+/).map(word => {
+        const tones = word.match(TONE_MARKS) || [];
+        return word.replace(TONE_MARKS, '') + tones.sort().join('');
+    }).join(' ').normalize('NFC');
+}
+
+/**
+ * Levenshtein distance between two strings
+ * @param {string} a - First string
+ * @param {string} b - Second string
+ * @returns {number} Number of single-character edits
+ */
+export function editDistance(a, b) {
+    const previous = Array.from({ length: b.length + 1 }, (_, index) => index);
+
+    for (let i = 1; i <= a.length; i++) {
+        let diagonal = previous[0];
+        previous[0] = i;
+        for (let j = 1; j <= b.length; j++) {
+            const above = previous[j];
+            previous[j] = Math.min(previous[j] + 1, previous[j - 1] + 1, diagonal + (a[i - 1] === b[j - 1] ? 0 : 1));
+            diagonal = above;
+        }
+    }
+
+    return previous[b.length];
+}
+
+export default OcrCorrector;
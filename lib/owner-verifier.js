@@ -0,0 +1,250 @@
+import { asciiKey, nameKey } from "./gazetteer.js";
+import { VietnameseNormalizer } from "./normalizer.js";
+import { IdentityValidator } from "./id-validator.js";
+import { parseMrz } from "./citizen-id.js";
+
+/**
+ * Owner Verifier
+ * ==============
+ *
+ * Cross-checks the owners printed on a land certificate against their
+ * citizen ID cards (see lib/citizen-id.js). Each owner is paired with the
+ * card carrying the same ID number, or failing that the same name, and
+ * four fields are compared:
+ *
+ *   name        without diacritics, case or a leading salutation ("Ông", "Bà", "Hộ ông")
+ *   id_number   the card number, or the former CMND number it lists
+ *   birth_year  from the date of birth, or the year encoded in a CCCD number
+ *   address     province and ward (mapped to the post-2025 units), else the text
+ *
+ * Each check is match, mismatch, missing (a side has no value) or unverified
+ * (the values cannot be compared, e.g. a CMND number against a CCCD card).
+ * Fields missing on the front are taken from the card's MRZ.
+ */
+
+// Leading salutations and household prefixes; matched with diacritics, so the surname "Hồ" is not "Hộ"
+const SALUTATION_PATTERN = /^(?:hộ\s+(?:gia đình\s+)?)?(?:ông|bà)\s*:?\s+/u;
+
+// Checks whose mismatch makes the owner a mismatch; an address can differ after a move
+const IDENTITY_CHECKS = ['name', 'id_number', 'birth_year'];
+
+const CHECK_FIELDS = { name: 'full_name', id_number: 'id_number', birth_year: 'date_of_birth', address: 'permanent_address' };
+
+export class OwnerVerifier {
+    /**
+     * @param {Object} options - Verifier options
+     * @param {VietnameseNormalizer} options.normalizer - Date and address normalizer (default a new VietnameseNormalizer)
+     * @param {IdentityValidator} options.identityValidator - ID number classifier (default one sharing the normalizer)
+     */
+    constructor(options = {}) {
+        this.normalizer = options.normalizer || new VietnameseNormalizer();
+        this.identityValidator = options.identityValidator || new IdentityValidator({ normalizer: this.normalizer });
+    }
+
+    /**
+     * Verify every certificate owner against the cards
+     * @param {Array<Object>} owners - Canonical property_owners
+     * @param {Array<Object|null>} cards - Canonical citizen-id data; null entries are skipped but keep their index
+     * @returns {Object} { status, owners: [{ path, full_name, card, verdict, checks }], unmatchedCards, issues }
+     *   verdict is verified, partial, mismatch or no_card; status is the worst verdict, or no_owners
+     */
+    verify(owners = [], cards = []) {
+        const candidates = cards.map((card, index) => (card ? { index, ...this.readCard(card) } : null)).filter(Boolean);
+        const used = new Set();
+        const issues = [];
+
+        const results = (owners || []).map((owner, index) => {
+            const path = `/property_owners/${index}`;
+            const card = this.findCard(owner, candidates.filter(candidate => !used.has(candidate.index)));
+            const entry = { path, full_name: owner?.full_name ?? null, card: card ? card.index : null, verdict: 'no_card', checks: null };
+
+            if (!card) {
+                issues.push({ path, code: 'OWNER_CARD_MISSING', severity: 'medium', message: `No citizen ID card was provided for ${entry.full_name ?? `owner ${index + 1}`}` });
+                return entry;
+            }
+
+            used.add(card.index);
+            entry.checks = {
+                name: this.compareNames(owner.full_name, card.full_name),
+                id_number: this.compareIdNumbers(owner.id_number, card),
+                birth_year: this.compareBirthYears(owner.date_of_birth, card),
+                address: this.compareAddresses(owner.permanent_address, card.place_of_residence)
+            };
+            entry.verdict = this.getVerdict(entry.checks);
+
+            for (const [check, result] of Object.entries(entry.checks).filter(([, item]) => item.status === 'mismatch')) {
+                issues.push({
+                    path: `${path}/${CHECK_FIELDS[check]}`,
+                    code: `OWNER_${check.toUpperCase()}_MISMATCH`,
+                    severity: IDENTITY_CHECKS.includes(check) ? 'high' : 'medium',
+                    message: `Certificate has "${result.certificate}", citizen ID card ${card.index + 1} has "${result.card}"`
+                });
+            }
+            return entry;
+        });
+
+        return {
+            status: this.getStatus(results.map(result => result.verdict)),
+            owners: results,
+            unmatchedCards: candidates.map(card => card.index).filter(index => !used.has(index)),
+            issues
+        };
+    }
+
+    /**
+     * Read the fields used for verification from a card, falling back to its MRZ
+     * @param {Object} card - Canonical citizen-id data
+     * @returns {Object} { full_name, id_number, previous_id_number, date_of_birth, place_of_residence }
+     */
+    readCard(card) {
+        const mrz = card.mrz ? parseMrz(card.mrz) : null;
+        const fromMrz = mrz?.valid ? mrz.fields : {};
+        const filled = value => (this.normalizer.isPlaceholder(value) ? null : value);
+
+        return {
+            full_name: filled(card.full_name) ?? fromMrz.full_name ?? null,
+            id_number: filled(card.id_number) ?? fromMrz.id_number ?? null,
+            previous_id_number: filled(card.previous_id_number),
+            date_of_birth: filled(card.date_of_birth) ?? fromMrz.date_of_birth ?? null,
+            place_of_residence: filled(card.place_of_residence)
+        };
+    }
+
+    /**
+     * Pick the card of an owner: same ID number first, then same name
+     * @param {Object} owner - Canonical owner
+     * @param {Array<Object>} cards - Unused cards from readCard
+     * @returns {Object|null} Card
+     */
+    findCard(owner, cards) {
+        if (!owner) {
+            return null;
+        }
+        return cards.find(card => this.compareIdNumbers(owner.id_number, card).status === 'match')
+            || cards.find(card => this.compareNames(owner.full_name, card.full_name).status === 'match')
+            || null;
+    }
+
+    /**
+     * Compare names without diacritics, case or salutation
+     * @returns {Object} { status, certificate, card }
+     */
+    compareNames(certificateName, cardName) {
+        return this.check(certificateName, cardName, (a, b) => personKey(a) === personKey(b));
+    }
+
+    /**
+     * Compare an owner's ID number with a card's current and former numbers
+     * Numbers of different types (CMND or passport against CCCD) cannot be compared.
+     * @returns {Object} { status, certificate, card }
+     */
+    compareIdNumbers(certificateNumber, card) {
+        return this.check(certificateNumber, card.id_number ?? card.previous_id_number, value => {
+            const owner = this.identityValidator.classify(value);
+            const numbers = [card.id_number, card.previous_id_number].filter(Boolean).map(number => this.identityValidator.classify(number));
+            if (numbers.some(number => number.number === owner.number)) {
+                return true;
+            }
+            // A passport or former CMND number is not contradicted by a card that does not list it
+            return numbers.some(number => number.type === owner.type) ? false : null;
+        });
+    }
+
+    /**
+     * Compare birth years; a CCCD number stands in for a missing date of birth on the card
+     * @returns {Object} { status, certificate, card }
+     */
+    compareBirthYears(certificateDate, card) {
+        const decoded = this.identityValidator.classify(card.id_number);
+        const cardYear = this.normalizer.normalizeDate(card.date_of_birth).year
+            ?? (decoded.type === 'cccd' && decoded.valid ? decoded.birthYear : null);
+        const ownerYear = this.normalizer.normalizeDate(certificateDate).year;
+
+        return this.check(ownerYear, cardYear, (a, b) => a === b);
+    }
+
+    /**
+     * Compare addresses by province and ward, mapped to the current units
+     * Identical text always matches; otherwise an unrecognized province leaves the address unverified.
+     * @returns {Object} { status, certificate, card }
+     */
+    compareAddresses(certificateAddress, cardAddress) {
+        const compact = text => asciiKey(text).replace(/[^a-z0-9]/g, '');
+
+        return this.check(certificateAddress, cardAddress, (a, b) => {
+            if (compact(a) === compact(b)) {
+                return true;
+            }
+            const [owner, card] = [a, b].map(text => this.normalizer.normalizeAddress(text).address);
+            if (!owner?.province?.matched || !card?.province?.matched) {
+                return null;
+            }
+            if ((owner.current.province?.code ?? owner.province.code) !== (card.current.province?.code ?? card.province.code)) {
+                return false;
+            }
+
+            if (owner.current.ward && card.current.ward) {
+                return owner.current.ward.code === card.current.ward.code;
+            }
+            // Ward names only compare within one era: the 2025 reorganization merged wards and dropped districts
+            if (!owner.ward || !card.ward || Boolean(owner.district) !== Boolean(card.district)) {
+                return null;
+            }
+            return asciiKey(owner.ward.name) === asciiKey(card.ward.name);
+        });
+    }
+
+    /**
+     * Compare two values with a predicate returning true, false or null (cannot tell)
+     * @returns {Object} { status, certificate, card }
+     */
+    check(certificateValue, cardValue, same) {
+        const present = value => value !== null && value !== undefined && !this.normalizer.isPlaceholder(value);
+        const result = { status: 'missing', certificate: certificateValue ?? null, card: cardValue ?? null };
+        if (!present(certificateValue) || !present(cardValue)) {
+            return result;
+        }
+
+        const match = same(certificateValue, cardValue);
+        return { ...result, status: match === null ? 'unverified' : match ? 'match' : 'mismatch' };
+    }
+
+    /**
+     * Decide an owner's verdict from the checks
+     * @param {Object} checks - { name, id_number, birth_year, address }
+     * @returns {string} mismatch if name, ID or birth year disagree; verified if name and ID match and the address does not disagree; partial otherwise
+     */
+    getVerdict(checks) {
+        if (IDENTITY_CHECKS.some(check => checks[check].status === 'mismatch')) {
+            return 'mismatch';
+        }
+        const confirmed = checks.name.status === 'match' && checks.id_number.status === 'match';
+        return confirmed && checks.address.status !== 'mismatch' ? 'verified' : 'partial';
+    }
+
+    /**
+     * Overall status: the worst owner verdict
+     * @param {Array<string>} verdicts - Owner verdicts
+     * @returns {string} mismatch, no_card, partial, verified or no_owners
+     */
+    getStatus(verdicts) {
+        if (verdicts.length === 0) {
+            return 'no_owners';
+        }
+        return ['mismatch', 'no_card', 'partial'].find(verdict => verdicts.includes(verdict)) || 'verified';
+    }
+}
+
+/**
+ * Matching key for a person's name: no diacritics, case or leading salutation
+ * @param {string} name - Name as printed, e.g. "Bà Nguyễn Thị Hoà" or "NGUYEN THI HOA"
+ * @returns {string} Key, e.g. "nguyen thi hoa"
+ */
+export function personKey(name) {
+    const text = nameKey(name);
+    const stripped = text.replace(SALUTATION_PATTERN, '');
+    // A name that is only a salutation ("Bà Ba") keeps it
+    return asciiKey(stripped.includes(' ') ? stripped : text).replace(/[^a-z\s]/g, ' ').replace(/\s+/g, ' ').trim();
+}
+
+export default OwnerVerifier;
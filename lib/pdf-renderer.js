@@ -0,0 +1,220 @@
+import fs from "fs";
+import path from "path";
+import { createRequire } from "module";
+import { getDocument } from "pdfjs-dist/legacy/build/pdf.mjs";
+import { createCanvas, loadImage } from "@napi-rs/canvas";
+import { ValidationError } from "./validation-error.js";
+
+const require = createRequire(import.meta.url);
+const PDFJS_DIR = path.dirname(require.resolve('pdfjs-dist/package.json'));
+
+// Pixel budgets: a page with an oversized media box is rendered at a lower resolution,
+// a stitched image over the budget is refused
+const MAX_PAGE_PIXELS = 25_000_000;
+const MAX_STITCHED_PIXELS = 100_000_000;
+
+/**
+ * PDF Page Renderer
+ * =================
+ *
+ * Renders PDF pages to images inside the Node process, replacing the
+ * pdftoppm + ImageMagick pipeline in convert.sh.
+ */
+export class PdfRenderer {
+    /**
+     * @param {Object} options - Rendering options
+     * @param {number} options.dpi - Render resolution (default PDF_RENDER_DPI or 150), capped at maxDpi
+     * @param {number} options.maxDpi - Highest render resolution (default PDF_MAX_DPI or 300)
+     * @param {number} options.maxPages - Most pages rendered from one PDF (default PDF_MAX_PAGES or 20)
+     * @param {string} options.format - Output format: 'jpeg' or 'png'
+     * @param {number} options.quality - JPEG quality 1-100
+     */
+    constructor(options = {}) {
+        this.maxDpi = options.maxDpi || parseInt(process.env.PDF_MAX_DPI) || 300;
+        this.maxPages = options.maxPages || parseInt(process.env.PDF_MAX_PAGES) || 20;
+        this.dpi = Math.min(options.dpi || parseInt(process.env.PDF_RENDER_DPI) || 150, this.maxDpi);
+        this.format = options.format || 'jpeg';
+        this.quality = options.quality || parseInt(process.env.PDF_JPEG_QUALITY) || 85;
+    }
+
+    /**
+     * Render PDF pages to images
+     * @param {string|Buffer} source - PDF file path or buffer
+     * @param {Object} options - Render options
+     * @param {string|Array<number>} options.pages - Page range, e.g. "1-3,5" or [1, 2] (default: all)
+     * @param {number} options.dpi - Override render resolution, capped at maxDpi
+     * @returns {Promise<Array<Object>>} Rendered pages: { pageNumber, buffer, mimeType, width, height }
+     */
+    async renderPages(source, options = {}) {
+        const data = this.readSource(source);
+        const dpi = Math.min(options.dpi || this.dpi, this.maxDpi);
+
+        let document;
+        try {
+            document = await getDocument({
+                data,
+                verbosity: 0,
+                standardFontDataUrl: path.join(PDFJS_DIR, 'standard_fonts') + path.sep,
+                cMapUrl: path.join(PDFJS_DIR, 'cmaps') + path.sep,
+                cMapPacked: true
+            }).promise;
+        } catch (error) {
+            // Corrupt, truncated or password-protected files
+            throw new ValidationError(`Invalid PDF: ${error.message}`, { code: 'INVALID_DOCUMENT', cause: error });
+        }
+
+        try {
+            const pageNumbers = PdfRenderer.parsePageRange(options.pages, document.numPages);
+            if (pageNumbers.length > this.maxPages) {
+                throw new ValidationError(
+                    `${pageNumbers.length} PDF pages selected, at most ${this.maxPages} are rendered; pass a page range`,
+                    { code: 'INVALID_DOCUMENT' }
+                );
+            }
+            const rendered = [];
+
+            // Render sequentially to keep memory bounded on large dossiers
+            for (const pageNumber of pageNumbers) {
+                rendered.push(await this.renderPage(document, pageNumber, dpi));
+            }
+
+            return rendered;
+        } finally {
+            await document.destroy();
+        }
+    }
+
+    /**
+     * Render a single page
+     * @param {Object} document - Loaded pdf.js document
+     * @param {number} pageNumber - 1-based page number
+     * @param {number} dpi - Render resolution
+     * @returns {Promise<Object>} Rendered page
+     */
+    async renderPage(document, pageNumber, dpi) {
+        const page = await document.getPage(pageNumber);
+        const { width, height } = page.getViewport({ scale: dpi / 72 });
+        const scale = (dpi / 72) * Math.min(1, Math.sqrt(MAX_PAGE_PIXELS / (width * height)));
+        const viewport = page.getViewport({ scale });
+        const canvas = createCanvas(Math.ceil(viewport.width), Math.ceil(viewport.height));
+        const context = canvas.getContext('2d');
+
+        // Scanned certificates have transparent regions; flatten them onto white
+        context.fillStyle = '#ffffff';
+        context.fillRect(0, 0, canvas.width, canvas.height);
+
+        await page.render({ canvas, canvasContext: context, viewport }).promise;
+        page.cleanup();
+
+        return {
+            pageNumber,
+            buffer: await this.encode(canvas),
+            mimeType: this.format === 'png' ? 'image/png' : 'image/jpeg',
+            width: canvas.width,
+            height: canvas.height
+        };
+    }
+
+    /**
+     * Stack rendered pages vertically into one image (same as `convert -append`)
+     * @param {Array<Object>} pages - Rendered pages
+     * @returns {Promise<Object>} Stitched image: { buffer, mimeType, width, height }
+     */
+    async stitchPages(pages) {
+        if (pages.length === 0) {
+            throw new Error('No pages to stitch');
+        }
+
+        const images = await Promise.all(pages.map(page => loadImage(page.buffer)));
+        const width = Math.max(...images.map(image => image.width));
+        const height = images.reduce((sum, image) => sum + image.height, 0);
+        if (width * height > MAX_STITCHED_PIXELS) {
+            throw new ValidationError(
+                `Stitched image of ${width}x${height} pixels is too large; use the 'pages' page mode, a page range or a lower DPI`,
+                { code: 'INVALID_DOCUMENT' }
+            );
+        }
+
+        const canvas = createCanvas(width, height);
+        const context = canvas.getContext('2d');
+        context.fillStyle = '#ffffff';
+        context.fillRect(0, 0, width, height);
+
+        let offsetY = 0;
+        for (const image of images) {
+            context.drawImage(image, 0, offsetY);
+            offsetY += image.height;
+        }
+
+        return {
+            buffer: await this.encode(canvas),
+            mimeType: this.format === 'png' ? 'image/png' : 'image/jpeg',
+            width,
+            height
+        };
+    }
+
+    /**
+     * Encode a canvas in the configured format
+     * @param {Object} canvas - Canvas to encode
+     * @returns {Promise<Buffer>} Encoded image
+     */
+    encode(canvas) {
+        return this.format === 'png' ? canvas.encode('png') : canvas.encode('jpeg', this.quality);
+    }
+
+    /**
+     * Read PDF source into a Uint8Array for pdf.js
+     * @param {string|Buffer} source - PDF file path or buffer
+     * @returns {Uint8Array} PDF bytes
+     */
+    readSource(source) {
+        if (Buffer.isBuffer(source) || source instanceof Uint8Array) {
+            // pdf.js transfers the buffer to its worker, so hand it a copy
+            return new Uint8Array(source);
+        }
+
+        const absolutePath = path.resolve(source);
+        if (!fs.existsSync(absolutePath)) {
+            throw new Error(`PDF file not found: ${absolutePath}`);
+        }
+        return new Uint8Array(fs.readFileSync(absolutePath));
+    }
+
+    /**
+     * Parse a page range specification
+     * @param {string|Array<number>|undefined} range - "1-3,5", "2-", [1, 3] or empty for all pages
+     * @param {number} numPages - Number of pages in the document
+     * @returns {Array<number>} Sorted, de-duplicated 1-based page numbers
+     */
+    static parsePageRange(range, numPages) {
+        if (range === undefined || range === null || range === '' || range === 'all') {
+            return Array.from({ length: numPages }, (_, i) => i + 1);
+        }
+
+        const pages = new Set();
+        const parts = Array.isArray(range) ? range.map(String) : String(range).split(',');
+
+        for (const part of parts) {
+            const match = part.trim().match(/^(\d+)?\s*(-)?\s*(\d+)?$/);
+            if (!match || (!match[1] && !match[3])) {
+                throw new ValidationError(`Invalid page range: "${part.trim()}"`);
+            }
+
+            const start = match[1] ? parseInt(match[1]) : 1;
+            const end = match[2] ? (match[3] ? parseInt(match[3]) : numPages) : start;
+
+            if (start < 1 || end > numPages || start > end) {
+                throw new ValidationError(`Page range "${part.trim()}" is outside 1-${numPages}`);
+            }
+
+            for (let page = start; page <= end; page++) {
+                pages.add(page);
+            }
+        }
+
+        return [...pages].sort((a, b) => a - b);
+    }
+}
+
+export default PdfRenderer;
@@ -0,0 +1,452 @@
+import fs from "fs";
+import { fileURLToPath } from "url";
+import { PDFDocument, GlobalFonts, createCanvas, loadImage } from "@napi-rs/canvas";
+import { ReportRenderer } from "./report-renderer.js";
+import { PdfRenderer } from "./pdf-renderer.js";
+import { detectMimeType, isPdf } from "./file-type.js";
+
+const FONT_FAMILY = 'ReportSans';
+const DEFAULT_FONTS = {
+    regular: fileURLToPath(new URL('../assets/fonts/DejaVuSans.ttf', import.meta.url)),
+    bold: fileURLToPath(new URL('../assets/fonts/DejaVuSans-Bold.ttf', import.meta.url))
+};
+
+// A4 in points
+const PAGE = { width: 595, height: 842, margin: 40, footer: 28 };
+const COLORS = { text: '#1f2933', muted: '#616e7c', border: '#cbd2d9', header: '#f0f4f8', notice: '#fff3c4' };
+
+export const PDF_LABELS = {
+    vi: {
+        sourcePages: 'Trang gốc',
+        page: 'Trang',
+        model: 'Mô hình',
+        prompt: 'Prompt',
+        analyzer: 'Phiên bản',
+        schema: 'Schema',
+        analyzedAt: 'Phân tích lúc'
+    },
+    en: {
+        sourcePages: 'Source pages',
+        page: 'Page',
+        model: 'Model',
+        prompt: 'Prompt',
+        analyzer: 'Version',
+        schema: 'Schema',
+        analyzedAt: 'Analyzed at'
+    }
+};
+
+let registeredFonts = null;
+
+/**
+ * PDF Summary Report
+ * ==================
+ *
+ * Renders an analysis result as a printable A4 PDF for the loan file: page
+ * thumbnails of the source document, the report sections of ReportRenderer
+ * (fields and warnings), and a footer with model, prompt hash, analyzer and
+ * schema version on every page.
+ *
+ * Runs entirely in-process with Skia (@napi-rs/canvas). Text is set in the
+ * bundled DejaVu Sans, which covers Vietnamese, and the used glyphs are
+ * embedded in the PDF, so diacritics print the same on every machine.
+ */
+export class PdfReportRenderer {
+    /**
+     * @param {Object} options - Renderer options
+     * @param {string} options.language - 'vi' or 'en' (default REPORT_LANGUAGE or 'vi')
+     * @param {string} options.fontPath - Regular TTF/OTF font (default PDF_FONT_PATH or bundled DejaVu Sans)
+     * @param {string} options.boldFontPath - Bold font (default PDF_BOLD_FONT_PATH or bundled DejaVu Sans Bold)
+     * @param {number} options.maxThumbnails - Source pages shown as thumbnails (default 12)
+     */
+    constructor(options = {}) {
+        this.language = options.language || process.env.REPORT_LANGUAGE || 'vi';
+        this.maxThumbnails = options.maxThumbnails ?? 12;
+        this.reportRenderer = new ReportRenderer({ language: this.language });
+        this.registerFonts({
+            regular: options.fontPath || process.env.PDF_FONT_PATH || DEFAULT_FONTS.regular,
+            bold: options.boldFontPath || process.env.PDF_BOLD_FONT_PATH || DEFAULT_FONTS.bold
+        });
+        this.measure = createCanvas(10, 10).getContext('2d');
+    }
+
+    /**
+     * Register the report fonts once per process
+     * @param {Object} fonts - { regular, bold } font file paths
+     */
+    registerFonts(fonts) {
+        const key = `${fonts.regular}|${fonts.bold}`;
+        if (registeredFonts === key) {
+            return;
+        }
+
+        for (const file of [fonts.regular, fonts.bold]) {
+            if (!fs.existsSync(file)) {
+                throw new Error(`PDF report font not found: ${file}`);
+            }
+            if (!GlobalFonts.registerFromPath(file, FONT_FAMILY)) {
+                throw new Error(`Failed to load PDF report font: ${file}`);
+            }
+        }
+        registeredFonts = key;
+    }
+
+    /**
+     * Render a PDF summary
+     * @param {Object} result - Analysis result
+     * @param {Object} options - Render options
+     * @param {string|Buffer|Array} options.source - Analyzed input for thumbnails: PDF or image path/buffer, data URL, or a list of page images
+     * @param {string|Array<number>} options.pages - PDF page range for thumbnails (default: all)
+     * @param {string} options.language - Override the report language
+     * @returns {Promise<Buffer>} PDF bytes
+     */
+    async render(result, options = {}) {
+        const language = options.language || this.language;
+        const report = this.reportRenderer.buildReport(result, { language });
+        const labels = PDF_LABELS[language];
+        const thumbnails = await this.loadThumbnails(options.source, options);
+
+        const layout = new PageLayout(this);
+        layout.title(report.title, result.canonicalData?.metadata?.document_name);
+        if (report.notice) {
+            layout.notice(report.notice);
+        }
+        if (thumbnails.length > 0) {
+            layout.heading(labels.sourcePages);
+            layout.thumbnails(thumbnails, labels.page);
+        }
+        report.sections.forEach((section, index) => {
+            layout.heading(`${index + 1}. ${section.title}`);
+            if (section.empty) {
+                layout.paragraph(section.empty);
+            }
+            for (const table of section.tables) {
+                layout.table(table);
+            }
+        });
+
+        const document = new PDFDocument({
+            title: report.title,
+            subject: result.canonicalData?.metadata?.registration_number || '',
+            creator: `real-estate-analyzer ${result.metadata?.analyzerVersion || ''}`.trim()
+        });
+        const footer = this.footerText(result, labels);
+
+        layout.pages.forEach((operations, index) => {
+            const ctx = document.beginPage(PAGE.width, PAGE.height);
+            operations.forEach(operation => this.draw(ctx, operation));
+            this.drawFooter(ctx, footer, `${labels.page} ${index + 1}/${layout.pages.length}`);
+            document.endPage();
+        });
+
+        return document.close();
+    }
+
+    /**
+     * Build the footer line identifying how the result was produced
+     * @param {Object} result - Analysis result
+     * @param {Object} labels - PDF labels
+     * @returns {string} Footer text
+     */
+    footerText(result, labels) {
+        return [
+            `${labels.model}: ${result.model || '—'}`,
+            `${labels.prompt}: ${result.metadata?.promptHash || '—'}`,
+            `${labels.analyzer}: ${result.metadata?.analyzerVersion || '—'}`,
+            `${labels.schema}: ${result.schemaValidation?.schemaVersion || '—'}`,
+            `${labels.analyzedAt}: ${result.timestamp || '—'}`
+        ].join('  ·  ');
+    }
+
+    /**
+     * Load the source pages as small images for thumbnails
+     * @param {string|Buffer|Array} source - Analyzed input
+     * @param {Object} options - { pages }
+     * @returns {Promise<Array<Object>>} Images: { image, width, height }
+     */
+    async loadThumbnails(source, options = {}) {
+        if (!source) {
+            return [];
+        }
+
+        const buffers = [];
+        for (const item of Array.isArray(source) ? source : [source]) {
+            if (typeof item === 'string' && /^https?:/i.test(item)) {
+                // Remote images would need a network call; the report is built offline
+                continue;
+            }
+
+            const buffer = typeof item === 'string' && item.startsWith('data:')
+                ? Buffer.from(item.slice(item.indexOf(',') + 1), 'base64')
+                : Buffer.isBuffer(item) ? item : fs.readFileSync(item);
+
+            if (isPdf(buffer)) {
+                const pages = await new PdfRenderer({ dpi: 36 }).renderPages(buffer, { pages: options.pages });
+                buffers.push(...pages.map(page => page.buffer));
+            } else if (detectMimeType(buffer)) {
+                buffers.push(buffer);
+            } else {
+                throw new Error('Thumbnail source must be a PDF, JPEG or PNG');
+            }
+        }
+
+        const thumbnails = [];
+        for (const buffer of buffers.slice(0, this.maxThumbnails)) {
+            thumbnails.push(await this.createThumbnail(buffer));
+        }
+        return thumbnails;
+    }
+
+    /**
+     * Downscale an image so the PDF does not embed full-resolution scans
+     * (Skia stores image pixels losslessly, so the thumbnail size drives the file size)
+     * @param {Buffer} buffer - JPEG or PNG image
+     * @returns {Promise<Object>} { image, width, height }
+     */
+    async createThumbnail(buffer) {
+        const source = await loadImage(buffer);
+        const scale = Math.min(1, 200 / source.height, 150 / source.width);
+        const width = Math.max(1, Math.round(source.width * scale));
+        const height = Math.max(1, Math.round(source.height * scale));
+
+        const canvas = createCanvas(width, height);
+        canvas.getContext('2d').drawImage(source, 0, 0, width, height);
+        return { image: canvas, width, height };
+    }
+
+    /**
+     * @param {string} style - 'regular' or 'bold'
+     * @param {number} size - Font size in points
+     * @returns {string} CSS font
+     */
+    font(style, size) {
+        return `${style === 'bold' ? 'bold ' : ''}${size}px ${FONT_FAMILY}`;
+    }
+
+    /**
+     * Wrap text to a width
+     * @param {string} text - Text
+     * @param {string} font - CSS font
+     * @param {number} width - Maximum line width
+     * @returns {Array<string>} Lines
+     */
+    wrap(text, font, width) {
+        this.measure.font = font;
+        const fits = candidate => this.measure.measureText(candidate).width <= width;
+        const lines = [];
+
+        for (const paragraph of String(text).split(/\r?\n/)) {
+            let line = '';
+            for (const word of paragraph.split(/\s+/).filter(Boolean)) {
+                const candidate = line ? `${line} ${word}` : word;
+                if (fits(candidate)) {
+                    line = candidate;
+                    continue;
+                }
+                if (line) {
+                    lines.push(line);
+                }
+                // Break words longer than the line, e.g. base64 or long numbers
+                line = word;
+                while (!fits(line) && line.length > 1) {
+                    let cut = line.length - 1;
+                    while (cut > 1 && !fits(line.slice(0, cut))) {
+                        cut--;
+                    }
+                    lines.push(line.slice(0, cut));
+                    line = line.slice(cut);
+                }
+            }
+            lines.push(line);
+        }
+        return lines;
+    }
+
+    /**
+     * Draw one layout operation
+     * @param {Object} ctx - Page context
+     * @param {Object} operation - { type: 'text' | 'rect' | 'image', ... }
+     */
+    draw(ctx, operation) {
+        if (operation.type === 'text') {
+            ctx.font = operation.font;
+            ctx.fillStyle = operation.color || COLORS.text;
+            ctx.textBaseline = 'top';
+            ctx.fillText(operation.text, operation.x, operation.y);
+        } else if (operation.type === 'rect') {
+            if (operation.fill) {
+                ctx.fillStyle = operation.fill;
+                ctx.fillRect(operation.x, operation.y, operation.width, operation.height);
+            }
+            if (operation.stroke) {
+                ctx.strokeStyle = operation.stroke;
+                ctx.lineWidth = 0.5;
+                ctx.strokeRect(operation.x, operation.y, operation.width, operation.height);
+            }
+        } else if (operation.type === 'image') {
+            ctx.drawImage(operation.image, operation.x, operation.y, operation.width, operation.height);
+        }
+    }
+
+    /**
+     * Draw the footer of a page
+     * @param {Object} ctx - Page context
+     * @param {string} text - Footer text
+     * @param {string} pageLabel - Page number text
+     */
+    drawFooter(ctx, text, pageLabel) {
+        const y = PAGE.height - PAGE.margin + 8;
+        const font = this.font('regular', 7);
+
+        ctx.strokeStyle = COLORS.border;
+        ctx.lineWidth = 0.5;
+        ctx.beginPath();
+        ctx.moveTo(PAGE.margin, y - 6);
+        ctx.lineTo(PAGE.width - PAGE.margin, y - 6);
+        ctx.stroke();
+
+        ctx.font = font;
+        ctx.fillStyle = COLORS.muted;
+        ctx.textBaseline = 'top';
+        const pageWidth = ctx.measureText(pageLabel).width;
+        const [line] = this.wrap(text, font, PAGE.width - 2 * PAGE.margin - pageWidth - 16);
+        ctx.fillText(line, PAGE.margin, y);
+        ctx.fillText(pageLabel, PAGE.width - PAGE.margin - pageWidth, y);
+    }
+}
+
+/**
+ * Flows blocks top to bottom over A4 pages, collecting draw operations per page
+ */
+class PageLayout {
+    constructor(renderer) {
+        this.renderer = renderer;
+        this.width = PAGE.width - 2 * PAGE.margin;
+        this.bottom = PAGE.height - PAGE.margin - PAGE.footer;
+        this.pages = [];
+        this.newPage();
+    }
+
+    newPage() {
+        this.operations = [];
+        this.pages.push(this.operations);
+        this.y = PAGE.margin;
+    }
+
+    ensureSpace(height) {
+        if (this.y + height > this.bottom && this.y > PAGE.margin) {
+            this.newPage();
+        }
+    }
+
+    text(text, font, x, y, color) {
+        this.operations.push({ type: 'text', text, font, x, y, color });
+    }
+
+    title(title, subtitle) {
+        const font = this.renderer.font('bold', 16);
+        this.text(title, font, PAGE.margin, this.y);
+        this.y += 22;
+
+        if (subtitle) {
+            const subtitleFont = this.renderer.font('regular', 9);
+            for (const line of this.renderer.wrap(subtitle, subtitleFont, this.width)) {
+                this.text(line, subtitleFont, PAGE.margin, this.y, COLORS.muted);
+                this.y += 12;
+            }
+        }
+        this.y += 8;
+    }
+
+    heading(text) {
+        this.ensureSpace(40);
+        this.y += 6;
+        this.text(text, this.renderer.font('bold', 12), PAGE.margin, this.y);
+        this.y += 18;
+    }
+
+    paragraph(text) {
+        const font = this.renderer.font('regular', 9);
+        for (const line of this.renderer.wrap(text, font, this.width)) {
+            this.ensureSpace(12);
+            this.text(line, font, PAGE.margin, this.y);
+            this.y += 12;
+        }
+        this.y += 6;
+    }
+
+    notice(text) {
+        const font = this.renderer.font('regular', 9);
+        const lines = this.renderer.wrap(text, font, this.width - 16);
+        const height = lines.length * 12 + 10;
+
+        this.operations.push({ type: 'rect', x: PAGE.margin, y: this.y, width: this.width, height, fill: COLORS.notice });
+        lines.forEach((line, index) => this.text(line, font, PAGE.margin + 8, this.y + 5 + index * 12));
+        this.y += height + 8;
+    }
+
+    thumbnails(thumbnails, pageLabel) {
+        const boxHeight = 150;
+        const gap = 10;
+        const labelFont = this.renderer.font('regular', 7);
+        let x = PAGE.margin;
+
+        this.ensureSpace(boxHeight + 14);
+        thumbnails.forEach((thumbnail, index) => {
+            const scale = Math.min(boxHeight / thumbnail.height, 110 / thumbnail.width);
+            const width = thumbnail.width * scale;
+            const height = thumbnail.height * scale;
+
+            if (x + width > PAGE.margin + this.width) {
+                x = PAGE.margin;
+                this.y += boxHeight + 16;
+                this.ensureSpace(boxHeight + 14);
+            }
+
+            this.operations.push({ type: 'image', image: thumbnail.image, x, y: this.y, width, height });
+            this.operations.push({ type: 'rect', x, y: this.y, width, height, stroke: COLORS.border });
+            this.text(`${pageLabel} ${index + 1}`, labelFont, x, this.y + height + 3, COLORS.muted);
+            x += width + gap;
+        });
+        this.y += boxHeight + 20;
+    }
+
+    table(table) {
+        const font = this.renderer.font('regular', 8.5);
+        const boldFont = this.renderer.font('bold', 8.5);
+        const lineHeight = 11;
+        const padding = 4;
+        const widths = table.columns.length === 2
+            ? [this.width * 0.35, this.width * 0.65]
+            : [this.width * 0.14, this.width * 0.3, this.width * 0.56];
+
+        if (table.title) {
+            this.ensureSpace(40);
+            this.text(table.title, this.renderer.font('bold', 10), PAGE.margin, this.y);
+            this.y += 15;
+        }
+
+        const drawRow = (cells, rowFont, fill) => {
+            const lines = cells.map((cell, index) => this.renderer.wrap(cell, rowFont, widths[index] - 2 * padding));
+            const height = Math.max(...lines.map(cellLines => cellLines.length)) * lineHeight + 2 * padding;
+            this.ensureSpace(height);
+
+            let x = PAGE.margin;
+            lines.forEach((cellLines, index) => {
+                this.operations.push({ type: 'rect', x, y: this.y, width: widths[index], height, fill, stroke: COLORS.border });
+                cellLines.forEach((line, lineIndex) =>
+                    this.text(line, rowFont, x + padding, this.y + padding + lineIndex * lineHeight));
+                x += widths[index];
+            });
+            this.y += height;
+        };
+
+        drawRow(table.columns, boldFont, COLORS.header);
+        for (const row of table.rows) {
+            drawRow(row, font);
+        }
+        this.y += 10;
+    }
+}
+
+export default PdfReportRenderer;
@@ -0,0 +1,259 @@
+import fs from "fs";
+import path from "path";
+import jpeg from "jpeg-js";
+import { PNG } from "pngjs";
+import { PdfRenderer } from "./pdf-renderer.js";
+import { detectMimeType } from "./file-type.js";
+
+/**
+ * Field Provenance
+ * ================
+ *
+ * Reads the evidence the model gives for each extracted value (the page
+ * it was read from and an approximate bounding box) and carries it over to
+ * the canonical fields, so a reviewer can look at the pixels behind a value
+ * instead of re-reading the whole document:
+ *
+ *   "_provenance": {
+ *     "/land_information/area": { "page": 1, "bbox": [612, 388, 742, 410] },
+ *     "/property_owners/0/full_name": { "page": 1, "bbox": [140, 212, 395, 231] }
+ *   }
+ *
+ * Keys are JSON pointers (or dotted paths) into the model's own JSON, and
+ * boxes are x1, y1, x2, y2 on a 0-1000 scale of the page image. Boxes are
+ * stored as fractions of the image (0-1), so they apply to the page at any
+ * resolution. For a stitched input the only page is the stitched image.
+ */
+
+export const PROVENANCE_KEY = '_provenance';
+
+const BOX_SCALES = [1, 1000];
+
+export class ProvenanceResolver {
+    /**
+     * Take the model's evidence out of extracted data
+     * @param {*} extracted - Extracted data, possibly with a _provenance key
+     * @returns {Object} { data, evidence, issues } - evidence is null when the model gave none
+     */
+    split(extracted) {
+        if (!isObject(extracted) || !(PROVENANCE_KEY in extracted)) {
+            return { data: extracted, evidence: null, issues: [] };
+        }
+
+        const { [PROVENANCE_KEY]: raw, ...data } = extracted;
+        return { data, ...this.parseEvidence(raw) };
+    }
+
+    /**
+     * Parse evidence given as a pointer map or as a nested mirror of the data
+     * @param {*} raw - Value of _provenance
+     * @returns {Object} { evidence: JSON pointer -> { page, bbox }, issues: [{ path, message }] }
+     */
+    parseEvidence(raw) {
+        const evidence = {};
+        const issues = [];
+
+        const walk = (value, pointer) => {
+            if (isEntry(value)) {
+                const parsed = parseEntry(value);
+                if (parsed.error) {
+                    issues.push({ path: pointer, message: parsed.error });
+                } else {
+                    evidence[pointer] = parsed.entry;
+                }
+            } else if (isObject(value)) {
+                for (const [key, child] of Object.entries(value)) {
+                    walk(child, pointer ? `${pointer}/${key}` : toPointer(key));
+                }
+            } else if (Array.isArray(value)) {
+                value.forEach((item, index) => walk(item, `${pointer}/${index}`));
+            } else if (value !== null) {
+                issues.push({ path: pointer || '/', message: 'Evidence must be { page, bbox }' });
+            }
+        };
+
+        walk(raw, '');
+        return { evidence, issues };
+    }
+
+    /**
+     * Attach evidence to canonical fields through the mapper's source pointers
+     * @param {Object} evidence - Extracted JSON pointer -> { page, bbox }
+     * @param {Object} sources - Canonical JSON pointer -> extracted JSON pointer (LandCertificateMapper.getSources)
+     * @param {Object} canonical - Canonical data
+     * @returns {Object} { canonical: pointer -> { page, bbox, extractedPath }, coverage: { located, total, ratio } }
+     */
+    resolve(evidence, sources, canonical) {
+        const located = {};
+        for (const [canonicalPath, extractedPath] of Object.entries(sources)) {
+            if (evidence[extractedPath]) {
+                located[canonicalPath] = { ...evidence[extractedPath], extractedPath };
+            }
+        }
+
+        const total = countValues(canonical);
+        const count = Object.keys(located).length;
+        return {
+            canonical: located,
+            coverage: { located: count, total, ratio: total > 0 ? Math.round((count / total) * 100) / 100 : null }
+        };
+    }
+}
+
+/**
+ * Convert a dotted path ("property_owners[0].full_name", "land_information.area") to a JSON pointer
+ * @param {string} key - JSON pointer or dotted path
+ * @returns {string} JSON pointer
+ */
+export function toPointer(key) {
+    const text = String(key).trim();
+    if (text.startsWith('/')) {
+        return text;
+    }
+    return `/${text.replace(/\[(\d+)\]/g, '.$1').split('.').filter(Boolean).join('/')}`;
+}
+
+/**
+ * Bring a bounding box to fractions of the image, x1 <= x2 and y1 <= y2
+ * @param {Array<number>|Object} box - [x1, y1, x2, y2] or { x1, y1, x2, y2 } on a 0-1000 or 0-1 scale
+ * @returns {Object} { bbox } or { error }
+ */
+export function normalizeBox(box) {
+    const values = Array.isArray(box) ? box : isObject(box) ? [box.x1, box.y1, box.x2, box.y2] : null;
+    if (!values || values.length !== 4 || !values.every(value => typeof value === 'number' && Number.isFinite(value) && value >= 0)) {
+        return { error: 'Bounding box must be four non-negative numbers [x1, y1, x2, y2]' };
+    }
+
+    const scale = BOX_SCALES.find(candidate => Math.max(...values) <= candidate);
+    if (!scale) {
+        return { error: 'Bounding box is not on the 0-1000 scale' };
+    }
+
+    const [x1, y1, x2, y2] = values.map(value => Math.round((value / scale) * 1e4) / 1e4);
+    const bbox = [Math.min(x1, x2), Math.min(y1, y2), Math.max(x1, x2), Math.max(y1, y2)];
+    if (bbox[0] === bbox[2] || bbox[1] === bbox[3]) {
+        return { error: 'Bounding box has no area' };
+    }
+    return { bbox };
+}
+
+/**
+ * Decode a JPEG or PNG into RGBA pixels
+ * Evidence images come from analysis input, so the pure JS decoders are used rather than the native canvas.
+ * @param {string|Buffer} image - Data URL or image buffer
+ * @returns {Object} { data, width, height }
+ */
+export function decodeImage(image) {
+    const buffer = typeof image === 'string' ? Buffer.from(image.slice(image.indexOf(',') + 1), 'base64') : image;
+    const type = detectMimeType(buffer);
+    if (type === 'image/jpeg') {
+        return jpeg.decode(buffer, { useTArray: true, formatAsRGBA: true });
+    }
+    if (type === 'image/png') {
+        return PNG.sync.read(buffer);
+    }
+    throw new Error(`Unsupported evidence image type: ${type || 'unknown'}`);
+}
+
+/**
+ * Crop the evidence of a field out of a decoded page image
+ * @param {Object} image - Decoded image { data, width, height } (see decodeImage)
+ * @param {Array<number>} bbox - Box as fractions of the image
+ * @param {Object} options - { padding: fraction of the image added around the box (default 0.01), maxWidth: pixels (default 480), quality: JPEG quality (default 80) }
+ * @returns {string} JPEG data URL
+ */
+export function cropEvidence(image, bbox, { padding = 0.01, maxWidth = 480, quality = 80 } = {}) {
+    const left = Math.max(0, Math.floor((bbox[0] - padding) * image.width));
+    const top = Math.max(0, Math.floor((bbox[1] - padding) * image.height));
+    const right = Math.min(image.width, Math.ceil((bbox[2] + padding) * image.width));
+    const bottom = Math.min(image.height, Math.ceil((bbox[3] + padding) * image.height));
+
+    // Whole-pixel steps keep the crop cheap; snippets only need to be legible
+    const step = Math.max(1, Math.ceil((right - left) / maxWidth));
+    const width = Math.max(1, Math.floor((right - left) / step));
+    const height = Math.max(1, Math.floor((bottom - top) / step));
+    const data = Buffer.alloc(width * height * 4);
+
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            const from = ((top + y * step) * image.width + left + x * step) * 4;
+            const to = (y * width + x) * 4;
+            data[to] = image.data[from];
+            data[to + 1] = image.data[from + 1];
+            data[to + 2] = image.data[from + 2];
+            data[to + 3] = 255;
+        }
+    }
+
+    return `data:image/jpeg;base64,${jpeg.encode({ data, width, height }, quality).data.toString('base64')}`;
+}
+
+/**
+ * Load the page images that evidence boxes refer to
+ * A PDF is rendered page by page, and stitched into one image when the result was analyzed stitched.
+ * @param {string|Buffer|Array<string|Buffer>} source - PDF or image path/buffer/data URL, or a list of page images
+ * @param {Object} options - { pageMode: 'stitched' or 'pages' (result.provenance.pageMode), pages: PDF page range, dpi }
+ * @returns {Promise<Array<Buffer|null>>} Image of each page in order; null for remote images
+ */
+export async function loadPageImages(source, { pageMode = 'pages', pages, dpi } = {}) {
+    const images = [];
+
+    for (const item of Array.isArray(source) ? source : [source]) {
+        if (typeof item === 'string' && /^https?:/i.test(item)) {
+            images.push(null);
+            continue;
+        }
+
+        const buffer = typeof item === 'string' && item.startsWith('data:')
+            ? Buffer.from(item.slice(item.indexOf(',') + 1), 'base64')
+            : Buffer.isBuffer(item) ? item : fs.readFileSync(path.resolve(item));
+        const type = detectMimeType(buffer);
+
+        if (type === 'application/pdf') {
+            const renderer = new PdfRenderer({ dpi });
+            const rendered = await renderer.renderPages(buffer, { pages });
+            const stitched = pageMode === 'stitched' && rendered.length > 1 ? [await renderer.stitchPages(rendered)] : rendered;
+            images.push(...stitched.map(page => page.buffer));
+        } else if (type) {
+            images.push(buffer);
+        } else {
+            throw new Error('Evidence source must be a PDF, JPEG or PNG');
+        }
+    }
+
+    return images;
+}
+
+function parseEntry(value) {
+    const box = normalizeBox(Array.isArray(value) ? value : value.bbox ?? value.box);
+    if (box.error) {
+        return { error: box.error };
+    }
+
+    const page = Array.isArray(value) || value.page === undefined || value.page === null ? 1 : Number(value.page);
+    if (!Number.isInteger(page) || page < 1) {
+        return { error: `Invalid page: ${value.page}` };
+    }
+    return { entry: { page, bbox: box.bbox } };
+}
+
+function isEntry(value) {
+    return (Array.isArray(value) && value.length === 4 && value.every(item => typeof item === 'number')) ||
+        (isObject(value) && ('bbox' in value || 'box' in value));
+}
+
+function countValues(value) {
+    if (Array.isArray(value)) {
+        return value.reduce((sum, item) => sum + countValues(item), 0);
+    }
+    if (isObject(value)) {
+        return Object.values(value).reduce((sum, child) => sum + countValues(child), 0);
+    }
+    return value === null || value === undefined ? 0 : 1;
+}
+
+function isObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+export default ProvenanceResolver;
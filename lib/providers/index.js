@@ -0,0 +1,121 @@
+import { OpenAICompatibleProvider, OPENAI_COMPATIBLE_PRESETS } from "./openai-compatible.js";
+import { OllamaProvider, OLLAMA_DEFAULTS } from "./ollama.js";
+
+export { OpenAICompatibleProvider, OllamaProvider };
+export { ProviderError } from "./provider-error.js";
+
+/**
+ * Vision-Model Providers
+ * ======================
+ *
+ * A provider is any object with:
+ *
+ *   name           "dashscope", "openai", "llamacpp", "ollama", ...
+ *   model          Model identifier
+ *   capabilities   { jsonMode, maxImages, maxImageBytes }
+ *   complete(messages, { maxTokens, temperature, jsonMode })
+ *                  -> Promise of an OpenAI-style chat completion
+ *   describe()     -> health information without secrets
+ *
+ * OpenAI-compatible providers also have buildRequest(messages, params),
+ * which batch-job files are written with (see lib/batch-job.js).
+ *
+ * The provider is chosen by AI_PROVIDER (default "dashscope") or by the
+ * `provider` option of RealEstateAnalyzer.
+ */
+export const PROVIDERS = {
+    dashscope: { Provider: OpenAICompatibleProvider, defaults: OPENAI_COMPATIBLE_PRESETS.dashscope },
+    openai: { Provider: OpenAICompatibleProvider, defaults: OPENAI_COMPATIBLE_PRESETS.openai },
+    llamacpp: { Provider: OpenAICompatibleProvider, defaults: OPENAI_COMPATIBLE_PRESETS.llamacpp },
+    ollama: { Provider: OllamaProvider, defaults: OLLAMA_DEFAULTS }
+};
+
+// Variables of the configured provider rather than of one vendor: OPENAI_BASE_URL is
+// also DashScope's legacy base URL
+const SHARED_VARIABLES = ['AI_API_KEY', 'AI_BASE_URL', 'OPENAI_BASE_URL', 'AI_MAX_IMAGES', 'AI_MAX_IMAGE_MB'];
+
+/**
+ * Read provider configuration from environment variables
+ * @param {Object} env - Environment (default process.env)
+ * @param {Object} options - { ownVariablesOnly: skip SHARED_VARIABLES, for a provider other than the configured one }
+ * @returns {Object} { name, model, apiKey, baseURL, timeout, capabilities, imageHosts }
+ */
+export function loadProviderConfig(env = process.env, { ownVariablesOnly = false } = {}) {
+    const name = (env.AI_PROVIDER || 'dashscope').trim().toLowerCase();
+    const entry = getEntry(name);
+    const usable = key => !ownVariablesOnly || !SHARED_VARIABLES.includes(key);
+    const read = names => (names || []).filter(usable).map(key => env[key]).find(Boolean);
+
+    const capabilities = {};
+    if (usable('AI_MAX_IMAGES') && env.AI_MAX_IMAGES) {
+        capabilities.maxImages = parseInt(env.AI_MAX_IMAGES);
+    }
+    if (usable('AI_MAX_IMAGE_MB') && env.AI_MAX_IMAGE_MB) {
+        capabilities.maxImageBytes = parseFloat(env.AI_MAX_IMAGE_MB) * 1024 * 1024;
+    }
+
+    return {
+        name,
+        model: env.AI_MODEL || undefined,
+        apiKey: read(entry.defaults.env.apiKey),
+        baseURL: read(entry.defaults.env.baseURL),
+        timeout: parseInt(env.REQUEST_TIMEOUT_MS) || 30000,
+        capabilities,
+        imageHosts: read(entry.defaults.env.imageHosts)
+    };
+}
+
+/**
+ * List required settings missing from a provider configuration
+ * @param {Object} config - Provider configuration
+ * @returns {Array<string>} Missing settings, with the variables they are read from
+ */
+export function findMissingSettings(config) {
+    const { defaults } = getEntry(config.name || 'dashscope');
+    const missing = [];
+
+    if (defaults.requiresApiKey && !config.apiKey && !config.client) {
+        missing.push(`apiKey (${defaults.env.apiKey.join(' or ')})`);
+    }
+    return missing;
+}
+
+/**
+ * Throw when a provider configuration is unusable
+ * @param {Object} config - Provider configuration or instance
+ */
+export function assertProviderConfig(config) {
+    if (typeof config.complete === 'function') {
+        return;
+    }
+
+    const missing = findMissingSettings(config);
+    if (missing.length > 0) {
+        throw new Error(`Missing required configuration for provider "${config.name || 'dashscope'}": ${missing.join(', ')}`);
+    }
+}
+
+/**
+ * Create a provider from configuration; provider instances are returned as-is
+ * @param {Object} config - Provider configuration or instance
+ * @returns {Object} Provider
+ */
+export function createProvider(config = loadProviderConfig()) {
+    if (typeof config.complete === 'function') {
+        return config;
+    }
+
+    assertProviderConfig(config);
+
+    const name = config.name || 'dashscope';
+    const { Provider } = getEntry(name);
+    return new Provider({ ...config, name });
+}
+
+function getEntry(name) {
+    const entry = Object.hasOwn(PROVIDERS, name) ? PROVIDERS[name] : null;
+    if (!entry) {
+        throw new Error(`Unknown AI provider "${name}". Supported providers: ${Object.keys(PROVIDERS).join(', ')}`);
+    }
+    return entry;
+}
@@ -0,0 +1,216 @@
+import { ProviderError } from "./provider-error.js";
+import { ValidationError } from "../validation-error.js";
+
+const MB = 1024 * 1024;
+
+export const OLLAMA_DEFAULTS = {
+    model: 'qwen2.5vl',
+    baseURL: 'http://localhost:11434',
+    requiresApiKey: false,
+    env: { baseURL: ['AI_BASE_URL', 'OLLAMA_HOST'], imageHosts: ['OLLAMA_IMAGE_HOSTS'] },
+    capabilities: { jsonMode: true, maxImages: 4, maxImageBytes: 20 * MB }
+};
+
+/**
+ * Ollama Provider
+ * ===============
+ *
+ * Adapter for a local Ollama server (POST /api/chat). OpenAI-style messages
+ * are converted to Ollama's { content, images: [base64] } form, and the reply
+ * is converted back to the chat-completions shape the analyzer parses.
+ *
+ * Ollama cannot fetch image URLs, so remote images are downloaded by the
+ * analyzer - only from the hosts listed in imageHosts (OLLAMA_IMAGE_HOSTS),
+ * without redirects, and within the image size limit and download timeout.
+ */
+export class OllamaProvider {
+    /**
+     * @param {Object} config - { model, baseURL, timeout, capabilities, imageHosts, downloadTimeout, fetch }
+     *   imageHosts lists the hosts remote images may be downloaded from (array or comma-separated, default none);
+     *   fetch replaces the global fetch (e.g. in tests)
+     */
+    constructor(config = {}) {
+        this.name = 'ollama';
+        this.model = config.model || OLLAMA_DEFAULTS.model;
+        this.baseURL = (config.baseURL || OLLAMA_DEFAULTS.baseURL).replace(/\/+$/, '');
+        this.timeout = config.timeout || 30000;
+        this.capabilities = { ...OLLAMA_DEFAULTS.capabilities, ...config.capabilities };
+        this.imageHosts = (Array.isArray(config.imageHosts) ? config.imageHosts : String(config.imageHosts || '').split(','))
+            .map(host => host.trim().toLowerCase())
+            .filter(Boolean);
+        this.downloadTimeout = config.downloadTimeout || Math.min(this.timeout, 10000);
+        this.fetch = config.fetch || globalThis.fetch;
+    }
+
+    /**
+     * Request a chat completion
+     * @param {Array} messages - OpenAI-style messages with image_url parts
+     * @param {Object} params - { maxTokens, temperature, jsonMode }
+     * @returns {Promise<Object>} Chat completion in the OpenAI shape
+     */
+    async complete(messages, params = {}) {
+        const body = {
+            model: this.model,
+            messages: await Promise.all(messages.map(message => this.convertMessage(message))),
+            stream: false,
+            options: { temperature: params.temperature, num_predict: params.maxTokens }
+        };
+
+        if (params.jsonMode && this.capabilities.jsonMode) {
+            body.format = 'json';
+        }
+
+        const reply = await this.request('/api/chat', body);
+
+        return {
+            model: reply.model || this.model,
+            choices: [{
+                message: { role: 'assistant', content: reply.message?.content || '' },
+                finish_reason: reply.done_reason === 'length' ? 'length' : 'stop'
+            }],
+            usage: {
+                prompt_tokens: reply.prompt_eval_count || 0,
+                completion_tokens: reply.eval_count || 0,
+                total_tokens: (reply.prompt_eval_count || 0) + (reply.eval_count || 0)
+            }
+        };
+    }
+
+    /**
+     * Convert an OpenAI-style message to Ollama's format
+     * @param {Object} message - { role, content: string | parts[] }
+     * @returns {Promise<Object>} { role, content, images? }
+     */
+    async convertMessage(message) {
+        if (typeof message.content === 'string') {
+            return { role: message.role, content: message.content };
+        }
+
+        const texts = [];
+        const images = [];
+        for (const part of message.content) {
+            if (part.type === 'text') {
+                texts.push(part.text);
+            } else if (part.type === 'image_url') {
+                images.push(await this.toBase64(part.image_url.url));
+            }
+        }
+
+        const converted = { role: message.role, content: texts.join('\n\n') };
+        if (images.length > 0) {
+            converted.images = images;
+        }
+        return converted;
+    }
+
+    /**
+     * Get raw base64 from a data URL, downloading remote images from allowed hosts (Ollama cannot fetch URLs)
+     * @param {string} url - Data URL or http(s) URL
+     * @returns {Promise<string>} Base64 image data
+     */
+    async toBase64(url) {
+        const dataUrl = url.match(/^data:[^;]+;base64,(.*)$/s);
+        if (dataUrl) {
+            return dataUrl[1];
+        }
+
+        const { hostname } = new URL(url);
+        if (!this.imageHosts.includes(hostname.toLowerCase())) {
+            throw new ValidationError(
+                `Remote images from ${hostname} are not downloaded for Ollama; send the image itself or add the host to OLLAMA_IMAGE_HOSTS`,
+                { code: 'INVALID_INPUT' }
+            );
+        }
+
+        // Redirects could lead an allowed host to an internal one
+        const response = await this.fetch(url, { redirect: 'error', signal: AbortSignal.timeout(this.downloadTimeout) });
+        if (!response.ok) {
+            throw new ProviderError(`Failed to download image ${url}: HTTP ${response.status}`, { provider: this.name });
+        }
+        return (await this.readLimited(response, url)).toString('base64');
+    }
+
+    /**
+     * Read a downloaded image, stopping at the image size limit
+     * @param {Response} response - Fetch response
+     * @param {string} url - Image URL, for the error message
+     * @returns {Promise<Buffer>} Image bytes
+     */
+    async readLimited(response, url) {
+        const limit = this.capabilities.maxImageBytes;
+        const tooLarge = () => new ValidationError(`Image ${url} exceeds the ${this.name} limit of ${limit} bytes`, { code: 'INVALID_DOCUMENT' });
+
+        if (parseInt(response.headers?.get('content-length')) > limit) {
+            throw tooLarge();
+        }
+        if (!response.body?.[Symbol.asyncIterator]) {
+            const buffer = Buffer.from(await response.arrayBuffer());
+            if (buffer.length > limit) {
+                throw tooLarge();
+            }
+            return buffer;
+        }
+
+        const chunks = [];
+        let size = 0;
+        for await (const chunk of response.body) {
+            size += chunk.length;
+            if (size > limit) {
+                await response.body.cancel?.().catch(() => {});
+                throw tooLarge();
+            }
+            chunks.push(chunk);
+        }
+        return Buffer.concat(chunks);
+    }
+
+    /**
+     * POST JSON to the Ollama server
+     * @param {string} endpoint - API path
+     * @param {Object} body - Request body
+     * @returns {Promise<Object>} Response JSON
+     */
+    async request(endpoint, body) {
+        let response;
+        try {
+            response = await this.fetch(`${this.baseURL}${endpoint}`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify(body),
+                signal: AbortSignal.timeout(this.timeout)
+            });
+        } catch (error) {
+            const timeout = error.name === 'TimeoutError';
+            throw new ProviderError(
+                timeout ? `Ollama request timed out after ${this.timeout}ms` : `Ollama request failed: ${error.message}`,
+                { provider: this.name, timeout, cause: error }
+            );
+        }
+
+        if (!response.ok) {
+            const detail = await response.text().catch(() => '');
+            throw new ProviderError(`Ollama returned HTTP ${response.status}: ${detail}`.trim(), {
+                provider: this.name,
+                status: response.status
+            });
+        }
+
+        return response.json();
+    }
+
+    /**
+     * Describe the provider for health checks
+     * @returns {Object} { provider, model, baseURL, hasApiKey, capabilities }
+     */
+    describe() {
+        return {
+            provider: this.name,
+            model: this.model,
+            baseURL: this.baseURL,
+            hasApiKey: false,
+            capabilities: this.capabilities
+        };
+    }
+}
+
+export default OllamaProvider;
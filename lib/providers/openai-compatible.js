@@ -0,0 +1,113 @@
+import OpenAI from "openai";
+
+const MB = 1024 * 1024;
+
+/**
+ * Presets for endpoints that speak the OpenAI chat-completions API.
+ * env lists the variables each setting is read from, first match wins.
+ */
+export const OPENAI_COMPATIBLE_PRESETS = {
+    dashscope: {
+        model: 'qwen-vl-max',
+        baseURL: 'https://dashscope-intl.aliyuncs.com/compatible-mode/v1',
+        requiresApiKey: true,
+        env: { apiKey: ['AI_API_KEY', 'DASHSCOPE_API_KEY'], baseURL: ['AI_BASE_URL', 'OPENAI_BASE_URL'] },
+        capabilities: { jsonMode: true, maxImages: 10, maxImageBytes: 10 * MB }
+    },
+    openai: {
+        model: 'gpt-4o',
+        baseURL: 'https://api.openai.com/v1',
+        requiresApiKey: true,
+        env: { apiKey: ['AI_API_KEY', 'OPENAI_API_KEY'], baseURL: ['AI_BASE_URL', 'OPENAI_BASE_URL'] },
+        capabilities: { jsonMode: true, maxImages: 10, maxImageBytes: 20 * MB }
+    },
+    // llama.cpp server (llama-server --mmproj ...) exposes /v1/chat/completions
+    llamacpp: {
+        model: 'local',
+        baseURL: 'http://localhost:8080/v1',
+        requiresApiKey: false,
+        env: { apiKey: ['AI_API_KEY', 'LLAMACPP_API_KEY'], baseURL: ['AI_BASE_URL', 'LLAMACPP_BASE_URL'] },
+        capabilities: { jsonMode: true, maxImages: 1, maxImageBytes: 20 * MB }
+    }
+};
+
+/**
+ * OpenAI-Compatible Provider
+ * ==========================
+ *
+ * Adapter for DashScope (Qwen-VL), OpenAI and llama.cpp through the OpenAI SDK.
+ * Completions are returned unchanged, in the chat-completions shape the
+ * analyzer parses.
+ */
+export class OpenAICompatibleProvider {
+    /**
+     * @param {Object} config - { name, model, apiKey, baseURL, timeout, capabilities, client }
+     *   client replaces the SDK client (e.g. a mock with chat.completions.create)
+     */
+    constructor(config = {}) {
+        const preset = OPENAI_COMPATIBLE_PRESETS[config.name || 'dashscope'];
+        if (!preset) {
+            throw new Error(`Unknown OpenAI-compatible preset "${config.name}"`);
+        }
+
+        this.name = config.name || 'dashscope';
+        this.model = config.model || preset.model;
+        this.baseURL = config.baseURL || preset.baseURL;
+        this.apiKey = config.apiKey || null;
+        this.timeout = config.timeout || 30000;
+        this.capabilities = { ...preset.capabilities, ...config.capabilities };
+        this.client = config.client || new OpenAI({
+            // Local servers ignore the key, but the SDK requires one
+            apiKey: this.apiKey || 'not-required',
+            baseURL: this.baseURL,
+            timeout: this.timeout
+        });
+    }
+
+    /**
+     * Request a chat completion
+     * @param {Array} messages - OpenAI-style messages with image_url parts
+     * @param {Object} params - { maxTokens, temperature, jsonMode }
+     * @returns {Promise<Object>} Chat completion
+     */
+    async complete(messages, params = {}) {
+        return this.client.chat.completions.create(this.buildRequest(messages, params));
+    }
+
+    /**
+     * Build a chat-completions request body (also used for batch-job files)
+     * @param {Array} messages - OpenAI-style messages with image_url parts
+     * @param {Object} params - { maxTokens, temperature, jsonMode }
+     * @returns {Object} Request body
+     */
+    buildRequest(messages, params = {}) {
+        const request = {
+            model: this.model,
+            messages,
+            max_tokens: params.maxTokens,
+            temperature: params.temperature
+        };
+
+        if (params.jsonMode && this.capabilities.jsonMode) {
+            request.response_format = { type: 'json_object' };
+        }
+
+        return request;
+    }
+
+    /**
+     * Describe the provider for health checks (without secrets)
+     * @returns {Object} { provider, model, baseURL, hasApiKey, capabilities }
+     */
+    describe() {
+        return {
+            provider: this.name,
+            model: this.model,
+            baseURL: this.baseURL,
+            hasApiKey: Boolean(this.apiKey),
+            capabilities: this.capabilities
+        };
+    }
+}
+
+export default OpenAICompatibleProvider;
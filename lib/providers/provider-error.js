@@ -0,0 +1,19 @@
+/**
+ * Error raised by provider adapters that do not use the OpenAI SDK
+ * (whose APIError classes the HTTP API already maps).
+ */
+export class ProviderError extends Error {
+    /**
+     * @param {string} message - Error message
+     * @param {Object} details - { provider, status, timeout, cause }
+     */
+    constructor(message, { provider = null, status = null, timeout = false, cause } = {}) {
+        super(message, { cause });
+        this.name = 'ProviderError';
+        this.provider = provider;
+        this.status = status;
+        this.timeout = timeout;
+    }
+}
+
+export default ProviderError;
@@ -0,0 +1,290 @@
+import jsQR from "jsqr";
+import jpeg from "jpeg-js";
+import { PNG } from "pngjs";
+import { asciiKey } from "./gazetteer.js";
+import { detectMimeType } from "./file-type.js";
+
+/**
+ * QR Decoder
+ * ==========
+ *
+ * Finds and decodes QR codes in the analysis images locally (jsQR, pure JS;
+ * nothing is sent over the network) and cross-checks the identifiers they
+ * encode against the model's extraction. Certificates issued under the 2024
+ * Land Law carry a QR code with the certificate identifiers.
+ *
+ * Images are decoded with jpeg-js and pngjs rather than the native canvas:
+ * a damaged upload then fails with an error instead of crashing the process.
+ *
+ * Payloads are read as JSON, as a URL with query parameters, or as
+ * "key: value" / "key=value" pairs separated by new lines, ";", "|" or "&".
+ * Unlabeled payloads are only searched for the extracted numbers.
+ */
+
+// Payload keys (ASCII, lower case, "_" separated) that hold each identifier
+const IDENTIFIER_KEYS = {
+    certificate_number: ['certificate_number', 'certificate_serial', 'serial', 'serial_number', 'seri', 'so_seri', 'so_phat_hanh', 'sophathanh', 'so_hieu'],
+    registration_number: ['registration_number', 'registry_number', 'book_entry_number', 'so_vao_so', 'sovaoso', 'so_vao_so_cap_gcn', 'so_vao_so_cap_giay_chung_nhan']
+};
+
+export class QrDecoder {
+    /**
+     * @param {Object} options - Decoder options
+     * @param {number} options.maxPixels - Larger images are scaled down by a whole factor to at most this many pixels before scanning (default QR_MAX_PIXELS or 4000000)
+     * @param {number} options.maxCodesPerImage - Codes to look for in one image (default 4)
+     * @param {boolean} options.tryInverted - Also look for light-on-dark codes, at twice the scan time (default false)
+     */
+    constructor(options = {}) {
+        this.maxPixels = options.maxPixels || parseInt(process.env.QR_MAX_PIXELS) || 4000000;
+        this.maxCodesPerImage = options.maxCodesPerImage || 4;
+        this.tryInverted = options.tryInverted ?? false;
+    }
+
+    /**
+     * Decode the QR codes in a list of images
+     * Overlapping tiles of one page can show the same code; it is reported once. Scanning is
+     * synchronous, so the event loop is given a turn before each image and each rescan.
+     * @param {Array<Object>} images - [{ source, page }] where source is a data URL or image buffer and page the page number, if known
+     * @returns {Promise<Array<Object>>} [{ page, payload, fields, location }]
+     */
+    async decodeImages(images) {
+        const codes = [];
+        for (const { source, page = null } of images) {
+            await yieldToEventLoop();
+            for (const code of await this.decodeImage(source)) {
+                if (page === null || !codes.some(other => other.page === page && other.payload === code.payload)) {
+                    codes.push({ page, ...code });
+                }
+            }
+        }
+        return codes;
+    }
+
+    /**
+     * Decode the QR codes in one image
+     * After each hit the code's area is blanked and the image scanned again.
+     * @param {string|Buffer} source - Data URL or image buffer (JPEG, PNG)
+     * @returns {Promise<Array<Object>>} [{ payload, fields, location: { x, y, width, height } }]
+     */
+    async decodeImage(source) {
+        const { data, width, height, scale } = await this.readPixels(source);
+        const codes = [];
+
+        while (codes.length < this.maxCodesPerImage) {
+            if (codes.length > 0) {
+                await yieldToEventLoop();
+            }
+            const code = jsQR(data, width, height, { inversionAttempts: this.tryInverted ? 'attemptBoth' : 'dontInvert' });
+            if (!code) {
+                break;
+            }
+
+            const box = boundingBox(code.location);
+            const payload = decodePayload(code);
+            codes.push({
+                payload,
+                fields: this.parsePayload(payload),
+                location: {
+                    x: Math.round(box.x / scale),
+                    y: Math.round(box.y / scale),
+                    width: Math.round(box.width / scale),
+                    height: Math.round(box.height / scale)
+                }
+            });
+            blank(data, width, height, box);
+        }
+        return codes;
+    }
+
+    /**
+     * Read an image into RGBA pixels, scaled down to maxPixels
+     * @param {string|Buffer} source - Data URL or image buffer
+     * @returns {Promise<Object>} { data, width, height, scale }
+     */
+    async readPixels(source) {
+        const base64 = typeof source === 'string' ? source.match(/^data:[^;]+;base64,(.*)$/s)?.[1] : null;
+        if (typeof source === 'string' && !base64) {
+            throw new Error('QR decoding needs a data URL or image buffer');
+        }
+
+        const buffer = base64 ? Buffer.from(base64, 'base64') : source;
+        const type = detectMimeType(buffer);
+        let image;
+        if (type === 'image/jpeg') {
+            image = jpeg.decode(buffer, { useTArray: true, formatAsRGBA: true });
+        } else if (type === 'image/png') {
+            image = PNG.sync.read(buffer);
+        } else {
+            throw new Error(`Unsupported image type for QR decoding: ${type || 'unknown'}`);
+        }
+
+        return downscale(image, this.maxPixels);
+    }
+
+    /**
+     * Read the labeled fields of a payload
+     * @param {string} payload - Decoded text
+     * @returns {Object} Payload key (ASCII, lower case) → value; certificate_number/registration_number when recognized
+     */
+    parsePayload(payload) {
+        const entries = parseEntries(payload);
+        const fields = {};
+
+        for (const [key, value] of entries) {
+            fields[key] = value;
+        }
+        for (const [field, keys] of Object.entries(IDENTIFIER_KEYS)) {
+            const entry = entries.find(([key]) => keys.includes(key));
+            if (entry && fields[field] === undefined) {
+                fields[field] = entry[1];
+            }
+        }
+        return fields;
+    }
+
+    /**
+     * Cross-check decoded identifiers against the extracted metadata
+     * Values are compared without spaces, punctuation or case ("BV 999451" = "BV999451").
+     * @param {Array<Object>} codes - Result of decodeImages
+     * @param {Object} metadata - Canonical metadata with certificate_number and registration_number
+     * @returns {Object} { status, checks: [{ path, extracted, decoded, match }] } - status is match, mismatch or unverified
+     */
+    verify(codes, metadata = {}) {
+        const checks = Object.keys(IDENTIFIER_KEYS).map(field => {
+            const extracted = typeof metadata[field] === 'string' && metadata[field].trim() ? metadata[field] : null;
+            const labeled = codes.find(code => code.fields[field] !== undefined);
+            const check = { path: `/metadata/${field}`, extracted, decoded: labeled ? String(labeled.fields[field]) : null, match: null };
+
+            if (check.decoded !== null && extracted) {
+                check.match = compactIdentifier(check.decoded) === compactIdentifier(extracted);
+            } else if (check.decoded === null && extracted) {
+                // Unlabeled payloads can confirm a number, but not contradict it
+                check.match = codes.some(code => compactIdentifier(code.payload).includes(compactIdentifier(extracted))) || null;
+            }
+            return check;
+        });
+
+        const status = checks.some(check => check.match === false)
+            ? 'mismatch'
+            : checks.some(check => check.match === true) ? 'match' : 'unverified';
+        return { status, checks };
+    }
+}
+
+/**
+ * Reduce an identifier to upper-case letters and digits
+ * @param {string} value - Identifier
+ * @returns {string} Compact identifier
+ */
+export function compactIdentifier(value) {
+    return asciiKey(value).toUpperCase().replace(/[^A-Z0-9]/g, '');
+}
+
+/**
+ * Split a payload into [key, value] pairs
+ * @param {string} payload - Decoded text
+ * @returns {Array<Array>} Pairs with ASCII snake_case keys
+ */
+function parseEntries(payload) {
+    const key = text => asciiKey(text).replace(/[^a-z0-9]+/g, '_').replace(/^_|_$/g, '');
+
+    try {
+        const json = JSON.parse(payload);
+        if (json && typeof json === 'object' && !Array.isArray(json)) {
+            return Object.entries(json)
+                .filter(([, value]) => value !== null && typeof value !== 'object')
+                .map(([name, value]) => [key(name), String(value)]);
+        }
+    } catch {
+        // Not JSON
+    }
+
+    if (/^https?:\/\//i.test(payload)) {
+        try {
+            return [...new URL(payload).searchParams].map(([name, value]) => [key(name), value]);
+        } catch {
+            return [];
+        }
+    }
+
+    return payload.split(/[\r\n;|&]+/)
+        .map(part => part.match(/^\s*([^:=]+?)\s*[:=]\s*(.+?)\s*$/))
+        .filter(Boolean)
+        .map(match => [key(match[1]), match[2]]);
+}
+
+/**
+ * Decode the payload bytes as UTF-8, falling back to jsQR's own decoding
+ * @param {Object} code - jsQR result
+ * @returns {string} Payload text
+ */
+function decodePayload(code) {
+    try {
+        return new TextDecoder('utf-8', { fatal: true }).decode(Uint8Array.from(code.binaryData));
+    } catch {
+        return code.data;
+    }
+}
+
+/**
+ * Shrink an image by a whole factor (box average) until it fits maxPixels
+ * @param {Object} image - { data, width, height } with RGBA pixels
+ * @param {number} maxPixels - Pixel budget
+ * @returns {Object} { data, width, height, scale }
+ */
+function downscale(image, maxPixels) {
+    const pixels = new Uint8ClampedArray(image.data.buffer, image.data.byteOffset, image.data.length);
+    const factor = Math.ceil(Math.sqrt(image.width * image.height / maxPixels));
+    if (factor <= 1) {
+        return { data: pixels, width: image.width, height: image.height, scale: 1 };
+    }
+
+    const width = Math.floor(image.width / factor);
+    const height = Math.floor(image.height / factor);
+    const data = new Uint8ClampedArray(width * height * 4);
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            for (let channel = 0; channel < 4; channel++) {
+                let sum = 0;
+                for (let dy = 0; dy < factor; dy++) {
+                    const row = ((y * factor + dy) * image.width + x * factor) * 4 + channel;
+                    for (let dx = 0; dx < factor; dx++) {
+                        sum += pixels[row + dx * 4];
+                    }
+                }
+                data[(y * width + x) * 4 + channel] = sum / (factor * factor);
+            }
+        }
+    }
+    return { data, width, height, scale: 1 / factor };
+}
+
+function yieldToEventLoop() {
+    return new Promise(resolve => setImmediate(resolve));
+}
+
+function boundingBox(location) {
+    const corners = [location.topLeftCorner, location.topRightCorner, location.bottomLeftCorner, location.bottomRightCorner];
+    const xs = corners.map(corner => corner.x);
+    const ys = corners.map(corner => corner.y);
+    const x = Math.min(...xs);
+    const y = Math.min(...ys);
+    return { x, y, width: Math.max(...xs) - x, height: Math.max(...ys) - y };
+}
+
+/**
+ * Paint a box (plus a quiet-zone margin) white so the next scan finds another code
+ */
+function blank(data, width, height, box) {
+    const margin = Math.ceil(Math.max(box.width, box.height) * 0.1);
+    const left = Math.max(0, Math.floor(box.x) - margin);
+    const top = Math.max(0, Math.floor(box.y) - margin);
+    const right = Math.min(width, Math.ceil(box.x + box.width) + margin);
+    const bottom = Math.min(height, Math.ceil(box.y + box.height) + margin);
+
+    for (let y = top; y < bottom; y++) {
+        data.fill(255, (y * width + left) * 4, (y * width + right) * 4);
+    }
+}
+
+export default QrDecoder;
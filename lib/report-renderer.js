@@ -0,0 +1,494 @@
+import { LandCertificateMapper } from "./land-certificate-mapper.js";
+import { VietnameseNormalizer } from "./normalizer.js";
+import { decodeImage, cropEvidence } from "./provenance.js";
+
+/**
+ * Report Renderer
+ * ===============
+ *
+ * Renders a land-certificate extraction as a sectioned Markdown or HTML
+ * report (document type, metadata, owners, parcel, attached assets, notes)
+ * from templates, without a model call. The same input always gives the
+ * same output: nothing time-dependent is added, and sections and rows follow
+ * the canonical schema order.
+ *
+ * Results with field provenance get an evidence column: the page of each
+ * value, and in HTML the cropped snippet of the page when the page images
+ * are given.
+ */
+
+export const LABELS = {
+    vi: {
+        title: 'Báo cáo trích xuất Giấy chứng nhận',
+        field: 'Trường thông tin',
+        value: 'Giá trị',
+        evidence: 'Nguồn',
+        page: 'Trang',
+        empty: '—',
+        none: 'Không có',
+        schemaInvalid: 'Dữ liệu trích xuất chưa đạt kiểm tra schema, cần đối chiếu với bản gốc.',
+        sections: {
+            document: 'Loại tài liệu',
+            metadata: 'Thông tin chung',
+            owners: 'Chủ sở hữu',
+            land: 'Thửa đất',
+            assets: 'Tài sản gắn liền với đất',
+            notes: 'Ghi chú và thông tin bổ sung',
+            warnings: 'Cảnh báo'
+        },
+        owner: 'Chủ sở hữu',
+        asset: 'Tài sản',
+        severity: { high: 'Cao', medium: 'Trung bình', low: 'Thấp' },
+        warningColumns: ['Mức độ', 'Trường', 'Nội dung'],
+        fields: {
+            document_type: 'Nhãn tài liệu',
+            document_name: 'Tên giấy tờ',
+            issuing_authority: 'Quốc hiệu / cơ quan ban hành',
+            certificate_number: 'Số phát hành (seri)',
+            registration_number: 'Số vào sổ cấp GCN',
+            issue_date: 'Ngày cấp',
+            authority_name: 'Cơ quan cấp',
+            signatory_position: 'Chức vụ người ký',
+            signatory_name: 'Người ký',
+            owner_type: 'Danh xưng',
+            full_name: 'Họ và tên',
+            date_of_birth: 'Năm sinh',
+            id_number: 'Số CMND/CCCD/Hộ chiếu',
+            id_issued_by: 'Nơi cấp',
+            id_issued_date: 'Ngày cấp giấy tờ tùy thân',
+            permanent_address: 'Địa chỉ thường trú',
+            land_address: 'Địa chỉ thửa đất',
+            plot_number: 'Thửa đất số',
+            map_sheet_number: 'Tờ bản đồ số',
+            area: 'Diện tích',
+            usage_purpose: 'Mục đích sử dụng',
+            usage_form: 'Hình thức sử dụng',
+            usage_duration: 'Thời hạn sử dụng',
+            usage_origin: 'Nguồn gốc sử dụng',
+            asset_type: 'Loại tài sản',
+            house_type: 'Loại nhà ở',
+            house_name: 'Tên nhà ở / công trình',
+            floor_area: 'Diện tích sàn',
+            construction_area: 'Diện tích xây dựng',
+            number_of_floors: 'Số tầng',
+            ownership_form: 'Hình thức sở hữu',
+            ownership_duration: 'Thời hạn sở hữu',
+            common_ownership_purpose: 'Hạng mục sở hữu chung',
+            construction_process: 'Công trình xây dựng khác',
+            forest_land: 'Rừng sản xuất là rừng trồng',
+            trees: 'Cây lâu năm',
+            notes: 'Ghi chú',
+            land_map: 'Sơ đồ thửa đất',
+            changes_content: 'Nội dung thay đổi',
+            changes_confirmation: 'Xác nhận thay đổi'
+        }
+    },
+    en: {
+        title: 'Land Certificate Extraction Report',
+        field: 'Field',
+        value: 'Value',
+        evidence: 'Evidence',
+        page: 'Page',
+        empty: '—',
+        none: 'None',
+        schemaInvalid: 'The extraction did not pass schema validation; check it against the original.',
+        sections: {
+            document: 'Document type',
+            metadata: 'Metadata',
+            owners: 'Owners',
+            land: 'Land parcel',
+            assets: 'Assets attached to the land',
+            notes: 'Notes and additional information',
+            warnings: 'Warnings'
+        },
+        owner: 'Owner',
+        asset: 'Asset',
+        severity: { high: 'High', medium: 'Medium', low: 'Low' },
+        warningColumns: ['Severity', 'Field', 'Message'],
+        fields: {
+            document_type: 'Document label',
+            document_name: 'Document name',
+            issuing_authority: 'National title / issuing authority',
+            certificate_number: 'Certificate serial number',
+            registration_number: 'Registration book number',
+            issue_date: 'Issue date',
+            authority_name: 'Issued by',
+            signatory_position: 'Signatory position',
+            signatory_name: 'Signatory',
+            owner_type: 'Salutation',
+            full_name: 'Full name',
+            date_of_birth: 'Year of birth',
+            id_number: 'ID card / passport number',
+            id_issued_by: 'ID issued by',
+            id_issued_date: 'ID issue date',
+            permanent_address: 'Permanent address',
+            land_address: 'Parcel address',
+            plot_number: 'Plot number',
+            map_sheet_number: 'Map sheet number',
+            area: 'Area',
+            usage_purpose: 'Land use purpose',
+            usage_form: 'Form of use',
+            usage_duration: 'Term of use',
+            usage_origin: 'Origin of use',
+            asset_type: 'Asset type',
+            house_type: 'House type',
+            house_name: 'House / building name',
+            floor_area: 'Floor area',
+            construction_area: 'Construction area',
+            number_of_floors: 'Number of floors',
+            ownership_form: 'Form of ownership',
+            ownership_duration: 'Term of ownership',
+            common_ownership_purpose: 'Shared ownership items',
+            construction_process: 'Other construction works',
+            forest_land: 'Planted production forest',
+            trees: 'Perennial trees',
+            notes: 'Notes',
+            land_map: 'Parcel map',
+            changes_content: 'Changes after issuance',
+            changes_confirmation: 'Confirmation of changes'
+        }
+    }
+};
+
+const OWNER_FIELDS = ['owner_type', 'full_name', 'date_of_birth', 'id_number', 'id_issued_by', 'id_issued_date', 'permanent_address'];
+const LAND_FIELDS = ['land_address', 'plot_number', 'map_sheet_number', 'area', 'usage_purpose', 'usage_form', 'usage_duration', 'usage_origin'];
+const ASSET_DETAIL_FIELDS = ['house_type', 'house_name', 'floor_area', 'construction_area', 'number_of_floors', 'ownership_form', 'ownership_duration', 'common_ownership_purpose'];
+
+export class ReportRenderer {
+    /**
+     * @param {Object} options - Renderer options
+     * @param {string} options.language - 'vi' or 'en' (default REPORT_LANGUAGE or 'vi')
+     */
+    constructor(options = {}) {
+        this.language = options.language || process.env.REPORT_LANGUAGE || 'vi';
+        this.mapper = new LandCertificateMapper();
+        this.normalizer = new VietnameseNormalizer();
+    }
+
+    /**
+     * Render a report
+     * @param {Object} input - Analysis result (canonicalData is used) or extracted data of any known shape
+     * @param {Object} options - { format: 'markdown' | 'html', language: 'vi' | 'en', pages: page images for evidence snippets }
+     * @returns {string} Report
+     */
+    render(input, options = {}) {
+        const report = this.buildReport(input, options);
+        const format = options.format || 'markdown';
+
+        if (format === 'markdown' || format === 'md') {
+            return this.toMarkdown(report);
+        }
+        if (format === 'html') {
+            return this.toHtml(report);
+        }
+        throw new Error(`Unsupported report format: ${format}`);
+    }
+
+    /**
+     * Build the report model: sections of field tables
+     * @param {Object} input - Analysis result or extracted data
+     * @param {Object} options - { language, pages: JPEG/PNG buffers or data URLs of the analyzed pages, in order (see loadPageImages) }
+     * @returns {Object} { language, title, notice, sections: [{ id, title, tables: [{ title, columns, rows, evidence? }] }] }
+     *   evidence has one { page, bbox, snippet } (or null) per row when the result has field provenance
+     */
+    buildReport(input, options = {}) {
+        const language = options.language || this.language;
+        const labels = LABELS[language];
+        if (!labels) {
+            throw new Error(`Unsupported report language: ${language}. Supported: ${Object.keys(LABELS).join(', ')}`);
+        }
+
+        const { data, warnings, schemaValid, provenance } = this.resolveData(input);
+        const snippet = this.createSnippetCropper(options.pages);
+        const field = key => labels.fields[key] || key;
+        const table = (title, entries) => ({
+            title,
+            columns: [labels.field, labels.value],
+            rows: entries.map(([key, value]) => [field(key), this.formatValue(value, labels)]),
+            ...(provenance && {
+                evidence: entries.map(([, , pointer]) => {
+                    const evidence = provenance[pointer];
+                    return evidence ? { page: evidence.page, bbox: evidence.bbox, snippet: snippet(evidence) } : null;
+                })
+            })
+        });
+        // Entries are [field, value, canonical JSON pointer]
+        const pick = (source, keys, pointer) => keys.map(key => [key, source?.[key], `${pointer}/${key}`]);
+
+        const metadata = data.metadata || {};
+        const authority = data.issuing_authority_details || {};
+        const owners = data.property_owners || [];
+        const assets = data.assets_attached_to_land || [];
+
+        const sections = [
+            {
+                id: 'document',
+                title: labels.sections.document,
+                tables: [table(null, pick(metadata, ['document_name', 'document_type'], '/metadata'))]
+            },
+            {
+                id: 'metadata',
+                title: labels.sections.metadata,
+                tables: [table(null, [
+                    ...pick(metadata, ['issuing_authority', 'certificate_number', 'registration_number'], '/metadata'),
+                    ['issue_date', data.issue_date, '/issue_date'],
+                    ...pick(authority, ['authority_name', 'signatory_position', 'signatory_name'], '/issuing_authority_details')
+                ])]
+            },
+            {
+                id: 'owners',
+                title: labels.sections.owners,
+                tables: owners.map((owner, index) => table(`${labels.owner} ${index + 1}`, pick(owner, OWNER_FIELDS, `/property_owners/${index}`))),
+                empty: owners.length === 0 ? labels.none : null
+            },
+            {
+                id: 'land',
+                title: labels.sections.land,
+                tables: [table(null, pick(data.land_information, LAND_FIELDS, '/land_information'))]
+            },
+            {
+                id: 'assets',
+                title: labels.sections.assets,
+                tables: assets.map((asset, index) => {
+                    const details = asset.details || {};
+                    const extraKeys = Object.keys(details).filter(key => !ASSET_DETAIL_FIELDS.includes(key)).sort();
+                    const detailKeys = [...ASSET_DETAIL_FIELDS.filter(key => key in details), ...extraKeys];
+                    const assetPointer = `/assets_attached_to_land/${index}`;
+                    return table(`${labels.asset} ${index + 1}`, [
+                        ['asset_type', asset.asset_type, `${assetPointer}/asset_type`],
+                        ...pick(details, detailKeys, `${assetPointer}/details`)
+                    ]);
+                }),
+                empty: assets.length === 0 ? labels.none : null
+            },
+            {
+                id: 'notes',
+                title: labels.sections.notes,
+                tables: [table(null, [
+                    ...pick(data, ['construction_process', 'forest_land', 'trees', 'notes'], ''),
+                    ['land_map', data.land_map?.description, '/land_map/description'],
+                    ['changes_content', data.changes_after_certificate?.content, '/changes_after_certificate/content'],
+                    ['changes_confirmation', data.changes_after_certificate?.confirmation, '/changes_after_certificate/confirmation']
+                ])]
+            }
+        ];
+
+        if (warnings.length > 0) {
+            sections.push({
+                id: 'warnings',
+                title: labels.sections.warnings,
+                tables: [{
+                    title: null,
+                    columns: labels.warningColumns,
+                    rows: warnings.map(warning => [
+                        labels.severity[warning.severity] || warning.severity || labels.empty,
+                        warning.path || labels.empty,
+                        warning.message
+                    ])
+                }]
+            });
+        }
+
+        return {
+            language,
+            title: labels.title,
+            notice: schemaValid === false ? labels.schemaInvalid : null,
+            sections
+        };
+    }
+
+    /**
+     * Get canonical data, warnings, validation status and field provenance from the input
+     * @param {Object} input - Analysis result or extracted data
+     * @returns {Object} { data, warnings, schemaValid, provenance } - provenance maps canonical pointers to { page, bbox }, or is null
+     */
+    resolveData(input) {
+        if (!input || typeof input !== 'object') {
+            throw new Error('Report input must be an analysis result or extracted data object');
+        }
+
+        const isResult = 'canonicalData' in input || 'extractedData' in input;
+        if (isResult && !input.canonicalData && !input.extractedData) {
+            throw new Error('Analysis result has no extracted data to report');
+        }
+
+        const data = input.canonicalData || this.mapper.map(isResult ? input.extractedData : input).data;
+        return {
+            data,
+            warnings: isResult ? input.warnings || [] : [],
+            schemaValid: isResult ? input.schemaValidation?.valid : undefined,
+            // Evidence points at canonical fields, so it only applies to the result's own canonical data
+            provenance: input.canonicalData && input.provenance?.canonical ? input.provenance.canonical : null
+        };
+    }
+
+    /**
+     * Create a function that crops the snippet of a field's evidence from the page images
+     * Each page is decoded once, on first use.
+     * @param {Array<Buffer|string|null>} pages - Page images in order; missing pages give no snippet
+     * @returns {Function} evidence { page, bbox } -> JPEG data URL or null
+     */
+    createSnippetCropper(pages = []) {
+        const decoded = new Map();
+        return ({ page, bbox }) => {
+            const image = pages?.[page - 1];
+            if (!image) {
+                return null;
+            }
+            if (!decoded.has(page)) {
+                decoded.set(page, decodeImage(image));
+            }
+            return cropEvidence(decoded.get(page), bbox);
+        };
+    }
+
+    /**
+     * Format a field value for display
+     * @param {*} value - Field value
+     * @param {Object} labels - Labels of the report language
+     * @returns {string} Display text
+     */
+    formatValue(value, labels) {
+        if (value === null || value === undefined || this.normalizer.isPlaceholder(value)) {
+            return labels.empty;
+        }
+        if (Array.isArray(value)) {
+            return value.map(item => this.formatValue(item, labels)).join(', ');
+        }
+        if (typeof value === 'object') {
+            return Object.entries(value).map(([key, item]) => `${labels.fields[key] || key}: ${this.formatValue(item, labels)}`).join('; ');
+        }
+        return String(value).trim();
+    }
+
+    /**
+     * Describe where a value was read: page and box as percentages of the page
+     * @param {Object|null} evidence - Row evidence from buildReport
+     * @param {Object} labels - Report labels
+     * @returns {string} e.g. "Trang 1 (61-74%, 39-41%)"
+     */
+    formatEvidence(evidence, labels) {
+        if (!evidence) {
+            return labels.empty;
+        }
+        const percent = value => Math.round(value * 100);
+        const [x1, y1, x2, y2] = evidence.bbox;
+        return `${labels.page} ${evidence.page} (${percent(x1)}-${percent(x2)}%, ${percent(y1)}-${percent(y2)}%)`;
+    }
+
+    /**
+     * @param {Object} report - Report model from buildReport
+     * @returns {string} Markdown
+     */
+    toMarkdown(report) {
+        const cell = text => String(text).replace(/\|/g, '\\|').replace(/\r?\n/g, '<br>');
+        const labels = LABELS[report.language];
+        const lines = [`# ${report.title}`, ''];
+
+        if (report.notice) {
+            lines.push(`> ⚠️ ${report.notice}`, '');
+        }
+
+        report.sections.forEach((section, index) => {
+            lines.push(`## ${index + 1}. ${section.title}`, '');
+
+            if (section.empty) {
+                lines.push(section.empty, '');
+            }
+            for (const table of section.tables) {
+                if (table.title) {
+                    lines.push(`### ${table.title}`, '');
+                }
+                const columns = table.evidence ? [...table.columns, labels.evidence] : table.columns;
+                lines.push(`| ${columns.map(cell).join(' | ')} |`);
+                lines.push(`|${columns.map(() => '---').join('|')}|`);
+                table.rows.forEach((row, rowIndex) => {
+                    const cells = table.evidence ? [...row, this.formatEvidence(table.evidence[rowIndex], labels)] : row;
+                    lines.push(`| ${cells.map(cell).join(' | ')} |`);
+                });
+                lines.push('');
+            }
+        });
+
+        return lines.join('\n');
+    }
+
+    /**
+     * @param {Object} report - Report model from buildReport
+     * @returns {string} Standalone HTML document
+     */
+    toHtml(report) {
+        const labels = LABELS[report.language];
+        const lines = [
+            '<!DOCTYPE html>',
+            `<html lang="${report.language}">`,
+            '<head>',
+            '<meta charset="utf-8">',
+            `<title>${escapeHtml(report.title)}</title>`,
+            '<style>',
+            'body { font-family: "Segoe UI", Roboto, Arial, sans-serif; max-width: 960px; margin: 2rem auto; color: #1f2933; }',
+            'table { border-collapse: collapse; width: 100%; margin-bottom: 1.5rem; }',
+            'th, td { border: 1px solid #cbd2d9; padding: 0.4rem 0.6rem; text-align: left; vertical-align: top; }',
+            'th { background: #f0f4f8; }',
+            'td:first-child { width: 35%; }',
+            '.notice { background: #fff3c4; padding: 0.6rem 1rem; }',
+            '.evidence img { display: block; max-width: 240px; border: 1px solid #cbd2d9; margin-top: 0.2rem; }',
+            '</style>',
+            '</head>',
+            '<body>',
+            `<h1>${escapeHtml(report.title)}</h1>`
+        ];
+
+        if (report.notice) {
+            lines.push(`<p class="notice">${escapeHtml(report.notice)}</p>`);
+        }
+
+        report.sections.forEach((section, index) => {
+            lines.push(`<section id="${section.id}">`, `<h2>${index + 1}. ${escapeHtml(section.title)}</h2>`);
+
+            if (section.empty) {
+                lines.push(`<p>${escapeHtml(section.empty)}</p>`);
+            }
+            for (const table of section.tables) {
+                if (table.title) {
+                    lines.push(`<h3>${escapeHtml(table.title)}</h3>`);
+                }
+                lines.push('<table>');
+                const columns = table.evidence ? [...table.columns, labels.evidence] : table.columns;
+                lines.push(`<thead><tr>${columns.map(column => `<th>${escapeHtml(column)}</th>`).join('')}</tr></thead>`);
+                lines.push('<tbody>');
+                table.rows.forEach((row, rowIndex) => {
+                    const cells = row.map(value => `<td>${escapeHtml(value).replace(/\r?\n/g, '<br>')}</td>`);
+                    if (table.evidence) {
+                        const evidence = table.evidence[rowIndex];
+                        const image = evidence?.snippet ? `<img src="${evidence.snippet}" alt="${escapeHtml(row[0])}">` : '';
+                        cells.push(`<td class="evidence">${escapeHtml(this.formatEvidence(evidence, labels))}${image}</td>`);
+                    }
+                    lines.push(`<tr>${cells.join('')}</tr>`);
+                });
+                lines.push('</tbody>', '</table>');
+            }
+
+            lines.push('</section>');
+        });
+
+        lines.push('</body>', '</html>', '');
+        return lines.join('\n');
+    }
+}
+
+/**
+ * Escape text for HTML element content and attribute values
+ * @param {*} text - Text
+ * @returns {string} Escaped text
+ */
+export function escapeHtml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+export default ReportRenderer;
@@ -0,0 +1,250 @@
+import crypto from "crypto";
+import fs from "fs";
+import path from "path";
+
+const CACHE_VERSION = 1;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Result Cache
+ * ============
+ *
+ * Content-addressed cache of model results. The key is a SHA-256 over
+ *
+ *   image    hash of the decoded image bytes sent to the model (the URL for
+ *            remote images), in order
+ *   prompt   hash of the prompt text, including page labels
+ *   model    provider and model name
+ *   params   generation parameters (max tokens, temperature, JSON mode, repair rounds)
+ *
+ * so the same merged.jpg re-encoded into the same data URL hits the cache,
+ * while a changed prompt, model or parameter misses it.
+ *
+ * Backends store entries by key and implement:
+ *
+ *   get(key)          -> Promise of the entry or null
+ *   set(key, entry)   -> Promise
+ *   delete(key)       -> Promise of true if an entry was removed
+ *   clear()           -> Promise of the number of removed entries
+ */
+export class ResultCache {
+    /**
+     * @param {Object} options - Cache options
+     * @param {Object} options.backend - Storage backend (default FileCacheBackend in CACHE_DIR)
+     * @param {number} options.ttlMs - Entry lifetime, 0 keeps entries forever (default CACHE_TTL_MS or 30 days)
+     */
+    constructor(options = {}) {
+        this.backend = options.backend || new FileCacheBackend();
+        this.ttlMs = options.ttlMs ?? (process.env.CACHE_TTL_MS !== undefined ? parseInt(process.env.CACHE_TTL_MS) : 30 * DAY_MS);
+    }
+
+    /**
+     * Compute the cache key of a request
+     * @param {Array} messages - Messages sent to the model
+     * @param {Object} context - { provider, model, params }
+     * @returns {Object} { key, components: { image, prompt, model, params } }
+     */
+    createKey(messages, context = {}) {
+        const image = crypto.createHash('sha256');
+        const prompt = crypto.createHash('sha256');
+
+        for (const message of messages) {
+            const parts = typeof message.content === 'string' ? [{ type: 'text', text: message.content }] : message.content;
+            for (const part of parts) {
+                if (part.type === 'image_url') {
+                    image.update(imageBytes(part.image_url.url));
+                    image.update('\0');
+                } else if (part.type === 'text') {
+                    prompt.update(`${message.role}\0${part.text}\0`);
+                }
+            }
+        }
+
+        const components = {
+            image: image.digest('hex'),
+            prompt: prompt.digest('hex'),
+            model: `${context.provider || 'unknown'}/${context.model || 'unknown'}`,
+            params: sortKeys(context.params || {})
+        };
+        const key = crypto.createHash('sha256')
+            .update(JSON.stringify({ version: CACHE_VERSION, ...components }))
+            .digest('hex');
+
+        return { key, components };
+    }
+
+    /**
+     * Read a cached result
+     * @param {string} key - Cache key
+     * @returns {Promise<Object|null>} { result, createdAt, expiresAt } or null if missing or expired
+     */
+    async get(key) {
+        const entry = await this.backend.get(key);
+        if (!entry || entry.version !== CACHE_VERSION) {
+            return null;
+        }
+
+        if (entry.expiresAt && Date.parse(entry.expiresAt) <= Date.now()) {
+            await this.backend.delete(key);
+            return null;
+        }
+        return entry;
+    }
+
+    /**
+     * Store a result
+     * @param {string} key - Cache key
+     * @param {Object} result - Result to cache
+     * @param {Object} components - Key components, stored for inspection
+     * @returns {Promise<Object>} Stored entry
+     */
+    async set(key, result, components = {}) {
+        const now = Date.now();
+        const entry = {
+            version: CACHE_VERSION,
+            key,
+            components,
+            createdAt: new Date(now).toISOString(),
+            expiresAt: this.ttlMs > 0 ? new Date(now + this.ttlMs).toISOString() : null,
+            result
+        };
+
+        await this.backend.set(key, entry);
+        return entry;
+    }
+
+    /**
+     * Remove one entry
+     * @param {string} key - Cache key
+     * @returns {Promise<boolean>} True if an entry was removed
+     */
+    async invalidate(key) {
+        return this.backend.delete(key);
+    }
+
+    /**
+     * Remove all entries
+     * @returns {Promise<number>} Number of removed entries
+     */
+    async clear() {
+        return this.backend.clear();
+    }
+}
+
+/**
+ * Filesystem backend: one JSON file per entry, <dir>/<key[0..1]>/<key>.json
+ */
+export class FileCacheBackend {
+    /**
+     * @param {Object} options - { dir } (default CACHE_DIR or ./cache)
+     */
+    constructor(options = {}) {
+        this.dir = options.dir || process.env.CACHE_DIR || './cache';
+    }
+
+    entryPath(key) {
+        if (!/^[a-f0-9]{64}$/.test(key)) {
+            throw new Error(`Invalid cache key: ${key}`);
+        }
+        return path.join(this.dir, key.slice(0, 2), `${key}.json`);
+    }
+
+    async get(key) {
+        try {
+            return JSON.parse(await fs.promises.readFile(this.entryPath(key), 'utf8'));
+        } catch (error) {
+            // A corrupt entry counts as a miss and is overwritten on the next set
+            if (error.code === 'ENOENT' || error instanceof SyntaxError) {
+                return null;
+            }
+            throw error;
+        }
+    }
+
+    async set(key, entry) {
+        const file = this.entryPath(key);
+        await fs.promises.mkdir(path.dirname(file), { recursive: true });
+
+        const tmpFile = `${file}.${process.pid}.tmp`;
+        await fs.promises.writeFile(tmpFile, JSON.stringify(entry));
+        await fs.promises.rename(tmpFile, file);
+    }
+
+    async delete(key) {
+        try {
+            await fs.promises.unlink(this.entryPath(key));
+            return true;
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                return false;
+            }
+            throw error;
+        }
+    }
+
+    async clear() {
+        if (!fs.existsSync(this.dir)) {
+            return 0;
+        }
+
+        let removed = 0;
+        for (const shard of await fs.promises.readdir(this.dir)) {
+            if (!/^[a-f0-9]{2}$/.test(shard)) {
+                continue;
+            }
+            for (const file of await fs.promises.readdir(path.join(this.dir, shard))) {
+                if (file.endsWith('.json')) {
+                    await fs.promises.unlink(path.join(this.dir, shard, file));
+                    removed++;
+                }
+            }
+        }
+        return removed;
+    }
+}
+
+/**
+ * In-memory backend, e.g. for a long-running server or tests
+ */
+export class MemoryCacheBackend {
+    constructor() {
+        this.entries = new Map();
+    }
+
+    async get(key) {
+        const entry = this.entries.get(key);
+        return entry ? structuredClone(entry) : null;
+    }
+
+    async set(key, entry) {
+        this.entries.set(key, structuredClone(entry));
+    }
+
+    async delete(key) {
+        return this.entries.delete(key);
+    }
+
+    async clear() {
+        const removed = this.entries.size;
+        this.entries.clear();
+        return removed;
+    }
+}
+
+/**
+ * Get the bytes an image URL stands for: decoded data for data URLs, the URL itself otherwise
+ * @param {string} url - Data URL or http(s) URL
+ * @returns {Buffer|string} Bytes to hash
+ */
+function imageBytes(url) {
+    const dataUrl = url.match(/^data:[^;,]+(?:;[^,]*)?;base64,(.*)$/s);
+    return dataUrl ? Buffer.from(dataUrl[1], 'base64') : url;
+}
+
+function sortKeys(object) {
+    return Object.fromEntries(Object.keys(object).sort()
+        .filter(key => object[key] !== undefined)
+        .map(key => [key, object[key]]));
+}
+
+export default ResultCache;
@@ -0,0 +1,422 @@
+import fs from "fs";
+import path from "path";
+import { LandCertificateMapper } from "./land-certificate-mapper.js";
+import { VietnameseNormalizer } from "./normalizer.js";
+import { createXlsx, escapeXml } from "./xlsx-writer.js";
+
+/**
+ * Result Exporters
+ * ================
+ *
+ * Flattens one or many analysis results into CSV or XLSX rows, or maps them
+ * to XML, for import into CRM and core banking collateral systems.
+ *
+ * Every result becomes a record { id, data, normalized, result }: `data` is
+ * the canonical extraction, `normalized` its normalized form (ISO dates,
+ * areas in m²) and `result` the analysis envelope. Columns and XML elements
+ * select values from the record with paths such as
+ * `data.metadata.certificate_number`; `[]` steps into every array item
+ * (`data.property_owners[].full_name`) and `[0]` into one.
+ */
+
+export const DEFAULT_COLUMNS = [
+    { header: 'id', path: 'id' },
+    { header: 'document_type', path: 'data.metadata.document_type' },
+    { header: 'certificate_number', path: 'data.metadata.certificate_number' },
+    { header: 'registration_number', path: 'data.metadata.registration_number' },
+    { header: 'issue_date', path: 'normalized.issue_date.value' },
+    { header: 'issuing_authority', path: 'data.issuing_authority_details.authority_name' },
+    { header: 'land_address', path: 'data.land_information.land_address' },
+    { header: 'plot_number', path: 'data.land_information.plot_number' },
+    { header: 'map_sheet_number', path: 'data.land_information.map_sheet_number' },
+    { header: 'area_m2', path: 'normalized.land_information.area.value' },
+    { header: 'usage_purpose', path: 'data.land_information.usage_purpose' },
+    { header: 'usage_form', path: 'data.land_information.usage_form' },
+    { header: 'usage_duration', path: 'data.land_information.usage_duration' },
+    { header: 'owner_{n}_type', path: 'data.property_owners[].owner_type' },
+    { header: 'owner_{n}_full_name', path: 'data.property_owners[].full_name' },
+    { header: 'owner_{n}_date_of_birth', path: 'data.property_owners[].date_of_birth' },
+    { header: 'owner_{n}_id_number', path: 'data.property_owners[].id_number' },
+    { header: 'owner_{n}_permanent_address', path: 'data.property_owners[].permanent_address' },
+    { header: 'asset_{n}_type', path: 'data.assets_attached_to_land[].asset_type' },
+    { header: 'asset_{n}_name', path: 'data.assets_attached_to_land[].details.house_name' },
+    { header: 'asset_{n}_floor_area_m2', path: 'normalized.assets_attached_to_land[].details.floor_area.value' },
+    { header: 'notes', path: 'data.notes' },
+    { header: 'model', path: 'result.model' },
+    { header: 'warning_count', path: 'result.warnings.length' }
+];
+
+export const EXPORT_FORMATS = ['csv', 'xlsx', 'xml'];
+
+const XML_NAME = /^[A-Za-z_][\w.-]*(?::[A-Za-z_][\w.-]*)?$/;
+
+/**
+ * Read a JSON mapping file (column mapping or XML mapping)
+ * @param {string} file - Mapping file path
+ * @returns {Object} Parsed mapping
+ */
+export function loadMapping(file) {
+    try {
+        return JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (error) {
+        throw new Error(`Failed to load mapping ${file}: ${error.message}`, { cause: error });
+    }
+}
+
+/**
+ * Read saved results for export
+ * Directories contribute every result file in them (e.g. a batch output
+ * directory), without the run manifest; ids are the file names.
+ * @param {Array<string>} sources - Result files and directories
+ * @returns {Array<Object>} Inputs: { id, result }
+ */
+export function readResultFiles(sources) {
+    const files = sources.flatMap(source => fs.statSync(source).isDirectory()
+        ? fs.readdirSync(source)
+            .filter(name => name.endsWith('.json') && name !== 'manifest.json')
+            .sort()
+            .map(name => path.join(source, name))
+        : [source]);
+
+    return files.map(file => {
+        try {
+            return { id: path.basename(file, '.json'), result: JSON.parse(fs.readFileSync(file, 'utf8')) };
+        } catch (error) {
+            throw new Error(`Failed to read result ${file}: ${error.message}`, { cause: error });
+        }
+    });
+}
+
+export class ResultExporter {
+    /**
+     * @param {Object} options - Exporter options
+     * @param {Array<Object>} options.columns - Column mapping (default EXPORT_COLUMNS file or DEFAULT_COLUMNS)
+     * @param {Object} options.xmlMapping - XML mapping (default EXPORT_XML_MAPPING file)
+     * @param {string} options.delimiter - CSV delimiter (default CSV_DELIMITER or ',')
+     * @param {boolean} options.bom - Start CSV with a UTF-8 byte order mark so Excel reads Vietnamese correctly (default true)
+     */
+    constructor(options = {}) {
+        this.columns = options.columns
+            || (process.env.EXPORT_COLUMNS ? loadMapping(process.env.EXPORT_COLUMNS).columns : DEFAULT_COLUMNS);
+        this.xmlMapping = options.xmlMapping
+            || (process.env.EXPORT_XML_MAPPING ? loadMapping(process.env.EXPORT_XML_MAPPING) : null);
+        this.delimiter = options.delimiter || process.env.CSV_DELIMITER || ',';
+        this.bom = options.bom ?? true;
+        this.mapper = new LandCertificateMapper();
+        this.normalizer = new VietnameseNormalizer();
+
+        this.validateColumns(this.columns);
+    }
+
+    /**
+     * Export results
+     * @param {Array<Object>|Object} inputs - Results, extracted data, or { id, result } pairs
+     * @param {Object} options - { format: 'csv' | 'xlsx' | 'xml', sheetName, xmlMapping }
+     * @returns {string|Buffer} CSV or XML text, or XLSX bytes
+     */
+    export(inputs, options = {}) {
+        const format = options.format || 'csv';
+        if (format === 'csv') {
+            return this.toCsv(inputs);
+        }
+        if (format === 'xlsx') {
+            return this.toXlsx(inputs, options);
+        }
+        if (format === 'xml') {
+            return this.toXml(inputs, options.xmlMapping);
+        }
+        throw new Error(`Unsupported export format: ${format}`);
+    }
+
+    /**
+     * Flatten results into a header row and one row per result
+     * @param {Array<Object>|Object} inputs - Results to export
+     * @returns {Object} { headers, rows }
+     */
+    toTable(inputs) {
+        const records = this.toRecords(inputs);
+        const headers = [];
+        const getters = [];
+
+        // Adjacent columns over the same array form a group, expanded item by item:
+        // owner_1_type, owner_1_full_name, owner_2_type, owner_2_full_name, ...
+        // `data.x[]` and `normalized.x[]` are views of the same array.
+        const groups = [];
+        for (const column of this.columns) {
+            const split = column.join === undefined ? column.path.indexOf('[]') : -1;
+            const arrayPath = split >= 0 ? column.path.slice(0, split + 2) : null;
+            const key = arrayPath?.replace(/^(data|normalized)\./, '');
+            const last = groups[groups.length - 1];
+
+            if (key && last?.key === key) {
+                last.columns.push({ ...column, arrayPath });
+            } else {
+                groups.push({ key, columns: [{ ...column, arrayPath }] });
+            }
+        }
+
+        for (const { key, columns } of groups) {
+            if (!key) {
+                const [column] = columns;
+                headers.push(column.header);
+                getters.push(record => {
+                    const values = this.select(record, column.path).map(value => this.formatValue(value)).filter(value => value !== '');
+                    return column.join !== undefined ? values.join(column.join) : values[0] ?? '';
+                });
+                continue;
+            }
+
+            // As many items as the longest array in the export. Items are selected first
+            // so a missing field does not shift the values of later items left.
+            const valueOf = (record, column, index) => {
+                const item = this.select(record, column.arrayPath)[index];
+                const itemPath = column.path.slice(column.arrayPath.length).replace(/^\./, '');
+                const values = item === undefined ? [] : itemPath ? this.select(item, itemPath) : [item];
+                return this.formatValue(values.length > 1 ? values : values[0]);
+            };
+
+            const count = Math.max(
+                ...columns.map(column => column.minItems ?? 1),
+                ...records.flatMap(record => columns.map(column => this.select(record, column.arrayPath).length))
+            );
+            for (let index = 0; index < count; index++) {
+                const n = String(index + 1);
+                for (const column of columns) {
+                    headers.push(column.header.includes('{n}') ? column.header.replaceAll('{n}', n) : `${column.header} ${n}`);
+                    getters.push(record => valueOf(record, column, index));
+                }
+            }
+        }
+
+        return { headers, rows: records.map(record => getters.map(getter => getter(record))) };
+    }
+
+    /**
+     * Export results as CSV (RFC 4180, CRLF line endings)
+     * @param {Array<Object>|Object} inputs - Results to export
+     * @returns {string} CSV text
+     */
+    toCsv(inputs) {
+        const { headers, rows } = this.toTable(inputs);
+        const lines = [headers, ...rows].map(row => row.map(value => this.escapeCsv(value)).join(this.delimiter));
+        return (this.bom ? '\uFEFF' : '') + lines.join('\r\n') + '\r\n';
+    }
+
+    /**
+     * Export results as an XLSX workbook
+     * @param {Array<Object>|Object} inputs - Results to export
+     * @param {Object} options - { sheetName }
+     * @returns {Buffer} XLSX bytes
+     */
+    toXlsx(inputs, options = {}) {
+        const { headers, rows } = this.toTable(inputs);
+        return createXlsx({ name: options.sheetName || 'Certificates', headers, rows });
+    }
+
+    /**
+     * Export results as XML described by a mapping
+     * @param {Array<Object>|Object} inputs - Results to export
+     * @param {Object} mapping - XML mapping (default: the exporter's xmlMapping)
+     * @returns {string} XML document
+     */
+    toXml(inputs, mapping = this.xmlMapping) {
+        if (!mapping) {
+            throw new Error('XML export needs a mapping (xmlMapping option or EXPORT_XML_MAPPING)');
+        }
+        this.validateXmlMapping(mapping);
+
+        const omitEmpty = mapping.omitEmpty ?? false;
+        const records = this.toRecords(inputs);
+        const body = records.flatMap(record => this.renderXmlNode(mapping.record, record, record, 1, omitEmpty));
+        const attributes = this.renderXmlAttributes(mapping.attributes, {}, {});
+
+        return '<?xml version="1.0" encoding="UTF-8"?>\n' +
+            (body.length > 0
+                ? `<${mapping.root}${attributes}>\n${body.join('\n')}\n</${mapping.root}>\n`
+                : `<${mapping.root}${attributes}/>\n`);
+    }
+
+    /**
+     * Render one mapping node (repeated per item when it has `each`)
+     * @returns {Array<string>} Indented XML lines
+     */
+    renderXmlNode(node, context, record, depth, omitEmpty) {
+        if (node.each) {
+            // "owners" and "owners[]" both repeat per item
+            const items = this.select(context, node.each, record).flatMap(value => Array.isArray(value) ? value : [value]);
+            return items.flatMap(item => this.renderXmlNode({ ...node, each: undefined }, item, record, depth, omitEmpty));
+        }
+
+        const indent = '  '.repeat(depth);
+        const attributes = this.renderXmlAttributes(node.attributes, context, record);
+        const skipEmpty = node.omitEmpty ?? omitEmpty;
+
+        if (node.children) {
+            const children = node.children.flatMap(child => this.renderXmlNode(child, context, record, depth + 1, omitEmpty));
+            if (children.length > 0) {
+                return [`${indent}<${node.element}${attributes}>`, ...children, `${indent}</${node.element}>`];
+            }
+            return skipEmpty && !attributes ? [] : [`${indent}<${node.element}${attributes}/>`];
+        }
+
+        const value = 'value' in node ? this.formatValue(node.value) : this.formatValue(this.select(context, node.path, record)[0]);
+        if (value === '') {
+            return skipEmpty ? [] : [`${indent}<${node.element}${attributes}/>`];
+        }
+        return [`${indent}<${node.element}${attributes}>${escapeXml(value)}</${node.element}>`];
+    }
+
+    renderXmlAttributes(attributes = {}, context, record) {
+        return Object.entries(attributes)
+            .map(([name, spec]) => [name, 'value' in spec ? this.formatValue(spec.value) : this.formatValue(this.select(context, spec.path, record)[0])])
+            .filter(([, value]) => value !== '')
+            .map(([name, value]) => ` ${name}="${escapeXml(value)}"`)
+            .join('');
+    }
+
+    /**
+     * Turn inputs into export records
+     * @param {Array<Object>|Object} inputs - Results, extracted data, or { id, result } pairs
+     * @returns {Array<Object>} Records: { id, data, normalized, result }
+     */
+    toRecords(inputs) {
+        const list = Array.isArray(inputs) ? inputs : [inputs];
+
+        return list.map((input, index) => {
+            const isPair = input && typeof input === 'object' && 'result' in input && !('extractedData' in input);
+            const source = isPair ? input.result : input;
+            const id = isPair && input.id ? String(input.id) : source?.metadata?.batchRequestId || String(index + 1);
+
+            if (!source || typeof source !== 'object') {
+                throw new Error(`Export input ${id} must be an analysis result or extracted data object`);
+            }
+
+            const isResult = 'canonicalData' in source || 'extractedData' in source;
+            if (isResult && !source.canonicalData && !source.extractedData) {
+                throw new Error(`Analysis result ${id} has no extracted data to export`);
+            }
+
+            const data = source.canonicalData || this.mapper.map(isResult ? source.extractedData : source).data;
+            const normalized = source.normalizedData || this.normalizer.normalizeDocument(data).data;
+            return { id, data, normalized, result: isResult ? source : {} };
+        });
+    }
+
+    /**
+     * Select values by path
+     * @param {*} context - Object the path is relative to
+     * @param {string} selector - Path, e.g. "data.property_owners[].full_name"; "$." starts at the record
+     * @param {Object} record - Export record for "$." paths
+     * @returns {Array} Matched values (empty if the path does not exist)
+     */
+    select(context, selector, record = context) {
+        let values = [selector.startsWith('$.') ? record : context];
+        const steps = selector.replace(/^\$\./, '').match(/[^.[\]]+|\[\d*\]/g) || [];
+
+        for (const step of steps) {
+            values = values.flatMap(value => {
+                if (value === null || value === undefined) {
+                    return [];
+                }
+                if (step === '[]') {
+                    return Array.isArray(value) ? value : [];
+                }
+                if (step.startsWith('[')) {
+                    return Array.isArray(value) ? [value[Number(step.slice(1, -1))]] : [];
+                }
+                return [value[step]];
+            });
+        }
+        return values.filter(value => value !== undefined);
+    }
+
+    /**
+     * Format a value for a cell or XML text; numbers stay numbers
+     * @param {*} value - Selected value
+     * @returns {string|number} Cell value ('' when missing)
+     */
+    formatValue(value) {
+        if (value === null || value === undefined || this.normalizer.isPlaceholder(value)) {
+            return '';
+        }
+        if (typeof value === 'number') {
+            return Number.isFinite(value) ? value : '';
+        }
+        if (Array.isArray(value)) {
+            return value.map(item => this.formatValue(item)).filter(item => item !== '').join(', ');
+        }
+        if (typeof value === 'object') {
+            // Normalized leaves: { value, original, ... }
+            return 'value' in value ? this.formatValue(value.value) : JSON.stringify(value);
+        }
+        return String(value);
+    }
+
+    /**
+     * Quote a CSV field when needed, and defuse values a spreadsheet would run as formulas
+     * @param {string|number} value - Cell value
+     * @returns {string} CSV field
+     */
+    escapeCsv(value) {
+        let text = String(value);
+        if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text)) {
+            text = `'${text}`;
+        }
+        if (text.includes(this.delimiter) || /["\r\n]/.test(text)) {
+            return `"${text.replace(/"/g, '""')}"`;
+        }
+        return text;
+    }
+
+    validateColumns(columns) {
+        if (!Array.isArray(columns) || columns.length === 0) {
+            throw new Error('Invalid column mapping: expected a non-empty "columns" array');
+        }
+        columns.forEach((column, index) => {
+            if (!column || typeof column.header !== 'string' || typeof column.path !== 'string' || !column.path) {
+                throw new Error(`Invalid column mapping at columns[${index}]: "header" and "path" are required`);
+            }
+        });
+    }
+
+    validateXmlMapping(mapping) {
+        const fail = (where, message) => {
+            throw new Error(`Invalid XML mapping at ${where}: ${message}`);
+        };
+        const checkAttributes = (attributes, where) => {
+            for (const [name, spec] of Object.entries(attributes || {})) {
+                if (!XML_NAME.test(name)) {
+                    fail(`${where}.attributes`, `"${name}" is not a valid XML name`);
+                }
+                if (!spec || typeof spec !== 'object' || (typeof spec.path !== 'string' && !('value' in spec))) {
+                    fail(`${where}.attributes.${name}`, 'expected { "path": ... } or { "value": ... }');
+                }
+            }
+        };
+        const checkNode = (node, where) => {
+            if (!node || typeof node !== 'object') {
+                fail(where, 'expected an object');
+            }
+            if (!XML_NAME.test(node.element || '')) {
+                fail(where, `"${node.element}" is not a valid XML element name`);
+            }
+            const sources = [typeof node.path === 'string', 'value' in node, Array.isArray(node.children)].filter(Boolean).length;
+            if (sources !== 1) {
+                fail(where, 'expected exactly one of "path", "value" or "children"');
+            }
+            if (node.each !== undefined && typeof node.each !== 'string') {
+                fail(where, '"each" must be a path');
+            }
+            checkAttributes(node.attributes, where);
+            (node.children || []).forEach((child, index) => checkNode(child, `${where}.children[${index}]`));
+        };
+
+        if (!mapping || !XML_NAME.test(mapping.root || '')) {
+            fail('root', `"${mapping?.root}" is not a valid XML element name`);
+        }
+        checkAttributes(mapping.attributes, 'root');
+        checkNode(mapping.record, 'record');
+    }
+}
+
+export default ResultExporter;
@@ -0,0 +1,141 @@
+import { LandCertificateMapper, copyOrigins } from "./land-certificate-mapper.js";
+import { asciiKey } from "./gazetteer.js";
+
+/**
+ * Sale Contracts
+ * ==============
+ *
+ * Maps the model's reading of a property contract to the canonical
+ * sale-contract shape (schemas/sale-contract.v1.schema.json):
+ *
+ *   sale      Hợp đồng mua bán nhà ở / căn hộ
+ *   transfer  Hợp đồng chuyển nhượng quyền sử dụng đất
+ *   gift      Hợp đồng tặng cho
+ *
+ * Party A (bên bán, bên chuyển nhượng, bên tặng cho) becomes sellers[] and
+ * party B (bên mua, bên nhận chuyển nhượng, bên được tặng cho) buyers[].
+ * Each party may be one person or a couple, given as an object or a list.
+ */
+
+const CONTRACT_FIELDS = {
+    document_name: ['document_name', 'title'],
+    contract_number: ['contract_number', 'number', 'so_hop_dong'],
+    contract_date: ['contract_date', 'date', 'signing_date', 'ngay_ky'],
+    price: ['price', 'transfer_price', 'contract_value', 'gia'],
+    encumbrances: ['encumbrances', 'legal_status', 'restrictions']
+};
+
+const PARTY_FIELDS = {
+    full_name: ['full_name', 'name', 'ho_ten', 'ho_va_ten'],
+    date_of_birth: ['date_of_birth', 'dob', 'birth_year', 'ngay_sinh'],
+    id_number: ['id_number', 'identity_number', 'cccd', 'cmnd', 'passport_number'],
+    permanent_address: ['permanent_address', 'address', 'place_of_residence', 'thuong_tru']
+};
+
+const PROPERTY_FIELDS = {
+    certificate_number: ['certificate_number', 'certificate_serial', 'so_phat_hanh'],
+    registration_number: ['registration_number', 'so_vao_so'],
+    land_address: ['land_address', 'address', 'property_address', 'dia_chi'],
+    plot_number: ['plot_number', 'parcel_number', 'thua_dat_so'],
+    map_sheet_number: ['map_sheet_number', 'map_sheet', 'to_ban_do_so'],
+    area: ['area', 'land_area', 'dien_tich']
+};
+
+const NOTARIZATION_FIELDS = {
+    office: ['office', 'notary_office', 'to_chuc_hanh_nghe_cong_chung'],
+    notary: ['notary', 'notary_name', 'cong_chung_vien'],
+    number: ['number', 'notarization_number', 'so_cong_chung'],
+    date: ['date', 'notarization_date', 'ngay_cong_chung']
+};
+
+const PARTY_KEYS = {
+    sellers: ['sellers', 'seller', 'party_a', 'transferors', 'donors', 'ben_a'],
+    buyers: ['buyers', 'buyer', 'party_b', 'transferees', 'recipients', 'ben_b']
+};
+const PROPERTY_KEYS = ['property', 'land_information', 'subject_matter', 'doi_tuong'];
+const NOTARIZATION_KEYS = ['notarization', 'notary_certification', 'loi_chung'];
+
+const CONTRACT_TYPES = ['sale', 'transfer', 'gift'];
+
+// Titles: "Hợp đồng chuyển nhượng...", "Hợp đồng tặng cho...", "Hợp đồng mua bán..."
+const TITLE_PATTERNS = [
+    ['transfer', /chuyen nhuong/],
+    ['gift', /tang cho/],
+    ['sale', /mua ban/]
+];
+
+export class SaleContractMapper extends LandCertificateMapper {
+    /**
+     * Map extracted contract data to the canonical shape
+     * @param {Object} source - Extracted data
+     * @returns {Object} { data, unmappedFields }
+     */
+    map(source) {
+        if (!source || typeof source !== 'object' || Array.isArray(source)) {
+            throw new Error('Extracted data must be a JSON object');
+        }
+
+        const consumed = new Set();
+        const take = (keys, fields) => {
+            const key = keys.find(candidate => isObject(source[candidate]));
+            return this.pickFields(key ? source[key] : {}, `/${key}`, fields, consumed);
+        };
+
+        const fields = this.pickFields(source, '', CONTRACT_FIELDS, consumed);
+        const data = { contract_type: null, ...fields };
+        copyOrigins(data, fields);
+        for (const [role, keys] of Object.entries(PARTY_KEYS)) {
+            data[role] = this.mapParties(source, keys, consumed);
+        }
+        data.property = take(PROPERTY_KEYS, PROPERTY_FIELDS);
+        data.notarization = take(NOTARIZATION_KEYS, NOTARIZATION_FIELDS);
+        data.contract_type = this.detectContractType(source, data, consumed);
+
+        return {
+            data,
+            unmappedFields: this.collectUnmapped(source, '', consumed)
+        };
+    }
+
+    /**
+     * Map one side of the contract: a single party object or a list of them
+     * @returns {Array<Object>} Parties
+     */
+    mapParties(source, keys, consumed) {
+        const key = keys.find(candidate => isObject(source[candidate]) || Array.isArray(source[candidate]));
+        if (!key) {
+            return [];
+        }
+
+        const entries = Array.isArray(source[key])
+            ? source[key].map((party, index) => [party, `/${key}/${index}`])
+            : [[source[key], `/${key}`]];
+        return entries
+            .filter(([party]) => isObject(party))
+            .map(([party, partyPath]) => this.pickFields(party, partyPath, PARTY_FIELDS, consumed))
+            .filter(party => party.full_name !== null);
+    }
+
+    /**
+     * Decide the contract type from an explicit type or the title
+     * @returns {string|null} sale, transfer, gift or null
+     */
+    detectContractType(source, data, consumed) {
+        if (source.contract_type !== undefined) {
+            consumed.add('/contract_type');
+            const explicit = asciiKey(source.contract_type ?? '');
+            if (CONTRACT_TYPES.includes(explicit)) {
+                return explicit;
+            }
+        }
+
+        const title = data.document_name ? asciiKey(data.document_name) : '';
+        return TITLE_PATTERNS.find(([, pattern]) => pattern.test(title))?.[0] ?? null;
+    }
+}
+
+function isObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+export default SaleContractMapper;
@@ -0,0 +1,85 @@
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+import Ajv from "ajv";
+
+const SCHEMA_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), '..', 'schemas');
+
+export const DEFAULT_SCHEMA = 'land-certificate.v1';
+
+/**
+ * Schema Validator
+ * ================
+ *
+ * Validates extracted data against the versioned JSON Schemas in schemas/.
+ * Schemas are referenced by file name without the ".schema.json" suffix,
+ * e.g. "land-certificate.v1".
+ */
+export class SchemaValidator {
+    constructor() {
+        this.ajv = new Ajv({ allErrors: true });
+        // Schema files carry their semantic version next to $id
+        this.ajv.addKeyword({ keyword: 'version', schemaType: 'string' });
+        this.schemas = new Map();
+    }
+
+    /**
+     * Load and compile a schema by name
+     * @param {string} name - Schema name, e.g. "land-certificate.v1"
+     * @returns {Object} { schema, validate }
+     */
+    loadSchema(name = DEFAULT_SCHEMA) {
+        if (!this.schemas.has(name)) {
+            const schemaPath = path.join(SCHEMA_DIR, `${name}.schema.json`);
+            if (!fs.existsSync(schemaPath)) {
+                throw new Error(`Schema not found: ${name}`);
+            }
+
+            const schema = JSON.parse(fs.readFileSync(schemaPath, 'utf8'));
+            this.schemas.set(name, { schema, validate: this.ajv.compile(schema) });
+        }
+
+        return this.schemas.get(name);
+    }
+
+    /**
+     * Get the raw JSON Schema document
+     * @param {string} name - Schema name
+     * @returns {Object} JSON Schema
+     */
+    getSchema(name = DEFAULT_SCHEMA) {
+        return this.loadSchema(name).schema;
+    }
+
+    /**
+     * Get the semantic version of a schema
+     * @param {string} name - Schema name
+     * @returns {string} Version, e.g. "1.0.0"
+     */
+    getVersion(name = DEFAULT_SCHEMA) {
+        return this.loadSchema(name).schema.version;
+    }
+
+    /**
+     * Validate data against a schema
+     * @param {Object} data - Data to validate
+     * @param {string} name - Schema name
+     * @returns {Object} { schema, schemaVersion, valid, violations: [{ path, keyword, message }] }
+     */
+    validate(data, name = DEFAULT_SCHEMA) {
+        const { schema, validate } = this.loadSchema(name);
+        const valid = validate(data);
+
+        const violations = (validate.errors || []).map(error => ({
+            path: error.keyword === 'additionalProperties'
+                ? `${error.instancePath}/${error.params.additionalProperty}`
+                : error.instancePath || '/',
+            keyword: error.keyword,
+            message: error.message
+        }));
+
+        return { schema: name, schemaVersion: schema.version, valid, violations };
+    }
+}
+
+export default SchemaValidator;
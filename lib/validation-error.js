@@ -0,0 +1,22 @@
+/**
+ * Error raised when the caller's input or options are invalid, as opposed
+ * to failures of the model provider or of the analyzer itself. The HTTP
+ * API answers it with a 4xx status instead of a 500.
+ *
+ *   INVALID_OPTIONS   an option has an unknown or out-of-range value
+ *   INVALID_INPUT     the input is not something the analyzer can take
+ *   INVALID_DOCUMENT  the input could be read but not as a document (corrupt PDF, too large)
+ */
+export class ValidationError extends Error {
+    /**
+     * @param {string} message - Error message
+     * @param {Object} details - { code: INVALID_OPTIONS (default), INVALID_INPUT or INVALID_DOCUMENT, cause }
+     */
+    constructor(message, { code = 'INVALID_OPTIONS', cause } = {}) {
+        super(message, { cause });
+        this.name = 'ValidationError';
+        this.code = code;
+    }
+}
+
+export default ValidationError;
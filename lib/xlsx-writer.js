@@ -0,0 +1,229 @@
+import zlib from "zlib";
+
+/**
+ * XLSX Writer
+ * ===========
+ *
+ * Writes a single-sheet Office Open XML workbook (.xlsx) without external
+ * dependencies: the sheet uses inline strings, a bold frozen header row and
+ * an auto-filter, and the parts are packed into a ZIP with zlib. The output
+ * is byte-for-byte deterministic for the same rows (fixed ZIP timestamps).
+ */
+
+const SPREADSHEET_NS = 'http://schemas.openxmlformats.org/spreadsheetml/2006/main';
+const RELATIONSHIP_NS = 'http://schemas.openxmlformats.org/officeDocument/2006/relationships';
+const PACKAGE_RELATIONSHIP_NS = 'http://schemas.openxmlformats.org/package/2006/relationships';
+
+// Excel rejects cells longer than this
+const MAX_CELL_LENGTH = 32767;
+
+/**
+ * Escape text for XML content and attribute values, dropping characters XML 1.0 cannot hold
+ * @param {*} value - Value
+ * @returns {string} Escaped text
+ */
+export function escapeXml(value) {
+    return String(value)
+        .replace(/[\u0000-\u0008\u000b\u000c\u000e-\u001f\ufffe\uffff]/g, '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&apos;');
+}
+
+/**
+ * Convert a 0-based column index to a column name (0 → A, 26 → AA)
+ * @param {number} index - Column index
+ * @returns {string} Column name
+ */
+export function columnName(index) {
+    let name = '';
+    for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+        name = String.fromCharCode(65 + (n - 1) % 26) + name;
+    }
+    return name;
+}
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, byte) => {
+    let crc = byte;
+    for (let bit = 0; bit < 8; bit++) {
+        crc = crc & 1 ? 0xedb88320 ^ (crc >>> 1) : crc >>> 1;
+    }
+    return crc >>> 0;
+});
+
+/**
+ * CRC-32 of a buffer as ZIP stores it (zlib.crc32 only exists from Node 20.15)
+ * @param {Buffer} data - Bytes
+ * @returns {number} Unsigned CRC-32
+ */
+export function crc32(data) {
+    let crc = 0xffffffff;
+    for (const byte of data) {
+        crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xffffffff) >>> 0;
+}
+
+/**
+ * Create an XLSX workbook with one sheet
+ * @param {Object} sheet - Sheet content
+ * @param {string} sheet.name - Sheet name (max 31 characters)
+ * @param {Array<string>} sheet.headers - Header row
+ * @param {Array<Array>} sheet.rows - Data rows; numbers become numeric cells, null/undefined empty cells
+ * @returns {Buffer} XLSX file
+ */
+export function createXlsx({ name = 'Sheet1', headers = [], rows = [] }) {
+    const sheetName = name.replace(/[\\/?*[\]:]/g, ' ').slice(0, 31) || 'Sheet1';
+
+    return createZip([
+        ['[Content_Types].xml', contentTypesXml()],
+        ['_rels/.rels', packageRelsXml()],
+        ['xl/workbook.xml', workbookXml(sheetName)],
+        ['xl/_rels/workbook.xml.rels', workbookRelsXml()],
+        ['xl/styles.xml', stylesXml()],
+        ['xl/worksheets/sheet1.xml', worksheetXml(headers, rows)]
+    ]);
+}
+
+function worksheetXml(headers, rows) {
+    const allRows = [headers, ...rows];
+    const columnCount = Math.max(1, ...allRows.map(row => row.length));
+    const widths = Array.from({ length: columnCount }, (_, index) =>
+        Math.min(60, Math.max(8, ...allRows.map(row => String(row[index] ?? '').length + 2))));
+
+    const cell = (value, ref, style) => {
+        if (value === null || value === undefined || value === '') {
+            return '';
+        }
+        if (typeof value === 'number' && Number.isFinite(value)) {
+            return `<c r="${ref}"${style}><v>${value}</v></c>`;
+        }
+        const text = String(value).slice(0, MAX_CELL_LENGTH);
+        const space = /^\s|\s$/.test(text) ? ' xml:space="preserve"' : '';
+        return `<c r="${ref}"${style} t="inlineStr"><is><t${space}>${escapeXml(text)}</t></is></c>`;
+    };
+
+    const sheetData = allRows.map((row, rowIndex) => {
+        const style = rowIndex === 0 ? ' s="1"' : '';
+        const cells = row.map((value, columnIndex) => cell(value, `${columnName(columnIndex)}${rowIndex + 1}`, style)).join('');
+        return `<row r="${rowIndex + 1}">${cells}</row>`;
+    }).join('');
+
+    const lastCell = `${columnName(columnCount - 1)}${allRows.length}`;
+    return '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n' +
+        `<worksheet xmlns="${SPREADSHEET_NS}">` +
+        `<dimension ref="A1:${lastCell}"/>` +
+        '<sheetViews><sheetView workbookViewId="0"><pane ySplit="1" topLeftCell="A2" activePane="bottomLeft" state="frozen"/></sheetView></sheetViews>' +
+        `<cols>${widths.map((width, index) => `<col min="${index + 1}" max="${index + 1}" width="${width}" customWidth="1"/>`).join('')}</cols>` +
+        `<sheetData>${sheetData}</sheetData>` +
+        (headers.length > 0 ? `<autoFilter ref="A1:${lastCell}"/>` : '') +
+        '</worksheet>';
+}
+
+function contentTypesXml() {
+    return '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n' +
+        '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">' +
+        '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>' +
+        '<Default Extension="xml" ContentType="application/xml"/>' +
+        '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>' +
+        '<Override PartName="/xl/worksheets/sheet1.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>' +
+        '<Override PartName="/xl/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.styles+xml"/>' +
+        '</Types>';
+}
+
+function packageRelsXml() {
+    return '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n' +
+        `<Relationships xmlns="${PACKAGE_RELATIONSHIP_NS}">` +
+        '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/>' +
+        '</Relationships>';
+}
+
+function workbookXml(sheetName) {
+    return '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n' +
+        `<workbook xmlns="${SPREADSHEET_NS}" xmlns:r="${RELATIONSHIP_NS}">` +
+        `<sheets><sheet name="${escapeXml(sheetName)}" sheetId="1" r:id="rId1"/></sheets>` +
+        '</workbook>';
+}
+
+function workbookRelsXml() {
+    return '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n' +
+        `<Relationships xmlns="${PACKAGE_RELATIONSHIP_NS}">` +
+        '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet1.xml"/>' +
+        '<Relationship Id="rId2" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/styles" Target="styles.xml"/>' +
+        '</Relationships>';
+}
+
+function stylesXml() {
+    return '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n' +
+        `<styleSheet xmlns="${SPREADSHEET_NS}">` +
+        '<fonts count="2"><font><sz val="11"/><name val="Calibri"/></font><font><b/><sz val="11"/><name val="Calibri"/></font></fonts>' +
+        '<fills count="2"><fill><patternFill patternType="none"/></fill><fill><patternFill patternType="gray125"/></fill></fills>' +
+        '<borders count="1"><border><left/><right/><top/><bottom/><diagonal/></border></borders>' +
+        '<cellStyleXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0"/></cellStyleXfs>' +
+        '<cellXfs count="2"><xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0"/><xf numFmtId="0" fontId="1" fillId="0" borderId="0" xfId="0" applyFont="1"/></cellXfs>' +
+        '</styleSheet>';
+}
+
+/**
+ * Pack files into a ZIP archive (deflate, UTF-8 names, fixed 1980-01-01 timestamps)
+ * @param {Array<Array>} files - [name, content] pairs
+ * @returns {Buffer} ZIP archive
+ */
+function createZip(files) {
+    const DOS_DATE = 0x0021;
+    const localParts = [];
+    const centralParts = [];
+    let offset = 0;
+
+    for (const [name, content] of files) {
+        const nameBuffer = Buffer.from(name, 'utf8');
+        const data = Buffer.from(content, 'utf8');
+        const compressed = zlib.deflateRawSync(data);
+        const crc = crc32(data);
+
+        const local = Buffer.alloc(30);
+        local.writeUInt32LE(0x04034b50, 0);
+        local.writeUInt16LE(20, 4);
+        local.writeUInt16LE(0x0800, 6);
+        local.writeUInt16LE(8, 8);
+        local.writeUInt16LE(0, 10);
+        local.writeUInt16LE(DOS_DATE, 12);
+        local.writeUInt32LE(crc, 14);
+        local.writeUInt32LE(compressed.length, 18);
+        local.writeUInt32LE(data.length, 22);
+        local.writeUInt16LE(nameBuffer.length, 26);
+        local.writeUInt16LE(0, 28);
+
+        const central = Buffer.alloc(46);
+        central.writeUInt32LE(0x02014b50, 0);
+        central.writeUInt16LE(20, 4);
+        central.writeUInt16LE(20, 6);
+        central.writeUInt16LE(0x0800, 8);
+        central.writeUInt16LE(8, 10);
+        central.writeUInt16LE(0, 12);
+        central.writeUInt16LE(DOS_DATE, 14);
+        central.writeUInt32LE(crc, 16);
+        central.writeUInt32LE(compressed.length, 20);
+        central.writeUInt32LE(data.length, 24);
+        central.writeUInt16LE(nameBuffer.length, 28);
+        central.writeUInt32LE(offset, 42);
+
+        localParts.push(local, nameBuffer, compressed);
+        centralParts.push(central, nameBuffer);
+        offset += local.length + nameBuffer.length + compressed.length;
+    }
+
+    const centralDirectory = Buffer.concat(centralParts);
+    const end = Buffer.alloc(22);
+    end.writeUInt32LE(0x06054b50, 0);
+    end.writeUInt16LE(files.length, 8);
+    end.writeUInt16LE(files.length, 10);
+    end.writeUInt32LE(centralDirectory.length, 12);
+    end.writeUInt32LE(offset, 16);
+
+    return Buffer.concat([...localParts, centralDirectory, end]);
+}
+
+export default createXlsx;
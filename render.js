@@ -0,0 +1,80 @@
+import fs from "fs";
+import { ReportRenderer } from "./lib/report-renderer.js";
+import { PdfReportRenderer } from "./lib/pdf-report.js";
+import { loadPageImages } from "./lib/provenance.js";
+
+/**
+ * Report Rendering
+ * ================
+ *
+ * Renders a saved analysis result (or extracted data JSON) as a Markdown,
+ * HTML or PDF report, without a model call. PDF reports need --out and show
+ * thumbnails of the analyzed document when --source is given. HTML reports of
+ * results with field provenance show the snippet of the source page next to
+ * each value when --source is given.
+ *
+ * Usage:
+ *   node render.js <result.json> [--format markdown|html|pdf] [--lang vi|en] [--out <file>] [--source <pdf|image>]
+ *
+ *   node render.js ./responses/response_1751361265708.json --out ./output/report.md
+ *   node render.js ./output/batch/DEMO1.json --format html --lang en --out ./output/DEMO1.html
+ *   node render.js ./output/batch/DEMO1.json --format pdf --source ./assets/DEMO1.pdf --out ./output/DEMO1.pdf
+ *   node render.js ./output/batch/DEMO1.json --format html --source ./assets/DEMO1.pdf --out ./output/DEMO1.html
+ */
+const USAGE = 'Usage: node render.js <result.json> [--format markdown|html|pdf] [--lang vi|en] [--out <file>] [--source <pdf|image>]';
+
+function parseArgs(args) {
+    const parsed = { input: null, format: 'markdown' };
+
+    for (let i = 0; i < args.length; i++) {
+        const arg = args[i];
+        if (arg === '--format') {
+            parsed.format = args[++i];
+        } else if (arg === '--lang') {
+            parsed.language = args[++i];
+        } else if (arg === '--out') {
+            parsed.output = args[++i];
+        } else if (arg === '--source') {
+            parsed.source = args[++i];
+        } else if (arg.startsWith('--') || parsed.input) {
+            throw new Error(`Unexpected argument: ${arg}`);
+        } else {
+            parsed.input = arg;
+        }
+    }
+
+    if (!parsed.input) {
+        throw new Error(USAGE);
+    }
+    if (parsed.format === 'pdf' && !parsed.output) {
+        throw new Error('PDF reports need --out <file>');
+    }
+    return parsed;
+}
+
+async function main() {
+    try {
+        const args = parseArgs(process.argv.slice(2));
+        const input = JSON.parse(fs.readFileSync(args.input, 'utf8'));
+        // Evidence boxes refer to the images the model saw: one stitched image or one per page
+        const pages = args.source && args.format === 'html' && input.provenance
+            ? await loadPageImages(args.source, { pageMode: input.provenance.pageMode ?? 'stitched' })
+            : undefined;
+        const report = args.format === 'pdf'
+            ? await new PdfReportRenderer({ language: args.language }).render(input, { source: args.source })
+            : new ReportRenderer({ language: args.language }).render(input, { format: args.format, pages });
+
+        if (args.output) {
+            fs.writeFileSync(args.output, report);
+            console.log(`Report written to ${args.output}`);
+        } else {
+            process.stdout.write(report);
+        }
+
+    } catch (error) {
+        console.error('Render error:', error.message);
+        process.exit(1);
+    }
+}
+
+main();
@@ -0,0 +1,388 @@
+import express from "express";
+import multer from "multer";
+import { APIError, APIConnectionError, APIConnectionTimeoutError } from "openai";
+import { RealEstateAnalyzer } from "./app-refactored.js";
+import { detectMimeType } from "./lib/file-type.js";
+import { DOCUMENT_TYPES } from "./lib/document-classifier.js";
+import { formatDiffTable } from "./lib/extraction-diff.js";
+import { ProviderError } from "./lib/providers/index.js";
+import { ValidationError } from "./lib/validation-error.js";
+
+
+/**
+ * Real Estate Analyzer HTTP API
+ * =============================
+ *
+ * Exposes RealEstateAnalyzer over HTTP for the loan-origination system:
+ *
+ *   POST /v1/analyze  - multipart upload (field "file") or JSON { imageUrl, options };
+ *                       options.ensemble runs several models or samples and votes every field
+ *   POST /v1/dossier  - multipart uploads (field "files") or JSON { documents: [{ imageUrl, name, documentType }], options }
+ *   POST /v1/diff     - JSON { left, right, labels, format }: field differences between two extractions of a document
+ *   GET  /v1/health   - service health status
+ */
+
+/**
+ * Error with an HTTP status and machine-readable code
+ */
+class HttpError extends Error {
+    constructor(status, code, message) {
+        super(message);
+        this.name = 'HttpError';
+        this.status = status;
+        this.code = code;
+    }
+}
+
+// Invalid options and inputs are bad requests; a document that cannot be read is unprocessable
+const VALIDATION_STATUS = { INVALID_OPTIONS: 400, INVALID_INPUT: 400, INVALID_DOCUMENT: 422 };
+
+// Analysis options a client may set. Saving responses, prompts, conversation history and
+// providers stay server-side; numeric options are clamped to [min, max] so one request
+// cannot render huge pages or pay for unbounded repair rounds.
+const PUBLIC_OPTIONS = [
+    'pdf', 'pageMode', 'tiling', 'jsonMode', 'cache', 'refreshCache', 'classify', 'documentType', 'generation',
+    'decodeQr', 'provenance', 'modelConfidence', 'confidencePolicy', 'temperature', 'maxTokens', 'maxRepairRounds',
+    'ensemble', 'includeResults'
+];
+const OPTION_LIMITS = {
+    temperature: [0, 1.5],
+    maxTokens: [256, 8000],
+    maxRepairRounds: [0, 2],
+    'pdf.dpi': [36, 300],
+    'ensemble.samples': [1, 5],
+    'ensemble.temperature': [0, 1.5]
+};
+
+/**
+ * Map an analysis error to an HTTP error
+ * @param {Error} error - Error thrown by the analyzer
+ * @returns {HttpError} HTTP error with status and code
+ */
+function toHttpError(error) {
+    if (error instanceof HttpError) {
+        return error;
+    }
+
+    if (error instanceof multer.MulterError) {
+        if (error.code === 'LIMIT_FILE_SIZE') {
+            return new HttpError(413, 'FILE_TOO_LARGE', error.message);
+        }
+        return new HttpError(400, 'INVALID_UPLOAD', error.message);
+    }
+
+    // Body parser errors carry their own 4xx status
+    if (error.type === 'entity.parse.failed' || error.type === 'entity.too.large') {
+        return new HttpError(error.status, 'INVALID_REQUEST', error.message);
+    }
+
+    const cause = error.cause || error;
+
+    if (cause instanceof ValidationError) {
+        return new HttpError(VALIDATION_STATUS[cause.code] || 400, cause.code, error.message);
+    }
+    if (cause instanceof APIConnectionTimeoutError || (cause instanceof ProviderError && cause.timeout)) {
+        return new HttpError(504, 'PROVIDER_TIMEOUT', error.message);
+    }
+    if ((cause instanceof APIError || cause instanceof ProviderError) && cause.status === 429) {
+        return new HttpError(429, 'PROVIDER_RATE_LIMITED', error.message);
+    }
+    if (cause instanceof APIError || cause instanceof APIConnectionError || cause instanceof ProviderError) {
+        return new HttpError(502, 'PROVIDER_ERROR', error.message);
+    }
+
+    return new HttpError(500, 'INTERNAL_ERROR', error.message);
+}
+
+/**
+ * Create the Express application
+ * @param {Object} options - Server options
+ * @param {RealEstateAnalyzer} options.analyzer - Analyzer instance (created from env if omitted)
+ * @param {number} options.maxFileSizeMb - Maximum upload size in megabytes
+ * @param {number} options.maxDossierFiles - Maximum documents in one dossier (default DOSSIER_MAX_FILES or 10)
+ * @param {Array<string>} options.ensembleModels - Models a client may name in options.ensemble, besides the
+ *   analyzer's own (default ENSEMBLE_MODELS)
+ * @returns {express.Express} Configured application
+ */
+function createApp(options = {}) {
+    const analyzer = options.analyzer || new RealEstateAnalyzer();
+    const maxFileSizeMb = options.maxFileSizeMb || parseInt(process.env.MAX_FILE_SIZE_MB) || 10;
+    const maxDossierFiles = options.maxDossierFiles || parseInt(process.env.DOSSIER_MAX_FILES) || 10;
+    const ensembleModels = [
+        analyzer.provider.model,
+        ...(options.ensembleModels || (process.env.ENSEMBLE_MODELS || '').split(',').map(model => model.trim()).filter(Boolean))
+    ];
+
+    const upload = multer({
+        storage: multer.memoryStorage(),
+        limits: { fileSize: maxFileSizeMb * 1024 * 1024, files: 1 }
+    });
+    const dossierUpload = multer({
+        storage: multer.memoryStorage(),
+        limits: { fileSize: maxFileSizeMb * 1024 * 1024, files: maxDossierFiles }
+    });
+
+    const app = express();
+    app.use(express.json({ limit: `${maxFileSizeMb * 2}mb` }));
+
+    app.get('/v1/health', (req, res) => {
+        res.json(analyzer.getHealthStatus());
+    });
+
+    app.post('/v1/analyze', upload.single('file'), async (req, res) => {
+        const analysisOptions = parseAnalysisOptions(req.body?.options, ensembleModels);
+        let input;
+
+        if (req.file) {
+            if (!detectMimeType(req.file.buffer)) {
+                throw new HttpError(415, 'UNSUPPORTED_MEDIA_TYPE', 'Only JPEG, PNG and PDF uploads are supported');
+            }
+            // PDFs are rendered to page images by the analyzer
+            input = req.file.buffer;
+        } else {
+            input = req.body?.imageUrl;
+            if (!input) {
+                throw new HttpError(400, 'MISSING_INPUT', 'Provide a multipart "file" upload or a JSON body with "imageUrl"');
+            }
+            if (typeof input !== 'string' || !analyzer.isValidImageUrl(input)) {
+                throw new HttpError(400, 'INVALID_IMAGE_URL', 'imageUrl must be an http(s) URL or a data:image/ URL');
+            }
+        }
+
+        const result = analysisOptions.ensemble
+            ? await analyzer.analyzeEnsemble(input, analysisOptions)
+            : await analyzer.analyzeLandCertificate(input, analysisOptions);
+        // Recognized but unsupported documents (e.g. a sale contract) are not server errors
+        res.status(result.status === 'unsupported_document' ? 422 : 200).json(result);
+    });
+
+    app.post('/v1/dossier', dossierUpload.array('files'), async (req, res) => {
+        const analysisOptions = parseAnalysisOptions(req.body?.options, ensembleModels);
+        let documents;
+
+        if (req.files?.length > 0) {
+            const documentTypes = parseDocumentTypes(req.body?.documentTypes, req.files.length);
+            documents = req.files.map((file, index) => {
+                if (!detectMimeType(file.buffer)) {
+                    throw new HttpError(415, 'UNSUPPORTED_MEDIA_TYPE', `${file.originalname}: only JPEG, PNG and PDF uploads are supported`);
+                }
+                return { input: file.buffer, name: file.originalname, documentType: documentTypes[index] };
+            });
+        } else {
+            const entries = req.body?.documents;
+            if (!Array.isArray(entries) || entries.length === 0) {
+                throw new HttpError(400, 'MISSING_INPUT', 'Provide multipart "files" uploads or a JSON body with "documents"');
+            }
+            if (entries.length > maxDossierFiles) {
+                throw new HttpError(400, 'TOO_MANY_DOCUMENTS', `A dossier may have at most ${maxDossierFiles} documents`);
+            }
+            documents = entries.map((entry, index) => {
+                if (typeof entry?.imageUrl !== 'string' || !analyzer.isValidImageUrl(entry.imageUrl)) {
+                    throw new HttpError(400, 'INVALID_IMAGE_URL', `documents[${index}].imageUrl must be an http(s) URL or a data:image/ URL`);
+                }
+                return { input: entry.imageUrl, name: entry.name ?? null, documentType: parseDocumentType(entry.documentType, `documents[${index}].documentType`) };
+            });
+        }
+
+        // Conflicts between documents are findings, not request errors
+        res.json(await analyzer.analyzeDossier(documents, analysisOptions));
+    });
+
+    app.post('/v1/diff', async (req, res) => {
+        const { left, right, labels, format } = req.body || {};
+        if (!left || !right) {
+            throw new HttpError(400, 'MISSING_INPUT', 'Provide a JSON body with "left" and "right" results or extracted data');
+        }
+        if (format !== undefined && !['text', 'markdown'].includes(format)) {
+            throw new HttpError(400, 'INVALID_FORMAT', 'format must be "text" or "markdown"');
+        }
+
+        let diff;
+        try {
+            diff = analyzer.diffResults(left, right, { labels });
+        } catch (error) {
+            throw new HttpError(400, 'INVALID_DIFF_INPUT', error.message);
+        }
+
+        if (format) {
+            res.type(format === 'markdown' ? 'text/markdown' : 'text/plain').send(formatDiffTable(diff, { format }));
+        } else {
+            res.json(diff);
+        }
+    });
+
+    app.use((req, res) => {
+        res.status(404).json({
+            success: false,
+            error: { code: 'NOT_FOUND', message: `Route ${req.method} ${req.path} not found` }
+        });
+    });
+
+    // Express only treats handlers with four parameters as error handlers
+    app.use((error, req, res, next) => {
+        const httpError = toHttpError(error);
+        analyzer.log(`${req.method} ${req.path} failed with ${httpError.status}: ${httpError.message}`, httpError.status >= 500 ? 'error' : 'warn');
+
+        res.status(httpError.status).json({
+            success: false,
+            timestamp: new Date().toISOString(),
+            error: { code: httpError.code, message: httpError.message }
+        });
+    });
+
+    return app;
+}
+
+/**
+ * Parse analysis options from a JSON body or a multipart text field
+ * @param {Object|string|undefined} rawOptions - Options as sent by the client
+ * @param {Array<string>} ensembleModels - Models options.ensemble may name
+ * @returns {Object} Analysis options
+ */
+function parseAnalysisOptions(rawOptions, ensembleModels = []) {
+    if (!rawOptions) {
+        return { includeFollowUp: false };
+    }
+
+    let parsed = rawOptions;
+    if (typeof rawOptions === 'string') {
+        try {
+            parsed = JSON.parse(rawOptions);
+        } catch {
+            throw new HttpError(400, 'INVALID_OPTIONS', 'options must be a JSON object');
+        }
+    }
+
+    if (typeof parsed !== 'object' || parsed === null || Array.isArray(parsed)) {
+        throw new HttpError(400, 'INVALID_OPTIONS', 'options must be a JSON object');
+    }
+
+    const unsupported = Object.keys(parsed).filter(key => !PUBLIC_OPTIONS.includes(key));
+    if (unsupported.length > 0) {
+        throw new HttpError(400, 'INVALID_OPTIONS', `Options not available over HTTP: ${unsupported.join(', ')}`);
+    }
+
+    const { pdf, tiling } = parsed;
+    if (pdf !== undefined && (typeof pdf !== 'object' || pdf === null || Array.isArray(pdf) ||
+        Object.keys(pdf).some(key => !['dpi', 'pages'].includes(key)))) {
+        throw new HttpError(400, 'INVALID_OPTIONS', 'options.pdf must be an object with dpi and pages');
+    }
+    // Tile sizes are not tunable over HTTP: small tiles multiply the images sent
+    if (tiling !== undefined && typeof tiling !== 'boolean') {
+        throw new HttpError(400, 'INVALID_OPTIONS', 'options.tiling must be true or false');
+    }
+
+    // Ensemble models are named, never configured, over HTTP, and only the server's configured ones:
+    // runs use the server's own credentials
+    const { ensemble } = parsed;
+    if (ensemble !== undefined && (typeof ensemble !== 'object' || ensemble === null || Array.isArray(ensemble) ||
+        Object.keys(ensemble).some(key => !['models', 'samples', 'temperature'].includes(key)) ||
+        (ensemble.models !== undefined && (!Array.isArray(ensemble.models) || !ensemble.models.every(model => typeof model === 'string'))))) {
+        throw new HttpError(400, 'INVALID_OPTIONS', 'options.ensemble must be an object with models (model names), samples and temperature');
+    }
+    const unknownModels = (ensemble?.models || []).filter(model => !ensembleModels.includes(model));
+    if (unknownModels.length > 0) {
+        throw new HttpError(400, 'INVALID_OPTIONS', `Ensemble models not configured on this server: ${unknownModels.join(', ')}`);
+    }
+
+    const options = { ...parsed };
+    for (const key of ['temperature', 'maxTokens', 'maxRepairRounds']) {
+        if (options[key] !== undefined) {
+            options[key] = clampOption(options[key], key);
+        }
+    }
+    if (pdf?.dpi !== undefined) {
+        options.pdf = { ...pdf, dpi: clampOption(pdf.dpi, 'pdf.dpi') };
+    }
+    if (ensemble) {
+        options.ensemble = { ...ensemble };
+        for (const key of ['samples', 'temperature']) {
+            if (ensemble[key] !== undefined) {
+                options.ensemble[key] = clampOption(ensemble[key], `ensemble.${key}`);
+            }
+        }
+    }
+
+    // The follow-up question is meant for interactive use, not API calls
+    return { ...options, includeFollowUp: false };
+}
+
+/**
+ * Clamp a numeric option to its limits
+ * @param {*} value - Value sent by the client
+ * @param {string} name - Option name in OPTION_LIMITS
+ * @returns {number} Value within [min, max]
+ */
+function clampOption(value, name) {
+    if (typeof value !== 'number' || !Number.isFinite(value)) {
+        throw new HttpError(400, 'INVALID_OPTIONS', `options.${name} must be a number`);
+    }
+    const [min, max] = OPTION_LIMITS[name];
+    return Math.min(Math.max(value, min), max);
+}
+
+/**
+ * Parse the document types of dossier uploads, in upload order
+ * @param {string|undefined} rawTypes - JSON array as sent by the client; null entries are classified
+ * @param {number} count - Number of uploads
+ * @returns {Array<string|undefined>} Document type per upload
+ */
+function parseDocumentTypes(rawTypes, count) {
+    if (!rawTypes) {
+        return [];
+    }
+
+    let parsed;
+    try {
+        parsed = JSON.parse(rawTypes);
+    } catch {
+        parsed = null;
+    }
+    if (!Array.isArray(parsed) || parsed.length > count) {
+        throw new HttpError(400, 'INVALID_DOCUMENT_TYPES', 'documentTypes must be a JSON array with at most one type per file');
+    }
+    return parsed.map((type, index) => parseDocumentType(type, `documentTypes[${index}]`));
+}
+
+/**
+ * Check a document type given by the client
+ * @param {*} type - Document type, or null/undefined to classify
+ * @param {string} field - Field name for the error message
+ * @returns {string|undefined} Document type
+ */
+function parseDocumentType(type, field) {
+    if (type === null || type === undefined) {
+        return undefined;
+    }
+    if (typeof type !== 'string' || !Object.hasOwn(DOCUMENT_TYPES, type)) {
+        throw new HttpError(400, 'INVALID_DOCUMENT_TYPE', `${field} must be one of ${Object.keys(DOCUMENT_TYPES).join(', ')}`);
+    }
+    return type;
+}
+
+/**
+ * Start the HTTP server
+ * @param {Object} options - Server options (see createApp)
+ * @returns {Promise<import('http').Server>} Listening server
+ */
+function startServer(options = {}) {
+    const port = options.port ?? (parseInt(process.env.PORT) || 3000);
+    const app = createApp(options);
+
+    return new Promise((resolve) => {
+        const server = app.listen(port, () => {
+            console.log(`Real Estate Analyzer API listening on port ${server.address().port}`);
+            resolve(server);
+        });
+    });
+}
+
+export { createApp, startServer, toHttpError, HttpError };
+
+// Run server if this file is executed directly
+if (import.meta.url === new URL(`file://${process.argv[1]}`).href) {
+    startServer().catch(error => {
+        console.error('Server error:', error.message);
+        process.exit(1);
+    });
+}
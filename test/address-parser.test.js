@@ -0,0 +1,166 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import fs from 'fs';
+import { RealEstateAnalyzer } from '../app-refactored.js';
+import { AddressParser } from '../lib/address-parser.js';
+import { Gazetteer } from '../lib/gazetteer.js';
+import { TestHelpers, MockOpenAIClient } from './helpers.js';
+
+// Mock environment variables for testing
+process.env.DASHSCOPE_API_KEY = 'test-api-key';
+process.env.OPENAI_BASE_URL = 'https://test-api.example.com';
+process.env.AI_MODEL = 'test-model';
+process.env.LOG_LEVEL = 'error';
+process.env.NODE_ENV = 'test';
+process.env.SAVE_RESPONSES = 'false';
+
+const reference = JSON.parse(fs.readFileSync('./output/data.json', 'utf8'));
+const bundled = JSON.parse(fs.readFileSync('./data/gazetteer.json', 'utf8'));
+
+// Bundled provinces and districts plus a small ward list, in the same format as a full dataset
+const withWards = {
+    ...bundled,
+    wards: [
+        { code: 'W-YN', name: 'Yên Nghĩa', type: 'Phường', district: '268', successor: 'N-YN' },
+        { code: 'W-DN', name: 'Dương Nội', type: 'Phường', district: '268', successor: 'N-DN' },
+        { code: 'W-TH', name: 'Tân Hòa', type: 'Phường', district: '148', successor: 'N-TH' }
+    ],
+    wards2025: [
+        { code: 'N-YN', name: 'Yên Nghĩa', type: 'Phường', province: '01' },
+        { code: 'N-DN', name: 'Dương Nội', type: 'Phường', province: '01' },
+        { code: 'N-TH', name: 'Tân Hòa', type: 'Phường', province: '25' }
+    ]
+};
+
+describe('Address Parser and Gazetteer - Unit Tests', () => {
+    describe('Gazetteer', () => {
+        const gazetteer = new Gazetteer();
+
+        it('should list every province before and after the 2025 reorganization', () => {
+            assert.strictEqual(gazetteer.provinces.all.length, 63);
+            assert.strictEqual(gazetteer.provinces2025.all.length, 34);
+        });
+
+        it('should find provinces by name, alias and without diacritics', () => {
+            assert.strictEqual(gazetteer.findProvince('Hà Nội').unit.code, '01');
+            assert.strictEqual(gazetteer.findProvince('TP HCM').unit.code, '79');
+            assert.strictEqual(gazetteer.findProvince('Bà Rịa-Vũng Tàu').unit.code, '77');
+
+            const loose = gazetteer.findProvince('Hoà Bình');
+            assert.strictEqual(loose.unit.code, '17');
+            assert.strictEqual(loose.matchedBy, 'ascii');
+        });
+
+        it('should map merged provinces to their successors', () => {
+            assert.strictEqual(gazetteer.getProvinceSuccessor('26').name, 'Phú Thọ');
+            assert.strictEqual(gazetteer.getProvinceSuccessor('74').name, 'Hồ Chí Minh');
+            assert.strictEqual(gazetteer.getProvinceSuccessor('01').name, 'Hà Nội');
+        });
+
+        it('should scope district lookups to the province', () => {
+            assert.strictEqual(gazetteer.findDistrict('Hà Đông', '01').unit.code, '268');
+            assert.strictEqual(gazetteer.findDistrict('Hà Đông', '26'), null);
+        });
+    });
+
+    describe('AddressParser', () => {
+        const parser = new AddressParser();
+
+        it('should split the land address into units with codes', () => {
+            const address = parser.parse(reference.land_information.land_address);
+
+            assert.strictEqual(address.street, 'Khu đô thị mới Dương Nội');
+            assert.strictEqual(address.ward.name, 'Yên Nghĩa');
+            assert.strictEqual(address.ward.type, 'Phường');
+            assert.deepStrictEqual(address.district, {
+                name: 'Hà Đông', type: 'Quận', code: '268', matched: true, original: 'quận Hà Đông'
+            });
+            assert.strictEqual(address.province.code, '01');
+            assert.strictEqual(address.error, undefined);
+        });
+
+        it('should map pre-2025 provinces to the reorganized province', () => {
+            const address = parser.parse(reference.property_owners[0].permanent_address);
+
+            assert.strictEqual(address.street, 'Gia Viễn');
+            assert.strictEqual(address.ward.type, 'Xã');
+            assert.strictEqual(address.district.code, '243');
+            assert.strictEqual(address.province.name, 'Vĩnh Phúc');
+            assert.deepStrictEqual(address.current.province, { code: '25', name: 'Phú Thọ', type: 'Tỉnh' });
+        });
+
+        it('should accept abbreviated type prefixes', () => {
+            const address = parser.parse('Số 5, P. Yên Nghĩa, Q. Hà Đông, TP. Hà Nội');
+
+            assert.strictEqual(address.street, 'Số 5');
+            assert.strictEqual(address.ward.name, 'Yên Nghĩa');
+            assert.strictEqual(address.district.code, '268');
+            assert.strictEqual(address.province.code, '01');
+        });
+
+        it('should report addresses without a known province', () => {
+            const address = parser.parse('Test Address, Test City');
+
+            assert.strictEqual(address.province, null);
+            assert.strictEqual(address.street, 'Test Address, Test City');
+            assert.match(address.error, /Unrecognized province/);
+        });
+
+        it('should map bundled pre-2025 wards to the wards that absorbed them', () => {
+            const land = parser.parse(reference.land_information.land_address);
+            assert.strictEqual(land.ward.code, '09562');
+            assert.deepStrictEqual(land.current, {
+                province: { code: '01', name: 'Hà Nội', type: 'Thành phố' },
+                ward: { code: '09562', name: 'Yên Nghĩa', type: 'Phường' }
+            });
+
+            const merged = parser.parse('Số 2, phường Văn Quán, quận Hà Đông, thành phố Hà Nội');
+            assert.deepStrictEqual(merged.current.ward, { code: '09552', name: 'Hà Đông', type: 'Phường' });
+
+            const owner = parser.parse(reference.property_owners[0].permanent_address);
+            assert.strictEqual(owner.ward.code, '08725');
+            assert.deepStrictEqual(owner.current.ward, { code: '08707', name: 'Vĩnh Yên', type: 'Phường' });
+        });
+
+        it('should match wards and their successors from a full dataset', () => {
+            const fullParser = new AddressParser({ gazetteer: new Gazetteer({ data: withWards }) });
+
+            const land = fullParser.parse(reference.land_information.land_address);
+            assert.strictEqual(land.ward.code, 'W-YN');
+            assert.deepStrictEqual(land.current.ward, { code: 'N-YN', name: 'Yên Nghĩa', type: 'Phường' });
+
+            const owner = fullParser.parse('Tổ 14, Phường Tân Hoà, Thành phố Hoà Bình, Tỉnh Hoà Bình');
+            assert.strictEqual(owner.ward.code, 'W-TH');
+            assert.strictEqual(owner.current.province.name, 'Phú Thọ');
+        });
+
+        it('should parse post-2025 addresses without a district', () => {
+            const fullParser = new AddressParser({ gazetteer: new Gazetteer({ data: withWards }) });
+            const address = fullParser.parse('Phường Tân Hòa, Tỉnh Phú Thọ');
+
+            assert.strictEqual(address.district, null);
+            assert.strictEqual(address.ward.code, 'N-TH');
+            assert.strictEqual(address.current.ward.code, 'N-TH');
+        });
+    });
+
+    describe('Analyzer Integration', () => {
+        it('should add structured addresses to normalizedData', async () => {
+            const analyzer = new RealEstateAnalyzer();
+            analyzer.openai = new MockOpenAIClient({
+                response: { content: TestHelpers.createMockResponseWithJson(reference) }
+            });
+
+            const result = await analyzer.analyzeLandCertificate('https://example.com/so-do.jpg');
+            const landAddress = result.normalizedData.land_information.land_address;
+
+            assert.strictEqual(landAddress.value, reference.land_information.land_address);
+            assert.strictEqual(landAddress.address.district.code, '268');
+            assert.strictEqual(landAddress.address.current.ward.name, 'Yên Nghĩa');
+            assert.strictEqual(result.normalizedData.property_owners[1].permanent_address.address.current.province.code, '25');
+            assert.deepStrictEqual(result.warnings, []);
+        });
+    });
+});
+
+console.log('✅ Address parser tests completed successfully!');
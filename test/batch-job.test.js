@@ -0,0 +1,154 @@
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { RealEstateAnalyzer } from '../app-refactored.js';
+import { ProviderBatchJob, LocalBatchApi, readJsonl } from '../lib/batch-job.js';
+import { BatchRunner } from '../lib/batch-runner.js';
+import { TestHelpers, MockOpenAIClient } from './helpers.js';
+
+// Mock environment variables for testing
+process.env.DASHSCOPE_API_KEY = 'test-api-key';
+process.env.OPENAI_BASE_URL = 'https://test-api.example.com';
+process.env.AI_MODEL = 'test-model';
+process.env.LOG_LEVEL = 'error';
+process.env.NODE_ENV = 'test';
+process.env.SAVE_RESPONSES = 'false';
+process.env.MAX_RETRIES = '1';
+
+const reference = JSON.parse(fs.readFileSync('./output/data.json', 'utf8'));
+const JPEG_BYTES = Buffer.from([0xff, 0xd8, 0xff, 0xe0, 0x00, 0x10, 0x4a, 0x46, 0x49, 0x46]);
+
+describe('Provider Batch Jobs - Unit Tests', () => {
+    let tmpDir;
+    let sourceDir;
+    let outputDir;
+    let requestsFile;
+    let resultsFile;
+    let analyzer;
+    let job;
+
+    beforeEach(() => {
+        tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'batch-job-test-'));
+        sourceDir = path.join(tmpDir, 'dossiers');
+        outputDir = path.join(tmpDir, 'results');
+        requestsFile = path.join(tmpDir, 'batch-requests.jsonl');
+        resultsFile = path.join(tmpDir, 'batch-results.jsonl');
+
+        fs.mkdirSync(path.join(sourceDir, 'ho-so-03'), { recursive: true });
+        fs.writeFileSync(path.join(sourceDir, 'so-do-01.jpg'), Buffer.concat([JPEG_BYTES, Buffer.from('one')]));
+        fs.writeFileSync(path.join(sourceDir, 'so-do-02.jpg'), Buffer.concat([JPEG_BYTES, Buffer.from('two')]));
+        fs.writeFileSync(path.join(sourceDir, 'ho-so-03', 'page-1.jpg'), Buffer.concat([JPEG_BYTES, Buffer.from('p1')]));
+        fs.writeFileSync(path.join(sourceDir, 'ho-so-03', 'page-2.jpg'), Buffer.concat([JPEG_BYTES, Buffer.from('p2')]));
+
+        analyzer = new RealEstateAnalyzer();
+        analyzer.openai = new MockOpenAIClient({
+            response: { content: TestHelpers.createMockResponseWithJson(reference) }
+        });
+        job = new ProviderBatchJob({ analyzer, outputDir, analysisOptions: { jsonMode: true } });
+    });
+
+    afterEach(() => {
+        fs.rmSync(tmpDir, { recursive: true, force: true });
+    });
+
+    describe('Export', () => {
+        it('should write one request per input with stable custom_ids', async () => {
+            const { count, customIds } = await job.exportRequests(sourceDir, requestsFile);
+            const lines = readJsonl(requestsFile);
+
+            assert.strictEqual(count, 3);
+            assert.deepStrictEqual(customIds, ['ho-so-03', 'so-do-01', 'so-do-02']);
+            assert.deepStrictEqual(lines.map(line => line.custom_id), customIds);
+            assert.strictEqual(analyzer.openai.callCount, 0);
+
+            const [dossier, single] = lines;
+            assert.strictEqual(single.method, 'POST');
+            assert.strictEqual(single.url, '/v1/chat/completions');
+            assert.strictEqual(single.body.model, 'test-model');
+            assert.deepStrictEqual(single.body.response_format, { type: 'json_object' });
+            assert.strictEqual(single.body.messages.length, 1, 'no follow-up question');
+            assert.strictEqual(single.body.messages[0].content[0].text, analyzer.prompts.systemPrompt);
+            assert.strictEqual(dossier.body.messages[0].content.filter(part => part.type === 'image_url').length, 2);
+
+            const again = path.join(tmpDir, 'again.jsonl');
+            await job.exportRequests(sourceDir, again);
+            assert.strictEqual(fs.readFileSync(again, 'utf8'), fs.readFileSync(requestsFile, 'utf8'));
+        });
+
+        it('should refuse providers without batch support', async () => {
+            const ollama = new RealEstateAnalyzer({ provider: { name: 'ollama', fetch: async () => ({}) } });
+
+            await assert.rejects(
+                new ProviderBatchJob({ analyzer: ollama, outputDir }).exportRequests(sourceDir, requestsFile),
+                /Provider ollama does not support batch jobs/
+            );
+        });
+    });
+
+    describe('Import', () => {
+        it('should import results from the local batch API by custom_id', async () => {
+            await job.exportRequests(sourceDir, requestsFile);
+            const { completed } = await new LocalBatchApi({ client: analyzer.openai }).process(requestsFile, resultsFile);
+            assert.strictEqual(completed, 3);
+
+            // Providers do not keep the request order
+            const shuffled = readJsonl(resultsFile).reverse();
+            fs.writeFileSync(resultsFile, shuffled.map(line => JSON.stringify(line)).join('\n'));
+
+            const manifest = await job.importResults(resultsFile, { requests: requestsFile });
+
+            assert.strictEqual(manifest.summary.done, 3);
+            assert.deepStrictEqual(manifest.missing, []);
+            assert.strictEqual(manifest.entries['so-do-02'].output, 'so-do-02.json');
+            assert.strictEqual(manifest.entries['so-do-02'].batchRequestId, 'batch_req_000003');
+
+            const saved = JSON.parse(fs.readFileSync(path.join(outputDir, 'so-do-02.json'), 'utf8'));
+            assert.deepStrictEqual(saved.extractedData, reference);
+            assert.ok(saved.canonicalData);
+            assert.ok(saved.normalizedData);
+            assert.ok(Array.isArray(saved.warnings));
+            assert.strictEqual(saved.metadata.batchRequestId, 'batch_req_000003');
+        });
+
+        it('should record failed and missing requests', async () => {
+            await job.exportRequests(sourceDir, requestsFile);
+            const completion = TestHelpers.createMockCompletion({ content: TestHelpers.createMockResponseWithJson(reference) });
+            fs.writeFileSync(resultsFile, [
+                { id: 'r1', custom_id: 'so-do-01', response: { status_code: 200, body: completion }, error: null },
+                { id: 'r2', custom_id: 'so-do-02', response: { status_code: 400, body: { error: { message: 'Image too large' } } }, error: null }
+            ].map(line => JSON.stringify(line)).join('\n'));
+
+            const manifest = await job.importResults(resultsFile, { requests: requestsFile });
+
+            assert.strictEqual(manifest.summary.done, 1);
+            assert.strictEqual(manifest.summary.failed, 1);
+            assert.match(manifest.entries['so-do-02'].error, /status 400: Image too large/);
+            assert.deepStrictEqual(manifest.missing, ['ho-so-03']);
+        });
+
+        it('should let the batch command finish what the batch job left', async () => {
+            await job.exportRequests(sourceDir, requestsFile);
+            const completion = TestHelpers.createMockCompletion({ content: TestHelpers.createMockResponseWithJson(reference) });
+            fs.writeFileSync(resultsFile, JSON.stringify({ id: 'r1', custom_id: 'so-do-01', response: { status_code: 200, body: completion } }));
+            await job.importResults(resultsFile);
+
+            const manifest = await new BatchRunner({ analyzer, outputDir }).run(sourceDir);
+
+            assert.strictEqual(analyzer.openai.callCount, 2);
+            assert.strictEqual(manifest.summary.done, 3);
+            assert.strictEqual(manifest.entries['so-do-01'].batchRequestId, 'r1');
+        });
+
+        it('should reject malformed result files', async () => {
+            fs.writeFileSync(resultsFile, '{"custom_id": "a"}\nnot json\n');
+            await assert.rejects(job.importResults(resultsFile), /Invalid JSON on line 2/);
+
+            fs.writeFileSync(resultsFile, '{"response": {}}\n');
+            await assert.rejects(job.importResults(resultsFile), /Batch result without custom_id/);
+        });
+    });
+});
+
+console.log('✅ Batch job tests completed successfully!');
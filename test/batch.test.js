@@ -0,0 +1,209 @@
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { RealEstateAnalyzer } from '../app-refactored.js';
+import { BatchRunner, toInputId, summarize } from '../lib/batch-runner.js';
+import { TestHelpers, MockOpenAIClient } from './helpers.js';
+
+// Mock environment variables for testing
+process.env.DASHSCOPE_API_KEY = 'test-api-key';
+process.env.OPENAI_BASE_URL = 'https://test-api.example.com';
+process.env.AI_MODEL = 'test-model';
+process.env.LOG_LEVEL = 'error';
+process.env.NODE_ENV = 'test';
+process.env.SAVE_RESPONSES = 'false';
+process.env.MAX_RETRIES = '1';
+
+const reference = JSON.parse(fs.readFileSync('./output/data.json', 'utf8'));
+const JPEG_BYTES = Buffer.from([0xff, 0xd8, 0xff, 0xe0, 0x00, 0x10, 0x4a, 0x46, 0x49, 0x46]);
+
+/**
+ * Mock client that fails for requests whose image matches a marker
+ */
+class FlakyClient extends MockOpenAIClient {
+    constructor(options = {}) {
+        super({ response: { content: TestHelpers.createMockResponseWithJson(reference) } });
+        this.failing = options.failing || new Set();
+        this.calls = [];
+        this.active = 0;
+        this.maxActive = 0;
+
+        const create = this.chat.completions.create;
+        this.chat.completions.create = async params => {
+            this.calls.push(params);
+            this.active++;
+            this.maxActive = Math.max(this.maxActive, this.active);
+            try {
+                await new Promise(resolve => setTimeout(resolve, 10));
+                const urls = params.messages[0].content.filter(part => part.type === 'image_url').map(part => part.image_url.url);
+                if (urls.some(url => [...this.failing].some(marker => url.includes(marker)))) {
+                    throw new Error('Provider unavailable');
+                }
+                return await create(params);
+            } finally {
+                this.active--;
+            }
+        };
+    }
+}
+
+function writeImage(file, marker) {
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(file, Buffer.concat([JPEG_BYTES, Buffer.from(marker)]));
+}
+
+const markerOf = name => Buffer.concat([JPEG_BYTES, Buffer.from(name)]).toString('base64').slice(-8);
+
+describe('Batch Analysis - Unit Tests', () => {
+    let tmpDir;
+    let sourceDir;
+    let outputDir;
+    let analyzer;
+
+    beforeEach(() => {
+        tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'batch-test-'));
+        sourceDir = path.join(tmpDir, 'dossiers');
+        outputDir = path.join(tmpDir, 'results');
+
+        writeImage(path.join(sourceDir, 'so-do 01.jpg'), 'first-certificate');
+        writeImage(path.join(sourceDir, 'so-do-02.jpg'), 'second-certificate');
+        writeImage(path.join(sourceDir, 'ho-so-03', 'page-2.jpg'), 'dossier-page-two');
+        writeImage(path.join(sourceDir, 'ho-so-03', 'page-1.jpg'), 'dossier-page-one');
+        fs.writeFileSync(path.join(sourceDir, 'notes.txt'), 'not an input');
+
+        analyzer = new RealEstateAnalyzer();
+    });
+
+    afterEach(() => {
+        fs.rmSync(tmpDir, { recursive: true, force: true });
+    });
+
+    describe('Inputs', () => {
+        it('should collect files and page folders from a directory', () => {
+            const inputs = new BatchRunner({ analyzer, outputDir }).collectInputs(sourceDir);
+
+            assert.deepStrictEqual(inputs.map(input => input.id), ['ho-so-03', 'so-do_01', 'so-do-02']);
+            assert.deepStrictEqual(inputs[0].input.map(page => path.basename(page)), ['page-1.jpg', 'page-2.jpg']);
+        });
+
+        it('should read JSON and text manifests relative to their directory', () => {
+            const runner = new BatchRunner({ analyzer, outputDir });
+            const jsonManifest = path.join(sourceDir, 'batch.json');
+            const textManifest = path.join(sourceDir, 'batch.txt');
+            fs.writeFileSync(jsonManifest, JSON.stringify(['so-do-02.jpg', { id: 'dossier', input: ['ho-so-03/page-1.jpg'] }]));
+            fs.writeFileSync(textManifest, '# certificates\nso-do-02.jpg\n\n');
+
+            assert.deepStrictEqual(runner.collectInputs(jsonManifest), [
+                { id: 'so-do-02', input: path.join(sourceDir, 'so-do-02.jpg') },
+                { id: 'dossier', input: [path.join(sourceDir, 'ho-so-03', 'page-1.jpg')] }
+            ]);
+            assert.deepStrictEqual(runner.collectInputs(textManifest), [
+                { id: 'so-do-02', input: path.join(sourceDir, 'so-do-02.jpg') }
+            ]);
+        });
+
+        it('should reject duplicate ids and missing sources', () => {
+            const runner = new BatchRunner({ analyzer, outputDir });
+            const manifest = path.join(sourceDir, 'batch.txt');
+            fs.writeFileSync(manifest, 'so-do-02.jpg\nother/so-do-02.jpg\n');
+
+            assert.throws(() => runner.collectInputs(manifest), /Duplicate batch input id: so-do-02/);
+            assert.throws(() => runner.collectInputs(path.join(tmpDir, 'missing')), /Batch source not found/);
+        });
+
+        it('should derive file-system safe ids', () => {
+            assert.strictEqual(toInputId('/data/Sổ đỏ (bản 2).pdf'), 'Sổ_đỏ_bản_2');
+            assert.strictEqual(toInputId('???.jpg'), 'input');
+        });
+    });
+
+    describe('Runs', () => {
+        it('should write one result per input and a manifest', async () => {
+            analyzer.openai = new FlakyClient();
+            const progress = [];
+            const runner = new BatchRunner({ analyzer, outputDir, concurrency: 2, onProgress: entry => progress.push(entry.id) });
+
+            const manifest = await runner.run(sourceDir);
+
+            assert.deepStrictEqual(manifest.summary, {
+                ...manifest.summary,
+                total: 3,
+                done: 3,
+                failed: 0,
+                pending: 0,
+                totalTokens: 300
+            });
+            assert.strictEqual(analyzer.openai.maxActive, 2);
+            assert.strictEqual(progress.length, 3);
+
+            const entry = manifest.entries['so-do-02'];
+            assert.strictEqual(entry.output, 'so-do-02.json');
+            assert.strictEqual(entry.attempts, 1);
+            assert.ok(entry.durationMs >= 0);
+
+            const saved = JSON.parse(fs.readFileSync(path.join(outputDir, 'so-do-02.json'), 'utf8'));
+            assert.deepStrictEqual(saved.extractedData, reference);
+            assert.deepStrictEqual(JSON.parse(fs.readFileSync(path.join(outputDir, 'manifest.json'), 'utf8')), manifest);
+        });
+
+        it('should send page folders one image per page', async () => {
+            analyzer.openai = new FlakyClient();
+            const runner = new BatchRunner({ analyzer, outputDir });
+
+            await runner.run(sourceDir);
+
+            const imageCounts = analyzer.openai.calls.map(params =>
+                params.messages[0].content.filter(part => part.type === 'image_url').length);
+            assert.deepStrictEqual(imageCounts.sort(), [1, 1, 2]);
+        });
+
+        it('should record failures and retry only unfinished inputs on resume', async () => {
+            analyzer.openai = new FlakyClient({ failing: new Set([markerOf('second-certificate')]) });
+            const runner = new BatchRunner({ analyzer, outputDir, concurrency: 3 });
+
+            const first = await runner.run(sourceDir);
+            assert.strictEqual(first.summary.done, 2);
+            assert.strictEqual(first.summary.failed, 1);
+            assert.match(first.entries['so-do-02'].error, /Provider unavailable/);
+            assert.ok(!fs.existsSync(path.join(outputDir, 'so-do-02.json')));
+
+            analyzer.openai = new FlakyClient();
+            const second = await runner.run(sourceDir);
+
+            assert.strictEqual(analyzer.openai.callCount, 1);
+            assert.strictEqual(second.runs, 2);
+            assert.strictEqual(second.startedAt, first.startedAt);
+            assert.strictEqual(second.summary.done, 3);
+            assert.strictEqual(second.entries['so-do-02'].attempts, 2);
+            assert.deepStrictEqual(second.entries['so-do_01'], first.entries['so-do_01']);
+        });
+
+        it('should redo inputs whose result file is missing, or all with resume disabled', async () => {
+            analyzer.openai = new FlakyClient();
+            const runner = new BatchRunner({ analyzer, outputDir });
+            await runner.run(sourceDir);
+
+            fs.unlinkSync(path.join(outputDir, 'so-do-02.json'));
+            analyzer.openai = new FlakyClient();
+            await runner.run(sourceDir);
+            assert.strictEqual(analyzer.openai.callCount, 1);
+
+            analyzer.openai = new FlakyClient();
+            const fresh = await runner.run(sourceDir, { resume: false });
+            assert.strictEqual(analyzer.openai.callCount, 3);
+            assert.strictEqual(fresh.runs, 1);
+        });
+    });
+
+    it('should summarize entries', () => {
+        assert.deepStrictEqual(summarize({
+            a: { status: 'done', totalTokens: 10, durationMs: 5 },
+            b: { status: 'failed', durationMs: 1 },
+            c: { status: 'pending' }
+        }), { total: 3, done: 1, failed: 1, pending: 1, totalTokens: 10, durationMs: 6 });
+    });
+});
+
+console.log('✅ Batch tests completed successfully!');
@@ -0,0 +1,209 @@
+import { describe, it, beforeEach } from 'node:test';
+import assert from 'node:assert';
+import fs from 'fs';
+import { RealEstateAnalyzer } from '../app-refactored.js';
+import { CertificateGenerationDetector, CERTIFICATE_GENERATIONS } from '../lib/certificate-generations.js';
+import { DocumentClassifier } from '../lib/document-classifier.js';
+import { LandCertificateMapper } from '../lib/land-certificate-mapper.js';
+import { SchemaValidator } from '../lib/schema-validator.js';
+import { TestHelpers, MockOpenAIClient } from './helpers.js';
+
+// Mock environment variables for testing
+process.env.DASHSCOPE_API_KEY = 'test-api-key';
+process.env.OPENAI_BASE_URL = 'https://test-api.example.com';
+process.env.AI_MODEL = 'test-model';
+process.env.LOG_LEVEL = 'error';
+process.env.NODE_ENV = 'test';
+process.env.SAVE_RESPONSES = 'false';
+
+const reference = JSON.parse(fs.readFileSync('./output/data.json', 'utf8'));
+const IMAGE_URL = 'https://example.com/so-do.jpg';
+
+const RED_BOOK = {
+    metadata: {
+        document_name: 'GIẤY CHỨNG NHẬN QUYỀN SỬ DỤNG ĐẤT',
+        certificate_number: 'U 123456',
+        registration_number: '00421 QSDĐ/123/QĐ-UB'
+    },
+    property_owners: [{ owner_type: 'Hộ gia đình', full_name: 'Hộ ông Lê Văn Bình' }],
+    land_information: {
+        land_address: 'Xã Định Trung, Thị xã Vĩnh Yên, Tỉnh Vĩnh Phúc',
+        plot_number: '215',
+        map_sheet_number: '7',
+        area: '350 m²',
+        usage_purpose: 'Đất ở nông thôn'
+    },
+    issue_date: 'ngày 12 tháng 3 năm 2001'
+};
+
+const PINK_BOOK = {
+    metadata: { document_name: 'Giấy chứng nhận quyền sở hữu nhà ở và quyền sử dụng đất ở' },
+    house_owners: [{ full_name: 'Trần Thị Hoa' }],
+    land_information: { land_address: 'Số 12 phố Hàng Bạc, phường Hàng Bạc, quận Hoàn Kiếm, Hà Nội' },
+    house_information: { asset_type: 'Nhà ở', floor_area: '86 m²', number_of_floors: '3' },
+    issue_date: '20/05/1997'
+};
+
+const FORM_2024 = {
+    metadata: {
+        document_name: 'Giấy chứng nhận quyền sử dụng đất, quyền sở hữu tài sản gắn liền với đất',
+        certificate_number: 'AA 01234567',
+        registration_number: 'DA 00012',
+        has_qr_code: true
+    },
+    property_owners: [{ full_name: 'Phạm Minh Châu', id_number: '001099012345' }],
+    land_information: {
+        land_address: 'Phường Yên Nghĩa, thành phố Hà Nội',
+        plot_number: '52',
+        map_sheet_number: '14',
+        area: '120 m²',
+        land_type: 'Đất ở tại đô thị'
+    },
+    issue_date: '15/10/2024'
+};
+
+describe('Certificate Generations - Unit Tests', () => {
+    const detector = new CertificateGenerationDetector();
+    const mapper = new LandCertificateMapper();
+    const detect = source => detector.detect(source, mapper.map(source).data);
+
+    describe('Detection', () => {
+        it('should detect the 2009 form of the demo certificate', () => {
+            const { generation, signals } = detect(reference);
+
+            assert.strictEqual(generation, 'unified_2009');
+            assert.deepStrictEqual(signals.map(signal => signal.signal), ['title', 'issue_date']);
+        });
+
+        it('should detect the older and newer layouts', () => {
+            assert.strictEqual(detect(RED_BOOK).generation, 'red_book_pre2009');
+            assert.strictEqual(detect(PINK_BOOK).generation, 'pink_book_pre2009');
+            assert.strictEqual(detect(FORM_2024).generation, 'unified_2024');
+            assert.ok(detect(FORM_2024).signals.some(signal => signal.signal === 'qr_code'));
+        });
+
+        it('should match titles without diacritics', () => {
+            const data = structuredClone(reference);
+            data.metadata.document_name = 'GIAY CHUNG NHAN QUYEN SU DUNG DAT, QUYEN SO HUU TAI SAN GAN LIEN VOI DAT';
+            delete data.issue_date;
+
+            assert.strictEqual(detect(data).generation, 'unified_2024');
+        });
+
+        it('should fall back to the issue date and leave ties undecided', () => {
+            const recent = { property_owners: [{ full_name: 'A' }], land_information: { land_address: 'B' }, issue_date: '03/02/2025' };
+            const old = { ...recent, issue_date: '1998' };
+
+            assert.strictEqual(detect(recent).generation, 'unified_2024');
+            assert.strictEqual(detect(old).generation, null, 'red and pink books were both issued in 1998');
+            assert.strictEqual(detect({ property_owners: [], land_information: {} }).generation, null);
+        });
+
+        it('should have a schema variant for every generation', () => {
+            const validator = new SchemaValidator();
+
+            for (const template of Object.values(CERTIFICATE_GENERATIONS)) {
+                assert.strictEqual(validator.getVersion(template.schema), '1.0.0');
+                assert.ok(template.prompt.length > 0);
+            }
+        });
+    });
+
+    describe('Canonical Mapping', () => {
+        it('should map layout-specific keys to the canonical shape', () => {
+            const pink = mapper.map(PINK_BOOK).data;
+            const form2024 = mapper.map(FORM_2024).data;
+
+            assert.strictEqual(pink.property_owners[0].full_name, 'Trần Thị Hoa');
+            assert.strictEqual(pink.assets_attached_to_land[0].asset_type, 'Nhà ở');
+            assert.strictEqual(form2024.land_information.usage_purpose, 'Đất ở tại đô thị');
+        });
+    });
+
+    describe('Classification', () => {
+        it('should read the generation of land certificates only', () => {
+            const classifier = new DocumentClassifier();
+
+            assert.strictEqual(classifier.parse('{"document_type": "land_certificate", "generation": "Unified_2024", "confidence": 0.9}').generation, 'unified_2024');
+            assert.strictEqual(classifier.parse('{"document_type": "land_certificate", "generation": "so_xanh", "confidence": 0.9}').generation, null);
+            assert.strictEqual(classifier.parse('{"document_type": "citizen_id", "generation": "unified_2024", "confidence": 0.9}').generation, undefined);
+            assert.ok(classifier.buildPrompt().includes('- red_book_pre2009: '));
+        });
+    });
+
+    describe('Analyzer Integration', () => {
+        let analyzer;
+
+        beforeEach(() => {
+            analyzer = new RealEstateAnalyzer();
+        });
+
+        it('should record the detected generation without a template', async () => {
+            analyzer.openai = new MockOpenAIClient({ response: { content: TestHelpers.createMockResponseWithJson(reference) } });
+
+            const result = await analyzer.analyzeLandCertificate(IMAGE_URL);
+
+            assert.strictEqual(analyzer.openai.lastCall.params.messages[0].content[0].text, analyzer.prompts.systemPrompt);
+            assert.strictEqual(result.certificateGeneration.generation, 'unified_2009');
+            assert.strictEqual(result.certificateGeneration.source, 'detected');
+            assert.strictEqual(result.certificateGeneration.label, CERTIFICATE_GENERATIONS.unified_2009.vi);
+            assert.strictEqual(result.certificateGeneration.validation.valid, true);
+            assert.ok(!result.warnings.some(warning => warning.code.startsWith('GENERATION_')));
+        });
+
+        it('should add the template of a classified generation to the prompt', async () => {
+            analyzer.openai = new MockOpenAIClient({
+                responses: [
+                    { content: '{"document_type": "land_certificate", "generation": "unified_2024", "confidence": 0.9}' },
+                    { content: TestHelpers.createMockResponseWithJson(FORM_2024) }
+                ]
+            });
+
+            const result = await analyzer.analyzeLandCertificate(IMAGE_URL, { classify: true });
+            const prompt = analyzer.openai.lastCall.params.messages[0].content[0].text;
+
+            assert.ok(prompt.startsWith(analyzer.prompts.systemPrompt));
+            assert.ok(prompt.endsWith(CERTIFICATE_GENERATIONS.unified_2024.prompt));
+            assert.strictEqual(result.classification.generation, 'unified_2024');
+            assert.deepStrictEqual(
+                { generation: result.certificateGeneration.generation, source: result.certificateGeneration.source, detected: result.certificateGeneration.detected },
+                { generation: 'unified_2024', source: 'template', detected: 'unified_2024' }
+            );
+            assert.strictEqual(result.metadata.promptHash, analyzer.getPromptHash({ generation: 'unified_2024' }));
+        });
+
+        it('should normalize every generation to the same canonical output', async () => {
+            const results = [];
+            for (const generation of Object.keys(CERTIFICATE_GENERATIONS)) {
+                analyzer.openai = new MockOpenAIClient({ response: { content: TestHelpers.createMockResponseWithJson(reference) } });
+                results.push(await analyzer.analyzeLandCertificate(IMAGE_URL, { generation }));
+            }
+
+            for (const result of results.slice(1)) {
+                assert.deepStrictEqual(result.canonicalData, results[0].canonicalData);
+                assert.deepStrictEqual(result.normalizedData, results[0].normalizedData);
+            }
+            assert.deepStrictEqual(results.map(result => result.certificateGeneration.generation), Object.keys(CERTIFICATE_GENERATIONS));
+        });
+
+        it('should flag template mismatches and fields the layout always carries', async () => {
+            analyzer.openai = new MockOpenAIClient({ response: { content: TestHelpers.createMockResponseWithJson(reference) } });
+
+            const result = await analyzer.analyzeLandCertificate(IMAGE_URL, { generation: 'red_book_pre2009' });
+            const codes = result.warnings.map(warning => warning.code);
+
+            assert.ok(codes.includes('GENERATION_MISMATCH'));
+            assert.ok(result.warnings.some(warning => warning.code === 'GENERATION_FIELD_MISSING' && warning.path === '/assets_attached_to_land'));
+            assert.strictEqual(result.certificateGeneration.validation.valid, false);
+            assert.strictEqual(result.schemaValidation.valid, true, 'the common schema is unaffected');
+        });
+
+        it('should reject unknown generations', async () => {
+            analyzer.openai = new MockOpenAIClient({ response: { content: TestHelpers.createMockResponseWithJson(reference) } });
+
+            await assert.rejects(analyzer.analyzeLandCertificate(IMAGE_URL, { generation: 'so_xanh' }), /Unknown certificate generation: so_xanh/);
+        });
+    });
+});
+
+console.log('✅ Certificate generation tests completed successfully!');
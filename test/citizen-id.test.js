@@ -0,0 +1,273 @@
+import { describe, it, beforeEach } from 'node:test';
+import assert from 'node:assert';
+import fs from 'fs';
+import { RealEstateAnalyzer } from '../app-refactored.js';
+import { CitizenIdMapper, parseMrz, mrzCheckDigit, compareMrz } from '../lib/citizen-id.js';
+import { OwnerVerifier, personKey } from '../lib/owner-verifier.js';
+import { IdentityValidator } from '../lib/id-validator.js';
+import { SchemaValidator } from '../lib/schema-validator.js';
+import { TestHelpers, MockOpenAIClient } from './helpers.js';
+
+// Mock environment variables for testing
+process.env.DASHSCOPE_API_KEY = 'test-api-key';
+process.env.OPENAI_BASE_URL = 'https://test-api.example.com';
+process.env.AI_MODEL = 'test-model';
+process.env.LOG_LEVEL = 'error';
+process.env.NODE_ENV = 'test';
+process.env.SAVE_RESPONSES = 'false';
+
+const reference = JSON.parse(fs.readFileSync('./output/data.json', 'utf8'));
+const IMAGE_URL = 'https://example.com/cccd.jpg';
+
+/**
+ * Build a TD1 MRZ with valid check digits
+ * @param {Object} fields - { idNumber, birth (YYMMDD), sex, expiry (YYMMDD), name (MRZ name field) }
+ * @returns {string} Three lines separated by new lines
+ */
+function createMrz({ idNumber, birth, sex, expiry, name }) {
+    const pad = text => text.padEnd(30, '<');
+    const documentNumber = idNumber.slice(3);
+    const line1 = pad(`IDVNM${documentNumber}${mrzCheckDigit(documentNumber)}${idNumber}`);
+    const line2 = `${birth}${mrzCheckDigit(birth)}${sex}${expiry}${mrzCheckDigit(expiry)}VNM${'<'.repeat(11)}`;
+    const composite = mrzCheckDigit(line1.slice(5) + line2.slice(0, 7) + line2.slice(8, 15) + line2.slice(18, 29));
+    return [line1, `${line2}${composite}`, pad(name)].join('\n');
+}
+
+// Cards of the two owners of the demo certificate (output/data.json)
+const QUAN_CARD = {
+    document_name: 'CĂN CƯỚC CÔNG DÂN',
+    id_number: '026086012345',
+    full_name: 'NGUYỄN ANH QUÂN',
+    date_of_birth: '12/05/1986',
+    sex: 'Nam',
+    nationality: 'Việt Nam',
+    place_of_origin: 'Xã Định Trung, Thành phố Vĩnh Yên, Tỉnh Vĩnh Phúc',
+    place_of_residence: 'Gia Viễn, Xã Định Trung, Thành phố Vĩnh Yên, Tỉnh Vĩnh Phúc',
+    date_of_expiry: '12/05/2026',
+    mrz: createMrz({ idNumber: '026086012345', birth: '860512', sex: 'M', expiry: '260512', name: 'NGUYEN<<ANH<QUAN' })
+};
+
+const PHUONG_CARD = {
+    document_name: 'CĂN CƯỚC CÔNG DÂN',
+    id_number: '017187001234',
+    previous_id_number: '113287050',
+    full_name: 'Trương Thị Phương',
+    date_of_birth: '03/09/1987',
+    sex: 'Nữ',
+    place_of_residence: 'Tổ 14, Phường Tân Hòa, Thành phố Hòa Bình, Tỉnh Hòa Bình'
+};
+
+const card = fields => new CitizenIdMapper().map(fields).data;
+
+describe('Citizen ID - Unit Tests', () => {
+    describe('MRZ', () => {
+        it('should parse a TD1 zone and check its digits', () => {
+            const mrz = parseMrz(QUAN_CARD.mrz);
+
+            assert.strictEqual(mrz.format, 'TD1');
+            assert.strictEqual(mrz.valid, true);
+            assert.deepStrictEqual(mrz.fields, {
+                document_code: 'ID',
+                issuing_state: 'VNM',
+                document_number: '086012345',
+                id_number: '026086012345',
+                date_of_birth: '1986-05-12',
+                sex: 'male',
+                date_of_expiry: '2026-05-12',
+                nationality: 'VNM',
+                full_name: 'NGUYEN ANH QUAN'
+            });
+        });
+
+        it('should tolerate OCR spacing and report failed check digits', () => {
+            const [line1, line2, line3] = QUAN_CARD.mrz.split('\n');
+
+            assert.strictEqual(parseMrz(`${line1.slice(0, 10)} ${line1.slice(10)}${line2}${line3.replace(/<</, '«<')}`).valid, true);
+
+            const misread = parseMrz([line1, line2.replace('860512', '860612'), line3].join('\n'));
+            assert.strictEqual(misread.valid, false);
+            assert.deepStrictEqual(misread.checks.filter(check => !check.valid).map(check => check.field), ['date_of_birth', 'composite']);
+
+            assert.match(parseMrz('IDVNM0860123').error, /not three lines of 30 characters/);
+        });
+
+        it('should put two-digit birth years in the latest past century', () => {
+            const mrz = createMrz({ idNumber: '001205000001', birth: '050101', sex: 'F', expiry: '300101', name: 'LE<<AN' });
+
+            assert.strictEqual(parseMrz(mrz, { now: new Date('2026-01-01') }).fields.date_of_birth, '2005-01-01');
+            assert.strictEqual(parseMrz(mrz, { now: new Date('2004-01-01') }).fields.date_of_birth, '1905-01-01');
+        });
+
+        it('should compare the printed fields with the MRZ', () => {
+            const { fields } = parseMrz(QUAN_CARD.mrz);
+
+            assert.ok(compareMrz(QUAN_CARD, fields).every(comparison => comparison.match));
+            assert.deepStrictEqual(compareMrz({ ...QUAN_CARD, full_name: 'Nguyễn Anh Quang', sex: 'Không rõ' }, fields).map(({ path, match }) => [path, match]), [
+                ['/id_number', true], ['/full_name', false], ['/date_of_birth', true], ['/date_of_expiry', true]
+            ]);
+        });
+    });
+
+    describe('Mapping', () => {
+        it('should map flat and side-grouped readings to the canonical shape', () => {
+            const flat = card(QUAN_CARD);
+            const grouped = new CitizenIdMapper().map({
+                front: { title: 'Căn cước công dân', so: '026086012345', ho_va_ten: 'Nguyễn Anh Quân', ngay_sinh: '12/05/1986' },
+                back: { ngay_cap: '10/05/2021', mrz: QUAN_CARD.mrz.split('\n'), ma_qr: 'có' }
+            });
+
+            assert.strictEqual(flat.card_type, 'cccd');
+            assert.strictEqual(grouped.data.id_number, '026086012345');
+            assert.strictEqual(grouped.data.issue_date, '10/05/2021');
+            assert.strictEqual(grouped.data.mrz, QUAN_CARD.mrz);
+            assert.deepStrictEqual(grouped.unmappedFields, ['/back/ma_qr']);
+            assert.strictEqual(new SchemaValidator().validate(flat, 'citizen-id.v1').valid, true);
+        });
+
+        it('should tell the card types apart', () => {
+            assert.strictEqual(card({ document_name: 'CĂN CƯỚC', id_number: '001099000001' }).card_type, 'can_cuoc');
+            assert.strictEqual(card({ document_name: 'GIẤY CHỨNG MINH NHÂN DÂN', id_number: '113287050' }).card_type, 'cmnd');
+            assert.strictEqual(card({ id_number: '113287050' }).card_type, 'cmnd');
+            assert.strictEqual(card({ card_type: 'Can cuoc', id_number: '001099000001' }).card_type, 'can_cuoc');
+        });
+
+        it('should cross-check the CCCD number of a card', () => {
+            const validator = new IdentityValidator();
+            const { issues } = validator.validateCard({ ...PHUONG_CARD, date_of_birth: '03/09/1978', sex: 'Nam' });
+
+            assert.deepStrictEqual(issues.map(issue => [issue.path, issue.code]), [['/date_of_birth', 'ID_BIRTH_YEAR_MISMATCH'], ['/sex', 'ID_GENDER_MISMATCH']]);
+            assert.deepStrictEqual(validator.validateCard(PHUONG_CARD).issues, []);
+        });
+    });
+
+    describe('Owner Verification', () => {
+        const verifier = new OwnerVerifier();
+
+        it('should match names without diacritics, case or salutation', () => {
+            assert.strictEqual(personKey('Bà Nguyễn Thị Hoà'), personKey('NGUYEN THI HOA'));
+            assert.strictEqual(personKey('Hộ ông Lê Văn Bình'), 'le van binh');
+            assert.strictEqual(personKey('Hồ Văn Bình'), 'ho van binh', 'the surname Hồ is not the household prefix Hộ');
+        });
+
+        it('should verify each owner of the demo certificate against their card', () => {
+            const verification = verifier.verify(reference.property_owners, [card(PHUONG_CARD), card(QUAN_CARD)]);
+            const [quan, phuong] = verification.owners;
+
+            assert.strictEqual(verification.status, 'partial');
+            assert.deepStrictEqual(verification.unmatchedCards, []);
+
+            // Nguyễn Anh Quân is listed with a passport number, so only name, birth year and address confirm him
+            assert.strictEqual(quan.card, 1);
+            assert.strictEqual(quan.verdict, 'partial');
+            assert.deepStrictEqual(Object.fromEntries(Object.entries(quan.checks).map(([check, result]) => [check, result.status])), {
+                name: 'match', id_number: 'unverified', birth_year: 'match', address: 'match'
+            });
+
+            // Trương Thị Phương's CMND number is listed on her CCCD card
+            assert.strictEqual(phuong.card, 0);
+            assert.strictEqual(phuong.verdict, 'verified');
+            assert.deepStrictEqual(verification.issues, []);
+        });
+
+        it('should flag identity mismatches and leave a move for review', () => {
+            const owners = [{ full_name: 'Trương Thị Phương', date_of_birth: '1978', id_number: '017187001234', permanent_address: 'Phường Bến Nghé, Quận 1, TP Hồ Chí Minh' }];
+            const { owners: [mismatch], issues } = verifier.verify(owners, [card(PHUONG_CARD)]);
+
+            assert.strictEqual(mismatch.verdict, 'mismatch');
+            assert.deepStrictEqual(issues.map(issue => [issue.path, issue.code, issue.severity]), [
+                ['/property_owners/0/date_of_birth', 'OWNER_BIRTH_YEAR_MISMATCH', 'high'],
+                ['/property_owners/0/permanent_address', 'OWNER_ADDRESS_MISMATCH', 'medium']
+            ]);
+
+            const moved = verifier.verify([{ ...owners[0], date_of_birth: '1987' }], [card(PHUONG_CARD)]);
+            assert.strictEqual(moved.owners[0].verdict, 'partial');
+            assert.strictEqual(moved.owners[0].checks.address.status, 'mismatch');
+        });
+
+        it('should report owners without a card and cards without an owner', () => {
+            const owners = [{ full_name: 'Lê Văn Bình' }];
+            const verification = verifier.verify(owners, [card(PHUONG_CARD), null]);
+
+            assert.strictEqual(verification.status, 'no_card');
+            assert.strictEqual(verification.owners[0].verdict, 'no_card');
+            assert.deepStrictEqual(verification.unmatchedCards, [0]);
+            assert.strictEqual(verification.issues[0].code, 'OWNER_CARD_MISSING');
+            assert.strictEqual(verifier.verify([], []).status, 'no_owners');
+        });
+
+        it('should read a back-only card from its MRZ', () => {
+            const back = card({ mrz: QUAN_CARD.mrz });
+            const owner = { full_name: 'Nguyễn Anh Quân', id_number: '026086012345', date_of_birth: '1986' };
+            const [result] = verifier.verify([owner], [back]).owners;
+
+            assert.strictEqual(result.verdict, 'verified');
+            assert.strictEqual(result.checks.name.card, 'NGUYEN ANH QUAN');
+        });
+    });
+
+    describe('Analyzer Integration', () => {
+        let analyzer;
+
+        beforeEach(() => {
+            analyzer = new RealEstateAnalyzer();
+        });
+
+        it('should extract a card with its own prompt, schema and MRZ check', async () => {
+            analyzer.openai = new MockOpenAIClient({ response: { content: TestHelpers.createMockResponseWithJson(QUAN_CARD) } });
+
+            const result = await analyzer.analyzeCitizenId(IMAGE_URL);
+
+            assert.strictEqual(analyzer.openai.lastCall.params.messages[0].content[0].text, analyzer.prompts.citizenIdPrompt);
+            assert.strictEqual(result.documentType, 'citizen_id');
+            assert.strictEqual(result.schemaValidation.schema, 'citizen-id.v1');
+            assert.strictEqual(result.schemaValidation.valid, true);
+            assert.strictEqual(result.normalizedData.date_of_birth.value, '1986-05-12');
+            assert.strictEqual(result.mrz.valid, true);
+            assert.strictEqual(result.certificateGeneration, undefined);
+            assert.deepStrictEqual(result.warnings, []);
+        });
+
+        it('should flag an MRZ that disagrees with the front', async () => {
+            analyzer.openai = new MockOpenAIClient({ response: { content: TestHelpers.createMockResponseWithJson({ ...QUAN_CARD, id_number: '026086012354' }) } });
+
+            const result = await analyzer.analyzeCitizenId(IMAGE_URL);
+            const warning = result.warnings.find(item => item.code === 'MRZ_MISMATCH');
+
+            assert.strictEqual(warning.path, '/id_number');
+            assert.strictEqual(warning.severity, 'high');
+            assert.match(warning.message, /MRZ has "026086012345", but "026086012354" is printed on the card/);
+        });
+
+        it('should send the front and back as separate pages', async () => {
+            analyzer.openai = new MockOpenAIClient({ response: { content: TestHelpers.createMockResponseWithJson(PHUONG_CARD) } });
+
+            await analyzer.analyzeCitizenId(['https://example.com/front.jpg', 'https://example.com/back.jpg']);
+            const content = analyzer.openai.lastCall.params.messages[0].content;
+
+            assert.deepStrictEqual(content.filter(part => part.type === 'image_url').map(part => part.image_url.url), ['https://example.com/front.jpg', 'https://example.com/back.jpg']);
+        });
+
+        it('should verify certificate owners against analyzed cards', async () => {
+            analyzer.openai = new MockOpenAIClient({
+                responses: [
+                    { content: TestHelpers.createMockResponseWithJson(reference) },
+                    { content: TestHelpers.createMockResponseWithJson(QUAN_CARD) },
+                    { content: TestHelpers.createMockResponseWithJson({ ...PHUONG_CARD, date_of_birth: '03/09/1987', full_name: 'Trương Thị Hương' }) }
+                ]
+            });
+
+            const certificate = await analyzer.analyzeLandCertificate('https://example.com/so-do.jpg');
+            const cards = [await analyzer.analyzeCitizenId(IMAGE_URL), await analyzer.analyzeCitizenId(IMAGE_URL)];
+
+            analyzer.verifyOwners(certificate, cards);
+            analyzer.verifyOwners(certificate, cards);
+
+            assert.deepStrictEqual(certificate.ownerVerification.owners.map(owner => owner.verdict), ['partial', 'mismatch']);
+            assert.strictEqual(certificate.ownerVerification.status, 'mismatch');
+            assert.deepStrictEqual(certificate.warnings.filter(warning => warning.code.startsWith('OWNER_')).map(warning => warning.path), ['/property_owners/1/full_name']);
+            assert.throws(() => analyzer.verifyOwners(cards[0], cards), /no property owners to verify/);
+        });
+    });
+});
+
+console.log('✅ Citizen ID tests completed successfully!');
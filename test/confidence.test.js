@@ -0,0 +1,260 @@
+import { describe, it, beforeEach } from 'node:test';
+import assert from 'node:assert';
+import fs from 'fs';
+import { RealEstateAnalyzer } from '../app-refactored.js';
+import { ConfidenceScorer, measureAgreement, DEFAULT_POLICY } from '../lib/confidence.js';
+import { LandCertificateMapper } from '../lib/land-certificate-mapper.js';
+import { VietnameseNormalizer } from '../lib/normalizer.js';
+import { ValidationError } from '../lib/validation-error.js';
+import { TestHelpers, MockOpenAIClient } from './helpers.js';
+
+// Mock environment variables for testing
+process.env.DASHSCOPE_API_KEY = 'test-api-key';
+process.env.OPENAI_BASE_URL = 'https://test-api.example.com';
+process.env.AI_MODEL = 'test-model';
+process.env.LOG_LEVEL = 'error';
+process.env.NODE_ENV = 'test';
+process.env.SAVE_RESPONSES = 'false';
+process.env.QR_DECODE = 'false';
+
+const reference = JSON.parse(fs.readFileSync('./output/data.json', 'utf8'));
+
+// The reference certificate has no map sheet number ("-/-")
+const WITHOUT_MAP_SHEET = {
+    land_certificate: DEFAULT_POLICY.required.land_certificate.filter(field => field !== 'land_information.map_sheet_number')
+};
+
+/**
+ * Build a post-processed result of extracted data without a model call
+ */
+function createResult(extracted, extra = {}) {
+    const { data } = new LandCertificateMapper().map(extracted);
+    return {
+        documentType: 'land_certificate',
+        canonicalData: data,
+        normalizedData: new VietnameseNormalizer().normalizeDocument(data).data,
+        schemaValidation: { valid: true, violations: [] },
+        warnings: [],
+        corrections: [],
+        ...extra
+    };
+}
+
+/**
+ * Mirror extracted data with the same certainty on every field, as the model would report it
+ */
+function certaintyFor(value, certainty) {
+    if (Array.isArray(value)) {
+        return value.map(item => certaintyFor(item, certainty));
+    }
+    if (value !== null && typeof value === 'object') {
+        return Object.fromEntries(Object.entries(value).map(([key, child]) => [key, certaintyFor(child, certainty)]));
+    }
+    return certainty;
+}
+
+describe('Field Confidence - Unit Tests', () => {
+    const scorer = new ConfidenceScorer();
+
+    describe('Model certainty', () => {
+        it('should take _confidence out of the extracted data', () => {
+            const { data, certainty, issues } = scorer.split({
+                issue_date: '06/04/2019',
+                _confidence: { '/issue_date': 0.95, 'land_information.area': '80%', property_owners: [{ full_name: 'high' }], notes: 'unsure' }
+            });
+
+            assert.deepStrictEqual(data, { issue_date: '06/04/2019' });
+            assert.deepStrictEqual(certainty, { '/issue_date': 0.95, '/land_information/area': 0.8, '/property_owners/0/full_name': 0.9 });
+            assert.deepStrictEqual(issues.map(issue => issue.path), ['/notes']);
+        });
+
+        it('should carry certainty over to canonical fields', () => {
+            const sources = { '/property_owners/1/full_name': '/owner_information/spouse_information/name', '/issue_date': '/issue_date' };
+
+            assert.deepStrictEqual(scorer.resolve({ '/owner_information/spouse_information/name': 0.4 }, sources), { '/property_owners/1/full_name': 0.4 });
+        });
+    });
+
+    describe('Scoring', () => {
+        it('should accept a certain, clean extraction', () => {
+            const result = createResult(reference);
+            const sources = new LandCertificateMapper().getSources(result.canonicalData);
+            result.modelCertainty = { canonical: Object.fromEntries(Object.keys(sources).map(pointer => [pointer, 0.95])) };
+            const confidence = scorer.score(result, { policy: { required: WITHOUT_MAP_SHEET } });
+
+            assert.strictEqual(confidence.decision, 'auto_accept');
+            assert.strictEqual(confidence.fields['/land_information/area'].score, 0.95);
+            assert.deepStrictEqual(confidence.fields['/land_information/area'].signals, { model: 0.95, agreement: null, validation: 1, ocr: 1 });
+            assert.deepStrictEqual(confidence.reasons, []);
+        });
+
+        it('should send a document with an empty required field to review', () => {
+            const confidence = scorer.score(createResult(reference));
+            const missing = confidence.reasons.find(reason => reason.code === 'REQUIRED_FIELD_MISSING');
+
+            assert.strictEqual(confidence.decision, 'needs_review');
+            assert.strictEqual(missing.path, '/land_information/map_sheet_number');
+            assert.strictEqual(confidence.fields['/land_information/map_sheet_number'].score, 0);
+            // Empty optional fields are not scored
+            assert.strictEqual(confidence.fields['/trees'], undefined);
+        });
+
+        it('should send a clean run without certainty or agreement to review', () => {
+            const confidence = scorer.score(createResult(reference), { policy: { required: WITHOUT_MAP_SHEET } });
+
+            assert.strictEqual(confidence.decision, 'needs_review');
+            assert.deepStrictEqual(confidence.reasons.map(reason => reason.code), ['CONFIDENCE_NOT_MEASURED']);
+            assert.strictEqual(confidence.fields['/issue_date'].score, 1);
+        });
+
+        it('should give one reason for fields held back only by the assumed certainty', () => {
+            const result = createResult(reference, { modelCertainty: { canonical: { '/issue_date': 0.95 } } });
+            const confidence = scorer.score(result, { policy: { required: WITHOUT_MAP_SHEET } });
+
+            assert.strictEqual(confidence.decision, 'needs_review');
+            assert.deepStrictEqual(confidence.reasons.map(reason => reason.code), ['CONFIDENCE_NOT_MEASURED']);
+            assert.strictEqual(confidence.fields['/issue_date'].score, 0.95);
+            assert.strictEqual(confidence.fields['/land_information/area'].score, DEFAULT_POLICY.defaultCertainty);
+            assert.strictEqual(scorer.score(result, { policy: { required: WITHOUT_MAP_SHEET, defaultCertainty: 0.95 } }).decision, 'auto_accept');
+        });
+
+        it('should lower fields with warnings by severity', () => {
+            const result = createResult(reference, {
+                warnings: [
+                    { path: '/metadata/registration_number', code: 'QR_MISMATCH', severity: 'high', message: 'QR code encodes "CS 05495"' },
+                    { path: '/property_owners/1', code: 'OWNER_INCOMPLETE', severity: 'medium', message: 'No ID number' }
+                ]
+            });
+            const confidence = scorer.score(result, { policy: { required: WITHOUT_MAP_SHEET, defaultCertainty: 1 } });
+            const reason = confidence.reasons.find(item => item.path === '/metadata/registration_number');
+
+            assert.strictEqual(confidence.fields['/metadata/registration_number'].score, 0.3);
+            assert.strictEqual(confidence.fields['/property_owners/1/full_name'].score, 0.6);
+            assert.strictEqual(confidence.fields['/property_owners/0/full_name'].score, 1);
+            assert.strictEqual(reason.code, 'LOW_CONFIDENCE');
+            assert.match(reason.message, /validation warnings/);
+            assert.strictEqual(confidence.decision, 'needs_review');
+        });
+
+        it('should lower fields by the distance of OCR corrections', () => {
+            const result = createResult(reference, {
+                corrections: [
+                    { path: '/property_owners/0/full_name', original: 'Nguyen Anh Quân', corrected: 'Nguyễn Anh Quân', changes: [{ from: 'Nguyen', to: 'Nguyễn', confidence: 0.85, applied: true }] },
+                    { path: '/land_information/land_address', original: 'xã Giá Viên', corrected: 'xã Giá Viên', changes: [{ from: 'Giá Viên', to: 'Gia Viễn', confidence: 0.6, applied: false }] }
+                ]
+            });
+            const confidence = scorer.score(result, { policy: { required: WITHOUT_MAP_SHEET, defaultCertainty: 1 } });
+
+            assert.strictEqual(confidence.fields['/property_owners/0/full_name'].signals.ocr, 0.93);
+            assert.strictEqual(confidence.fields['/land_information/land_address'].signals.ocr, 0.82);
+            assert.match(confidence.reasons.find(item => item.path === '/land_information/land_address').message, /OCR correction changed 18% of the value/);
+        });
+
+        it('should reject schema-invalid results and results without data', () => {
+            const invalid = createResult(reference, { schemaValidation: { valid: false, violations: [{ path: '/land_information', message: 'must be object' }] } });
+
+            assert.strictEqual(scorer.score(invalid).decision, 'reject');
+            assert.strictEqual(scorer.score(invalid).reasons[0].code, 'SCHEMA_INVALID');
+            assert.deepStrictEqual(scorer.score({ success: true, extractedData: null }).reasons.map(reason => reason.code), ['NO_DATA']);
+        });
+
+        it('should reject a document whose average score is below the reject threshold', () => {
+            const result = createResult(reference, { modelCertainty: { canonical: { '/issue_date': 0.4 } } });
+            const confidence = scorer.score(result, { policy: { defaultCertainty: 0.4 } });
+
+            assert.strictEqual(confidence.decision, 'reject');
+            assert.ok(confidence.score < DEFAULT_POLICY.reject);
+        });
+
+        it('should validate the policy', () => {
+            assert.throws(() => new ConfidenceScorer({ policy: { accept: 0.5, reject: 0.7 } }), /Invalid confidence policy/);
+            for (const policy of ['strict', { accept: '0.9' }, { severity: { high: 2 } }, { required: { land_certificate: 'issue_date' } }, { required: ['issue_date'] }]) {
+                assert.throws(() => scorer.policyFor(policy), error => error instanceof ValidationError && error.code === 'INVALID_OPTIONS', JSON.stringify(policy));
+            }
+        });
+
+        it('should keep thresholds of 0 set in the environment', () => {
+            process.env.CONFIDENCE_REJECT = '0';
+            try {
+                assert.strictEqual(new ConfidenceScorer().policy.reject, 0);
+            } finally {
+                delete process.env.CONFIDENCE_REJECT;
+            }
+            assert.deepStrictEqual(new ConfidenceScorer({ policy: { accept: 0.8 } }).score(createResult(reference)).policy, { accept: 0.8, reject: 0.5, defaultCertainty: 0.8 });
+        });
+    });
+
+    describe('Agreement', () => {
+        it('should compare runs after normalization', () => {
+            const runs = [
+                createResult(reference),
+                createResult({ ...reference, issue_date: '06/04/2019' }),
+                createResult({ ...reference, issue_date: '20/04/2014' })
+            ];
+            const agreement = measureAgreement(runs);
+
+            assert.strictEqual(agreement['/issue_date'], 0.67);
+            assert.strictEqual(agreement['/land_information/area'], 1);
+            assert.deepStrictEqual(measureAgreement(runs.slice(0, 1)), {});
+        });
+
+        it('should lower fields the runs disagree on', () => {
+            const runs = [createResult(reference), createResult({ ...reference, issue_date: '20/04/2014' })];
+            const confidence = scorer.score(runs[0], { agreement: measureAgreement(runs), policy: { required: WITHOUT_MAP_SHEET, defaultCertainty: 1 } });
+
+            assert.strictEqual(confidence.fields['/issue_date'].score, 0.5);
+            assert.match(confidence.reasons.find(item => item.path === '/issue_date').message, /50% of runs agree/);
+        });
+    });
+
+    describe('Analyzer Integration', () => {
+        let analyzer;
+
+        beforeEach(() => {
+            analyzer = new RealEstateAnalyzer();
+        });
+
+        it('should score every result and ask for certainty only when requested', async () => {
+            analyzer.openai = new MockOpenAIClient({ response: { content: TestHelpers.createMockResponseWithJson(reference) } });
+            const result = await analyzer.analyzeLandCertificate('https://example.com/so-do.jpg');
+
+            assert.strictEqual(result.success, true);
+            assert.strictEqual(result.confidence.decision, 'needs_review');
+            assert.strictEqual(result.modelCertainty, undefined);
+            assert.ok(!analyzer.openai.lastCall.params.messages[0].content[0].text.includes('_confidence'));
+        });
+
+        it('should use the certainty the model reports', async () => {
+            const extracted = { ...reference, _confidence: { ...certaintyFor(reference, 0.97), land_information: { ...certaintyFor(reference.land_information, 0.97), area: 0.55 } } };
+            analyzer.openai = new MockOpenAIClient({ response: { content: TestHelpers.createMockResponseWithJson(extracted) } });
+
+            const result = await analyzer.analyzeLandCertificate('https://example.com/so-do.jpg', {
+                modelConfidence: true,
+                confidencePolicy: { required: WITHOUT_MAP_SHEET }
+            });
+
+            assert.ok(analyzer.openai.lastCall.params.messages[0].content[0].text.endsWith(analyzer.prompts.confidencePrompt));
+            assert.strictEqual(result.extractedData._confidence, undefined);
+            assert.strictEqual(result.modelCertainty.canonical['/land_information/area'], 0.55);
+            assert.strictEqual(result.confidence.fields['/land_information/area'].score, 0.55);
+            assert.strictEqual(result.confidence.decision, 'needs_review');
+            assert.deepStrictEqual(result.confidence.reasons.map(reason => reason.path), ['/land_information/area']);
+        });
+
+        it('should rescore with the agreement of repeated runs', async () => {
+            analyzer.openai = new MockOpenAIClient({
+                responses: [
+                    { content: TestHelpers.createMockResponseWithJson(reference) },
+                    { content: TestHelpers.createMockResponseWithJson({ ...reference, issue_date: '20/04/2014' }) }
+                ]
+            });
+            const first = await analyzer.analyzeLandCertificate('https://example.com/so-do.jpg');
+            const second = await analyzer.analyzeLandCertificate('https://example.com/so-do.jpg');
+
+            analyzer.scoreConfidence(first, { agreement: measureAgreement([first, second]) });
+
+            assert.strictEqual(first.confidence.fields['/issue_date'].signals.agreement, 0.5);
+            assert.strictEqual(first.confidence.fields['/land_information/area'].signals.agreement, 1);
+        });
+    });
+});
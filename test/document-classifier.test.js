@@ -0,0 +1,202 @@
+import { describe, it, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert';
+import fs from 'fs';
+import { RealEstateAnalyzer } from '../app-refactored.js';
+import { createApp } from '../server.js';
+import { DocumentClassifier, DOCUMENT_TYPES } from '../lib/document-classifier.js';
+import { ResultCache, MemoryCacheBackend } from '../lib/result-cache.js';
+import { TestHelpers, MockOpenAIClient } from './helpers.js';
+
+// Mock environment variables for testing
+process.env.DASHSCOPE_API_KEY = 'test-api-key';
+process.env.OPENAI_BASE_URL = 'https://test-api.example.com';
+process.env.AI_MODEL = 'test-model';
+process.env.LOG_LEVEL = 'error';
+process.env.NODE_ENV = 'test';
+process.env.SAVE_RESPONSES = 'false';
+
+const reference = JSON.parse(fs.readFileSync('./output/data.json', 'utf8'));
+const IMAGE_URL = 'https://example.com/ho-so.jpg';
+
+/**
+ * Mock model answer for the classification prompt
+ * @param {string} documentType - Type code
+ * @param {number} confidence - Confidence
+ * @returns {Object} Mock response
+ */
+function classificationResponse(documentType, confidence) {
+    return { content: JSON.stringify({ document_type: documentType, confidence, reason: 'Bố cục và tiêu đề của tài liệu' }) };
+}
+
+const extractionResponse = { content: TestHelpers.createMockResponseWithJson(reference) };
+
+describe('Document Classification - Unit Tests', () => {
+    describe('Classifier', () => {
+        const classifier = new DocumentClassifier({ minConfidence: 0.6 });
+
+        it('should list every document type in the prompt', () => {
+            const prompt = classifier.buildPrompt();
+
+            for (const code of Object.keys(DOCUMENT_TYPES)) {
+                assert.ok(prompt.includes(`- ${code}: `), `prompt lists ${code}`);
+            }
+        });
+
+        it('should parse fenced answers and percentage confidences', () => {
+            const parsed = classifier.parse('```json\n{"document_type": "Citizen_ID", "confidence": "87%", "reason": "Thẻ có ảnh chân dung"}\n```');
+
+            assert.deepStrictEqual(parsed, { documentType: 'citizen_id', confidence: 0.87, reason: 'Thẻ có ảnh chân dung' });
+            assert.strictEqual(classifier.parseConfidence('0,4'), 0.4);
+            assert.strictEqual(classifier.parseConfidence(null), null);
+        });
+
+        it('should map unknown codes to other and reject unusable answers', () => {
+            assert.strictEqual(classifier.parse('{"document_type": "bank_statement", "confidence": 0.9}').documentType, 'other');
+            assert.strictEqual(classifier.parse('{"confidence": 0.9}').error, 'Classification has no document_type');
+            assert.strictEqual(classifier.parse('Không rõ loại tài liệu').documentType, null);
+        });
+
+        it('should flag missing or low confidence', () => {
+            assert.strictEqual(classifier.isLowConfidence({ confidence: 0.59 }), true);
+            assert.strictEqual(classifier.isLowConfidence({ confidence: null }), true);
+            assert.strictEqual(classifier.isLowConfidence({ confidence: 0.6 }), false);
+        });
+    });
+
+    describe('Analyzer Routing', () => {
+        let analyzer;
+
+        beforeEach(() => {
+            analyzer = new RealEstateAnalyzer();
+        });
+
+        it('should route land certificates to the land-certificate extractor', async () => {
+            analyzer.openai = new MockOpenAIClient({ responses: [classificationResponse('land_certificate', 0.95), extractionResponse] });
+
+            const result = await analyzer.analyzeLandCertificate(IMAGE_URL, { classify: true });
+
+            assert.strictEqual(analyzer.openai.callCount, 2);
+            assert.strictEqual(result.success, true);
+            assert.strictEqual(result.documentType, 'land_certificate');
+            assert.strictEqual(result.classification.confidence, 0.95);
+            assert.strictEqual(result.classification.source, 'model');
+            assert.strictEqual(result.metadata.classificationTokens, 100);
+            assert.strictEqual(analyzer.openai.lastCall.params.messages[0].content[0].text, analyzer.prompts.systemPrompt);
+            assert.ok(!result.warnings.some(warning => warning.code.startsWith('CLASSIFICATION_')));
+        });
+
+        it('should return an unsupported result without extracting', async () => {
+            analyzer.openai = new MockOpenAIClient({ responses: [classificationResponse('other', 0.92), extractionResponse] });
+
+            const result = await analyzer.analyzeLandCertificate(IMAGE_URL, { classify: true });
+
+            assert.strictEqual(analyzer.openai.callCount, 1);
+            assert.strictEqual(analyzer.openai.lastCall.params.max_tokens, 300);
+            assert.strictEqual(result.success, false);
+            assert.strictEqual(result.status, 'unsupported_document');
+            assert.strictEqual(result.documentType, 'other');
+            assert.strictEqual(result.extractedData, null);
+            assert.strictEqual(result.warnings[0].code, 'UNSUPPORTED_DOCUMENT');
+            assert.match(result.message, /^Unsupported document: Other or unreadable document\. Supported: Land use rights certificate/);
+        });
+
+        it('should flag low-confidence classifications for review', async () => {
+            analyzer.openai = new MockOpenAIClient({ responses: [classificationResponse('land_certificate', 0.4), extractionResponse] });
+
+            const result = await analyzer.analyzeLandCertificate(IMAGE_URL, { classify: true });
+            const warning = result.warnings.find(item => item.code === 'CLASSIFICATION_LOW_CONFIDENCE');
+
+            assert.strictEqual(result.documentType, 'land_certificate');
+            assert.ok(warning);
+            assert.strictEqual(warning.severity, 'medium');
+        });
+
+        it('should fall back to land-certificate extraction when classification fails', async () => {
+            analyzer.openai = new MockOpenAIClient({ responses: [{ content: 'Tôi không chắc.' }, extractionResponse] });
+
+            const result = await analyzer.analyzeLandCertificate(IMAGE_URL, { classify: true });
+
+            assert.strictEqual(analyzer.openai.callCount, 2);
+            assert.strictEqual(result.success, true);
+            assert.strictEqual(result.documentType, 'land_certificate');
+            assert.strictEqual(result.classification.documentType, null);
+            assert.ok(result.warnings.some(warning => warning.code === 'CLASSIFICATION_FAILED'));
+        });
+
+        it('should trust a caller-supplied document type', async () => {
+            analyzer.openai = new MockOpenAIClient({ response: extractionResponse });
+
+            const unsupported = await analyzer.analyzeLandCertificate(IMAGE_URL, { documentType: 'other' });
+            assert.strictEqual(analyzer.openai.callCount, 0);
+            assert.strictEqual(unsupported.status, 'unsupported_document');
+            assert.strictEqual(unsupported.classification.source, 'caller');
+
+            const result = await analyzer.analyzeLandCertificate(IMAGE_URL, { documentType: 'land_certificate', classify: true });
+            assert.strictEqual(analyzer.openai.callCount, 1);
+            assert.strictEqual(result.documentType, 'land_certificate');
+            assert.ok(!result.warnings.some(warning => warning.code.startsWith('CLASSIFICATION_')));
+
+            await assert.rejects(analyzer.analyzeLandCertificate(IMAGE_URL, { documentType: 'passport' }), /Unknown document type: passport/);
+        });
+
+        it('should skip classification unless enabled', async () => {
+            analyzer.openai = new MockOpenAIClient({ response: extractionResponse });
+
+            const result = await analyzer.analyzeLandCertificate(IMAGE_URL);
+
+            assert.strictEqual(analyzer.openai.callCount, 1);
+            assert.strictEqual(result.documentType, 'land_certificate');
+            assert.strictEqual(result.classification, undefined);
+        });
+
+        it('should cache classifications', async () => {
+            analyzer = new RealEstateAnalyzer({ cache: new ResultCache({ backend: new MemoryCacheBackend() }) });
+            analyzer.openai = new MockOpenAIClient({ responses: [classificationResponse('other', 0.9)] });
+
+            await analyzer.analyzeLandCertificate(IMAGE_URL, { classify: true });
+            const second = await analyzer.analyzeLandCertificate(IMAGE_URL, { classify: true });
+
+            assert.strictEqual(analyzer.openai.callCount, 1);
+            assert.strictEqual(second.classification.source, 'cache');
+            assert.strictEqual(second.status, 'unsupported_document');
+        });
+    });
+
+    describe('HTTP API', () => {
+        let analyzer;
+        let server;
+        let baseUrl;
+
+        before(async () => {
+            analyzer = new RealEstateAnalyzer();
+            const app = createApp({ analyzer });
+
+            await new Promise(resolve => {
+                server = app.listen(0, resolve);
+            });
+            baseUrl = `http://127.0.0.1:${server.address().port}`;
+        });
+
+        after(() => {
+            server.close();
+        });
+
+        it('should answer unsupported documents with 422', async () => {
+            analyzer.openai = new MockOpenAIClient({ responses: [classificationResponse('other', 0.9)] });
+
+            const res = await fetch(`${baseUrl}/v1/analyze`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ imageUrl: IMAGE_URL, options: { classify: true } })
+            });
+            const body = await res.json();
+
+            assert.strictEqual(res.status, 422);
+            assert.strictEqual(body.status, 'unsupported_document');
+            assert.strictEqual(body.documentType, 'other');
+            assert.strictEqual(analyzer.openai.callCount, 1);
+        });
+    });
+});
+
+console.log('✅ Document classification tests completed successfully!');
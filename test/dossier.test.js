@@ -0,0 +1,443 @@
+import { describe, it, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert';
+import fs from 'fs';
+import { RealEstateAnalyzer } from '../app-refactored.js';
+import { createApp } from '../server.js';
+import { MarriageCertificateMapper } from '../lib/marriage-certificate.js';
+import { SaleContractMapper } from '../lib/sale-contract.js';
+import { CitizenIdMapper } from '../lib/citizen-id.js';
+import { DossierConsolidator } from '../lib/dossier.js';
+import { SchemaValidator } from '../lib/schema-validator.js';
+import { TestHelpers, MockOpenAIClient } from './helpers.js';
+
+// Mock environment variables for testing
+process.env.DASHSCOPE_API_KEY = 'test-api-key';
+process.env.OPENAI_BASE_URL = 'https://test-api.example.com';
+process.env.AI_MODEL = 'test-model';
+process.env.LOG_LEVEL = 'error';
+process.env.NODE_ENV = 'test';
+process.env.SAVE_RESPONSES = 'false';
+
+const reference = JSON.parse(fs.readFileSync('./output/data.json', 'utf8'));
+const JPEG_BYTES = Buffer.from([0xff, 0xd8, 0xff, 0xe0, 0x00, 0x10, 0x4a, 0x46, 0x49, 0x46]);
+
+// Documents around the demo certificate (output/data.json) and its owners
+const QUAN_CARD = {
+    document_name: 'CĂN CƯỚC CÔNG DÂN',
+    id_number: '026086012345',
+    full_name: 'NGUYỄN ANH QUÂN',
+    date_of_birth: '12/05/1986',
+    place_of_residence: 'Gia Viễn, Xã Định Trung, Thành phố Vĩnh Yên, Tỉnh Vĩnh Phúc'
+};
+
+const PHUONG_CARD = {
+    document_name: 'CĂN CƯỚC CÔNG DÂN',
+    id_number: '017187001234',
+    previous_id_number: '113287050',
+    full_name: 'Trương Thị Phương',
+    date_of_birth: '03/09/1987',
+    place_of_residence: 'Tổ 14, Phường Tân Hòa, Thành phố Hòa Bình, Tỉnh Hòa Bình'
+};
+
+const MAI_CARD = {
+    document_name: 'CĂN CƯỚC',
+    id_number: '001190004567',
+    full_name: 'LÊ THỊ MAI',
+    date_of_birth: '20/10/1990',
+    place_of_residence: 'Phường Yên Nghĩa, Quận Hà Đông, Thành phố Hà Nội'
+};
+
+const MARRIAGE = {
+    document_name: 'GIẤY CHỨNG NHẬN KẾT HÔN',
+    registration_number: '45/2012',
+    registration_date: '15/08/2012',
+    registered_by: 'Ủy ban nhân dân xã Định Trung',
+    husband: { full_name: 'Nguyễn Anh Quân', date_of_birth: '12/05/1986', id_number: 'B6075953' },
+    wife: { full_name: 'Trương Thị Phương', date_of_birth: '03/09/1987', id_number: '113287050' }
+};
+
+const CONTRACT = {
+    document_name: 'HỢP ĐỒNG MUA BÁN CĂN HỘ CHUNG CƯ',
+    contract_number: '1234/2019/HĐMB',
+    contract_date: '02/03/2019',
+    sellers: { full_name: 'Công ty Cổ phần Đầu tư Dương Nội' },
+    buyers: [
+        { full_name: 'Ông Nguyễn Anh Quân', date_of_birth: '1986', id_number: 'B6075953' },
+        { full_name: 'Bà Trương Thị Phương', date_of_birth: '1987', id_number: '113287050' }
+    ],
+    property: {
+        certificate_number: 'BV999451',
+        land_address: 'Khu đô thị mới Dương Nội, phường Yên Nghĩa, quận Hà Đông, thành phố Hà Nội',
+        area: '16.484,0 m2'
+    },
+    price: '1.850.000.000 đồng',
+    encumbrances: null
+};
+
+const canonical = {
+    land_certificate: data => data,
+    citizen_id: data => new CitizenIdMapper().map(data).data,
+    marriage_certificate: data => new MarriageCertificateMapper().map(data).data,
+    sale_contract: data => new SaleContractMapper().map(data).data
+};
+
+/**
+ * Build a dossier document as the analyzer passes it to the consolidator
+ * @param {number} index - Position in the dossier
+ * @param {string} documentType - Document type
+ * @param {Object} data - Extracted data
+ * @returns {Object} { id, name, pageCount, result }
+ */
+function doc(index, documentType, data, pageCount = 1) {
+    return {
+        id: `doc${index}`,
+        name: `${documentType}.jpg`,
+        pageCount,
+        result: { success: true, documentType, canonicalData: canonical[documentType](structuredClone(data)), warnings: [] }
+    };
+}
+
+describe('Loan Dossier - Unit Tests', () => {
+    describe('Marriage Certificates', () => {
+        it('should map a marriage certificate and validate it', () => {
+            const { data, unmappedFields } = new MarriageCertificateMapper().map({ ...MARRIAGE, ghi_chu: 'Bản chính' });
+
+            assert.strictEqual(data.document_kind, 'marriage');
+            assert.strictEqual(data.husband.full_name, 'Nguyễn Anh Quân');
+            assert.strictEqual(data.wife.id_number, '113287050');
+            assert.strictEqual(data.subject, null);
+            assert.deepStrictEqual(unmappedFields, ['/ghi_chu']);
+            assert.strictEqual(new SchemaValidator().validate(data, 'marriage-certificate.v1').valid, true);
+        });
+
+        it('should map a marital status confirmation', () => {
+            const { data } = new MarriageCertificateMapper().map({
+                title: 'GIẤY XÁC NHẬN TÌNH TRẠNG HÔN NHÂN',
+                nguoi_duoc_xac_nhan: { ho_ten: 'Nguyễn Anh Quân', ngay_sinh: '12/05/1986' },
+                tinh_trang_hon_nhan: 'Chưa đăng ký kết hôn với ai'
+            });
+
+            assert.strictEqual(data.document_kind, 'marital_status');
+            assert.strictEqual(data.subject.full_name, 'Nguyễn Anh Quân');
+            assert.strictEqual(data.marital_status, 'Chưa đăng ký kết hôn với ai');
+        });
+    });
+
+    describe('Sale Contracts', () => {
+        it('should map parties given as an object or a list', () => {
+            const { data, unmappedFields } = new SaleContractMapper().map(CONTRACT);
+
+            assert.strictEqual(data.contract_type, 'sale');
+            assert.deepStrictEqual(data.sellers.map(party => party.full_name), ['Công ty Cổ phần Đầu tư Dương Nội']);
+            assert.deepStrictEqual(data.buyers.map(party => party.id_number), ['B6075953', '113287050']);
+            assert.strictEqual(data.property.area, '16.484,0 m2');
+            assert.deepStrictEqual(unmappedFields, []);
+            assert.strictEqual(new SchemaValidator().validate(data, 'sale-contract.v1').valid, true);
+        });
+
+        it('should read the contract type from the title', () => {
+            const { data } = new SaleContractMapper().map({ title: 'Hợp đồng chuyển nhượng quyền sử dụng đất', ben_a: [], ben_b: [] });
+
+            assert.strictEqual(data.contract_type, 'transfer');
+        });
+    });
+
+    describe('Consolidation', () => {
+        const consolidator = new DossierConsolidator();
+
+        it('should merge a consistent dossier and keep the source of every fact', () => {
+            const profile = consolidator.consolidate([
+                doc(1, 'land_certificate', reference, 3),
+                doc(2, 'citizen_id', QUAN_CARD),
+                doc(3, 'citizen_id', PHUONG_CARD),
+                doc(4, 'marriage_certificate', MARRIAGE),
+                doc(5, 'sale_contract', CONTRACT)
+            ]);
+
+            assert.strictEqual(profile.status, 'consistent');
+            assert.deepStrictEqual(profile.conflicts, []);
+            assert.deepStrictEqual(profile.missing, []);
+            assert.deepStrictEqual(profile.unassignedDocuments, []);
+
+            assert.deepStrictEqual(profile.property.area, {
+                value: '16484,0 m²',
+                sources: [
+                    { document: 'doc1', documentType: 'land_certificate', page: null, path: '/land_information/area' },
+                    { document: 'doc5', documentType: 'sale_contract', page: 1, path: '/property/area' }
+                ]
+            });
+            assert.deepStrictEqual(profile.property.certificate_number.sources.map(source => source.document), ['doc1', 'doc5']);
+            assert.strictEqual(profile.property.assets.length, 1);
+
+            const [quan, phuong] = profile.legalOwners;
+            assert.strictEqual(quan.full_name.value, 'Nguyễn Anh Quân');
+            assert.strictEqual(quan.card, 'doc2');
+            assert.strictEqual(quan.spouse.value, 'Trương Thị Phương');
+            assert.deepStrictEqual(quan.date_of_birth.sources.map(source => source.document), ['doc1', 'doc2', 'doc4', 'doc5']);
+            assert.deepStrictEqual(phuong.id_number.sources.map(source => source.path), ['/property_owners/1/id_number', '/previous_id_number', '/wife/id_number', '/buyers/1/id_number']);
+
+            // Both spouses are owners, so no one else has to consent
+            assert.deepStrictEqual(profile.spousesToConsent, []);
+            assert.deepStrictEqual(profile.contracts.map(contract => [contract.role, contract.price.value]), [['acquisition', '1.850.000.000 đồng']]);
+        });
+
+        it('should list a spouse who is not an owner as having to consent', () => {
+            const certificate = { ...reference, property_owners: [reference.property_owners[0]] };
+            const marriage = { ...MARRIAGE, wife: { full_name: 'Lê Thị Mai', date_of_birth: '20/10/1990' } };
+
+            const profile = consolidator.consolidate([
+                doc(1, 'land_certificate', certificate),
+                doc(2, 'marriage_certificate', marriage),
+                doc(3, 'citizen_id', MAI_CARD)
+            ]);
+            const [spouse] = profile.spousesToConsent;
+
+            assert.strictEqual(profile.spousesToConsent.length, 1);
+            assert.strictEqual(spouse.full_name.value, 'Lê Thị Mai');
+            assert.strictEqual(spouse.spouse_of, 'Nguyễn Anh Quân');
+            assert.strictEqual(spouse.card, 'doc3');
+            assert.strictEqual(spouse.id_number.value, '001190004567');
+            assert.deepStrictEqual(spouse.date_of_birth.sources.map(source => source.document), ['doc2', 'doc3']);
+
+            // The owner still has no card of his own
+            assert.strictEqual(profile.status, 'incomplete');
+            assert.deepStrictEqual(profile.missing.map(item => [item.documentType, item.path]), [['citizen_id', '/legalOwners/0']]);
+        });
+
+        it('should list conflicts between documents with each value and its source', () => {
+            const contract = {
+                ...CONTRACT,
+                property: { ...CONTRACT.property, certificate_number: 'BV 999415', area: '164,8 m2' },
+                buyers: [{ full_name: 'Phạm Văn Hùng' }]
+            };
+            const marriage = { ...MARRIAGE, husband: { ...MARRIAGE.husband, date_of_birth: '12/05/1985' } };
+
+            const profile = consolidator.consolidate([
+                doc(1, 'land_certificate', reference),
+                doc(2, 'citizen_id', QUAN_CARD),
+                doc(3, 'citizen_id', PHUONG_CARD),
+                doc(4, 'marriage_certificate', marriage),
+                doc(5, 'sale_contract', contract)
+            ]);
+            const byPath = Object.fromEntries(profile.conflicts.map(conflict => [conflict.path, conflict]));
+
+            assert.strictEqual(profile.status, 'conflicting');
+            assert.deepStrictEqual(Object.keys(byPath).sort(), ['/contracts', '/legalOwners/0/date_of_birth', '/property/area', '/property/certificate_number']);
+            assert.deepStrictEqual(byPath['/property/area'].values, [
+                { value: '16484,0 m²', source: { document: 'doc1', documentType: 'land_certificate', page: 1, path: '/land_information/area' } },
+                { value: '164,8 m2', source: { document: 'doc5', documentType: 'sale_contract', page: 1, path: '/property/area' } }
+            ]);
+            assert.strictEqual(byPath['/property/certificate_number'].severity, 'high');
+            assert.strictEqual(byPath['/legalOwners/0/date_of_birth'].code, 'OWNER_MISMATCH');
+            assert.match(byPath['/legalOwners/0/date_of_birth'].message, /marriage_certificate doc4 has "12\/05\/1985"/);
+            assert.strictEqual(byPath['/contracts'].code, 'CONTRACT_PARTIES_MISMATCH');
+
+            // The certificate keeps its value; the card agreed with it
+            assert.strictEqual(profile.legalOwners[0].date_of_birth.value, '1986');
+            assert.deepStrictEqual(profile.legalOwners[0].date_of_birth.sources.map(source => source.document), ['doc1', 'doc2']);
+        });
+
+        it('should flag an owner confirmed as unmarried who has a marriage certificate', () => {
+            const confirmation = { document_kind: 'marital_status', subject: { full_name: 'Nguyễn Anh Quân' }, marital_status: 'Chưa đăng ký kết hôn với ai' };
+
+            const profile = consolidator.consolidate([
+                doc(1, 'land_certificate', reference),
+                doc(2, 'marriage_certificate', confirmation),
+                doc(3, 'marriage_certificate', MARRIAGE)
+            ]);
+            const conflict = profile.conflicts.find(item => item.code === 'MARITAL_STATUS_MISMATCH');
+
+            assert.strictEqual(conflict.path, '/legalOwners/0/marital_status');
+            assert.deepStrictEqual(conflict.values.map(value => value.source.document), ['doc2', 'doc3']);
+        });
+
+        it('should read registered mortgages and their release', () => {
+            const certificate = {
+                ...reference,
+                changes_after_certificate: {
+                    content: 'Thế chấp bằng quyền sử dụng đất tại Ngân hàng TMCP Á Châu, hồ sơ số 123.\nXóa thế chấp ngày 10/01/2021.\nThế chấp tại Ngân hàng TMCP Ngoại thương Việt Nam ngày 05/03/2022',
+                    confirmation: 'Văn phòng đăng ký đất đai Hà Nội'
+                }
+            };
+            const contract = { ...CONTRACT, encumbrances: 'Bên A cam đoan căn hộ không bị thế chấp, không có tranh chấp' };
+
+            const profile = consolidator.consolidate([doc(1, 'land_certificate', certificate), doc(2, 'sale_contract', contract)]);
+
+            assert.deepStrictEqual(profile.encumbrances.map(item => [item.type, item.status, item.source.document]), [
+                ['mortgage', 'released', 'doc1'],
+                ['mortgage', 'active', 'doc1']
+            ]);
+            assert.strictEqual(profile.encumbrances[0].release.text, 'Xóa thế chấp ngày 10/01/2021');
+            assert.match(profile.encumbrances[1].text, /Ngoại thương/);
+        });
+
+        it('should read "giải chấp" and "xóa nội dung đăng ký thế chấp" as releases', () => {
+            for (const release of ['Đã giải chấp ngày 10/01/2021', 'Xóa nội dung đăng ký thế chấp ngày 10/01/2021']) {
+                const certificate = {
+                    ...reference,
+                    changes_after_certificate: { content: `Thế chấp tại Ngân hàng TMCP Á Châu.\n${release}`, confirmation: null }
+                };
+
+                const profile = consolidator.consolidate([doc(1, 'land_certificate', certificate)]);
+
+                assert.deepStrictEqual(profile.encumbrances.map(item => [item.type, item.status]), [['mortgage', 'released']], release);
+                assert.strictEqual(profile.encumbrances[0].release.text, release);
+            }
+
+            const seizure = { ...reference, changes_after_certificate: { content: 'Kê biên tài sản ngày 01/02/2020.\nGiải tỏa kê biên ngày 05/06/2020', confirmation: null } };
+            assert.deepStrictEqual(consolidator.consolidate([doc(1, 'land_certificate', seizure)]).encumbrances.map(item => [item.type, item.status]), [['seizure', 'released']]);
+        });
+
+        it('should report missing, unsupported and failed documents', () => {
+            const profile = consolidator.consolidate([
+                doc(1, 'citizen_id', QUAN_CARD),
+                { id: 'doc2', name: 'note.jpg', pageCount: null, result: { success: false, status: 'unsupported_document', documentType: 'other', canonicalData: null, message: 'Unsupported document: Other', warnings: [] } },
+                { id: 'doc3', name: 'broken.pdf', pageCount: null, result: null, error: 'Land certificate analysis failed: timeout' }
+            ]);
+
+            assert.strictEqual(profile.status, 'incomplete');
+            assert.deepStrictEqual(profile.missing.map(item => item.documentType), ['land_certificate']);
+            assert.deepStrictEqual(profile.documents.map(document => [document.id, document.status]), [['doc1', 'analyzed'], ['doc2', 'unsupported'], ['doc3', 'failed']]);
+            assert.strictEqual(profile.documents[2].error, 'Land certificate analysis failed: timeout');
+            assert.deepStrictEqual(profile.unassignedDocuments, ['doc1', 'doc2', 'doc3']);
+            assert.deepStrictEqual(profile.legalOwners, []);
+        });
+    });
+
+    describe('Analyzer Integration', () => {
+        let analyzer;
+
+        beforeEach(() => {
+            analyzer = new RealEstateAnalyzer();
+        });
+
+        it('should classify every document and extract it with its own extractor', async () => {
+            const classification = documentType => ({ content: JSON.stringify({ document_type: documentType, confidence: 0.95, reason: 'test' }) });
+            analyzer.openai = new MockOpenAIClient({
+                responses: [
+                    classification('land_certificate'),
+                    { content: TestHelpers.createMockResponseWithJson(reference) },
+                    { content: TestHelpers.createMockResponseWithJson(QUAN_CARD) },
+                    classification('marriage_certificate'),
+                    { content: TestHelpers.createMockResponseWithJson(MARRIAGE) },
+                    classification('other')
+                ]
+            });
+
+            const dossier = await analyzer.analyzeDossier([
+                'https://example.com/so-do.jpg',
+                { input: ['https://example.com/front.jpg', 'https://example.com/back.jpg'], name: 'cccd-quan', documentType: 'citizen_id' },
+                'https://example.com/ket-hon.jpg',
+                'https://example.com/ghi-chu.jpg',
+                { input: 'https://example.com/passport.jpg', documentType: 'passport' }
+            ], { includeResults: true });
+
+            assert.strictEqual(analyzer.openai.callCount, 6);
+            assert.strictEqual(dossier.success, true);
+            assert.deepStrictEqual(dossier.documents.map(document => [document.documentType, document.status, document.pageCount]), [
+                ['land_certificate', 'analyzed', 1],
+                ['citizen_id', 'analyzed', 2],
+                ['marriage_certificate', 'analyzed', 1],
+                ['other', 'unsupported', null],
+                [null, 'failed', null]
+            ]);
+            assert.match(dossier.documents[4].error, /Unknown document type: passport/);
+            assert.strictEqual(dossier.documents[1].name, 'cccd-quan');
+            assert.strictEqual(dossier.results.doc3.schemaValidation.schema, 'marriage-certificate.v1');
+            assert.strictEqual(dossier.results.doc3.normalizedData.registration_date.value, '2012-08-15');
+            assert.strictEqual(dossier.legalOwners[0].card, 'doc2');
+            assert.strictEqual(dossier.legalOwners[1].spouse.value, 'Nguyễn Anh Quân');
+            assert.deepStrictEqual(dossier.unassignedDocuments, ['doc4', 'doc5']);
+        });
+
+        it('should reuse saved results and reject an empty dossier', async () => {
+            analyzer.openai = new MockOpenAIClient({ response: { content: TestHelpers.createMockResponseWithJson(CONTRACT) } });
+            const saved = doc(1, 'land_certificate', reference).result;
+
+            const dossier = await analyzer.analyzeDossier([{ result: saved, name: 'so-do.json' }, { input: 'https://example.com/hop-dong.jpg', documentType: 'sale_contract' }]);
+
+            assert.strictEqual(analyzer.openai.callCount, 1);
+            assert.strictEqual(analyzer.openai.lastCall.params.messages[0].content[0].text, analyzer.prompts.saleContractPrompt);
+            assert.strictEqual(dossier.results, undefined);
+            assert.deepStrictEqual(dossier.contracts.map(contract => contract.role), ['acquisition']);
+            await assert.rejects(analyzer.analyzeDossier([]), /at least one document/);
+        });
+    });
+
+    describe('HTTP API', () => {
+        let analyzer;
+        let server;
+        let baseUrl;
+
+        before(async () => {
+            analyzer = new RealEstateAnalyzer();
+            const app = createApp({ analyzer, maxDossierFiles: 3 });
+
+            await new Promise(resolve => {
+                server = app.listen(0, resolve);
+            });
+            baseUrl = `http://127.0.0.1:${server.address().port}`;
+        });
+
+        after(() => {
+            server.close();
+        });
+
+        const postJson = body => fetch(`${baseUrl}/v1/dossier`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(body)
+        });
+
+        it('should consolidate uploaded files with their document types', async () => {
+            analyzer.openai = new MockOpenAIClient({
+                responses: [
+                    { content: TestHelpers.createMockResponseWithJson(reference) },
+                    { content: TestHelpers.createMockResponseWithJson(PHUONG_CARD) }
+                ]
+            });
+            const form = new FormData();
+            form.append('files', new Blob([JPEG_BYTES]), 'so-do.jpg');
+            form.append('files', new Blob([JPEG_BYTES]), 'cccd-phuong.jpg');
+            form.append('documentTypes', JSON.stringify(['land_certificate', 'citizen_id']));
+            form.append('options', JSON.stringify({ decodeQr: false }));
+
+            const res = await fetch(`${baseUrl}/v1/dossier`, { method: 'POST', body: form });
+            const body = await res.json();
+
+            assert.strictEqual(res.status, 200);
+            assert.deepStrictEqual(body.documents.map(document => document.name), ['so-do.jpg', 'cccd-phuong.jpg']);
+            assert.strictEqual(body.legalOwners[1].card, 'doc2');
+            assert.strictEqual(body.status, 'incomplete');
+        });
+
+        it('should analyze documents given by URL', async () => {
+            analyzer.openai = new MockOpenAIClient({ response: { content: TestHelpers.createMockResponseWithJson(reference) } });
+
+            const res = await postJson({ documents: [{ imageUrl: 'https://example.com/so-do.jpg', documentType: 'land_certificate', name: 'so-do' }] });
+            const body = await res.json();
+
+            assert.strictEqual(res.status, 200);
+            assert.strictEqual(body.documents[0].name, 'so-do');
+            assert.strictEqual(body.property.certificate_number.value, 'BV 999451');
+        });
+
+        it('should validate the request', async () => {
+            const cases = [
+                [{}, 'MISSING_INPUT'],
+                [{ documents: [{ imageUrl: 'ftp://example.com/a.jpg' }] }, 'INVALID_IMAGE_URL'],
+                [{ documents: [{ imageUrl: 'https://example.com/a.jpg', documentType: 'passport' }] }, 'INVALID_DOCUMENT_TYPE'],
+                [{ documents: [{ imageUrl: 'https://example.com/a.jpg', documentType: 'toString' }] }, 'INVALID_DOCUMENT_TYPE'],
+                [{ documents: Array(4).fill({ imageUrl: 'https://example.com/a.jpg' }) }, 'TOO_MANY_DOCUMENTS']
+            ];
+
+            for (const [body, code] of cases) {
+                const res = await postJson(body);
+                assert.strictEqual(res.status, 400);
+                assert.strictEqual((await res.json()).error.code, code);
+            }
+        });
+    });
+});
+
+console.log('✅ Loan dossier tests completed successfully!');
@@ -0,0 +1,321 @@
+import { describe, it, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert';
+import fs from 'fs';
+import { RealEstateAnalyzer } from '../app-refactored.js';
+import { createApp } from '../server.js';
+import { EnsembleVoter, fieldKey } from '../lib/ensemble.js';
+import { ResultCache, MemoryCacheBackend } from '../lib/result-cache.js';
+import { LandCertificateMapper } from '../lib/land-certificate-mapper.js';
+import { VietnameseNormalizer } from '../lib/normalizer.js';
+import { TestHelpers, MockOpenAIClient } from './helpers.js';
+
+// Mock environment variables for testing
+process.env.DASHSCOPE_API_KEY = 'test-api-key';
+process.env.OPENAI_BASE_URL = 'https://test-api.example.com';
+process.env.AI_MODEL = 'test-model';
+process.env.LOG_LEVEL = 'error';
+process.env.NODE_ENV = 'test';
+process.env.SAVE_RESPONSES = 'false';
+process.env.QR_DECODE = 'false';
+process.env.MAX_RETRIES = '1';
+
+const reference = JSON.parse(fs.readFileSync('./output/data.json', 'utf8'));
+const [husband, wife] = reference.property_owners;
+
+/**
+ * Build the canonical and normalized data of a run without a model call
+ */
+function createRun(extracted) {
+    const { data } = new LandCertificateMapper().map(extracted);
+    return { canonicalData: data, normalizedData: new VietnameseNormalizer().normalizeDocument(data).data };
+}
+
+/**
+ * Mock client answering with the given extractions in call order, recording every request
+ */
+function createClient(extractions) {
+    const client = new MockOpenAIClient({
+        responses: extractions.map(data => ({ content: typeof data === 'string' ? data : TestHelpers.createMockResponseWithJson(data) }))
+    });
+    const create = client.chat.completions.create;
+    client.requests = [];
+    client.chat.completions.create = params => {
+        client.requests.push(params);
+        return create(params);
+    };
+    return client;
+}
+
+describe('Ensemble Consensus - Unit Tests', () => {
+    const voter = new EnsembleVoter();
+
+    describe('Field comparison', () => {
+        it('should compare dates, areas and text by their normalized values', () => {
+            const normalizer = new VietnameseNormalizer();
+
+            assert.strictEqual(fieldKey(normalizer.normalizeDate('06 tháng 04 năm 2019')), fieldKey(normalizer.normalizeDate('06/04/2019')));
+            assert.notStrictEqual(fieldKey(normalizer.normalizeDate('20/04/2014')), fieldKey(normalizer.normalizeDate('06/04/2019')));
+            assert.strictEqual(fieldKey(normalizer.normalizeArea('16484,0 m²')), fieldKey(normalizer.normalizeArea('1,6484 ha')));
+            assert.strictEqual(fieldKey(normalizer.normalizeText('CS 05495')), fieldKey(normalizer.normalizeText('cs05495')));
+            // Diacritics are part of a name
+            assert.notStrictEqual(fieldKey(normalizer.normalizeText('Nguyễn Anh Quân')), fieldKey(normalizer.normalizeText('Nguyen Anh Quan')));
+            assert.strictEqual(fieldKey(normalizer.normalizeText(null)), null);
+            // A value that could not be normalized is no reading to vote for
+            assert.strictEqual(fieldKey(normalizer.normalizeDate('Cục QL.XNC')), null);
+            assert.strictEqual(fieldKey(normalizer.normalizeExpiryDate('Không thời hạn')), fieldKey(normalizer.normalizeExpiryDate('KHÔNG THỜI HẠN')));
+            assert.notStrictEqual(fieldKey(normalizer.normalizeExpiryDate('Không thời hạn')), null);
+        });
+    });
+
+    describe('Voting', () => {
+        it('should take the majority value and report the disagreement', () => {
+            const vote = voter.vote([
+                createRun(reference),
+                createRun({ ...reference, issue_date: '06/04/2019' }),
+                createRun({ ...reference, issue_date: '20/04/2014' })
+            ]);
+
+            assert.strictEqual(vote.canonicalData.issue_date, '06 tháng 04 năm 2019');
+            assert.deepStrictEqual(vote.fields['/issue_date'], { status: 'majority', agreement: 0.67, value: '2019-04-06' });
+            assert.strictEqual(vote.agreement['/land_information/area'], 1);
+            assert.deepStrictEqual(vote.disagreements, [{
+                kind: 'field',
+                path: '/issue_date',
+                status: 'majority',
+                agreement: 0.67,
+                consensus: '06 tháng 04 năm 2019',
+                values: [
+                    { value: '06 tháng 04 năm 2019', normalized: '2019-04-06', runs: [0, 1] },
+                    { value: '20/04/2014', normalized: '2014-04-20', runs: [2] }
+                ]
+            }]);
+            assert.deepStrictEqual(vote.sources['/issue_date'], [{ run: 0, pointer: '/issue_date' }, { run: 1, pointer: '/issue_date' }]);
+        });
+
+        it('should align owners by ID number or name rather than position', () => {
+            const vote = voter.vote([
+                createRun(reference),
+                createRun({ ...reference, property_owners: [wife, husband] }),
+                createRun({ ...reference, property_owners: [{ ...wife, id_number: null }, husband] })
+            ]);
+
+            assert.deepStrictEqual(vote.canonicalData.property_owners.map(owner => owner.full_name), ['Nguyễn Anh Quân', 'Trương Thị Phương']);
+            assert.deepStrictEqual(vote.disagreements.map(item => item.path), ['/property_owners/1/id_number']);
+            assert.deepStrictEqual(vote.sources['/property_owners/1/full_name'].map(source => source.pointer), [
+                '/property_owners/1/full_name',
+                '/property_owners/0/full_name',
+                '/property_owners/0/full_name'
+            ]);
+        });
+
+        it('should drop entries read by fewer than half of the runs', () => {
+            const stranger = { ...wife, full_name: 'Lê Văn Tám', id_number: '001090000123' };
+            const vote = voter.vote([
+                createRun(reference),
+                createRun(reference),
+                createRun({ ...reference, property_owners: [husband, wife, stranger] })
+            ]);
+            const dropped = vote.disagreements.find(item => item.kind === 'item');
+
+            assert.strictEqual(vote.canonicalData.property_owners.length, 2);
+            assert.strictEqual(dropped.path, '/property_owners');
+            assert.strictEqual(dropped.status, 'majority');
+            assert.strictEqual(dropped.values[0].value.full_name, 'Lê Văn Tám');
+            assert.deepStrictEqual(dropped.values.map(value => value.runs), [[2], [0, 1]]);
+        });
+
+        it('should break ties toward a value, then toward the earliest run', () => {
+            const runs = [
+                createRun({ ...reference, issue_date: null, notes: 'Thửa đất không có tranh chấp' }),
+                createRun({ ...reference, issue_date: '20/04/2014', notes: 'Đất có nhà ở' })
+            ];
+            const vote = voter.vote(runs);
+
+            assert.strictEqual(vote.canonicalData.issue_date, '20/04/2014');
+            assert.strictEqual(vote.canonicalData.notes, 'Thửa đất không có tranh chấp');
+            assert.strictEqual(vote.fields['/notes'].status, 'no_majority');
+            assert.strictEqual(vote.fields['/notes'].agreement, 0.5);
+        });
+
+        it('should leave runs without data out of the vote', () => {
+            const vote = voter.vote([null, { success: true, canonicalData: null }, createRun(reference), createRun(reference)]);
+
+            assert.deepStrictEqual(vote.voters, [2, 3]);
+            assert.deepStrictEqual(vote.disagreements, []);
+            assert.throws(() => voter.vote([null, { canonicalData: null }]), /No run extracted data/);
+        });
+    });
+
+    describe('Analyzer Integration', () => {
+        let analyzer;
+
+        beforeEach(() => {
+            analyzer = new RealEstateAnalyzer();
+        });
+
+        it('should sample one model and score the consensus with the runs\' agreement', async () => {
+            analyzer.openai = createClient([reference, { ...reference, issue_date: '20/04/2014' }, { ...reference, issue_date: '06/04/2019' }]);
+
+            const result = await analyzer.analyzeEnsemble('https://example.com/so-do.jpg', { ensemble: { samples: 3 } });
+            const requests = analyzer.openai.requests;
+
+            assert.strictEqual(requests.length, 3);
+            assert.deepStrictEqual(requests.map(params => params.temperature), [0.7, 0.7, 0.7]);
+            assert.strictEqual(result.success, true);
+            assert.strictEqual(result.canonicalData.issue_date, '06 tháng 04 năm 2019');
+            assert.strictEqual(result.normalizedData.issue_date.value, '2019-04-06');
+            assert.deepStrictEqual(result.ensemble.runs.map(run => [run.sample, run.voted]), [[1, true], [2, true], [3, true]]);
+            assert.deepStrictEqual(result.ensemble.disagreements.map(item => item.path), ['/issue_date']);
+            assert.strictEqual(result.metadata.totalTokens, 300);
+            assert.strictEqual(result.confidence.fields['/issue_date'].signals.agreement, 0.67);
+            assert.strictEqual(result.confidence.fields['/land_information/area'].signals.agreement, 1);
+        });
+
+        it('should run every model once through the same pipeline', async () => {
+            analyzer.openai = createClient([reference]);
+
+            const result = await analyzer.analyzeEnsemble('https://example.com/so-do.jpg', {
+                ensemble: { models: ['qwen-vl-max', 'dashscope:qwen-vl-plus'] }
+            });
+
+            assert.deepStrictEqual(analyzer.openai.requests.map(params => params.model), ['qwen-vl-max', 'qwen-vl-plus']);
+            assert.deepStrictEqual(analyzer.openai.requests.map(params => params.temperature), [0.1, 0.1]);
+            assert.deepStrictEqual(result.ensemble.runs.map(run => run.model), ['qwen-vl-max', 'qwen-vl-plus']);
+            assert.strictEqual(result.ensemble.voters, 2);
+            assert.deepStrictEqual(result.ensemble.disagreements, []);
+            // The analyzer's own provider is unchanged
+            assert.strictEqual(analyzer.provider.model, 'test-model');
+        });
+
+        it('should give models of other providers only their own credentials', () => {
+            const saved = { ...process.env };
+            Object.assign(process.env, {
+                AI_PROVIDER: 'dashscope',
+                AI_API_KEY: 'sk-dashscope-secret',
+                OPENAI_API_KEY: 'sk-openai-secret',
+                OPENAI_BASE_URL: 'https://dashscope-intl.aliyuncs.com/compatible-mode/v1'
+            });
+            try {
+                const openai = new RealEstateAnalyzer().createEnsembleProvider('openai:gpt-4o');
+                const llamacpp = new RealEstateAnalyzer().createEnsembleProvider('llamacpp:qwen');
+
+                assert.deepStrictEqual([openai.name, openai.model, openai.apiKey, openai.baseURL], ['openai', 'gpt-4o', 'sk-openai-secret', 'https://api.openai.com/v1']);
+                assert.deepStrictEqual([llamacpp.name, llamacpp.apiKey, llamacpp.baseURL], ['llamacpp', null, 'http://localhost:8080/v1']);
+            } finally {
+                process.env = saved;
+            }
+        });
+
+        it('should vote without the runs that extracted nothing', async () => {
+            analyzer.openai = createClient([reference, 'Không đọc được ảnh', reference]);
+
+            const result = await analyzer.analyzeEnsemble('https://example.com/so-do.jpg', { maxRepairRounds: 0, ensemble: { samples: 3 } });
+
+            assert.deepStrictEqual(result.ensemble.runs.map(run => run.voted), [true, false, true]);
+            assert.strictEqual(result.ensemble.voters, 2);
+            assert.strictEqual(result.metadata.totalTokens, 200);
+        });
+
+        it('should carry the certainty of the runs behind each consensus value', async () => {
+            analyzer.openai = createClient([
+                { ...reference, _confidence: { '/issue_date': 0.9 } },
+                { ...reference, _confidence: { '/issue_date': 0.7 } },
+                { ...reference, issue_date: '20/04/2014', _confidence: { '/issue_date': 0.95 } }
+            ]);
+
+            const result = await analyzer.analyzeEnsemble('https://example.com/so-do.jpg', { modelConfidence: true, ensemble: { samples: 3 } });
+
+            assert.strictEqual(result.modelCertainty.canonical['/issue_date'], 0.8);
+            assert.strictEqual(result.confidence.fields['/issue_date'].score, 0.54);
+        });
+
+        it('should keep samples apart in the result cache', async () => {
+            analyzer = new RealEstateAnalyzer({ cache: new ResultCache({ backend: new MemoryCacheBackend() }) });
+            analyzer.openai = createClient([reference, { ...reference, issue_date: '20/04/2014' }]);
+
+            await analyzer.analyzeEnsemble('https://example.com/so-do.jpg', { ensemble: { samples: 2 } });
+            const cached = await analyzer.analyzeEnsemble('https://example.com/so-do.jpg', { ensemble: { samples: 2 } });
+
+            assert.strictEqual(analyzer.openai.requests.length, 2);
+            assert.deepStrictEqual(cached.ensemble.disagreements.map(item => item.path), ['/issue_date']);
+        });
+
+        it('should refuse an ensemble of one run and fail when no run extracts data', async () => {
+            analyzer.openai = createClient(['Không đọc được ảnh']);
+
+            assert.throws(() => analyzer.resolveEnsembleMembers({ models: ['qwen-vl-max'], samples: 1 }), /at least two runs/);
+            assert.throws(() => analyzer.resolveEnsembleMembers({ models: ['qwen-vl-max', 'qwen-vl-plus'], samples: 4 }), /8 runs exceeds the limit of 6/);
+            await assert.rejects(
+                analyzer.analyzeEnsemble('https://example.com/so-do.jpg', { maxRepairRounds: 0, ensemble: { samples: 2 } }),
+                /no run extracted data/
+            );
+        });
+    });
+
+    describe('HTTP API', () => {
+        let analyzer;
+        let server;
+        let baseUrl;
+
+        before(async () => {
+            analyzer = new RealEstateAnalyzer();
+            await new Promise(resolve => {
+                server = createApp({ analyzer }).listen(0, resolve);
+            });
+            baseUrl = `http://127.0.0.1:${server.address().port}`;
+        });
+
+        after(() => {
+            server.close();
+        });
+
+        const post = options => fetch(`${baseUrl}/v1/analyze`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ imageUrl: 'https://example.com/so-do.jpg', options })
+        });
+
+        it('should run an ensemble when options.ensemble is given', async () => {
+            analyzer.openai = createClient([reference, { ...reference, issue_date: '20/04/2014' }, reference]);
+
+            const res = await post({ ensemble: { samples: 3 } });
+            const body = await res.json();
+
+            assert.strictEqual(res.status, 200);
+            assert.strictEqual(body.ensemble.voters, 3);
+            assert.strictEqual(body.canonicalData.issue_date, '06 tháng 04 năm 2019');
+        });
+
+        it('should only accept model names over HTTP', async () => {
+            const res = await post({ ensemble: { models: [{ name: 'openai', baseURL: 'https://attacker.example.com' }] } });
+            const body = await res.json();
+
+            assert.strictEqual(res.status, 400);
+            assert.strictEqual(body.error.code, 'INVALID_OPTIONS');
+        });
+
+        it('should only accept the models configured on the server', async () => {
+            analyzer.openai = createClient([reference]);
+
+            for (const models of [['openai:gpt-4o'], ['test-model', 'qwen-vl-max']]) {
+                const res = await post({ ensemble: { models } });
+                const body = await res.json();
+
+                assert.strictEqual(res.status, 400, JSON.stringify(models));
+                assert.match(body.error.message, /not configured on this server/);
+            }
+            assert.strictEqual(analyzer.openai.requests.length, 0);
+        });
+
+        it('should cap the number of samples', async () => {
+            analyzer.openai = createClient([reference]);
+
+            const res = await post({ ensemble: { models: ['test-model'], samples: 1000 } });
+            const body = await res.json();
+
+            assert.strictEqual(res.status, 200);
+            assert.strictEqual(body.ensemble.runs.length, 5);
+            assert.strictEqual(analyzer.openai.requests.length, 5);
+        });
+    });
+});
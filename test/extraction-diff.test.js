@@ -0,0 +1,192 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert';
+import fs from 'fs';
+import { RealEstateAnalyzer } from '../app-refactored.js';
+import { createApp } from '../server.js';
+import { ExtractionDiffer, formatDiffTable } from '../lib/extraction-diff.js';
+import { LandCertificateMapper } from '../lib/land-certificate-mapper.js';
+
+// Mock environment variables for testing
+process.env.DASHSCOPE_API_KEY = 'test-api-key';
+process.env.OPENAI_BASE_URL = 'https://test-api.example.com';
+process.env.AI_MODEL = 'test-model';
+process.env.LOG_LEVEL = 'error';
+process.env.NODE_ENV = 'test';
+process.env.SAVE_RESPONSES = 'false';
+
+const reference = JSON.parse(fs.readFileSync('./output/data.json', 'utf8'));
+const [husband, wife] = reference.property_owners;
+
+/**
+ * Reference data with some fields replaced
+ */
+function withChanges({ land = {}, owners = reference.property_owners, ...changes }) {
+    return { ...reference, ...changes, property_owners: owners, land_information: { ...reference.land_information, ...land } };
+}
+
+describe('Extraction Diff - Unit Tests', () => {
+    const differ = new ExtractionDiffer();
+
+    describe('Classification', () => {
+        it('should find no differences between the same extraction', () => {
+            const diff = differ.diff(reference, structuredClone(reference));
+
+            assert.deepStrictEqual(diff.differences, []);
+            assert.deepStrictEqual(diff.summary, { unchanged: 38, missing: 0, added: 0, changed: 0, formatting: 0 });
+            assert.strictEqual(diff.documentType, 'land_certificate');
+        });
+
+        it('should classify missing, added, changed and formatting-only differences', () => {
+            const right = withChanges({
+                issue_date: '06/04/2019',
+                metadata: { ...reference.metadata, certificate_number: 'BV 999415' },
+                land: { plot_number: '-/-', map_sheet_number: '12', area: '16484 m2' }
+            });
+            const diff = differ.diff(reference, right);
+            const byPath = Object.fromEntries(diff.differences.map(difference => [difference.path, difference]));
+
+            assert.deepStrictEqual(byPath['/issue_date'], {
+                path: '/issue_date',
+                type: 'formatting',
+                left: '06 tháng 04 năm 2019',
+                right: '06/04/2019',
+                normalized: { left: '2019-04-06', right: '2019-04-06' }
+            });
+            assert.strictEqual(byPath['/land_information/area'].type, 'formatting');
+            assert.strictEqual(byPath['/metadata/certificate_number'].type, 'changed');
+            assert.deepStrictEqual([byPath['/land_information/plot_number'].type, byPath['/land_information/plot_number'].right], ['missing', '-/-']);
+            assert.deepStrictEqual([byPath['/land_information/map_sheet_number'].type, byPath['/land_information/map_sheet_number'].left], ['added', null]);
+            assert.deepStrictEqual(diff.summary, { unchanged: 34, missing: 1, added: 1, changed: 1, formatting: 2 });
+        });
+
+        it('should compare text that could not be normalized as read', () => {
+            const right = withChanges({ owners: [{ ...husband, id_issued_date: 'Cục QL.XNC' }, wife] });
+            const [difference] = differ.diff(reference, right).differences;
+
+            assert.deepStrictEqual([difference.path, difference.type, difference.normalized.right], ['/property_owners/0/id_issued_date', 'changed', null]);
+        });
+    });
+
+    describe('Owners', () => {
+        it('should match owners by ID number or name, not position', () => {
+            const diff = differ.diff(reference, withChanges({ owners: [{ ...wife, id_number: '113287059' }, husband] }));
+
+            assert.deepStrictEqual(diff.differences, [{
+                path: '/property_owners/1/id_number',
+                rightPath: '/property_owners/0/id_number',
+                type: 'changed',
+                left: '113287050',
+                right: '113287059',
+                normalized: { left: '113287050', right: '113287059' }
+            }]);
+        });
+
+        it('should report an owner only one side has as one entry', () => {
+            const stranger = { full_name: 'Lê Văn Tám', id_number: '001090000123' };
+            const diff = differ.diff(reference, withChanges({ owners: [husband, stranger] }));
+
+            assert.deepStrictEqual(diff.differences.map(difference => [difference.path, difference.type]), [
+                ['/property_owners/1', 'missing'],
+                ['/property_owners/1', 'added']
+            ]);
+            assert.strictEqual(diff.differences[0].left.full_name, 'Trương Thị Phương');
+            assert.deepStrictEqual([diff.differences[1].right.full_name, diff.differences[1].right.id_number], ['Lê Văn Tám', '001090000123']);
+        });
+    });
+
+    describe('Inputs', () => {
+        it('should accept analysis results and extracted data alike', () => {
+            const canonicalData = new LandCertificateMapper().map(reference).data;
+            const diff = differ.diff(
+                { success: true, documentType: 'land_certificate', extractedData: reference, canonicalData: { ...canonicalData, issue_date: '20/04/2014' } },
+                { success: true, extractedData: reference }
+            );
+
+            assert.deepStrictEqual(diff.differences.map(difference => [difference.path, difference.type]), [['/issue_date', 'changed']]);
+        });
+
+        it('should refuse results without data and documents of different types', () => {
+            assert.throws(() => differ.diff({ success: false, extractedData: null }, reference), /no extracted data/);
+            assert.throws(() => differ.diff([], reference), /analysis result or extracted data/);
+            assert.throws(
+                () => differ.diff({ documentType: 'citizen_id', canonicalData: { id_number: '001090000123' } }, reference),
+                /Cannot compare a citizen_id with a land_certificate/
+            );
+        });
+    });
+
+    describe('Tables', () => {
+        const diff = differ.diff(reference, withChanges({ issue_date: '20/04/2014', land: { area: '16484 m2' } }), { labels: { left: 'data.json', right: 'qwen-vl-max' } });
+
+        it('should format a text table with a summary', () => {
+            const lines = formatDiffTable(diff).split('\n');
+
+            assert.match(lines[0], /^Field\s+Difference\s+data\.json\s+qwen-vl-max$/);
+            assert.match(lines[2], /^\/land_information\/area\s+formatting\s+16484,0 m²\s+16484 m2$/);
+            assert.match(lines[3], /^\/issue_date\s+changed\s+06 tháng 04 năm 2019\s+20\/04\/2014$/);
+            assert.strictEqual(lines[5], '2 difference(s): 0 missing, 0 added, 1 changed, 1 formatting; 36 field(s) unchanged');
+        });
+
+        it('should format a Markdown table', () => {
+            const markdown = formatDiffTable(diff, { format: 'markdown' });
+
+            assert.ok(markdown.startsWith('| Field | Difference | data.json | qwen-vl-max |\n| --- | --- | --- | --- |\n'));
+            assert.ok(markdown.includes('| /issue_date | changed | 06 tháng 04 năm 2019 | 20/04/2014 |'));
+            assert.throws(() => formatDiffTable(diff, { format: 'html' }), /Unsupported diff format/);
+        });
+
+        it('should print only the summary when nothing differs', () => {
+            assert.strictEqual(formatDiffTable(differ.diff(reference, reference)), '0 difference(s): 0 missing, 0 added, 0 changed, 0 formatting; 38 field(s) unchanged\n');
+        });
+    });
+
+    describe('HTTP API', () => {
+        let server;
+        let baseUrl;
+
+        before(async () => {
+            const app = createApp({ analyzer: new RealEstateAnalyzer() });
+            await new Promise(resolve => {
+                server = app.listen(0, resolve);
+            });
+            baseUrl = `http://127.0.0.1:${server.address().port}`;
+        });
+
+        after(() => {
+            server.close();
+        });
+
+        const post = body => fetch(`${baseUrl}/v1/diff`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(body)
+        });
+
+        it('should return the diff of two extractions', async () => {
+            const res = await post({ left: reference, right: withChanges({ issue_date: '20/04/2014' }), labels: { left: 'before', right: 'after' } });
+            const body = await res.json();
+
+            assert.strictEqual(res.status, 200);
+            assert.deepStrictEqual(body.labels, { left: 'before', right: 'after' });
+            assert.deepStrictEqual(body.differences.map(difference => difference.path), ['/issue_date']);
+        });
+
+        it('should return the table when a format is asked for', async () => {
+            const res = await post({ left: reference, right: withChanges({ issue_date: '20/04/2014' }), format: 'markdown' });
+
+            assert.strictEqual(res.status, 200);
+            assert.match(res.headers.get('content-type'), /text\/markdown/);
+            assert.ok((await res.text()).includes('| /issue_date | changed |'));
+        });
+
+        it('should reject incomplete or incomparable input with 400', async () => {
+            const missing = await post({ left: reference });
+            const mismatched = await post({ left: reference, right: { documentType: 'citizen_id', canonicalData: { id_number: '1' } } });
+            const format = await post({ left: reference, right: reference, format: 'html' });
+
+            assert.deepStrictEqual([missing.status, (await missing.json()).error.code], [400, 'MISSING_INPUT']);
+            assert.deepStrictEqual([mismatched.status, (await mismatched.json()).error.code], [400, 'INVALID_DIFF_INPUT']);
+            assert.deepStrictEqual([format.status, (await format.json()).error.code], [400, 'INVALID_FORMAT']);
+        });
+    });
+});
@@ -274,6 +274,12 @@ export class MockOpenAIClient {
             await TestHelpers.wait(this.options.delay);
         }
 
+        // A list of responses is returned in call order, repeating the last one
+        if (this.options.responses) {
+            const index = Math.min(this.callCount, this.options.responses.length) - 1;
+            return TestHelpers.createMockCompletion(this.options.responses[index]);
+        }
+
         return TestHelpers.createMockCompletion(this.options.response || {});
     }
 
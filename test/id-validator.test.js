@@ -0,0 +1,139 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import fs from 'fs';
+import { RealEstateAnalyzer } from '../app-refactored.js';
+import { IdentityValidator } from '../lib/id-validator.js';
+import { TestHelpers, MockOpenAIClient } from './helpers.js';
+
+// Mock environment variables for testing
+process.env.DASHSCOPE_API_KEY = 'test-api-key';
+process.env.OPENAI_BASE_URL = 'https://test-api.example.com';
+process.env.AI_MODEL = 'test-model';
+process.env.LOG_LEVEL = 'error';
+process.env.NODE_ENV = 'test';
+process.env.SAVE_RESPONSES = 'false';
+
+const reference = JSON.parse(fs.readFileSync('./output/data.json', 'utf8'));
+
+describe('IdentityValidator - Unit Tests', () => {
+    const validator = new IdentityValidator();
+
+    describe('Classification', () => {
+        it('should classify CMND, CCCD and passport numbers', () => {
+            assert.strictEqual(validator.classify('113287050').type, 'cmnd');
+            assert.strictEqual(validator.classify('001086012345').type, 'cccd');
+            assert.strictEqual(validator.classify('B6075953').type, 'passport');
+            assert.strictEqual(validator.classify('h6075951').type, 'passport');
+        });
+
+        it('should ignore spaces and dots in printed numbers', () => {
+            const document = validator.classify('001 086 012 345');
+
+            assert.strictEqual(document.number, '001086012345');
+            assert.strictEqual(document.valid, true);
+        });
+
+        it('should reject unrecognized formats', () => {
+            const document = validator.classify('12345');
+
+            assert.strictEqual(document.type, 'unknown');
+            assert.strictEqual(document.valid, false);
+            assert.match(document.error, /Unrecognized ID number format/);
+        });
+    });
+
+    describe('CCCD Decoding', () => {
+        it('should decode province, gender and birth year', () => {
+            assert.deepStrictEqual(validator.classify('026086012345'), {
+                type: 'cccd',
+                number: '026086012345',
+                valid: true,
+                provinceCode: '026',
+                province: 'Vĩnh Phúc',
+                gender: 'male',
+                birthYear: 1986
+            });
+        });
+
+        it('should use the gender digit to choose the century', () => {
+            assert.strictEqual(validator.classify('017187012345').gender, 'female');
+            assert.strictEqual(validator.classify('017187012345').birthYear, 1987);
+            assert.strictEqual(validator.classify('079303012345').gender, 'female');
+            assert.strictEqual(validator.classify('079303012345').birthYear, 2003);
+        });
+
+        it('should reject unknown province codes', () => {
+            const document = validator.classify('003086012345');
+
+            assert.strictEqual(document.valid, false);
+            assert.match(document.error, /Unknown CCCD province code 003/);
+        });
+    });
+
+    describe('Owner Cross-Checks', () => {
+        it('should accept the reference owners', () => {
+            const { documents, issues } = validator.validateOwners(reference.property_owners);
+
+            assert.deepStrictEqual(documents.map(document => document.type), ['passport', 'cmnd']);
+            assert.deepStrictEqual(issues, []);
+        });
+
+        it('should flag a birth year that disagrees with the CCCD', () => {
+            const { issues } = validator.validateOwners([
+                { owner_type: 'Ông', full_name: 'Nguyễn Anh Quân', date_of_birth: '1968', id_number: '026086012345' }
+            ]);
+
+            assert.strictEqual(issues.length, 1);
+            assert.strictEqual(issues[0].path, '/property_owners/0/date_of_birth');
+            assert.strictEqual(issues[0].code, 'ID_BIRTH_YEAR_MISMATCH');
+            assert.strictEqual(issues[0].severity, 'high');
+        });
+
+        it('should compare full dates of birth by year', () => {
+            const { issues } = validator.validateOwners([
+                { owner_type: 'Bà', date_of_birth: '12/05/1987', id_number: '017187012345' }
+            ]);
+
+            assert.deepStrictEqual(issues, []);
+        });
+
+        it('should flag a salutation that disagrees with the CCCD gender', () => {
+            const { issues } = validator.validateOwners([
+                { owner_type: 'Bà', date_of_birth: '1986', id_number: '026086012345' }
+            ]);
+
+            assert.deepStrictEqual(issues.map(issue => [issue.path, issue.code]), [
+                ['/property_owners/0/owner_type', 'ID_GENDER_MISMATCH']
+            ]);
+        });
+
+        it('should flag invalid ID numbers on the id_number field', () => {
+            const { issues } = validator.validateOwners([{}, { id_number: 'ABC-12' }]);
+
+            assert.deepStrictEqual(issues.map(issue => [issue.path, issue.code]), [
+                ['/property_owners/1/id_number', 'ID_NUMBER_INVALID']
+            ]);
+        });
+    });
+
+    describe('Analyzer Integration', () => {
+        it('should attach identity documents and warnings after analysis', async () => {
+            const analyzer = new RealEstateAnalyzer();
+            const data = structuredClone(reference);
+            data.property_owners[1].id_number = '017092012345';
+            analyzer.openai = new MockOpenAIClient({
+                response: { content: TestHelpers.createMockResponseWithJson(data) }
+            });
+
+            const result = await analyzer.analyzeLandCertificate('https://example.com/so-do.jpg');
+
+            assert.strictEqual(result.identityDocuments[1].province, 'Hòa Bình');
+            assert.deepStrictEqual(result.warnings.map(warning => warning.code), [
+                'ID_BIRTH_YEAR_MISMATCH',
+                'ID_GENDER_MISMATCH'
+            ]);
+        });
+    });
+});
+
+console.log('✅ ID validator tests completed successfully!');
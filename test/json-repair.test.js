@@ -0,0 +1,162 @@
+import { describe, it, beforeEach } from 'node:test';
+import assert from 'node:assert';
+import { RealEstateAnalyzer } from '../app-refactored.js';
+import { extractJson } from '../lib/json-extractor.js';
+import { TestHelpers, MockOpenAIClient } from './helpers.js';
+
+// Mock environment variables for testing
+process.env.DASHSCOPE_API_KEY = 'test-api-key';
+process.env.OPENAI_BASE_URL = 'https://test-api.example.com';
+process.env.AI_MODEL = 'test-model';
+process.env.LOG_LEVEL = 'error';
+process.env.NODE_ENV = 'test';
+process.env.SAVE_RESPONSES = 'false';
+process.env.MAX_RETRIES = '1';
+
+const certificate = TestHelpers.createMockLandCertificateData();
+
+describe('JSON Extraction and Repair - Unit Tests', () => {
+    describe('extractJson', () => {
+        it('should extract ```json fenced blocks', () => {
+            const { data, method } = extractJson(TestHelpers.createMockResponseWithJson(certificate));
+
+            assert.deepStrictEqual(data, certificate);
+            assert.strictEqual(method, 'fenced');
+        });
+
+        it('should extract fences without a language tag or with CRLF line endings', () => {
+            assert.deepStrictEqual(extractJson('Kết quả:\n```\n{"a": 1}\n```').data, { a: 1 });
+            assert.deepStrictEqual(extractJson('```JSON\r\n{"a": 1}\r\n```').data, { a: 1 });
+            assert.deepStrictEqual(extractJson('```json {"a": 1}```').data, { a: 1 });
+        });
+
+        it('should extract bare JSON', () => {
+            const { data, method } = extractJson('  {"metadata": {"certificate_number": "BV 999451"}}  ');
+
+            assert.strictEqual(data.metadata.certificate_number, 'BV 999451');
+            assert.strictEqual(method, 'bare');
+        });
+
+        it('should extract JSON embedded in prose', () => {
+            const text = 'Dưới đây là kết quả {"notes": "Số tờ {CT8}"} và giải thích thêm.';
+            const { data, method } = extractJson(text);
+
+            assert.deepStrictEqual(data, { notes: 'Số tờ {CT8}' });
+            assert.strictEqual(method, 'embedded');
+        });
+
+        it('should accept JSON5-style trailing commas and comments', () => {
+            const text = '```json\n{\n  "area": "16484,0 m²", // diện tích\n  "owners": ["A", "B",],\n}\n```';
+            const { data, method } = extractJson(text);
+
+            assert.deepStrictEqual(data, { area: '16484,0 m²', owners: ['A', 'B'] });
+            assert.strictEqual(method, 'fenced-json5');
+        });
+
+        it('should extract JSON from a truncated fence', () => {
+            assert.deepStrictEqual(extractJson('```json\n{"a": 1}').data, { a: 1 });
+        });
+
+        it('should report why nothing was extracted', () => {
+            assert.strictEqual(extractJson('').error, 'Response is empty');
+            assert.strictEqual(extractJson('Không có dữ liệu').error, 'No JSON object found in response');
+            assert.match(extractJson('```json\n{"a": \n```').error, /Invalid JSON/);
+            assert.strictEqual(extractJson('[1, 2]').data, null);
+        });
+    });
+
+    describe('Response Processing', () => {
+        it('should record the extraction method and errors', () => {
+            const analyzer = new RealEstateAnalyzer();
+
+            const parsed = analyzer.processResponse(TestHelpers.createMockCompletion({ content: '{"a": 1,}' }));
+            assert.deepStrictEqual(parsed.extractedData, { a: 1 });
+            assert.strictEqual(parsed.metadata.extractionMethod, 'bare-json5');
+
+            const failed = analyzer.processResponse(TestHelpers.createMockCompletion({ content: 'Plain text' }));
+            assert.strictEqual(failed.extractedData, undefined);
+            assert.strictEqual(failed.metadata.extractionError, 'No JSON object found in response');
+        });
+    });
+
+    describe('Repair Loop', () => {
+        let analyzer;
+
+        beforeEach(() => {
+            analyzer = new RealEstateAnalyzer();
+        });
+
+        it('should not repair valid responses', async () => {
+            analyzer.openai = new MockOpenAIClient({
+                response: { content: TestHelpers.createMockResponseWithJson(certificate) }
+            });
+
+            const result = await analyzer.analyzeLandCertificate('https://example.com/so-do.jpg');
+
+            assert.strictEqual(analyzer.openai.callCount, 1);
+            assert.strictEqual(result.metadata.repairRounds, 0);
+        });
+
+        it('should repair a response without JSON', async () => {
+            analyzer.openai = new MockOpenAIClient({
+                responses: [
+                    { content: 'Tôi đã đọc sổ đỏ nhưng quên trả JSON.', totalTokens: 100 },
+                    { content: TestHelpers.createMockResponseWithJson(certificate), totalTokens: 300 }
+                ]
+            });
+
+            const result = await analyzer.analyzeLandCertificate('https://example.com/so-do.jpg', { includeFollowUp: false });
+
+            assert.strictEqual(analyzer.openai.callCount, 2);
+            assert.strictEqual(result.metadata.repairRounds, 1);
+            assert.deepStrictEqual(result.extractedData, certificate);
+            assert.strictEqual(result.metadata.totalTokens, 400);
+
+            const repairMessages = analyzer.openai.lastCall.params.messages;
+            assert.strictEqual(repairMessages[1].role, 'assistant');
+            assert.strictEqual(repairMessages[1].content, 'Tôi đã đọc sổ đỏ nhưng quên trả JSON.');
+            assert.ok(repairMessages[2].content[0].text.includes('No JSON object found in response'));
+        });
+
+        it('should send schema violations back to the model', async () => {
+            analyzer.openai = new MockOpenAIClient({
+                responses: [
+                    { content: '{"metadata": {}, "property_owners": []}' },
+                    { content: TestHelpers.createMockResponseWithJson(certificate) }
+                ]
+            });
+
+            const result = await analyzer.analyzeLandCertificate('https://example.com/so-do.jpg', { includeFollowUp: false });
+            const repairPrompt = analyzer.openai.lastCall.params.messages[2].content[0].text;
+
+            assert.strictEqual(result.schemaValidation.valid, true);
+            assert.strictEqual(result.metadata.repairRounds, 1);
+            assert.ok(repairPrompt.includes('/property_owners'));
+            assert.ok(repairPrompt.includes('"land_information"'), 'repair prompt should include the schema');
+        });
+
+        it('should stop after the configured number of rounds', async () => {
+            analyzer.openai = new MockOpenAIClient({ response: { content: 'Không có JSON' } });
+
+            const result = await analyzer.analyzeLandCertificate('https://example.com/so-do.jpg', {
+                includeFollowUp: false,
+                maxRepairRounds: 2
+            });
+
+            assert.strictEqual(analyzer.openai.callCount, 3);
+            assert.strictEqual(result.metadata.repairRounds, 2);
+            assert.strictEqual(result.extractedData, undefined);
+        });
+
+        it('should skip repair when disabled', async () => {
+            analyzer.openai = new MockOpenAIClient({ response: { content: 'Không có JSON' } });
+
+            const result = await analyzer.analyzeLandCertificate('https://example.com/so-do.jpg', { maxRepairRounds: 0 });
+
+            assert.strictEqual(analyzer.openai.callCount, 1);
+            assert.strictEqual(result.metadata.repairRounds, 0);
+        });
+    });
+});
+
+console.log('✅ JSON repair tests completed successfully!');
@@ -0,0 +1,151 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import fs from 'fs';
+import { RealEstateAnalyzer } from '../app-refactored.js';
+import { VietnameseNormalizer } from '../lib/normalizer.js';
+import { TestHelpers, MockOpenAIClient } from './helpers.js';
+
+// Mock environment variables for testing
+process.env.DASHSCOPE_API_KEY = 'test-api-key';
+process.env.OPENAI_BASE_URL = 'https://test-api.example.com';
+process.env.AI_MODEL = 'test-model';
+process.env.LOG_LEVEL = 'error';
+process.env.NODE_ENV = 'test';
+process.env.SAVE_RESPONSES = 'false';
+
+const reference = JSON.parse(fs.readFileSync('./output/data.json', 'utf8'));
+
+describe('VietnameseNormalizer - Unit Tests', () => {
+    const normalizer = new VietnameseNormalizer();
+
+    describe('Areas', () => {
+        it('should parse comma decimals and thousands separators', () => {
+            const cases = {
+                '16484,0 m²': 16484,
+                '16484,0m²': 16484,
+                '83,8 m2': 83.8,
+                '1.234,5 m²': 1234.5,
+                '16.484 m²': 16484,
+                '1,234.5 m2': 1234.5,
+                '1,234,567 m²': 1234567,
+                '16 484,0 m²': 16484,
+                '120 m² (Một trăm hai mươi mét vuông)': 120
+            };
+
+            for (const [raw, expected] of Object.entries(cases)) {
+                const area = normalizer.normalizeArea(raw);
+                assert.strictEqual(area.value, expected, raw);
+                assert.strictEqual(area.unit, 'm2');
+                assert.strictEqual(area.original, raw);
+            }
+        });
+
+        it('should convert hectares to square metres', () => {
+            const area = normalizer.normalizeArea('0,5 ha');
+
+            assert.strictEqual(area.value, 5000);
+            assert.strictEqual(area.sourceUnit, 'ha');
+        });
+
+        it('should report unrecognized areas', () => {
+            assert.match(normalizer.normalizeArea('không rõ diện tích').error, /Unrecognized area/);
+        });
+    });
+
+    describe('Dates', () => {
+        it('should convert common Vietnamese formats to ISO 8601', () => {
+            const cases = {
+                '06 tháng 04 năm 2019': '2019-04-06',
+                'Ngày 6 tháng 4 năm 2019': '2019-04-06',
+                'ngày 06 tháng 04, năm 2019': '2019-04-06',
+                '20/04/2014': '2014-04-20',
+                '6-4-2019': '2019-04-06',
+                '06.04.2019': '2019-04-06',
+                '2019-04-06': '2019-04-06'
+            };
+
+            for (const [raw, expected] of Object.entries(cases)) {
+                const date = normalizer.normalizeDate(raw);
+                assert.strictEqual(date.value, expected, raw);
+                assert.strictEqual(date.precision, 'day', raw);
+            }
+        });
+
+        it('should type year-only and month-only dates as partial', () => {
+            assert.deepStrictEqual(normalizer.normalizeDate('1986'), {
+                value: '1986', precision: 'year', year: 1986, month: null, day: null, original: '1986'
+            });
+            assert.strictEqual(normalizer.normalizeDate('Năm sinh: 1987').value, '1987');
+            assert.strictEqual(normalizer.normalizeDate('tháng 04 năm 2019').precision, 'month');
+            assert.strictEqual(normalizer.normalizeDate('04/2019').value, '2019-04');
+        });
+
+        it('should reject impossible dates', () => {
+            assert.match(normalizer.normalizeDate('31/02/2019').error, /Invalid date/);
+            assert.match(normalizer.normalizeDate('sometime').error, /Unrecognized date/);
+        });
+
+        it('should read "Không thời hạn" as an expiry date that never comes', () => {
+            for (const raw of ['Không thời hạn', 'KHÔNG THỜI HẠN', 'Vô thời hạn']) {
+                assert.deepStrictEqual(normalizer.normalizeExpiryDate(raw), {
+                    value: null, precision: null, year: null, month: null, day: null, noExpiry: true, original: raw
+                }, raw);
+            }
+            assert.strictEqual(normalizer.normalizeExpiryDate('12/05/2026').value, '2026-05-12');
+
+            const { data, issues } = normalizer.normalizeDocument({ full_name: 'Nguyễn Văn An', date_of_expiry: 'Không thời hạn' });
+            assert.strictEqual(data.date_of_expiry.noExpiry, true);
+            assert.deepStrictEqual(issues, []);
+        });
+    });
+
+    describe('Placeholders', () => {
+        it('should convert placeholders to null and keep the original', () => {
+            for (const raw of ['-/-', '-', '--', 'Không', 'không có', '', '  ', 'N/A']) {
+                assert.deepStrictEqual(normalizer.normalizeText(raw), { value: null, original: raw }, raw);
+            }
+            assert.strictEqual(normalizer.normalizeText('Không có tài sản').value, 'Không có tài sản');
+        });
+    });
+
+    describe('Documents', () => {
+        it('should normalize the reference extraction', () => {
+            const { data, issues } = normalizer.normalizeDocument(reference);
+
+            assert.deepStrictEqual(issues, []);
+            assert.strictEqual(data.land_information.area.value, 16484);
+            assert.strictEqual(data.land_information.area.original, '16484,0 m²');
+            assert.strictEqual(data.issue_date.value, '2019-04-06');
+            assert.strictEqual(data.property_owners[0].date_of_birth.precision, 'year');
+            assert.strictEqual(data.assets_attached_to_land[0].details.floor_area.value, 83.8);
+            assert.strictEqual(data.construction_process.value, null);
+            assert.strictEqual(data.construction_process.original, '-/-');
+            assert.strictEqual(data.metadata.certificate_number.value, 'BV 999451');
+        });
+
+        it('should report fields that could not be normalized', () => {
+            const { issues } = normalizer.normalizeDocument({ issue_date: 'hôm qua', land_information: { area: 'n/a' } });
+
+            assert.deepStrictEqual(issues, [{ path: '/issue_date', message: 'Unrecognized date: "hôm qua"' }]);
+        });
+    });
+
+    describe('Analyzer Integration', () => {
+        it('should attach normalizedData and warnings after analysis', async () => {
+            const analyzer = new RealEstateAnalyzer();
+            const data = { ...reference, issue_date: 'không đọc được ngày' };
+            analyzer.openai = new MockOpenAIClient({
+                response: { content: TestHelpers.createMockResponseWithJson(data) }
+            });
+
+            const result = await analyzer.analyzeLandCertificate('https://example.com/so-do.jpg');
+
+            assert.strictEqual(result.normalizedData.land_information.area.value, 16484);
+            assert.strictEqual(result.warnings.length, 1);
+            assert.strictEqual(result.warnings[0].path, '/issue_date');
+            assert.strictEqual(result.warnings[0].code, 'NORMALIZATION_FAILED');
+        });
+    });
+});
+
+console.log('✅ Normalizer tests completed successfully!');
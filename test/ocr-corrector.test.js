@@ -0,0 +1,150 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import fs from 'fs';
+import { RealEstateAnalyzer } from '../app-refactored.js';
+import { LandCertificateMapper } from '../lib/land-certificate-mapper.js';
+import { OcrCorrector } from '../lib/ocr-corrector.js';
+import { TestHelpers, MockOpenAIClient } from './helpers.js';
+
+// Mock environment variables for testing
+process.env.DASHSCOPE_API_KEY = 'test-api-key';
+process.env.OPENAI_BASE_URL = 'https://test-api.example.com';
+process.env.AI_MODEL = 'test-model';
+process.env.LOG_LEVEL = 'error';
+process.env.NODE_ENV = 'test';
+process.env.SAVE_RESPONSES = 'false';
+
+const reference = JSON.parse(fs.readFileSync('./output/data.json', 'utf8'));
+const savedResponse = JSON.parse(fs.readFileSync('./responses/response_1751361265708.json', 'utf8'));
+
+describe('OcrCorrector - Unit Tests', () => {
+    const corrector = new OcrCorrector();
+
+    describe('Addresses', () => {
+        it('should restore district diacritics from the gazetteer', () => {
+            const { value, changes } = corrector.correctAddress('Xã Định Trung, Thành phố Vinh Yên, Tỉnh Vĩnh Phúc');
+
+            assert.strictEqual(value, 'Xã Định Trung, Thành phố Vĩnh Yên, Tỉnh Vĩnh Phúc');
+            assert.deepStrictEqual(changes, [
+                { from: 'Vinh Yên', to: 'Vĩnh Yên', confidence: 0.9, reason: 'district-diacritics', applied: true }
+            ]);
+        });
+
+        it('should accept undiacritized type prefixes', () => {
+            const { value, changes } = corrector.correctAddress('Quan Ha Dong, Thanh pho Ha Noi');
+
+            assert.strictEqual(value, 'Quan Hà Đông, Thanh pho Hà Nội');
+            assert.deepStrictEqual(changes.map(change => change.reason), ['province-diacritics', 'district-diacritics']);
+        });
+
+        it('should fix spelling errors with lower confidence', () => {
+            const { value, changes } = corrector.correctAddress('Thành phố Vĩnh Yên, Tỉnh Vĩnh Phúx');
+
+            assert.strictEqual(value, 'Thành phố Vĩnh Yên, Tỉnh Vĩnh Phúc');
+            assert.deepStrictEqual(changes, [
+                { from: 'Vĩnh Phúx', to: 'Vĩnh Phúc', confidence: 0.8, reason: 'province-spelling', applied: true }
+            ]);
+        });
+
+        it('should only propose village names found outside the address hierarchy', () => {
+            const { value, changes } = corrector.correctAddress('Giá Viên, Xã Định Trung, Thành phố Vĩnh Yên, Tỉnh Vĩnh Phúc');
+
+            assert.strictEqual(value, 'Giá Viên, Xã Định Trung, Thành phố Vĩnh Yên, Tỉnh Vĩnh Phúc');
+            assert.deepStrictEqual(changes, [
+                { from: 'Giá Viên', to: 'Gia Viễn', confidence: 0.6, reason: 'street-diacritics', applied: false }
+            ]);
+        });
+
+        it('should treat old and new tone placement as equal', () => {
+            assert.deepStrictEqual(corrector.correctAddress('Tổ 14, Phường Tân Hoà, TP Hoà Bình, Tỉnh Hoà Bình').changes, []);
+        });
+    });
+
+    describe('Names', () => {
+        it('should split a misread salutation out of the name', () => {
+            const owner = { owner_type: null, full_name: 'Đà Trương Thị Phương' };
+            const { data, corrections } = corrector.correct({ property_owners: [owner] });
+
+            assert.strictEqual(data.property_owners[0].owner_type, 'Bà');
+            assert.strictEqual(data.property_owners[0].full_name, 'Trương Thị Phương');
+            assert.deepStrictEqual(corrections.map(correction => [correction.path, correction.original, correction.corrected]), [
+                ['/property_owners/0/owner_type', null, 'Bà'],
+                ['/property_owners/0/full_name', 'Đà Trương Thị Phương', 'Trương Thị Phương']
+            ]);
+            assert.strictEqual(owner.full_name, 'Đà Trương Thị Phương', 'input should not be modified');
+        });
+
+        it('should not split names that start with a surname', () => {
+            assert.deepStrictEqual(corrector.correctName('Hà Văn Bình').changes, []);
+            assert.deepStrictEqual(corrector.correctName('Bà Nguyễn').changes, []);
+        });
+
+        it('should keep the salutation when it disagrees with owner_type', () => {
+            const { data } = corrector.correct({ property_owners: [{ owner_type: 'Ông', full_name: 'Đà Trương Thị Phương' }] });
+
+            assert.strictEqual(data.property_owners[0].full_name, 'Đà Trương Thị Phương');
+        });
+
+        it('should restore surname diacritics', () => {
+            const dropped = corrector.correctName('Nguyen Anh Quân');
+            assert.strictEqual(dropped.value, 'Nguyễn Anh Quân');
+            assert.strictEqual(dropped.changes[0].confidence, 0.85);
+
+            const wrong = corrector.correctName('Trưong Thị Phương');
+            assert.strictEqual(wrong.value, 'Trưong Thị Phương');
+            assert.strictEqual(wrong.changes[0].to, 'Trương');
+            assert.strictEqual(wrong.changes[0].applied, false);
+        });
+
+        it('should apply proposals above a configured threshold', () => {
+            const lenient = new OcrCorrector({ minConfidence: 0.5 });
+
+            assert.strictEqual(lenient.correctName('Trưong Thị Phương').value, 'Trương Thị Phương');
+        });
+    });
+
+    describe('Documents', () => {
+        it('should leave the reference extraction unchanged', () => {
+            const { data, corrections } = corrector.correct(reference);
+
+            assert.deepStrictEqual(corrections, []);
+            assert.deepStrictEqual(data, reference);
+        });
+
+        it('should correct the saved response', () => {
+            const { data: canonical } = new LandCertificateMapper().map(savedResponse.extractedData);
+            const { data, corrections } = corrector.correct(canonical);
+
+            assert.strictEqual(data.property_owners[1].full_name, 'Trương Thị Phương');
+            assert.ok(data.property_owners[0].id_issued_date.includes('Thành phố Vĩnh Yên'));
+            assert.deepStrictEqual(corrections.map(correction => correction.path), [
+                '/property_owners/1/owner_type',
+                '/property_owners/1/full_name',
+                '/property_owners/0/id_issued_date'
+            ]);
+        });
+    });
+
+    describe('Analyzer Integration', () => {
+        it('should attach corrections and keep the original text in normalizedData', async () => {
+            const analyzer = new RealEstateAnalyzer();
+            const data = structuredClone(reference);
+            data.property_owners[0].permanent_address = 'Gia Viễn, Xã Định Trung, Thành phố Vinh Yên, Tỉnh Vĩnh Phúc';
+            analyzer.openai = new MockOpenAIClient({
+                response: { content: TestHelpers.createMockResponseWithJson(data) }
+            });
+
+            const result = await analyzer.analyzeLandCertificate('https://example.com/so-do.jpg');
+            const address = result.normalizedData.property_owners[0].permanent_address;
+
+            assert.strictEqual(result.canonicalData.property_owners[0].permanent_address, reference.property_owners[0].permanent_address);
+            assert.strictEqual(result.extractedData.property_owners[0].permanent_address, data.property_owners[0].permanent_address);
+            assert.strictEqual(address.value, reference.property_owners[0].permanent_address);
+            assert.strictEqual(address.original, data.property_owners[0].permanent_address);
+            assert.strictEqual(result.corrections.length, 1);
+            assert.strictEqual(result.corrections[0].path, '/property_owners/0/permanent_address');
+        });
+    });
+});
+
+console.log('✅ OCR corrector tests completed successfully!');
@@ -0,0 +1,157 @@
+import { describe, it, beforeEach } from 'node:test';
+import assert from 'node:assert';
+import fs from 'fs';
+import { RealEstateAnalyzer } from '../app-refactored.js';
+import { ImageTiler } from '../lib/image-tiler.js';
+import { PdfRenderer } from '../lib/pdf-renderer.js';
+import { scoreAgainstReference, comparePageModes, normalizeValue } from '../lib/evaluation.js';
+import { TestHelpers, MockOpenAIClient } from './helpers.js';
+
+// Mock environment variables for testing
+process.env.DASHSCOPE_API_KEY = 'test-api-key';
+process.env.OPENAI_BASE_URL = 'https://test-api.example.com';
+process.env.AI_MODEL = 'test-model';
+process.env.LOG_LEVEL = 'error';
+process.env.NODE_ENV = 'test';
+process.env.SAVE_RESPONSES = 'false';
+
+const DEMO_PDF = './assets/DEMO1.pdf';
+const reference = JSON.parse(fs.readFileSync('./output/data.json', 'utf8'));
+const savedResponse = JSON.parse(fs.readFileSync('./responses/response_1751361265708.json', 'utf8'));
+
+describe('Per-Page Image Parts - Unit Tests', () => {
+    let analyzer;
+
+    beforeEach(() => {
+        analyzer = new RealEstateAnalyzer();
+    });
+
+    describe('Message Building', () => {
+        it('should label each page part with its page number', () => {
+            const parts = [
+                { pageNumber: 1, pageCount: 2, tileIndex: 1, tileCount: 1, url: 'data:image/jpeg;base64,AAA' },
+                { pageNumber: 2, pageCount: 2, tileIndex: 1, tileCount: 1, url: 'data:image/jpeg;base64,BBB' }
+            ];
+            const [userMessage] = analyzer.buildMessages(parts, { includeFollowUp: false });
+
+            assert.strictEqual(userMessage.content.length, 5); // prompt + (label + image) x 2
+            assert.strictEqual(userMessage.content[1].text, 'Trang 1/2');
+            assert.strictEqual(userMessage.content[2].image_url.url, parts[0].url);
+            assert.strictEqual(userMessage.content[3].text, 'Trang 2/2');
+            assert.strictEqual(userMessage.content[4].image_url.url, parts[1].url);
+        });
+
+        it('should label tiles of a tall page', () => {
+            const parts = [{ pageNumber: 1, pageCount: 1, tileIndex: 2, tileCount: 3, url: 'https://example.com/p.jpg' }];
+            const [userMessage] = analyzer.buildMessages(parts);
+
+            assert.ok(userMessage.content[1].text.startsWith('Trang 1/1 (phần 2/3'));
+        });
+    });
+
+    describe('Page Resolution', () => {
+        it('should render one image part per PDF page', async () => {
+            const parts = await analyzer.resolveImagePages(DEMO_PDF, { pdf: { dpi: 36 } });
+
+            assert.strictEqual(parts.length, 4);
+            assert.deepStrictEqual(parts.map(part => part.pageNumber), [1, 2, 3, 4]);
+            assert.ok(parts.every(part => part.pageCount === 4 && part.url.startsWith('data:image/jpeg;base64,')));
+        });
+
+        it('should accept a list of page images', async () => {
+            const [page] = await new PdfRenderer({ dpi: 36 }).renderPages(DEMO_PDF, { pages: '1' });
+            const parts = await analyzer.resolveImagePages([page.buffer, 'https://example.com/page-2.jpg']);
+
+            assert.strictEqual(parts.length, 2);
+            assert.strictEqual(parts[1].url, 'https://example.com/page-2.jpg');
+            assert.strictEqual(parts[1].pageNumber, 2);
+        });
+
+        it('should tile a stitched image when tiling is enabled', async () => {
+            const renderer = new PdfRenderer({ dpi: 36 });
+            const stitched = await renderer.stitchPages(await renderer.renderPages(DEMO_PDF));
+
+            const untiled = await analyzer.resolveImagePages(stitched.buffer);
+            const tiled = await analyzer.resolveImagePages(stitched.buffer, { tiling: { overlap: 0.1 } });
+
+            assert.strictEqual(untiled.length, 1);
+            assert.ok(tiled.length > 1);
+            assert.ok(tiled.every(part => part.pageNumber === 1 && part.tileCount === tiled.length));
+        });
+
+        it('should reject unknown page modes', () => {
+            assert.throws(() => analyzer.getPageMode({ pageMode: 'mosaic' }), /Invalid page mode/);
+        });
+    });
+
+    describe('ImageTiler', () => {
+        it('should leave normal pages untouched', () => {
+            const tiler = new ImageTiler();
+            assert.deepStrictEqual(tiler.computeTiles(1000, 1414), [{ top: 0, height: 1414 }]);
+        });
+
+        it('should cover tall images with overlapping full-size tiles', () => {
+            const tiler = new ImageTiler({ tileAspectRatio: 1.5, overlap: 0.1 });
+            const tiles = tiler.computeTiles(1000, 6000);
+
+            assert.ok(tiles.every(tile => tile.height === 1500));
+            assert.strictEqual(tiles[0].top, 0);
+            assert.strictEqual(tiles[tiles.length - 1].top + 1500, 6000);
+            for (let i = 1; i < tiles.length; i++) {
+                assert.ok(tiles[i].top < tiles[i - 1].top + tiles[i - 1].height, 'tiles should overlap');
+            }
+        });
+
+        it('should not make tiles taller than the image', () => {
+            const tiler = new ImageTiler({ maxAspectRatio: 1.2, tileAspectRatio: 1.5 });
+
+            assert.deepStrictEqual(tiler.computeTiles(1000, 1300), [{ top: 0, height: 1300 }]);
+            assert.ok(tiler.computeTiles(1000, 1600).every(tile => tile.top >= 0 && tile.top + tile.height <= 1600));
+        });
+
+        it('should reject invalid overlap', () => {
+            assert.throws(() => new ImageTiler({ overlap: 1 }), /overlap/);
+        });
+    });
+
+    describe('Accuracy Comparison', () => {
+        it('should ignore case, spacing and punctuation but not diacritics', () => {
+            assert.strictEqual(normalizeValue('Cục QL.XNC'), normalizeValue('cục qlxnc'));
+            assert.notStrictEqual(normalizeValue('Gia Viễn'), normalizeValue('Giá Viên'));
+        });
+
+        it('should flag misread values in the saved response', () => {
+            const score = scoreAgainstReference(savedResponse.extractedData, reference);
+            const missingValues = score.missing.map(leaf => leaf.value);
+
+            assert.ok(score.recall > 0 && score.recall < 1);
+            assert.ok(missingValues.includes('B6075953'));
+            assert.ok(missingValues.includes('06 tháng 04 năm 2019'));
+            assert.ok(!missingValues.includes('113287050'));
+        });
+
+        it('should not count a value contained in a longer one as read', () => {
+            const score = scoreAgainstReference({ address: 'Thôn Mỹ Hòa, xã Gia Viễn, tỉnh Ninh Bình' }, { ward: 'Gia Viễn' });
+
+            assert.strictEqual(score.recall, 0);
+            assert.strictEqual(scoreAgainstReference({ ward: 'xã Gia Viễn' }, { ward: 'Xã Gia Viễn' }).recall, 1);
+        });
+
+        it('should score stitched and per-page runs', async () => {
+            analyzer.openai = new MockOpenAIClient({
+                response: { content: TestHelpers.createMockResponseWithJson(reference) }
+            });
+
+            const runs = await comparePageModes(analyzer, DEMO_PDF, reference, { pdf: { dpi: 36, pages: '1-2' } });
+
+            assert.strictEqual(analyzer.openai.callCount, 2);
+            assert.strictEqual(runs.stitched.score.recall, 1);
+            assert.strictEqual(runs.pages.score.recall, 1);
+
+            const lastContent = analyzer.openai.lastCall.params.messages[0].content;
+            assert.strictEqual(lastContent.filter(part => part.type === 'image_url').length, 2);
+        });
+    });
+});
+
+console.log('✅ Page mode tests completed successfully!');
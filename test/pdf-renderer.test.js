@@ -0,0 +1,120 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import fs from 'fs';
+import { PdfRenderer } from '../lib/pdf-renderer.js';
+import { detectMimeType } from '../lib/file-type.js';
+import { RealEstateAnalyzer } from '../app-refactored.js';
+
+// Mock environment variables for testing
+process.env.DASHSCOPE_API_KEY = 'test-api-key';
+process.env.OPENAI_BASE_URL = 'https://test-api.example.com';
+process.env.AI_MODEL = 'test-model';
+process.env.LOG_LEVEL = 'error';
+process.env.NODE_ENV = 'test';
+
+const DEMO_PDF = './assets/DEMO1.pdf';
+
+describe('PdfRenderer - Unit Tests', () => {
+    describe('Page Range Parsing', () => {
+        it('should return all pages when no range is given', () => {
+            assert.deepStrictEqual(PdfRenderer.parsePageRange(undefined, 4), [1, 2, 3, 4]);
+            assert.deepStrictEqual(PdfRenderer.parsePageRange('all', 3), [1, 2, 3]);
+        });
+
+        it('should parse ranges, lists and open-ended ranges', () => {
+            assert.deepStrictEqual(PdfRenderer.parsePageRange('1-2,4', 4), [1, 2, 4]);
+            assert.deepStrictEqual(PdfRenderer.parsePageRange('3-', 4), [3, 4]);
+            assert.deepStrictEqual(PdfRenderer.parsePageRange('-2', 4), [1, 2]);
+            assert.deepStrictEqual(PdfRenderer.parsePageRange([3, 1, 3], 4), [1, 3]);
+        });
+
+        it('should reject malformed and out-of-bounds ranges', () => {
+            assert.throws(() => PdfRenderer.parsePageRange('a-b', 4), /Invalid page range/);
+            assert.throws(() => PdfRenderer.parsePageRange('2-9', 4), /outside 1-4/);
+            assert.throws(() => PdfRenderer.parsePageRange('3-1', 4), /outside 1-4/);
+        });
+    });
+
+    describe('Rendering', () => {
+        it('should render selected pages from a file path', async () => {
+            const renderer = new PdfRenderer({ dpi: 36 });
+            const pages = await renderer.renderPages(DEMO_PDF, { pages: '1,3' });
+
+            assert.strictEqual(pages.length, 2);
+            assert.deepStrictEqual(pages.map(page => page.pageNumber), [1, 3]);
+            for (const page of pages) {
+                assert.strictEqual(detectMimeType(page.buffer), 'image/jpeg');
+                assert.strictEqual(page.mimeType, 'image/jpeg');
+                assert.ok(page.width > 0 && page.height > 0);
+            }
+        });
+
+        it('should scale output with DPI', async () => {
+            const buffer = fs.readFileSync(DEMO_PDF);
+            const [low] = await new PdfRenderer({ dpi: 36 }).renderPages(buffer, { pages: '1' });
+            const [high] = await new PdfRenderer({ dpi: 72 }).renderPages(buffer, { pages: '1' });
+
+            assert.ok(Math.abs(high.width - low.width * 2) <= 2, `expected ~2x width, got ${low.width} and ${high.width}`);
+        });
+
+        it('should stitch pages vertically', async () => {
+            const renderer = new PdfRenderer({ dpi: 36, format: 'png' });
+            const pages = await renderer.renderPages(DEMO_PDF, { pages: '1-2' });
+            const stitched = await renderer.stitchPages(pages);
+
+            assert.strictEqual(detectMimeType(stitched.buffer), 'image/png');
+            assert.strictEqual(stitched.height, pages[0].height + pages[1].height);
+            assert.strictEqual(stitched.width, Math.max(pages[0].width, pages[1].width));
+        });
+
+        it('should fail clearly for missing files', async () => {
+            await assert.rejects(new PdfRenderer().renderPages('./assets/missing.pdf'), /PDF file not found/);
+        });
+
+        it('should cap the resolution and the number of pages', async () => {
+            const renderer = new PdfRenderer({ dpi: 5000, maxDpi: 36, maxPages: 1 });
+            const [capped] = await renderer.renderPages(DEMO_PDF, { pages: '1', dpi: 5000 });
+            const [low] = await new PdfRenderer({ dpi: 36 }).renderPages(DEMO_PDF, { pages: '1' });
+
+            assert.strictEqual(renderer.dpi, 36);
+            assert.strictEqual(capped.width, low.width);
+            await assert.rejects(renderer.renderPages(DEMO_PDF, { pages: '1-2' }), { name: 'ValidationError', message: /at most 1 are rendered/ });
+        });
+
+        it('should report corrupt PDFs and bad page ranges as invalid input', async () => {
+            await assert.rejects(
+                new PdfRenderer().renderPages(Buffer.from('%PDF-1.4\nnot a PDF')),
+                { name: 'ValidationError', code: 'INVALID_DOCUMENT', message: /Invalid PDF/ }
+            );
+            assert.throws(() => PdfRenderer.parsePageRange('a-b', 4), { name: 'ValidationError', code: 'INVALID_OPTIONS' });
+        });
+    });
+
+    describe('Analyzer Input Resolution', () => {
+        it('should convert PDF paths and buffers to image data URLs', async () => {
+            const analyzer = new RealEstateAnalyzer();
+            const options = { pdf: { dpi: 36, pages: '1' } };
+
+            const fromPath = await analyzer.resolveImageInput(DEMO_PDF, options);
+            const fromBuffer = await analyzer.resolveImageInput(fs.readFileSync(DEMO_PDF), options);
+
+            assert.ok(fromPath.startsWith('data:image/jpeg;base64,'));
+            assert.strictEqual(fromPath, fromBuffer);
+        });
+
+        it('should pass image URLs through unchanged', async () => {
+            const analyzer = new RealEstateAnalyzer();
+            const url = 'https://example.com/so-do.jpg';
+
+            assert.strictEqual(await analyzer.resolveImageInput(url), url);
+        });
+
+        it('should reject unsupported buffers', async () => {
+            const analyzer = new RealEstateAnalyzer();
+
+            await assert.rejects(analyzer.resolveImageInput(Buffer.from('plain text')), /Unsupported input data/);
+        });
+    });
+});
+
+console.log('✅ PDF renderer tests completed successfully!');
@@ -0,0 +1,136 @@
+import { describe, it, before } from 'node:test';
+import assert from 'node:assert';
+import fs from 'fs';
+import { getDocument, OPS } from 'pdfjs-dist/legacy/build/pdf.mjs';
+import { RealEstateAnalyzer } from '../app-refactored.js';
+import { PdfReportRenderer } from '../lib/pdf-report.js';
+import { TestHelpers, MockOpenAIClient } from './helpers.js';
+
+// Mock environment variables for testing
+process.env.DASHSCOPE_API_KEY = 'test-api-key';
+process.env.OPENAI_BASE_URL = 'https://test-api.example.com';
+process.env.AI_MODEL = 'test-model';
+process.env.LOG_LEVEL = 'error';
+process.env.NODE_ENV = 'test';
+process.env.SAVE_RESPONSES = 'false';
+
+const reference = JSON.parse(fs.readFileSync('./output/data.json', 'utf8'));
+
+/**
+ * Extract the text and image count of every page
+ * @param {Buffer} buffer - PDF bytes
+ * @returns {Promise<Array<Object>>} Pages: { text, images }
+ */
+async function readPdf(buffer) {
+    const document = await getDocument({ data: new Uint8Array(buffer), verbosity: 0 }).promise;
+    const pages = [];
+
+    try {
+        for (let pageNumber = 1; pageNumber <= document.numPages; pageNumber++) {
+            const page = await document.getPage(pageNumber);
+            const content = await page.getTextContent();
+            const operators = await page.getOperatorList();
+            pages.push({
+                text: content.items.map(item => item.str).join('\n'),
+                images: operators.fnArray.filter(fn => fn === OPS.paintImageXObject).length
+            });
+        }
+    } finally {
+        await document.destroy();
+    }
+    return pages;
+}
+
+describe('PDF Report - Unit Tests', () => {
+    const renderer = new PdfReportRenderer();
+    let result;
+
+    before(async () => {
+        const analyzer = new RealEstateAnalyzer();
+        const data = structuredClone(reference);
+        data.property_owners[0].id_number = '001099012345';
+        analyzer.openai = new MockOpenAIClient({
+            response: { content: TestHelpers.createMockResponseWithJson(data) }
+        });
+        result = await analyzer.analyzeLandCertificate('https://example.com/so-do.jpg');
+    });
+
+    describe('Content', () => {
+        it('should render Vietnamese fields with an embedded font', async () => {
+            const buffer = await renderer.render(result);
+            const text = (await readPdf(buffer)).map(page => page.text).join('\n');
+
+            assert.ok(buffer.subarray(0, 5).toString('latin1') === '%PDF-');
+            assert.ok(text.includes('Báo cáo trích xuất Giấy chứng nhận'));
+            assert.ok(text.includes('Số vào sổ cấp GCN'));
+            assert.ok(text.includes('Trương Thị Phương'));
+            assert.ok(text.includes('16484,0 m²'));
+            assert.match(buffer.toString('latin1'), /\/BaseFont \/[A-Z]{6}\+DejaVuSans\b/);
+            assert.match(buffer.toString('latin1'), /\/FontFile2/);
+        });
+
+        it('should list warnings and identify the run on every page', async () => {
+            const pages = await readPdf(await renderer.render(result));
+            const text = pages.map(page => page.text).join('\n');
+
+            assert.ok(result.warnings.length > 0);
+            assert.ok(text.includes('7. Cảnh báo'));
+            assert.ok(text.includes('/property_owners/0/date_of_birth'));
+
+            assert.match(result.metadata.promptHash, /^[a-f0-9]{12}$/);
+            assert.ok(result.metadata.analyzerVersion);
+            pages.forEach((page, index) => {
+                assert.ok(page.text.includes('Mô hình: test-model'), `footer on page ${index + 1}`);
+                assert.ok(page.text.includes(`Prompt: ${result.metadata.promptHash}`));
+                assert.ok(page.text.includes(`Phiên bản: ${result.metadata.analyzerVersion}`));
+                assert.ok(page.text.includes(`Schema: ${result.schemaValidation.schemaVersion}`));
+                assert.ok(page.text.includes(`Trang ${index + 1}/${pages.length}`));
+            });
+        });
+
+        it('should render English labels', async () => {
+            const pages = await readPdf(await renderer.render(result, { language: 'en' }));
+
+            assert.ok(pages[0].text.includes('Land Certificate Extraction Report'));
+            assert.ok(pages[0].text.includes(`Page 1/${pages.length}`));
+            assert.ok(pages[0].text.includes('Model: test-model'));
+        });
+
+        it('should wrap long values instead of cutting them', async () => {
+            const data = structuredClone(reference);
+            data.notes = 'Ghi chú rất dài '.repeat(60) + 'KẾT_THÚC';
+            const text = (await readPdf(await renderer.render({ extractedData: data, canonicalData: data, warnings: [] })))
+                .map(page => page.text).join('\n');
+
+            assert.ok(text.includes('KẾT_THÚC'));
+        });
+    });
+
+    describe('Thumbnails', () => {
+        it('should show source PDF pages as thumbnails', async () => {
+            const pages = await readPdf(await renderer.render(result, { source: './assets/DEMO1.pdf', pages: '1-2' }));
+
+            assert.strictEqual(pages[0].images, 2);
+            assert.ok(pages[0].text.includes('Trang gốc'));
+        });
+
+        it('should accept page images and skip remote sources', async () => {
+            const [page] = await renderer.loadThumbnails('./assets/DEMO1.pdf', { pages: '1' });
+            const image = await page.image.encode('png');
+            const thumbnails = await renderer.loadThumbnails([image, `data:image/png;base64,${image.toString('base64')}`, 'https://example.com/a.jpg']);
+
+            assert.strictEqual(thumbnails.length, 2);
+            assert.ok(thumbnails[0].height <= 200);
+            await assert.rejects(renderer.loadThumbnails(Buffer.from('not an image')), /must be a PDF, JPEG or PNG/);
+        });
+    });
+
+    describe('Errors', () => {
+        it('should reject results without data and missing fonts', async () => {
+            await assert.rejects(renderer.render({ success: true, extractedData: undefined }), /no extracted data/);
+            assert.throws(() => new PdfReportRenderer({ fontPath: './assets/fonts/missing.ttf' }), /font not found/);
+        });
+    });
+});
+
+console.log('✅ PDF report tests completed successfully!');
@@ -0,0 +1,246 @@
+import { describe, it, beforeEach } from 'node:test';
+import assert from 'node:assert';
+import fs from 'fs';
+import jpeg from 'jpeg-js';
+import { RealEstateAnalyzer } from '../app-refactored.js';
+import { ProvenanceResolver, toPointer, normalizeBox, decodeImage, cropEvidence, loadPageImages } from '../lib/provenance.js';
+import { LandCertificateMapper } from '../lib/land-certificate-mapper.js';
+import { CitizenIdMapper } from '../lib/citizen-id.js';
+import { ReportRenderer } from '../lib/report-renderer.js';
+import { DossierConsolidator } from '../lib/dossier.js';
+import { TestHelpers, MockOpenAIClient } from './helpers.js';
+
+// Mock environment variables for testing
+process.env.DASHSCOPE_API_KEY = 'test-api-key';
+process.env.OPENAI_BASE_URL = 'https://test-api.example.com';
+process.env.AI_MODEL = 'test-model';
+process.env.LOG_LEVEL = 'error';
+process.env.NODE_ENV = 'test';
+process.env.SAVE_RESPONSES = 'false';
+process.env.QR_DECODE = 'false';
+
+const reference = JSON.parse(fs.readFileSync('./output/data.json', 'utf8'));
+
+// An older response shape: owner_information with a nested spouse, land_parcel_information, a single house block
+const ALTERNATIVE = {
+    document_type: 'GIẤY CHỨNG NHẬN QUYỀN SỬ DỤNG ĐẤT, QUYỀN SỞ HỮU NHÀ Ở VÀ TÀI SẢN KHÁC GẮN LIỀN VỚI ĐẤT',
+    owner_information: {
+        name: 'Ông Nguyễn Anh Quân',
+        birth_year: '1986',
+        spouse_information: { name: 'Bà Trương Thị Phương', birth_year: '1987' }
+    },
+    land_parcel_information: { address: 'phường Yên Nghĩa, quận Hà Đông, thành phố Hà Nội', land_area: '16484,0 m²' },
+    house_and_attached_assets: { details: { house_type: 'Căn hộ chung cư', apartment_number: '1203' } },
+    additional_information: { notes: 'Không' }
+};
+
+const EVIDENCE = {
+    '/document_type': { page: 1, bbox: [120, 40, 880, 80] },
+    '/owner_information/name': { page: 1, bbox: [140, 212, 395, 231] },
+    'owner_information.spouse_information.name': { page: 1, bbox: [140, 240, 390, 259] },
+    '/land_parcel_information/land_area': { page: 2, bbox: [612, 388, 742, 410] },
+    '/house_and_attached_assets/details/apartment_number': { page: 2, bbox: [500, 600, 560, 620] }
+};
+
+/**
+ * A JPEG whose left half is red and right half blue
+ */
+function createTestImage(width = 200, height = 100) {
+    const data = Buffer.alloc(width * height * 4);
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            const offset = (y * width + x) * 4;
+            data[offset] = x < width / 2 ? 255 : 0;
+            data[offset + 2] = x < width / 2 ? 0 : 255;
+            data[offset + 3] = 255;
+        }
+    }
+    return jpeg.encode({ data, width, height }, 90).data;
+}
+
+describe('Field Provenance - Unit Tests', () => {
+    const resolver = new ProvenanceResolver();
+
+    describe('Evidence parsing', () => {
+        it('should convert dotted paths to JSON pointers', () => {
+            assert.strictEqual(toPointer('property_owners[0].full_name'), '/property_owners/0/full_name');
+            assert.strictEqual(toPointer('land_information.area'), '/land_information/area');
+            assert.strictEqual(toPointer('/issue_date'), '/issue_date');
+        });
+
+        it('should bring boxes to fractions of the image', () => {
+            assert.deepStrictEqual(normalizeBox([612, 388, 742, 410]), { bbox: [0.612, 0.388, 0.742, 0.41] });
+            assert.deepStrictEqual(normalizeBox([0.7, 0.4, 0.6, 0.3]), { bbox: [0.6, 0.3, 0.7, 0.4] });
+            assert.deepStrictEqual(normalizeBox({ x1: 100, y1: 100, x2: 200, y2: 150 }), { bbox: [0.1, 0.1, 0.2, 0.15] });
+            assert.match(normalizeBox([10, 10, 2400, 40]).error, /0-1000 scale/);
+            assert.match(normalizeBox([10, 10, 10, 40]).error, /no area/);
+            assert.match(normalizeBox([10, 10]).error, /four non-negative numbers/);
+        });
+
+        it('should take _provenance out of the extracted data', () => {
+            const { data, evidence, issues } = resolver.split({ ...ALTERNATIVE, _provenance: EVIDENCE });
+
+            assert.deepStrictEqual(data, ALTERNATIVE);
+            assert.deepStrictEqual(evidence['/owner_information/spouse_information/name'], { page: 1, bbox: [0.14, 0.24, 0.39, 0.259] });
+            assert.deepStrictEqual(evidence['/land_parcel_information/land_area'], { page: 2, bbox: [0.612, 0.388, 0.742, 0.41] });
+            assert.deepStrictEqual(issues, []);
+        });
+
+        it('should read evidence nested like the data and report unusable entries', () => {
+            const { evidence, issues } = resolver.split({
+                issue_date: '06/04/2019',
+                _provenance: {
+                    issue_date: [300, 900, 520, 930],
+                    property_owners: [{ full_name: { page: 1, bbox: [140, 212, 395, 231] }, id_number: { page: 0, bbox: [1, 2, 3, 4] } }],
+                    notes: 'bottom of page 2'
+                }
+            });
+
+            assert.deepStrictEqual(Object.keys(evidence), ['/issue_date', '/property_owners/0/full_name']);
+            assert.strictEqual(evidence['/issue_date'].page, 1);
+            assert.deepStrictEqual(issues.map(issue => issue.path), ['/property_owners/0/id_number', '/notes']);
+        });
+
+        it('should leave data without evidence unchanged', () => {
+            const { data, evidence } = resolver.split(reference);
+
+            assert.strictEqual(data, reference);
+            assert.strictEqual(evidence, null);
+        });
+    });
+
+    describe('Schema mapping', () => {
+        it('should point canonical fields back to the fields they were read from', () => {
+            const mapper = new LandCertificateMapper();
+            const { data } = mapper.map(ALTERNATIVE);
+            const sources = mapper.getSources(data);
+
+            assert.strictEqual(sources['/metadata/document_name'], '/document_type');
+            assert.strictEqual(sources['/property_owners/0/full_name'], '/owner_information/name');
+            assert.strictEqual(sources['/property_owners/0/owner_type'], '/owner_information/name');
+            assert.strictEqual(sources['/property_owners/1/full_name'], '/owner_information/spouse_information/name');
+            assert.strictEqual(sources['/land_information/area'], '/land_parcel_information/land_area');
+            assert.strictEqual(sources['/assets_attached_to_land/0/details/apartment_number'], '/house_and_attached_assets/details/apartment_number');
+            assert.strictEqual(sources['/notes'], '/additional_information/notes');
+            // The default asset type was not read from the document
+            assert.strictEqual(sources['/assets_attached_to_land/0/asset_type'], undefined);
+        });
+
+        it('should follow card fields to the side they were read from', () => {
+            const mapper = new CitizenIdMapper();
+            const { data } = mapper.map({ front: { so: '026086012345', ho_va_ten: 'NGUYỄN ANH QUÂN' }, back: { ngay_cap: '10/05/2021', mrz: 'IDVNM...' } });
+            const sources = mapper.getSources(data);
+
+            assert.strictEqual(sources['/id_number'], '/front/so');
+            assert.strictEqual(sources['/issue_date'], '/back/ngay_cap');
+            assert.strictEqual(sources['/mrz'], '/back/mrz');
+        });
+
+        it('should resolve evidence to canonical pointers with coverage', () => {
+            const mapper = new LandCertificateMapper();
+            const { data } = mapper.map(ALTERNATIVE);
+            const { evidence } = resolver.split({ ...ALTERNATIVE, _provenance: EVIDENCE });
+            const { canonical, coverage } = resolver.resolve(evidence, mapper.getSources(data), data);
+
+            assert.deepStrictEqual(canonical['/land_information/area'], { page: 2, bbox: [0.612, 0.388, 0.742, 0.41], extractedPath: '/land_parcel_information/land_area' });
+            assert.strictEqual(canonical['/property_owners/0/owner_type'].extractedPath, '/owner_information/name');
+            assert.strictEqual(coverage.located, Object.keys(canonical).length);
+            assert.ok(coverage.total > coverage.located);
+        });
+    });
+
+    describe('Snippets', () => {
+        it('should crop the box with padding and scale wide crops down', () => {
+            const image = decodeImage(createTestImage());
+            const snippet = decodeImage(cropEvidence(image, [0.6, 0.2, 0.9, 0.8], { padding: 0 }));
+
+            assert.strictEqual(snippet.width, 60);
+            assert.strictEqual(snippet.height, 60);
+            assert.ok(snippet.data[2] > 200 && snippet.data[0] < 60, 'crop comes from the blue half');
+
+            const small = decodeImage(cropEvidence(image, [0, 0, 1, 1], { maxWidth: 50 }));
+            assert.strictEqual(small.width, 50);
+        });
+
+        it('should load page images from buffers and data URLs', async () => {
+            const image = createTestImage();
+            const pages = await loadPageImages([image, `data:image/jpeg;base64,${image.toString('base64')}`, 'https://example.com/page3.jpg']);
+
+            assert.strictEqual(pages.length, 3);
+            assert.ok(pages[1].equals(image));
+            assert.strictEqual(pages[2], null);
+        });
+    });
+
+    describe('Analyzer Integration', () => {
+        let analyzer;
+
+        beforeEach(() => {
+            analyzer = new RealEstateAnalyzer();
+            analyzer.openai = new MockOpenAIClient({ response: { content: TestHelpers.createMockResponseWithJson({ ...ALTERNATIVE, _provenance: EVIDENCE }) } });
+        });
+
+        it('should ask for evidence only when requested', async () => {
+            await analyzer.analyzeLandCertificate('https://example.com/so-do.jpg');
+            const plain = analyzer.openai.lastCall.params.messages[0].content[0].text;
+            await analyzer.analyzeLandCertificate('https://example.com/so-do.jpg', { provenance: true });
+            const withEvidence = analyzer.openai.lastCall.params.messages[0].content[0].text;
+
+            assert.ok(!plain.includes('_provenance'));
+            assert.strictEqual(withEvidence, `${plain}\n\n${analyzer.prompts.provenancePrompt}`);
+            assert.notStrictEqual(analyzer.getPromptHash({ provenance: true }), analyzer.getPromptHash());
+        });
+
+        it('should carry evidence through mapping and normalization', async () => {
+            const result = await analyzer.analyzeLandCertificate('https://example.com/so-do.jpg', { provenance: true });
+
+            assert.strictEqual(result.extractedData._provenance, undefined);
+            assert.strictEqual(result.schemaValidation.unmappedFields.length, 0);
+            assert.strictEqual(result.provenance.pageMode, 'stitched');
+            assert.deepStrictEqual(result.provenance.canonical['/property_owners/1/full_name'], {
+                page: 1,
+                bbox: [0.14, 0.24, 0.39, 0.259],
+                extractedPath: '/owner_information/spouse_information/name'
+            });
+            assert.deepStrictEqual(result.normalizedData.land_information.area, {
+                value: 16484,
+                unit: 'm2',
+                sourceUnit: 'm2',
+                original: '16484,0 m²',
+                provenance: { page: 2, bbox: [0.612, 0.388, 0.742, 0.41], extractedPath: '/land_parcel_information/land_area' }
+            });
+            assert.strictEqual(result.normalizedData.land_information.land_address.provenance, undefined);
+        });
+
+        it('should record empty evidence when the model gives none', async () => {
+            analyzer.openai = new MockOpenAIClient({ response: { content: TestHelpers.createMockResponseWithJson(reference) } });
+            const result = await analyzer.analyzeLandCertificate('https://example.com/so-do.jpg', { provenance: true });
+
+            assert.deepStrictEqual(result.provenance.canonical, {});
+            assert.strictEqual(result.provenance.coverage.located, 0);
+            assert.strictEqual((await analyzer.analyzeLandCertificate('https://example.com/so-do.jpg')).provenance, undefined);
+        });
+
+        it('should render the evidence next to each value', async () => {
+            const result = await analyzer.analyzeLandCertificate('https://example.com/so-do.jpg', { provenance: true });
+            const renderer = new ReportRenderer();
+            const markdown = renderer.render(result);
+            const html = renderer.render(result, { format: 'html', pages: [createTestImage(), createTestImage()] });
+
+            assert.ok(markdown.includes('| Trường thông tin | Giá trị | Nguồn |'));
+            assert.ok(markdown.includes('| Diện tích | 16484,0 m² | Trang 2 (61-74%, 39-41%) |'));
+            assert.ok(markdown.includes('| Thửa đất số | — | — |'));
+            assert.match(html, /<td class="evidence">Trang 2 \(61-74%, 39-41%\)<img src="data:image\/jpeg;base64,[^"]+" alt="Diện tích"><\/td>/);
+            assert.ok(renderer.render(reference).includes('| Trường thông tin | Giá trị |\n'));
+        });
+
+        it('should give dossier facts the page of their evidence', async () => {
+            const result = await analyzer.analyzeLandCertificate(['https://example.com/p1.jpg', 'https://example.com/p2.jpg'], { provenance: true, pageMode: 'pages' });
+            const consolidator = new DossierConsolidator({ normalizer: analyzer.normalizer, identityValidator: analyzer.identityValidator, ownerVerifier: analyzer.ownerVerifier });
+            const document = { id: 'doc1', pageCount: 2, result };
+
+            assert.strictEqual(consolidator.source(document, '/land_information/area').page, 2);
+            assert.strictEqual(consolidator.source(document, '/land_information/land_address').page, null);
+        });
+    });
+});
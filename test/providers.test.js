@@ -0,0 +1,258 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import fs from 'fs';
+import { RealEstateAnalyzer } from '../app-refactored.js';
+import { createApp } from '../server.js';
+import {
+    loadProviderConfig,
+    createProvider,
+    findMissingSettings,
+    OpenAICompatibleProvider,
+    OllamaProvider,
+    ProviderError
+} from '../lib/providers/index.js';
+import { TestHelpers, MockOpenAIClient } from './helpers.js';
+import { ValidationError } from '../lib/validation-error.js';
+
+// Mock environment variables for testing
+process.env.DASHSCOPE_API_KEY = 'test-api-key';
+process.env.OPENAI_BASE_URL = 'https://test-api.example.com';
+process.env.AI_MODEL = 'test-model';
+process.env.LOG_LEVEL = 'error';
+process.env.NODE_ENV = 'test';
+process.env.SAVE_RESPONSES = 'false';
+process.env.MAX_RETRIES = '1';
+
+const reference = JSON.parse(fs.readFileSync('./output/data.json', 'utf8'));
+
+/**
+ * Create a fetch stand-in that records requests and answers with a fixed reply
+ * @param {Object} reply - { status, body }
+ * @returns {Function} fetch
+ */
+function createFetchStub(reply = {}) {
+    const fetch = async (url, init) => {
+        fetch.calls.push({ url, init, body: init?.body ? JSON.parse(init.body) : null });
+        if (reply.error) {
+            throw reply.error;
+        }
+        const status = reply.status || 200;
+        return {
+            ok: status < 400,
+            status,
+            json: async () => reply.body,
+            text: async () => JSON.stringify(reply.body || {}),
+            arrayBuffer: async () => Buffer.from('image-bytes')
+        };
+    };
+    fetch.calls = [];
+    return fetch;
+}
+
+function ollamaReply(content) {
+    return {
+        body: {
+            model: 'qwen2.5vl',
+            message: { role: 'assistant', content },
+            done: true,
+            done_reason: 'stop',
+            prompt_eval_count: 1200,
+            eval_count: 300
+        }
+    };
+}
+
+describe('Model Providers - Unit Tests', () => {
+    describe('Configuration', () => {
+        it('should default to DashScope with the legacy variables', () => {
+            const config = loadProviderConfig({
+                DASHSCOPE_API_KEY: 'key',
+                OPENAI_BASE_URL: 'https://dashscope.example.com',
+                AI_MODEL: 'qwen-vl-max'
+            });
+
+            assert.strictEqual(config.name, 'dashscope');
+            assert.strictEqual(config.apiKey, 'key');
+            assert.strictEqual(config.baseURL, 'https://dashscope.example.com');
+            assert.strictEqual(config.model, 'qwen-vl-max');
+        });
+
+        it('should select a provider from AI_PROVIDER', () => {
+            const config = loadProviderConfig({ AI_PROVIDER: 'Ollama', OLLAMA_HOST: 'http://gpu-box:11434', AI_MAX_IMAGES: '2' });
+
+            assert.strictEqual(config.name, 'ollama');
+            assert.strictEqual(config.baseURL, 'http://gpu-box:11434');
+            assert.deepStrictEqual(config.capabilities, { maxImages: 2 });
+            assert.deepStrictEqual(findMissingSettings(config), []);
+        });
+
+        it('should name the missing variables', () => {
+            assert.throws(
+                () => createProvider(loadProviderConfig({ AI_PROVIDER: 'openai' })),
+                /Missing required configuration for provider "openai": apiKey \(AI_API_KEY or OPENAI_API_KEY\)/
+            );
+        });
+
+        it('should reject unknown providers', () => {
+            assert.throws(() => loadProviderConfig({ AI_PROVIDER: 'gemini' }), /Unknown AI provider "gemini"/);
+        });
+
+        it('should not require a key for local servers', () => {
+            const provider = createProvider(loadProviderConfig({ AI_PROVIDER: 'llamacpp' }));
+
+            assert.ok(provider instanceof OpenAICompatibleProvider);
+            assert.strictEqual(provider.baseURL, 'http://localhost:8080/v1');
+            assert.strictEqual(provider.describe().hasApiKey, false);
+        });
+    });
+
+    describe('OpenAI-Compatible Provider', () => {
+        it('should send the model and request JSON output when asked', async () => {
+            const client = new MockOpenAIClient({ response: { content: '{}' } });
+            const provider = new OpenAICompatibleProvider({ name: 'openai', model: 'gpt-4o-mini', client });
+
+            await provider.complete([{ role: 'user', content: 'Xin chào' }], { maxTokens: 100, temperature: 0, jsonMode: true });
+
+            assert.strictEqual(client.lastCall.params.model, 'gpt-4o-mini');
+            assert.strictEqual(client.lastCall.params.max_tokens, 100);
+            assert.deepStrictEqual(client.lastCall.params.response_format, { type: 'json_object' });
+        });
+
+        it('should omit response_format without JSON mode support', async () => {
+            const client = new MockOpenAIClient({ response: { content: '{}' } });
+            const provider = new OpenAICompatibleProvider({ client, capabilities: { jsonMode: false } });
+
+            await provider.complete([{ role: 'user', content: 'Xin chào' }], { jsonMode: true });
+
+            assert.strictEqual(client.lastCall.params.response_format, undefined);
+        });
+    });
+
+    describe('Ollama Provider', () => {
+        const messages = [{
+            role: 'user',
+            content: [
+                { type: 'text', text: 'Trích xuất thông tin' },
+                { type: 'image_url', image_url: { url: 'data:image/jpeg;base64,AAAA' } }
+            ]
+        }];
+
+        it('should convert messages and replies', async () => {
+            const fetch = createFetchStub(ollamaReply('{"a":1}'));
+            const provider = new OllamaProvider({ baseURL: 'http://localhost:11434/', fetch });
+
+            const completion = await provider.complete(messages, { maxTokens: 500, temperature: 0.1, jsonMode: true });
+            const [call] = fetch.calls;
+
+            assert.strictEqual(call.url, 'http://localhost:11434/api/chat');
+            assert.deepStrictEqual(call.body.messages, [{ role: 'user', content: 'Trích xuất thông tin', images: ['AAAA'] }]);
+            assert.strictEqual(call.body.format, 'json');
+            assert.strictEqual(call.body.stream, false);
+            assert.strictEqual(call.body.options.num_predict, 500);
+            assert.strictEqual(completion.choices[0].message.content, '{"a":1}');
+            assert.deepStrictEqual(completion.usage, { prompt_tokens: 1200, completion_tokens: 300, total_tokens: 1500 });
+        });
+
+        it('should download remote images from allowed hosts only', async () => {
+            const fetch = createFetchStub(ollamaReply('{}'));
+            const provider = new OllamaProvider({ fetch, imageHosts: 'Example.com, cdn.example.com' });
+
+            assert.strictEqual(await provider.toBase64('https://example.com/so-do.jpg'), Buffer.from('image-bytes').toString('base64'));
+            assert.strictEqual(fetch.calls[0].init.redirect, 'error');
+
+            for (const url of ['http://169.254.169.254/latest/meta-data', 'http://localhost:11434/api/tags']) {
+                await assert.rejects(provider.toBase64(url), error => error instanceof ValidationError && error.code === 'INVALID_INPUT');
+            }
+            assert.strictEqual(fetch.calls.length, 1);
+        });
+
+        it('should reject downloads over the image size limit', async () => {
+            const fetch = createFetchStub(ollamaReply('{}'));
+            const provider = new OllamaProvider({ fetch, imageHosts: ['example.com'], capabilities: { maxImageBytes: 4 } });
+
+            await assert.rejects(provider.toBase64('https://example.com/so-do.jpg'), error => error instanceof ValidationError && error.code === 'INVALID_DOCUMENT');
+        });
+
+        it('should raise ProviderError for HTTP errors and timeouts', async () => {
+            const failing = new OllamaProvider({ fetch: createFetchStub({ status: 404, body: { error: 'model not found' } }) });
+            await assert.rejects(failing.complete(messages), error => {
+                assert.ok(error instanceof ProviderError);
+                assert.strictEqual(error.status, 404);
+                assert.match(error.message, /model not found/);
+                return true;
+            });
+
+            const timeoutError = Object.assign(new Error('The operation was aborted due to timeout'), { name: 'TimeoutError' });
+            const slow = new OllamaProvider({ fetch: createFetchStub({ error: timeoutError }), timeout: 50 });
+            await assert.rejects(slow.complete(messages), error => error instanceof ProviderError && error.timeout);
+        });
+    });
+
+    describe('Analyzer Integration', () => {
+        it('should analyze through the configured provider', async () => {
+            const fetch = createFetchStub(ollamaReply(TestHelpers.createMockResponseWithJson(reference)));
+            const analyzer = new RealEstateAnalyzer({ provider: { name: 'ollama', model: 'qwen2.5vl:7b', fetch } });
+
+            const result = await analyzer.analyzeLandCertificate('data:image/jpeg;base64,AAAA');
+
+            assert.strictEqual(result.success, true);
+            assert.strictEqual(fetch.calls[0].body.model, 'qwen2.5vl:7b');
+            assert.deepStrictEqual(result.extractedData, reference);
+            assert.strictEqual(analyzer.getHealthStatus().config.provider, 'ollama');
+        });
+
+        it('should pass JSON mode to the provider', async () => {
+            const analyzer = new RealEstateAnalyzer();
+            analyzer.openai = new MockOpenAIClient({ response: { content: TestHelpers.createMockResponseWithJson(reference) } });
+
+            await analyzer.analyzeLandCertificate('https://example.com/so-do.jpg', { jsonMode: true });
+
+            assert.strictEqual(analyzer.provider.name, 'dashscope');
+            assert.strictEqual(analyzer.openai.lastCall.params.model, 'test-model');
+            assert.deepStrictEqual(analyzer.openai.lastCall.params.response_format, { type: 'json_object' });
+        });
+
+        it('should stitch pages beyond the image limit', async () => {
+            const analyzer = new RealEstateAnalyzer({ provider: { name: 'llamacpp', model: 'local' } });
+            analyzer.openai = new MockOpenAIClient({ response: { content: TestHelpers.createMockResponseWithJson(reference) } });
+
+            await analyzer.analyzeLandCertificate('./assets/DEMO1.pdf', { pageMode: 'pages', pdf: { dpi: 36, pages: '1-2' } });
+
+            const content = analyzer.openai.lastCall.params.messages[0].content;
+            assert.strictEqual(content.filter(part => part.type === 'image_url').length, 1);
+        });
+
+        it('should reject images over the size limit', async () => {
+            const analyzer = new RealEstateAnalyzer({ provider: { name: 'llamacpp', capabilities: { maxImageBytes: 10 } } });
+            analyzer.openai = new MockOpenAIClient({ response: { content: '{}' } });
+
+            await assert.rejects(
+                analyzer.analyzeLandCertificate(`data:image/jpeg;base64,${'A'.repeat(100)}`),
+                /exceeds the llamacpp limit/
+            );
+            assert.strictEqual(analyzer.openai.callCount, 0);
+        });
+
+        it('should map provider errors to HTTP statuses', async () => {
+            const analyzer = new RealEstateAnalyzer({ provider: { name: 'ollama', fetch: createFetchStub({ status: 429, body: {} }) } });
+            const server = createApp({ analyzer }).listen(0);
+            await new Promise(resolve => server.once('listening', resolve));
+
+            try {
+                const res = await fetch(`http://127.0.0.1:${server.address().port}/v1/analyze`, {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify({ imageUrl: 'data:image/jpeg;base64,AAAA' })
+                });
+                const body = await res.json();
+
+                assert.strictEqual(res.status, 429);
+                assert.strictEqual(body.error.code, 'PROVIDER_RATE_LIMITED');
+            } finally {
+                server.close();
+            }
+        });
+    });
+});
+
+console.log('✅ Provider tests completed successfully!');
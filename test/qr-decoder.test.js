@@ -0,0 +1,207 @@
+import { describe, it, beforeEach } from 'node:test';
+import assert from 'node:assert';
+import QRCode from 'qrcode';
+import { createCanvas } from '@napi-rs/canvas';
+import { RealEstateAnalyzer } from '../app-refactored.js';
+import { QrDecoder, compactIdentifier } from '../lib/qr-decoder.js';
+import { TestHelpers, MockOpenAIClient } from './helpers.js';
+
+// Mock environment variables for testing
+process.env.DASHSCOPE_API_KEY = 'test-api-key';
+process.env.OPENAI_BASE_URL = 'https://test-api.example.com';
+process.env.AI_MODEL = 'test-model';
+process.env.LOG_LEVEL = 'error';
+process.env.NODE_ENV = 'test';
+process.env.SAVE_RESPONSES = 'false';
+
+const PAYLOAD_2024 = 'Số phát hành: AA 01234567\nSố vào sổ cấp GCN: DA 00012\nThửa đất số: 52';
+
+const FORM_2024 = {
+    metadata: {
+        document_name: 'Giấy chứng nhận quyền sử dụng đất, quyền sở hữu tài sản gắn liền với đất',
+        certificate_number: 'AA 01234567',
+        registration_number: 'DA 00012'
+    },
+    property_owners: [{ full_name: 'Phạm Minh Châu' }],
+    land_information: { land_address: 'Phường Yên Nghĩa, thành phố Hà Nội', plot_number: '52', area: '120 m²' },
+    issue_date: '15/10/2024'
+};
+
+/**
+ * Draw a certificate-sized page with QR codes on it
+ * @param {Array<Object>} codes - [{ text, x, y }] payloads and top-left positions
+ * @returns {Buffer} JPEG page
+ */
+function createPage(codes) {
+    const canvas = createCanvas(1240, 1754);
+    const context = canvas.getContext('2d');
+    context.fillStyle = '#f6ecec';
+    context.fillRect(0, 0, canvas.width, canvas.height);
+    context.fillStyle = '#000000';
+    context.font = '36px sans-serif';
+    context.fillText('GIẤY CHỨNG NHẬN QUYỀN SỬ DỤNG ĐẤT', 260, 160);
+
+    for (const { text, x, y } of codes) {
+        const { modules } = QRCode.create(text, { errorCorrectionLevel: 'M' });
+        const scale = 4;
+        context.fillStyle = '#ffffff';
+        context.fillRect(x - 4 * scale, y - 4 * scale, (modules.size + 8) * scale, (modules.size + 8) * scale);
+        context.fillStyle = '#000000';
+        for (let row = 0; row < modules.size; row++) {
+            for (let column = 0; column < modules.size; column++) {
+                if (modules.get(column, row)) {
+                    context.fillRect(x + column * scale, y + row * scale, scale, scale);
+                }
+            }
+        }
+    }
+    return canvas.encodeSync('jpeg', 90);
+}
+
+describe('QR Decoder - Unit Tests', () => {
+    const decoder = new QrDecoder();
+
+    describe('Decoding', () => {
+        it('should find and decode a QR code on a page', async () => {
+            const [code, ...rest] = await decoder.decodeImage(createPage([{ text: PAYLOAD_2024, x: 960, y: 1420 }]));
+
+            assert.strictEqual(rest.length, 0);
+            assert.strictEqual(code.payload, PAYLOAD_2024);
+            assert.strictEqual(code.fields.certificate_number, 'AA 01234567');
+            assert.strictEqual(code.fields.registration_number, 'DA 00012');
+            assert.ok(Math.abs(code.location.x - 960) < 20 && Math.abs(code.location.y - 1420) < 20);
+        });
+
+        it('should decode several codes and report pages', async () => {
+            const page = createPage([{ text: 'serial=AB 111', x: 100, y: 1400 }, { text: 'serial=AB 222', x: 900, y: 1400 }]);
+            const dataUrl = `data:image/jpeg;base64,${page.toString('base64')}`;
+            const codes = await decoder.decodeImages([{ source: dataUrl, page: 2 }, { source: dataUrl, page: 2 }]);
+
+            assert.deepStrictEqual(codes.map(code => code.fields.certificate_number).sort(), ['AB 111', 'AB 222']);
+            assert.ok(codes.every(code => code.page === 2));
+        });
+
+        it('should scale large images down and report locations in source pixels', async () => {
+            const small = new QrDecoder({ maxPixels: 600000 });
+            const [code] = await small.decodeImage(createPage([{ text: PAYLOAD_2024, x: 960, y: 1420 }]));
+
+            assert.strictEqual(code.payload, PAYLOAD_2024);
+            assert.ok(Math.abs(code.location.x - 960) < 20 && Math.abs(code.location.y - 1420) < 20);
+        });
+
+        it('should return nothing for pages without codes', async () => {
+            assert.deepStrictEqual(await decoder.decodeImage(createPage([])), []);
+            await assert.rejects(decoder.decodeImage('https://example.com/so-do.jpg'), /needs a data URL or image buffer/);
+        });
+
+        it('should reject damaged images with an error', async () => {
+            const damaged = Buffer.from(createPage([]));
+            for (let i = 700; i < damaged.length - 100; i += 37) {
+                damaged[i] ^= 0x5a;
+            }
+
+            await assert.rejects(decoder.decodeImage(Buffer.from([0xff, 0xd8, 0xff, 0xe0, 0x00, 0x10, 0x4a, 0x46, 0x49, 0x46])));
+            await assert.rejects(decoder.decodeImage(damaged));
+            await assert.rejects(decoder.decodeImage(Buffer.from('GIF89a')), /Unsupported image type for QR decoding: unknown/);
+        });
+    });
+
+    describe('Payloads', () => {
+        it('should read JSON, URL and key-value payloads', () => {
+            assert.deepStrictEqual(decoder.parsePayload('{"soPhatHanh": "AA 01234567", "nested": {"a": 1}}'), { sophathanh: 'AA 01234567', certificate_number: 'AA 01234567' });
+            assert.strictEqual(decoder.parsePayload('https://dichvucong.example.vn/gcn?serial=AA01234567&so_vao_so=DA00012').registration_number, 'DA00012');
+            assert.deepStrictEqual(decoder.parsePayload('SERI=AA 01234567;SO VAO SO=DA 00012'), {
+                seri: 'AA 01234567', so_vao_so: 'DA 00012', certificate_number: 'AA 01234567', registration_number: 'DA 00012'
+            });
+            assert.deepStrictEqual(decoder.parsePayload('AA01234567'), {});
+        });
+
+        it('should compare identifiers without spacing, punctuation or case', () => {
+            assert.strictEqual(compactIdentifier('bv 999-451'), 'BV999451');
+            assert.strictEqual(compactIdentifier('Đ 0012'), 'D0012');
+        });
+    });
+
+    describe('Verification', () => {
+        const code = payload => ({ payload, fields: decoder.parsePayload(payload) });
+
+        it('should match, mismatch or leave identifiers unverified', () => {
+            const metadata = { certificate_number: 'AA01234567', registration_number: 'DA 00012' };
+
+            assert.strictEqual(decoder.verify([code(PAYLOAD_2024)], metadata).status, 'match');
+
+            const mismatch = decoder.verify([code(PAYLOAD_2024)], { ...metadata, registration_number: 'DA 00021' });
+            assert.strictEqual(mismatch.status, 'mismatch');
+            assert.deepStrictEqual(mismatch.checks[1], { path: '/metadata/registration_number', extracted: 'DA 00021', decoded: 'DA 00012', match: false });
+
+            assert.strictEqual(decoder.verify([code('GCN|AA01234567|DA00012')], metadata).status, 'match');
+            assert.strictEqual(decoder.verify([code('GCN|XX00000000')], metadata).status, 'unverified');
+            assert.strictEqual(decoder.verify([code(PAYLOAD_2024)], {}).status, 'unverified');
+        });
+    });
+
+    describe('Analyzer Integration', () => {
+        let analyzer;
+
+        beforeEach(() => {
+            analyzer = new RealEstateAnalyzer();
+            analyzer.openai = new MockOpenAIClient({ response: { content: TestHelpers.createMockResponseWithJson(FORM_2024) } });
+        });
+
+        it('should attach decoded codes and confirm the extracted numbers', async () => {
+            const result = await analyzer.analyzeLandCertificate(createPage([{ text: PAYLOAD_2024, x: 960, y: 1420 }]));
+
+            assert.strictEqual(result.qrCodes.length, 1);
+            assert.strictEqual(result.qrVerification.status, 'match');
+            assert.ok(result.certificateGeneration.signals.some(signal => signal.signal === 'qr_code' && signal.value === 'decoded'));
+            assert.ok(!result.warnings.some(warning => warning.code.startsWith('QR_')));
+        });
+
+        it('should flag a mismatch as a high-severity discrepancy', async () => {
+            const page = createPage([{ text: PAYLOAD_2024.replace('AA 01234567', 'AA 07654321'), x: 960, y: 1420 }]);
+
+            const result = await analyzer.analyzeLandCertificate(page);
+            const warning = result.warnings.find(item => item.code === 'QR_MISMATCH');
+
+            assert.strictEqual(result.qrVerification.status, 'mismatch');
+            assert.strictEqual(warning.severity, 'high');
+            assert.strictEqual(warning.path, '/metadata/certificate_number');
+            assert.match(warning.message, /QR code encodes "AA 07654321", but "AA 01234567" was extracted/);
+        });
+
+        it('should note 2024 certificates without a readable code', async () => {
+            const result = await analyzer.analyzeLandCertificate(createPage([]));
+
+            assert.deepStrictEqual(result.qrCodes, []);
+            assert.strictEqual(result.qrVerification, undefined);
+            assert.ok(result.warnings.some(warning => warning.code === 'QR_NOT_FOUND' && warning.severity === 'low'));
+        });
+
+        it('should skip remote images and disabled decoding', async () => {
+            const remote = await analyzer.analyzeLandCertificate('https://example.com/so-do.jpg');
+            const disabled = await analyzer.analyzeLandCertificate(createPage([{ text: PAYLOAD_2024, x: 960, y: 1420 }]), { decodeQr: false });
+
+            assert.strictEqual(remote.qrCodes, undefined);
+            assert.strictEqual(disabled.qrCodes, undefined);
+            assert.ok(!disabled.warnings.some(warning => warning.code.startsWith('QR_')));
+        });
+
+        it('should only scan 2024-form certificates unless asked to', async () => {
+            const older = { ...FORM_2024, metadata: { ...FORM_2024.metadata, document_name: 'Giấy chứng nhận quyền sử dụng đất' }, issue_date: '06/04/2019' };
+            analyzer.openai = new MockOpenAIClient({ response: { content: TestHelpers.createMockResponseWithJson(older) } });
+            const page = createPage([{ text: PAYLOAD_2024, x: 960, y: 1420 }]);
+
+            assert.strictEqual((await analyzer.analyzeLandCertificate(page)).qrCodes, undefined);
+            assert.strictEqual((await analyzer.analyzeLandCertificate(page, { decodeQr: true })).qrCodes.length, 1);
+        });
+
+        it('should warn instead of failing when an image cannot be decoded', async () => {
+            const result = await analyzer.analyzeLandCertificate('data:image/jpeg;base64,/9j/4AAQSkZJRgABAQ==');
+
+            assert.strictEqual(result.success, true);
+            assert.ok(result.warnings.some(warning => warning.code === 'QR_DECODE_FAILED'));
+        });
+    });
+});
+
+console.log('✅ QR decoder tests completed successfully!');
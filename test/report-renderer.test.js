@@ -0,0 +1,130 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import fs from 'fs';
+import { RealEstateAnalyzer } from '../app-refactored.js';
+import { ReportRenderer, LABELS, escapeHtml } from '../lib/report-renderer.js';
+import { TestHelpers, MockOpenAIClient } from './helpers.js';
+
+// Mock environment variables for testing
+process.env.DASHSCOPE_API_KEY = 'test-api-key';
+process.env.OPENAI_BASE_URL = 'https://test-api.example.com';
+process.env.AI_MODEL = 'test-model';
+process.env.LOG_LEVEL = 'error';
+process.env.NODE_ENV = 'test';
+process.env.SAVE_RESPONSES = 'false';
+
+const reference = JSON.parse(fs.readFileSync('./output/data.json', 'utf8'));
+const savedResponse = JSON.parse(fs.readFileSync('./responses/response_1751361265708.json', 'utf8'));
+
+describe('Report Renderer - Unit Tests', () => {
+    const renderer = new ReportRenderer();
+
+    describe('Markdown', () => {
+        it('should render the sections in order with Vietnamese labels', () => {
+            const markdown = renderer.render(reference);
+            const headings = markdown.split('\n').filter(line => line.startsWith('## '));
+
+            assert.deepStrictEqual(headings, [
+                '## 1. Loại tài liệu',
+                '## 2. Thông tin chung',
+                '## 3. Chủ sở hữu',
+                '## 4. Thửa đất',
+                '## 5. Tài sản gắn liền với đất',
+                '## 6. Ghi chú và thông tin bổ sung'
+            ]);
+            assert.ok(markdown.startsWith('# Báo cáo trích xuất Giấy chứng nhận\n'));
+            assert.ok(markdown.includes('| Số vào sổ cấp GCN | CS 05494 |'));
+            assert.ok(markdown.includes('### Chủ sở hữu 2'));
+            assert.ok(markdown.includes('| Họ và tên | Trương Thị Phương |'));
+            assert.ok(markdown.includes('| Diện tích | 16484,0 m² |'));
+            assert.ok(markdown.includes('| Tên nhà ở / công trình | CT8C - Khu đô thị mới Dương Nội |'));
+        });
+
+        it('should show missing values and placeholders as a dash', () => {
+            const markdown = renderer.render(reference);
+
+            assert.ok(markdown.includes('| Tờ bản đồ số | — |'));
+            assert.ok(markdown.includes('| Cây lâu năm | — |'));
+            assert.ok(!markdown.includes('-/-'));
+        });
+
+        it('should render English labels', () => {
+            const markdown = renderer.render(reference, { language: 'en' });
+
+            assert.ok(markdown.startsWith('# Land Certificate Extraction Report\n'));
+            assert.ok(markdown.includes('## 4. Land parcel'));
+            assert.ok(markdown.includes('| Registration book number | CS 05494 |'));
+            assert.strictEqual(new ReportRenderer({ language: 'en' }).render(reference), markdown);
+        });
+
+        it('should be deterministic', () => {
+            assert.strictEqual(renderer.render(reference), renderer.render(structuredClone(reference)));
+        });
+
+        it('should escape table syntax in values', () => {
+            const data = structuredClone(reference);
+            data.notes = 'Dòng 1 | cột\nDòng 2';
+
+            assert.ok(renderer.render(data).includes('| Ghi chú | Dòng 1 \\| cột<br>Dòng 2 |'));
+        });
+
+        it('should map other extraction shapes', () => {
+            const markdown = renderer.render(savedResponse.extractedData);
+
+            assert.ok(markdown.includes('| Họ và tên | Nguyễn Anh Quân |'));
+            assert.ok(markdown.includes('| Thửa đất số | CT8 |'));
+        });
+    });
+
+    describe('HTML', () => {
+        it('should render a standalone document with escaped values', () => {
+            const data = structuredClone(reference);
+            data.notes = '<script>alert("x")</script>';
+            const html = renderer.render(data, { format: 'html' });
+
+            assert.ok(html.startsWith('<!DOCTYPE html>\n<html lang="vi">'));
+            assert.ok(html.includes('<meta charset="utf-8">'));
+            assert.ok(html.includes('<section id="owners">'));
+            assert.ok(html.includes('<td>Họ và tên</td><td>Nguyễn Anh Quân</td>'));
+            assert.ok(html.includes('&lt;script&gt;alert(&quot;x&quot;)&lt;/script&gt;'));
+            assert.ok(!html.includes('<script>'));
+        });
+
+        it('should escape HTML special characters', () => {
+            assert.strictEqual(escapeHtml(`a & <b> "c" 'd'`), 'a &amp; &lt;b&gt; &quot;c&quot; &#39;d&#39;');
+        });
+    });
+
+    describe('Analysis Results', () => {
+        it('should render canonical data and warnings of a result', async () => {
+            const analyzer = new RealEstateAnalyzer();
+            const data = structuredClone(reference);
+            data.property_owners[0].id_number = '001099012345';
+            analyzer.openai = new MockOpenAIClient({
+                response: { content: TestHelpers.createMockResponseWithJson(data) }
+            });
+
+            const result = await analyzer.analyzeLandCertificate('https://example.com/so-do.jpg');
+            const markdown = renderer.render(result);
+
+            assert.ok(result.warnings.length > 0);
+            assert.ok(markdown.includes('## 7. Cảnh báo'));
+            assert.ok(markdown.includes('| Mức độ | Trường | Nội dung |'));
+            assert.ok(markdown.includes('/property_owners/0/date_of_birth'));
+        });
+
+        it('should flag results that failed schema validation', () => {
+            const result = { extractedData: reference, canonicalData: reference, schemaValidation: { valid: false }, warnings: [] };
+
+            assert.ok(renderer.render(result).includes(`> ⚠️ ${LABELS.vi.schemaInvalid}`));
+        });
+
+        it('should reject results without data and unknown options', () => {
+            assert.throws(() => renderer.render({ success: true, extractedData: undefined }), /no extracted data/);
+            assert.throws(() => renderer.render(reference, { format: 'pdf' }), /Unsupported report format: pdf/);
+            assert.throws(() => renderer.render(reference, { language: 'fr' }), /Unsupported report language: fr/);
+        });
+    });
+});
+
+console.log('✅ Report renderer tests completed successfully!');
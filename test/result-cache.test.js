@@ -0,0 +1,178 @@
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { RealEstateAnalyzer } from '../app-refactored.js';
+import { ResultCache, FileCacheBackend, MemoryCacheBackend } from '../lib/result-cache.js';
+import { TestHelpers, MockOpenAIClient } from './helpers.js';
+
+// Mock environment variables for testing
+process.env.DASHSCOPE_API_KEY = 'test-api-key';
+process.env.OPENAI_BASE_URL = 'https://test-api.example.com';
+process.env.AI_MODEL = 'test-model';
+process.env.LOG_LEVEL = 'error';
+process.env.NODE_ENV = 'test';
+process.env.SAVE_RESPONSES = 'false';
+
+const reference = JSON.parse(fs.readFileSync('./output/data.json', 'utf8'));
+const IMAGE = Buffer.from([0xff, 0xd8, 0xff, 0xe0, 0x00, 0x10, 0x4a, 0x46, 0x49, 0x46, 0x01]);
+
+const messagesFor = (url, text = 'Trích xuất') => [{
+    role: 'user',
+    content: [{ type: 'text', text }, { type: 'image_url', image_url: { url } }]
+}];
+
+describe('Result Cache - Unit Tests', () => {
+    let cacheDir;
+
+    beforeEach(() => {
+        cacheDir = fs.mkdtempSync(path.join(os.tmpdir(), 'cache-test-'));
+    });
+
+    afterEach(() => {
+        fs.rmSync(cacheDir, { recursive: true, force: true });
+    });
+
+    describe('Keys', () => {
+        const cache = new ResultCache({ backend: new MemoryCacheBackend() });
+        const context = { provider: 'dashscope', model: 'qwen-vl-max', params: { temperature: 0.1, maxTokens: 4000 } };
+        const url = `data:image/jpeg;base64,${IMAGE.toString('base64')}`;
+
+        it('should hash the decoded image bytes', () => {
+            const plain = cache.createKey(messagesFor(url), context);
+            const wrapped = cache.createKey(messagesFor(`data:image/jpeg;base64,${IMAGE.toString('base64').replace(/(.{8})/g, '$1\n')}`), context);
+
+            assert.match(plain.key, /^[a-f0-9]{64}$/);
+            assert.strictEqual(wrapped.key, plain.key);
+            assert.strictEqual(plain.components.model, 'dashscope/qwen-vl-max');
+        });
+
+        it('should change with the image, prompt, model and parameters', () => {
+            const base = cache.createKey(messagesFor(url), context).key;
+            const reordered = { ...context, params: { maxTokens: 4000, temperature: 0.1 } };
+
+            assert.strictEqual(cache.createKey(messagesFor(url), reordered).key, base);
+            assert.notStrictEqual(cache.createKey(messagesFor(`data:image/jpeg;base64,${Buffer.concat([IMAGE, IMAGE]).toString('base64')}`), context).key, base);
+            assert.notStrictEqual(cache.createKey(messagesFor(url, 'Trích xuất JSON'), context).key, base);
+            assert.notStrictEqual(cache.createKey(messagesFor(url), { ...context, model: 'qwen-vl-plus' }).key, base);
+            assert.notStrictEqual(cache.createKey(messagesFor(url), { ...context, params: { temperature: 0.2, maxTokens: 4000 } }).key, base);
+        });
+    });
+
+    describe('Entries', () => {
+        it('should store, expire and invalidate file entries', async () => {
+            const cache = new ResultCache({ backend: new FileCacheBackend({ dir: cacheDir }), ttlMs: 500 });
+            const { key, components } = cache.createKey(messagesFor('https://example.com/a.jpg'));
+
+            await cache.set(key, { extractedData: { a: 1 } }, components);
+            assert.ok(fs.existsSync(path.join(cacheDir, key.slice(0, 2), `${key}.json`)));
+            assert.deepStrictEqual((await cache.get(key)).result, { extractedData: { a: 1 } });
+
+            await TestHelpers.wait(600);
+            assert.strictEqual(await cache.get(key), null);
+            assert.ok(!fs.existsSync(path.join(cacheDir, key.slice(0, 2), `${key}.json`)), 'expired entry is removed');
+
+            await cache.set(key, { extractedData: { a: 2 } });
+            assert.strictEqual(await cache.invalidate(key), true);
+            assert.strictEqual(await cache.invalidate(key), false);
+        });
+
+        it('should keep entries without a TTL and clear them all', async () => {
+            const cache = new ResultCache({ backend: new FileCacheBackend({ dir: cacheDir }), ttlMs: 0 });
+            const first = cache.createKey(messagesFor('https://example.com/a.jpg')).key;
+            const second = cache.createKey(messagesFor('https://example.com/b.jpg')).key;
+
+            await cache.set(first, {});
+            await cache.set(second, {});
+
+            assert.strictEqual((await cache.get(first)).expiresAt, null);
+            assert.strictEqual(await cache.clear(), 2);
+            assert.strictEqual(await cache.get(second), null);
+        });
+
+        it('should treat corrupt entries as misses and reject invalid keys', async () => {
+            const backend = new FileCacheBackend({ dir: cacheDir });
+            const key = 'a'.repeat(64);
+            fs.mkdirSync(path.join(cacheDir, 'aa'));
+            fs.writeFileSync(path.join(cacheDir, 'aa', `${key}.json`), '{"version":');
+
+            assert.strictEqual(await backend.get(key), null);
+            await assert.rejects(backend.get('../../etc/passwd'), /Invalid cache key/);
+        });
+    });
+
+    describe('Analyzer Integration', () => {
+        let analyzer;
+        let input;
+
+        beforeEach(() => {
+            analyzer = new RealEstateAnalyzer({ cache: new ResultCache({ backend: new FileCacheBackend({ dir: cacheDir }) }) });
+            analyzer.openai = new MockOpenAIClient({
+                response: { content: TestHelpers.createMockResponseWithJson(reference) }
+            });
+            input = path.join(cacheDir, 'merged.jpg');
+            fs.writeFileSync(input, IMAGE);
+        });
+
+        it('should serve repeated analyses from the cache', async () => {
+            const first = await analyzer.analyzeLandCertificate(input);
+            const second = await analyzer.analyzeLandCertificate(input);
+
+            assert.strictEqual(analyzer.openai.callCount, 1);
+            assert.strictEqual(first.cache.hit, false);
+            assert.strictEqual(second.cache.hit, true);
+            assert.strictEqual(second.cache.key, first.cache.key);
+            assert.ok(second.cache.createdAt);
+            assert.deepStrictEqual(second.canonicalData, first.canonicalData);
+            assert.deepStrictEqual(second.normalizedData, first.normalizedData);
+        });
+
+        it('should miss when the model or parameters change', async () => {
+            await analyzer.analyzeLandCertificate(input);
+            await analyzer.analyzeLandCertificate(input, { jsonMode: true });
+            await analyzer.analyzeLandCertificate(input, { customPrompt: 'Chỉ trích xuất chủ sở hữu' });
+
+            assert.strictEqual(analyzer.openai.callCount, 3);
+        });
+
+        it('should bypass, refresh and invalidate on request', async () => {
+            await analyzer.analyzeLandCertificate(input);
+
+            const bypassed = await analyzer.analyzeLandCertificate(input, { cache: false });
+            assert.strictEqual(bypassed.cache, undefined);
+
+            const refreshed = await analyzer.analyzeLandCertificate(input, { refreshCache: true });
+            assert.strictEqual(refreshed.cache.hit, false);
+            assert.strictEqual(analyzer.openai.callCount, 3);
+
+            assert.strictEqual(await analyzer.invalidateCache(input), true);
+            const after = await analyzer.analyzeLandCertificate(input);
+            assert.strictEqual(after.cache.hit, false);
+            assert.strictEqual(analyzer.openai.callCount, 4);
+        });
+
+        it('should not cache results without extracted data', async () => {
+            analyzer.openai = new MockOpenAIClient({ response: { content: 'Không đọc được ảnh' } });
+
+            await analyzer.analyzeLandCertificate(input, { maxRepairRounds: 0 });
+            await analyzer.analyzeLandCertificate(input, { maxRepairRounds: 0 });
+
+            assert.strictEqual(analyzer.openai.callCount, 2);
+        });
+
+        it('should be off unless configured', async () => {
+            const uncached = new RealEstateAnalyzer();
+            uncached.openai = new MockOpenAIClient({
+                response: { content: TestHelpers.createMockResponseWithJson(reference) }
+            });
+
+            const result = await uncached.analyzeLandCertificate(input);
+
+            assert.strictEqual(uncached.cache, null);
+            assert.strictEqual(result.cache, undefined);
+        });
+    });
+});
+
+console.log('✅ Result cache tests completed successfully!');
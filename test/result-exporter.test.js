@@ -0,0 +1,247 @@
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import zlib from 'zlib';
+import { RealEstateAnalyzer } from '../app-refactored.js';
+import { ResultExporter, DEFAULT_COLUMNS, loadMapping, readResultFiles } from '../lib/result-exporter.js';
+import { columnName, crc32 } from '../lib/xlsx-writer.js';
+import { TestHelpers, MockOpenAIClient } from './helpers.js';
+
+// Mock environment variables for testing
+process.env.DASHSCOPE_API_KEY = 'test-api-key';
+process.env.OPENAI_BASE_URL = 'https://test-api.example.com';
+process.env.AI_MODEL = 'test-model';
+process.env.LOG_LEVEL = 'error';
+process.env.NODE_ENV = 'test';
+process.env.SAVE_RESPONSES = 'false';
+
+const reference = JSON.parse(fs.readFileSync('./output/data.json', 'utf8'));
+const savedResponse = JSON.parse(fs.readFileSync('./responses/response_1751361265708.json', 'utf8'));
+const xmlMapping = loadMapping('./mappings/collateral-import.xml.json');
+
+/**
+ * Read the entries of a ZIP archive from its central directory
+ * @param {Buffer} buffer - ZIP bytes
+ * @returns {Object} File name → content
+ */
+function readZip(buffer) {
+    const end = buffer.lastIndexOf(Buffer.from([0x50, 0x4b, 0x05, 0x06]));
+    const count = buffer.readUInt16LE(end + 10);
+    let offset = buffer.readUInt32LE(end + 16);
+    const files = {};
+
+    for (let i = 0; i < count; i++) {
+        const size = buffer.readUInt32LE(offset + 20);
+        const nameLength = buffer.readUInt16LE(offset + 28);
+        const local = buffer.readUInt32LE(offset + 42);
+        const name = buffer.subarray(offset + 46, offset + 46 + nameLength).toString('utf8');
+        const dataStart = local + 30 + buffer.readUInt16LE(local + 26) + buffer.readUInt16LE(local + 28);
+        const data = zlib.inflateRawSync(buffer.subarray(dataStart, dataStart + size));
+
+        assert.strictEqual(crc32(data), buffer.readUInt32LE(offset + 16), `CRC of ${name}`);
+        files[name] = data.toString('utf8');
+        offset += 46 + nameLength;
+    }
+    return files;
+}
+
+describe('Result Exporter - Unit Tests', () => {
+    const exporter = new ResultExporter({ bom: false });
+
+    describe('Table', () => {
+        it('should flatten owners and assets into numbered columns', () => {
+            const { headers, rows } = exporter.toTable([{ id: 'DEMO1', result: reference }]);
+            const row = Object.fromEntries(headers.map((header, index) => [header, rows[0][index]]));
+
+            assert.strictEqual(row.id, 'DEMO1');
+            assert.strictEqual(row.certificate_number, 'BV 999451');
+            assert.strictEqual(row.issue_date, '2019-04-06');
+            assert.strictEqual(row.area_m2, 16484);
+            assert.strictEqual(row.map_sheet_number, '');
+            assert.strictEqual(row.owner_2_full_name, 'Trương Thị Phương');
+            assert.strictEqual(row.asset_1_floor_area_m2, 83.8);
+            assert.deepStrictEqual(headers.slice(headers.indexOf('owner_1_type'), headers.indexOf('owner_1_type') + 6), [
+                'owner_1_type', 'owner_1_full_name', 'owner_1_date_of_birth', 'owner_1_id_number', 'owner_1_permanent_address', 'owner_2_type'
+            ]);
+        });
+
+        it('should size array columns by the longest array without shifting values', () => {
+            const three = structuredClone(reference);
+            delete three.property_owners[0].id_number;
+            three.property_owners.push({ full_name: 'Lê Văn C', id_number: '001099012345' });
+            const { headers, rows } = exporter.toTable([reference, three]);
+            const column = header => headers.indexOf(header);
+
+            assert.ok(headers.includes('owner_3_full_name'));
+            assert.strictEqual(rows[0][column('owner_3_full_name')], '');
+            assert.strictEqual(rows[1][column('owner_1_id_number')], '');
+            assert.strictEqual(rows[1][column('owner_2_id_number')], '113287050');
+            assert.strictEqual(rows[1][column('owner_3_id_number')], '001099012345');
+            assert.deepStrictEqual(rows.map(row => row[0]), ['1', '2']);
+        });
+
+        it('should apply a custom column mapping', () => {
+            const custom = new ResultExporter({ columns: loadMapping('./mappings/crm-columns.json').columns });
+            const { headers, rows } = custom.toTable(reference);
+
+            assert.deepStrictEqual(headers.slice(-2), ['Chủ sở hữu', 'Số giấy tờ tùy thân']);
+            assert.deepStrictEqual(rows[0].slice(-2), ['Nguyễn Anh Quân; Trương Thị Phương', 'B6075953; 113287050']);
+        });
+
+        it('should map other extraction shapes', () => {
+            const { headers, rows } = exporter.toTable(savedResponse);
+
+            assert.strictEqual(rows[0][headers.indexOf('owner_1_full_name')], 'Nguyễn Anh Quân');
+            assert.strictEqual(rows[0][headers.indexOf('model')], savedResponse.model);
+        });
+    });
+
+    describe('CSV', () => {
+        it('should quote, escape and defuse formulas', () => {
+            const data = structuredClone(reference);
+            data.notes = '=HYPERLINK("x")\nDòng 2';
+            const csv = new ResultExporter().toCsv(data);
+
+            assert.ok(csv.startsWith('\uFEFFid,document_type,'));
+            assert.ok(csv.endsWith('\r\n'));
+            assert.ok(csv.includes('"Khu đô thị mới Dương Nội, phường Yên Nghĩa, quận Hà Đông, thành phố Hà Nội"'));
+            assert.ok(csv.includes('"\'=HYPERLINK(""x"")\nDòng 2"'));
+        });
+
+        it('should use a configured delimiter', () => {
+            const csv = new ResultExporter({ bom: false, delimiter: ';' }).toCsv(reference);
+
+            assert.ok(csv.startsWith('id;document_type;certificate_number;'));
+            assert.ok(csv.includes(';Khu đô thị mới Dương Nội, phường Yên Nghĩa, quận Hà Đông, thành phố Hà Nội;'));
+        });
+    });
+
+    describe('XLSX', () => {
+        it('should write a workbook with a header row and typed cells', () => {
+            const buffer = exporter.toXlsx([{ id: 'DEMO1', result: reference }, reference]);
+            const files = readZip(buffer);
+            const sheet = files['xl/worksheets/sheet1.xml'];
+
+            assert.deepStrictEqual(Object.keys(files).sort(), [
+                '[Content_Types].xml', '_rels/.rels', 'xl/_rels/workbook.xml.rels', 'xl/styles.xml', 'xl/workbook.xml', 'xl/worksheets/sheet1.xml'
+            ]);
+            assert.ok(files['xl/workbook.xml'].includes('<sheet name="Certificates"'));
+            assert.ok(sheet.includes('<c r="A1" s="1" t="inlineStr"><is><t>id</t></is></c>'));
+            assert.ok(sheet.includes('<c r="A2" t="inlineStr"><is><t>DEMO1</t></is></c>'));
+            assert.ok(sheet.includes('<is><t>Trương Thị Phương</t></is>'));
+            assert.match(sheet, /<c r="[A-Z]+2"><v>16484<\/v><\/c>/);
+            assert.ok(sheet.includes('<pane ySplit="1"'));
+            assert.deepStrictEqual(exporter.toXlsx(reference), exporter.toXlsx(structuredClone(reference)));
+        });
+
+        it('should name columns past Z', () => {
+            assert.deepStrictEqual([0, 25, 26, 51, 702].map(columnName), ['A', 'Z', 'AA', 'AZ', 'AAA']);
+        });
+
+        it('should compute the standard CRC-32 without zlib.crc32', () => {
+            assert.strictEqual(crc32(Buffer.from('123456789')), 0xcbf43926);
+            assert.strictEqual(crc32(Buffer.alloc(0)), 0);
+        });
+    });
+
+    describe('XML', () => {
+        it('should build records from a mapping file', () => {
+            const xml = exporter.toXml([{ id: 'DEMO1', result: reference }], xmlMapping);
+
+            assert.ok(xml.startsWith('<?xml version="1.0" encoding="UTF-8"?>\n<CollateralImport xmlns="urn:example:bank:collateral:1.0" version="1.0">'));
+            assert.ok(xml.includes('  <Collateral ref="DEMO1" type="LAND_USE_RIGHT">'));
+            assert.ok(xml.includes('<IssueDate>2019-04-06</IssueDate>'));
+            assert.ok(xml.includes('<Area unit="m2">16484</Area>'));
+            assert.strictEqual(xml.match(/<Owner>/g).length, 2);
+            assert.ok(xml.includes('<FullName>Trương Thị Phương</FullName>'));
+            assert.ok(!xml.includes('<MapSheet'), 'empty elements are omitted');
+        });
+
+        it('should escape values and keep empty elements unless omitted', () => {
+            const data = structuredClone(reference);
+            data.land_information.plot_number = 'CT8 <A&B>';
+            const mapping = {
+                root: 'Items',
+                record: {
+                    element: 'Item',
+                    children: [
+                        { element: 'Plot', path: 'data.land_information.plot_number' },
+                        { element: 'Sheet', path: 'data.land_information.map_sheet_number' },
+                        { element: 'Name', path: '$.data.property_owners[0].full_name' }
+                    ]
+                }
+            };
+
+            assert.strictEqual(exporter.toXml(data, mapping), [
+                '<?xml version="1.0" encoding="UTF-8"?>',
+                '<Items>',
+                '  <Item>',
+                '    <Plot>CT8 &lt;A&amp;B&gt;</Plot>',
+                '    <Sheet/>',
+                '    <Name>Nguyễn Anh Quân</Name>',
+                '  </Item>',
+                '</Items>',
+                ''
+            ].join('\n'));
+        });
+
+        it('should reject invalid mappings', () => {
+            assert.throws(() => exporter.toXml(reference, null), /needs a mapping/);
+            assert.throws(() => exporter.toXml(reference, { root: '1abc', record: {} }), /Invalid XML mapping at root/);
+            assert.throws(() => exporter.toXml(reference, { root: 'A', record: { element: 'B', path: 'id', value: 'x' } }),
+                /Invalid XML mapping at record: expected exactly one of/);
+            assert.throws(() => exporter.toXml(reference, { root: 'A', record: { element: 'B', children: [{ element: 'C D', path: 'id' }] } }),
+                /Invalid XML mapping at record.children\[0\]/);
+        });
+    });
+
+    describe('Inputs', () => {
+        let dir;
+
+        beforeEach(() => {
+            dir = fs.mkdtempSync(path.join(os.tmpdir(), 'export-test-'));
+        });
+
+        afterEach(() => {
+            fs.rmSync(dir, { recursive: true, force: true });
+        });
+
+        it('should read result directories without the run manifest', () => {
+            fs.writeFileSync(path.join(dir, 'b.json'), JSON.stringify(savedResponse));
+            fs.writeFileSync(path.join(dir, 'a.json'), JSON.stringify(reference));
+            fs.writeFileSync(path.join(dir, 'manifest.json'), JSON.stringify({ entries: {} }));
+
+            const inputs = readResultFiles([dir]);
+
+            assert.deepStrictEqual(inputs.map(input => input.id), ['a', 'b']);
+            assert.strictEqual(exporter.toTable(inputs).rows.length, 2);
+        });
+
+        it('should reject results without data and invalid column mappings', () => {
+            assert.throws(() => exporter.toTable({ success: true, extractedData: undefined }), /Analysis result 1 has no extracted data/);
+            assert.throws(() => new ResultExporter({ columns: [{ header: 'x' }] }), /Invalid column mapping at columns\[0\]/);
+            assert.throws(() => exporter.export(reference, { format: 'json' }), /Unsupported export format: json/);
+            assert.deepStrictEqual(new ResultExporter().columns, DEFAULT_COLUMNS);
+        });
+
+        it('should export analysis results with their warnings', async () => {
+            const analyzer = new RealEstateAnalyzer();
+            const data = structuredClone(reference);
+            data.property_owners[0].id_number = '001099012345';
+            analyzer.openai = new MockOpenAIClient({
+                response: { content: TestHelpers.createMockResponseWithJson(data) }
+            });
+
+            const result = await analyzer.analyzeLandCertificate('https://example.com/so-do.jpg');
+            const { headers, rows } = exporter.toTable({ id: 'so-do', result });
+
+            assert.strictEqual(rows[0][headers.indexOf('model')], 'test-model');
+            assert.strictEqual(rows[0][headers.indexOf('warning_count')], result.warnings.length);
+            assert.ok(result.warnings.length > 0);
+        });
+    });
+});
+
+console.log('✅ Result exporter tests completed successfully!');
@@ -200,6 +200,31 @@ class TestRunner {
 
         const testFiles = [
             { file: path.join(__dirname, 'unit.test.js'), type: 'unit' },
+            { file: path.join(__dirname, 'pdf-renderer.test.js'), type: 'pdf' },
+            { file: path.join(__dirname, 'page-mode.test.js'), type: 'pages' },
+            { file: path.join(__dirname, 'schema.test.js'), type: 'schema' },
+            { file: path.join(__dirname, 'json-repair.test.js'), type: 'repair' },
+            { file: path.join(__dirname, 'normalizer.test.js'), type: 'normalize' },
+            { file: path.join(__dirname, 'id-validator.test.js'), type: 'identity' },
+            { file: path.join(__dirname, 'address-parser.test.js'), type: 'address' },
+            { file: path.join(__dirname, 'ocr-corrector.test.js'), type: 'ocr' },
+            { file: path.join(__dirname, 'providers.test.js'), type: 'providers' },
+            { file: path.join(__dirname, 'batch.test.js'), type: 'batch' },
+            { file: path.join(__dirname, 'batch-job.test.js'), type: 'batch-job' },
+            { file: path.join(__dirname, 'result-cache.test.js'), type: 'cache' },
+            { file: path.join(__dirname, 'report-renderer.test.js'), type: 'report' },
+            { file: path.join(__dirname, 'pdf-report.test.js'), type: 'pdf-report' },
+            { file: path.join(__dirname, 'result-exporter.test.js'), type: 'export' },
+            { file: path.join(__dirname, 'document-classifier.test.js'), type: 'classify' },
+            { file: path.join(__dirname, 'certificate-generations.test.js'), type: 'generations' },
+            { file: path.join(__dirname, 'qr-decoder.test.js'), type: 'qr' },
+            { file: path.join(__dirname, 'citizen-id.test.js'), type: 'citizen-id' },
+            { file: path.join(__dirname, 'dossier.test.js'), type: 'dossier' },
+            { file: path.join(__dirname, 'provenance.test.js'), type: 'provenance' },
+            { file: path.join(__dirname, 'confidence.test.js'), type: 'confidence' },
+            { file: path.join(__dirname, 'ensemble.test.js'), type: 'ensemble' },
+            { file: path.join(__dirname, 'extraction-diff.test.js'), type: 'diff' },
+            { file: path.join(__dirname, 'server.test.js'), type: 'server' },
             { file: path.join(__dirname, 'integration.test.js'), type: 'integration' }
         ];
 
@@ -0,0 +1,147 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import fs from 'fs';
+import { RealEstateAnalyzer } from '../app-refactored.js';
+import { LandCertificateMapper } from '../lib/land-certificate-mapper.js';
+import { SchemaValidator } from '../lib/schema-validator.js';
+import { flattenValues } from '../lib/evaluation.js';
+import { TestHelpers } from './helpers.js';
+
+// Mock environment variables for testing
+process.env.DASHSCOPE_API_KEY = 'test-api-key';
+process.env.OPENAI_BASE_URL = 'https://test-api.example.com';
+process.env.AI_MODEL = 'test-model';
+process.env.LOG_LEVEL = 'error';
+process.env.NODE_ENV = 'test';
+
+const reference = JSON.parse(fs.readFileSync('./output/data.json', 'utf8'));
+const savedResponse = JSON.parse(fs.readFileSync('./responses/response_1751361265708.json', 'utf8'));
+
+describe('Canonical Land Certificate Schema - Unit Tests', () => {
+    const mapper = new LandCertificateMapper();
+    const validator = new SchemaValidator();
+
+    describe('SchemaValidator', () => {
+        it('should expose the schema version', () => {
+            assert.strictEqual(validator.getVersion(), '1.0.0');
+            assert.strictEqual(validator.getSchema().title, 'Vietnamese Land Certificate');
+        });
+
+        it('should accept the reference extraction', () => {
+            const validation = validator.validate(reference);
+
+            assert.strictEqual(validation.valid, true, JSON.stringify(validation.violations));
+            assert.deepStrictEqual(validation.violations, []);
+        });
+
+        it('should report violations with JSON pointer paths', () => {
+            const invalid = structuredClone(reference);
+            delete invalid.land_information.land_address;
+            invalid.property_owners[0].full_name = 42;
+            invalid.unexpected_section = {};
+
+            const { valid, violations } = validator.validate(invalid);
+            const paths = violations.map(violation => violation.path);
+
+            assert.strictEqual(valid, false);
+            assert.ok(paths.includes('/land_information'));
+            assert.ok(paths.includes('/property_owners/0/full_name'));
+            assert.ok(paths.includes('/unexpected_section'));
+        });
+
+        it('should fail clearly for unknown schemas', () => {
+            assert.throws(() => validator.validate({}, 'passport.v9'), /Schema not found/);
+        });
+    });
+
+    describe('LandCertificateMapper', () => {
+        it('should keep canonical data unchanged', () => {
+            const { data, unmappedFields } = mapper.map(reference);
+            const mappedValues = new Map(flattenValues(data).map(leaf => [leaf.path, leaf.value]));
+
+            assert.deepStrictEqual(unmappedFields, []);
+            for (const leaf of flattenValues(reference)) {
+                assert.strictEqual(mappedValues.get(leaf.path), leaf.value, leaf.path);
+            }
+        });
+
+        it('should map owner_information with spouse_information to property_owners[]', () => {
+            const { data } = mapper.map(savedResponse.extractedData);
+
+            assert.strictEqual(data.property_owners.length, 2);
+            assert.strictEqual(data.property_owners[0].full_name, 'Nguyễn Anh Quân');
+            assert.strictEqual(data.property_owners[0].id_number, 'H6075951');
+            assert.strictEqual(data.property_owners[1].id_number, '113287050');
+        });
+
+        it('should map land_parcel_information and house assets', () => {
+            const { data } = mapper.map(savedResponse.extractedData);
+
+            assert.strictEqual(data.land_information.plot_number, 'CT8');
+            assert.strictEqual(data.land_information.usage_origin, 'Nhà nước giao đất có thu tiền sử dụng đất');
+            assert.strictEqual(data.assets_attached_to_land[0].asset_type, 'Nhà ở');
+            assert.strictEqual(data.assets_attached_to_land[0].details.floor_area, '83,8m²');
+        });
+
+        it('should hoist metadata and additional information fields', () => {
+            const { data, unmappedFields } = mapper.map(savedResponse.extractedData);
+
+            assert.strictEqual(data.metadata.document_type, 'Land_Certificate');
+            assert.strictEqual(data.issue_date, '20/04/2014');
+            assert.strictEqual(data.issuing_authority_details.authority_name, 'Ủy ban nhân dân thành phố Hà Nội');
+            assert.ok(data.notes.startsWith('Số tờ, số thửa'));
+            assert.ok(unmappedFields.includes('/additional_information/production_year'));
+        });
+
+        it('should produce schema-valid data from the alternative shape', () => {
+            const { data } = mapper.map(savedResponse.extractedData);
+            const validation = validator.validate(data);
+
+            assert.strictEqual(validation.valid, true, JSON.stringify(validation.violations));
+        });
+
+        it('should split a salutation out of the owner name', () => {
+            const { data } = mapper.map({ owners: [{ name: 'Bà: Trương Thị Phương', birth_year: 1987 }] });
+
+            assert.strictEqual(data.property_owners[0].owner_type, 'Bà');
+            assert.strictEqual(data.property_owners[0].full_name, 'Trương Thị Phương');
+            assert.strictEqual(data.property_owners[0].date_of_birth, '1987');
+        });
+
+        it('should reject non-object input', () => {
+            assert.throws(() => mapper.map([1, 2]), /must be a JSON object/);
+        });
+    });
+
+    describe('Response Processing', () => {
+        it('should attach canonical data and schema validation', () => {
+            const analyzer = new RealEstateAnalyzer();
+            const completion = TestHelpers.createMockCompletion({
+                content: TestHelpers.createMockResponseWithJson(savedResponse.extractedData)
+            });
+
+            const result = analyzer.processResponse(completion);
+
+            assert.deepStrictEqual(result.extractedData, savedResponse.extractedData);
+            assert.strictEqual(result.canonicalData.property_owners.length, 2);
+            assert.strictEqual(result.schemaValidation.schemaVersion, '1.0.0');
+            assert.strictEqual(result.schemaValidation.valid, true);
+        });
+
+        it('should list violations when required sections are missing', () => {
+            const analyzer = new RealEstateAnalyzer();
+            const completion = TestHelpers.createMockCompletion({
+                content: TestHelpers.createMockResponseWithJson({ test: 'data' })
+            });
+
+            const result = analyzer.processResponse(completion);
+
+            assert.strictEqual(result.success, true);
+            assert.strictEqual(result.schemaValidation.valid, false);
+            assert.ok(result.schemaValidation.violations.some(violation => violation.path === '/property_owners'));
+            assert.deepStrictEqual(result.schemaValidation.unmappedFields, ['/test']);
+        });
+    });
+});
+
+console.log('✅ Schema tests completed successfully!');
@@ -0,0 +1,246 @@
+import { describe, it, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert';
+import fs from 'fs';
+import { APIConnectionTimeoutError, APIError } from 'openai';
+import { RealEstateAnalyzer } from '../app-refactored.js';
+import { createApp } from '../server.js';
+import { detectMimeType } from '../lib/file-type.js';
+import { TestHelpers, MockOpenAIClient } from './helpers.js';
+
+// Mock environment variables for testing
+process.env.DASHSCOPE_API_KEY = 'test-api-key';
+process.env.OPENAI_BASE_URL = 'https://test-api.example.com';
+process.env.AI_MODEL = 'test-model';
+process.env.LOG_LEVEL = 'error';
+process.env.NODE_ENV = 'test';
+process.env.SAVE_RESPONSES = 'false';
+process.env.MAX_RETRIES = '1';
+
+const JPEG_BYTES = Buffer.from([0xff, 0xd8, 0xff, 0xe0, 0x00, 0x10, 0x4a, 0x46, 0x49, 0x46]);
+
+describe('HTTP API - Server Tests', () => {
+    let analyzer;
+    let server;
+    let baseUrl;
+
+    before(async () => {
+        analyzer = new RealEstateAnalyzer();
+        const app = createApp({ analyzer, maxFileSizeMb: 1 });
+
+        await new Promise(resolve => {
+            server = app.listen(0, resolve);
+        });
+        baseUrl = `http://127.0.0.1:${server.address().port}`;
+    });
+
+    after(() => {
+        server.close();
+    });
+
+    beforeEach(() => {
+        const data = TestHelpers.createMockLandCertificateData();
+        analyzer.openai = new MockOpenAIClient({
+            response: { content: TestHelpers.createMockResponseWithJson(data) }
+        });
+    });
+
+    describe('GET /v1/health', () => {
+        it('should return the analyzer health status', async () => {
+            const res = await fetch(`${baseUrl}/v1/health`);
+            const body = await res.json();
+
+            assert.strictEqual(res.status, 200);
+            assert.strictEqual(body.status, 'healthy');
+            assert.strictEqual(body.config.model, 'test-model');
+        });
+    });
+
+    describe('POST /v1/analyze', () => {
+        it('should analyze an image URL sent as JSON', async () => {
+            const res = await fetch(`${baseUrl}/v1/analyze`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ imageUrl: 'https://example.com/so-do.jpg' })
+            });
+            const body = await res.json();
+
+            assert.strictEqual(res.status, 200);
+            assert.strictEqual(body.success, true);
+            assert.strictEqual(body.extractedData.metadata.certificate_number, 'TEST123456');
+
+            const sent = analyzer.openai.lastCall.params.messages;
+            assert.strictEqual(sent.length, 1, 'follow-up prompt should not be sent');
+            assert.strictEqual(sent[0].content[1].image_url.url, 'https://example.com/so-do.jpg');
+        });
+
+        it('should analyze a multipart JPEG upload', async () => {
+            const form = new FormData();
+            form.append('file', new Blob([JPEG_BYTES], { type: 'application/octet-stream' }), 'page.jpg');
+
+            const res = await fetch(`${baseUrl}/v1/analyze`, { method: 'POST', body: form });
+            const body = await res.json();
+
+            assert.strictEqual(res.status, 200);
+            assert.strictEqual(body.success, true);
+
+            const imagePart = analyzer.openai.lastCall.params.messages[0].content[1];
+            assert.ok(imagePart.image_url.url.startsWith('data:image/jpeg;base64,'));
+        });
+
+        it('should render and analyze a multipart PDF upload', async () => {
+            const form = new FormData();
+            form.append('file', new Blob([fs.readFileSync('./assets/DEMO1.pdf')]), 'DEMO1.pdf');
+            form.append('options', JSON.stringify({ pdf: { dpi: 36, pages: '1-2' } }));
+
+            const res = await fetch(`${baseUrl}/v1/analyze`, { method: 'POST', body: form });
+
+            assert.strictEqual(res.status, 200);
+            const imagePart = analyzer.openai.lastCall.params.messages[0].content[1];
+            assert.ok(imagePart.image_url.url.startsWith('data:image/jpeg;base64,'));
+        });
+
+        it('should reject corrupt PDF uploads with 422', async () => {
+            const form = new FormData();
+            form.append('file', new Blob([Buffer.from('%PDF-1.4\nnot a PDF')]), 'broken.pdf');
+
+            const res = await fetch(`${baseUrl}/v1/analyze`, { method: 'POST', body: form });
+
+            assert.strictEqual(res.status, 422);
+            assert.strictEqual((await res.json()).error.code, 'INVALID_DOCUMENT');
+            assert.strictEqual(analyzer.openai.callCount, 0);
+        });
+
+        it('should reject invalid image URLs with 400', async () => {
+            const res = await fetch(`${baseUrl}/v1/analyze`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ imageUrl: 'ftp://example.com/image.jpg' })
+            });
+            const body = await res.json();
+
+            assert.strictEqual(res.status, 400);
+            assert.strictEqual(body.success, false);
+            assert.strictEqual(body.error.code, 'INVALID_IMAGE_URL');
+            assert.strictEqual(analyzer.openai.callCount, 0);
+        });
+
+        it('should reject requests without input with 400', async () => {
+            const res = await fetch(`${baseUrl}/v1/analyze`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({})
+            });
+
+            assert.strictEqual(res.status, 400);
+            assert.strictEqual((await res.json()).error.code, 'MISSING_INPUT');
+        });
+
+        it('should reject unsupported file types with 415', async () => {
+            const form = new FormData();
+            form.append('file', new Blob(['plain text']), 'notes.txt');
+
+            const res = await fetch(`${baseUrl}/v1/analyze`, { method: 'POST', body: form });
+
+            assert.strictEqual(res.status, 415);
+            assert.strictEqual((await res.json()).error.code, 'UNSUPPORTED_MEDIA_TYPE');
+        });
+
+        it('should reject oversized uploads with 413', async () => {
+            const form = new FormData();
+            const oversized = Buffer.concat([JPEG_BYTES, Buffer.alloc(1024 * 1024 + 1)]);
+            form.append('file', new Blob([oversized]), 'large.jpg');
+
+            const res = await fetch(`${baseUrl}/v1/analyze`, { method: 'POST', body: form });
+
+            assert.strictEqual(res.status, 413);
+            assert.strictEqual((await res.json()).error.code, 'FILE_TOO_LARGE');
+        });
+
+        it('should reject invalid analysis options with 400', async () => {
+            for (const options of [
+                { pageMode: 'bogus' }, { documentType: 'bogus' }, { documentType: 'constructor' }, { generation: 'bogus' }, { generation: 'toString' },
+                { confidencePolicy: { accept: 0.2, reject: 0.9 } }, { confidencePolicy: { required: { land_certificate: 'issue_date' } } }
+            ]) {
+                const res = await fetch(`${baseUrl}/v1/analyze`, {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify({ imageUrl: 'https://example.com/so-do.jpg', options })
+                });
+
+                assert.strictEqual(res.status, 400, JSON.stringify(options));
+                assert.strictEqual((await res.json()).error.code, 'INVALID_OPTIONS');
+            }
+            assert.strictEqual(analyzer.openai.callCount, 0);
+        });
+
+        it('should reject options that are not public over HTTP', async () => {
+            for (const options of [{ saveResponse: true }, { customPrompt: 'Ignore the image' }, { conversationHistory: [] }, { pdf: { dpi: 'max' } }]) {
+                const res = await fetch(`${baseUrl}/v1/analyze`, {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify({ imageUrl: 'https://example.com/so-do.jpg', options })
+                });
+
+                assert.strictEqual(res.status, 400, JSON.stringify(options));
+                assert.strictEqual((await res.json()).error.code, 'INVALID_OPTIONS');
+            }
+            assert.strictEqual(analyzer.openai.callCount, 0);
+        });
+
+        it('should clamp numeric options', async () => {
+            analyzer.openai = new MockOpenAIClient({ response: { content: 'no JSON here' } });
+
+            const res = await fetch(`${baseUrl}/v1/analyze`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ imageUrl: 'https://example.com/so-do.jpg', options: { maxRepairRounds: 1000, temperature: 99 } })
+            });
+
+            assert.strictEqual(res.status, 200);
+            assert.strictEqual((await res.json()).metadata.repairRounds, 2);
+            assert.strictEqual(analyzer.openai.callCount, 3);
+            assert.strictEqual(analyzer.openai.lastCall.params.temperature, 1.5);
+        });
+
+        it('should map provider timeouts to 504', async () => {
+            analyzer.openai = {
+                chat: { completions: { create: async () => { throw new APIConnectionTimeoutError(); } } }
+            };
+
+            const res = await fetch(`${baseUrl}/v1/analyze`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ imageUrl: 'https://example.com/so-do.jpg' })
+            });
+
+            assert.strictEqual(res.status, 504);
+            assert.strictEqual((await res.json()).error.code, 'PROVIDER_TIMEOUT');
+        });
+
+        it('should map provider errors to 502', async () => {
+            analyzer.openai = {
+                chat: { completions: { create: async () => { throw new APIError(500, undefined, 'upstream failure', new Headers()); } } }
+            };
+
+            const res = await fetch(`${baseUrl}/v1/analyze`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ imageUrl: 'https://example.com/so-do.jpg' })
+            });
+
+            assert.strictEqual(res.status, 502);
+            assert.strictEqual((await res.json()).error.code, 'PROVIDER_ERROR');
+        });
+    });
+
+    describe('MIME Detection', () => {
+        it('should detect supported file signatures', () => {
+            assert.strictEqual(detectMimeType(JPEG_BYTES), 'image/jpeg');
+            assert.strictEqual(detectMimeType(Buffer.from('89504e470d0a1a0a', 'hex')), 'image/png');
+            assert.strictEqual(detectMimeType(Buffer.from('%PDF-1.7')), 'application/pdf');
+            assert.strictEqual(detectMimeType(Buffer.from('hello')), null);
+        });
+    });
+});
+
+console.log('✅ Server tests completed successfully!');
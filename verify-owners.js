@@ -0,0 +1,97 @@
+import fs from "fs";
+import path from "path";
+import { RealEstateAnalyzer } from "./app-refactored.js";
+
+/**
+ * Owner Verification
+ * ==================
+ *
+ * Analyzes a land certificate and the owners' citizen ID cards and checks
+ * every owner in property_owners[] against a card: name (without diacritics
+ * or salutation), ID number, birth year and address. Saved analysis results
+ * (.json) can be given instead of images to skip the model call.
+ *
+ * Usage:
+ *   node verify-owners.js <certificate> --card <front>[,<back>] [--card ...] [--json]
+ *
+ *   node verify-owners.js ./assets/DEMO1.pdf --card ./assets/cccd-front.jpg,./assets/cccd-back.jpg
+ *   node verify-owners.js ./output/data-result.json --card ./output/cccd-result.json --json
+ */
+const USAGE = 'Usage: node verify-owners.js <certificate> --card <front>[,<back>] [--card ...] [--json]';
+
+function parseArgs(args) {
+    const parsed = { certificate: null, cards: [], json: false };
+
+    for (let i = 0; i < args.length; i++) {
+        const arg = args[i];
+        if (arg === '--card') {
+            parsed.cards.push(args[++i].split(','));
+        } else if (arg === '--json') {
+            parsed.json = true;
+        } else if (arg.startsWith('--') || parsed.certificate) {
+            throw new Error(`Unexpected argument: ${arg}`);
+        } else {
+            parsed.certificate = arg;
+        }
+    }
+
+    if (!parsed.certificate || parsed.cards.length === 0) {
+        throw new Error(USAGE);
+    }
+    return parsed;
+}
+
+/**
+ * Load a saved result, or analyze the input
+ * @param {Array<string>} inputs - One result file, or image/PDF paths
+ * @param {Function} analyze - Analysis function for images
+ * @returns {Promise<Object>} Analysis result
+ */
+async function loadOrAnalyze(inputs, analyze) {
+    if (inputs.length === 1 && path.extname(inputs[0]).toLowerCase() === '.json') {
+        return JSON.parse(fs.readFileSync(inputs[0], 'utf8'));
+    }
+    return analyze(inputs.length === 1 ? inputs[0] : inputs);
+}
+
+async function main() {
+    try {
+        const args = parseArgs(process.argv.slice(2));
+        const analyzer = new RealEstateAnalyzer();
+        const options = { includeFollowUp: false };
+
+        const certificate = await loadOrAnalyze([args.certificate], input => analyzer.analyzeLandCertificate(input, { ...options, documentType: 'land_certificate' }));
+        const cards = [];
+        for (const card of args.cards) {
+            cards.push(await loadOrAnalyze(card, input => analyzer.analyzeCitizenId(input, options)));
+        }
+
+        analyzer.verifyOwners(certificate, cards);
+        const verification = certificate.ownerVerification;
+
+        if (args.json) {
+            console.log(JSON.stringify({ ...verification, warnings: certificate.warnings.filter(warning => warning.code.startsWith('OWNER_')) }, null, 2));
+            return;
+        }
+
+        console.log('\n=== OWNER VERIFICATION ===');
+        console.log(`Status: ${verification.status}`);
+        console.log('─'.repeat(60));
+        for (const owner of verification.owners) {
+            const card = owner.card === null ? 'no card' : `card ${owner.card + 1} (${args.cards[owner.card].join(', ')})`;
+            console.log(`${owner.full_name ?? owner.path}: ${owner.verdict.toUpperCase()} - ${card}`);
+            for (const [check, result] of Object.entries(owner.checks || {})) {
+                console.log(`  ${check.padEnd(11)} ${result.status.padEnd(10)} certificate: ${result.certificate ?? '-'} | card: ${result.card ?? '-'}`);
+            }
+        }
+        if (verification.unmatchedCards.length > 0) {
+            console.log(`\nCards without an owner on the certificate: ${verification.unmatchedCards.map(index => args.cards[index].join(', ')).join('; ')}`);
+        }
+
+    } catch (error) {
+        console.error('Verification error:', error.message);
+        process.exit(1);
+    }
+}
+
+main();